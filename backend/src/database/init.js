@@ -26,6 +26,26 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Login throttling state (see utils/loginThrottle.js)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS failedLoginAttempts INTEGER DEFAULT 0');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS lockCount INTEGER DEFAULT 0');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS lockedUntil TIMESTAMP');
+
+    // Password rotation state (see utils/passwordPolicy.js)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS mustChangePassword BOOLEAN DEFAULT FALSE');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS passwordChangedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+
+    // TOTP two-factor state (see utils/twoFactor.js)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totpSecret VARCHAR(64)');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totpEnabled BOOLEAN DEFAULT FALSE');
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totpLastStep BIGINT');
+
+    // Super-admins see every centre's sewadars and users (see utils/centres.js)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS isSuperAdmin BOOLEAN DEFAULT FALSE');
+
+    // Bumped by every edit of a user's details; PUT /users/:id must name the version it changes (see utils/rowVersion.js)
+    await pool.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS rowVersion INTEGER NOT NULL DEFAULT 1');
+
     // Create sewadars table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS sewadars (
@@ -44,6 +64,229 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Contact details and postal address (formats checked in middleware/validation.js)
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS phone VARCHAR(10)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS alternatePhone VARCHAR(10)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS email VARCHAR(255)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS addressLine1 VARCHAR(255)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS addressLine2 VARCHAR(255)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS city VARCHAR(100)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS district VARCHAR(100)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS state VARCHAR(100)');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS pinCode VARCHAR(6)');
+
+    // Set when a photo is stored on disk (see utils/sewadarPhoto.js)
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS photoUpdatedAt TIMESTAMP');
+
+    // Set when a sewadar is moved to the trash; purged for good after the retention period (see utils/sewadarTrash.js)
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS deletedAt TIMESTAMP');
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS deletedBy UUID REFERENCES users(id) ON DELETE SET NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sewadars_deletedat ON sewadars (deletedAt) WHERE deletedAt IS NOT NULL');
+
+    // Bumped by every edit of a sewadar's details; PUT /sewadars/:id must name the version it changes (see utils/rowVersion.js)
+    await pool.query('ALTER TABLE sewadars ADD COLUMN IF NOT EXISTS rowVersion INTEGER NOT NULL DEFAULT 1');
+
+    // Revoked badge numbers (lost or withdrawn cards); kiosks refuse them and they cannot be printed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS badge_revocations (
+        badgeId VARCHAR(255) PRIMARY KEY,
+        sewadarId UUID REFERENCES sewadars(id) ON DELETE SET NULL,
+        reason VARCHAR(255) NOT NULL,
+        revokedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        revokedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Emergency contacts, in the order they were entered
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sewadar_emergency_contacts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        relationship VARCHAR(20) NOT NULL,
+        phone VARCHAR(10) NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sewadar_emergency_contacts_sewadarid ON sewadar_emergency_contacts (sewadarId)');
+
+    // Create centres table (the RSSB centres that share this portal)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS centres (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        location VARCHAR(255),
+        createdBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_centres_name ON centres (LOWER(name))');
+
+    // Create sewadar_centres table (a sewadar can serve at several centres)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sewadar_centres (
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        centreId UUID NOT NULL REFERENCES centres(id) ON DELETE CASCADE,
+        PRIMARY KEY (sewadarId, centreId)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sewadar_centres_centreid ON sewadar_centres (centreId)');
+
+    // Create user_centres table (the centres whose records a portal user works with)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_centres (
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        centreId UUID NOT NULL REFERENCES centres(id) ON DELETE CASCADE,
+        PRIMARY KEY (userId, centreId)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_centres_centreid ON user_centres (centreId)');
+
+    // Create departments table (langar, parking, security, medical, ...)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS departments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(500),
+        createdBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_name ON departments (LOWER(name))');
+
+    // Create department_members table (a sewadar can serve in several departments)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS department_members (
+        departmentId UUID NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        addedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        addedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (departmentId, sewadarId)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_department_members_sewadarid ON department_members (sewadarId)');
+
+    // Create department_leaders table (portal users who lead a department and manage its members)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS department_leaders (
+        departmentId UUID NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        assignedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        assignedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (departmentId, userId)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_department_leaders_userid ON department_leaders (userId)');
+
+    // Create events table (satsang programmes, bhandaras, cleaning drives, ...)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(150) NOT NULL,
+        eventType VARCHAR(50) NOT NULL,
+        location VARCHAR(255) NOT NULL,
+        description TEXT,
+        startDate DATE NOT NULL,
+        endDate DATE NOT NULL,
+        createdBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    // Older databases blocked deleting anyone who had created an event; keep the event and clear its creator instead.
+    // Only changed while the constraint is not yet ON DELETE SET NULL ('n'), as it locks and rechecks the table.
+    const eventCreatorKey = await pool.query(
+      "SELECT confdeltype FROM pg_constraint WHERE conname = 'events_createdby_fkey' AND conrelid = 'events'::regclass"
+    );
+    if (eventCreatorKey.rows[0]?.confdeltype !== 'n') {
+      await pool.query(`
+        ALTER TABLE events
+          DROP CONSTRAINT IF EXISTS events_createdby_fkey,
+          ADD CONSTRAINT events_createdby_fkey FOREIGN KEY (createdBy) REFERENCES users(id) ON DELETE SET NULL
+      `);
+    }
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_events_startdate ON events (startDate)');
+
+    // Create duty_slots table (one duty at an event, in venue wall-clock time)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS duty_slots (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        eventId UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        location VARCHAR(255),
+        startsAt TIMESTAMP NOT NULL,
+        endsAt TIMESTAMP NOT NULL,
+        requiredCount INTEGER NOT NULL DEFAULT 1,
+        notes TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_duty_slots_eventid ON duty_slots (eventId)');
+
+    // Create duty_assignments table (sewadars on a duty slot; overlaps are rejected in routes/events.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS duty_assignments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        slotId UUID NOT NULL REFERENCES duty_slots(id) ON DELETE CASCADE,
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        assignedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        assignedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (slotId, sewadarId)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_duty_assignments_sewadarid ON duty_assignments (sewadarId)');
+
+    // Create attendance table (one row per sewadar per event day; hours come from the check-in/out times)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS attendance (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        eventId UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        attendanceDate DATE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'PRESENT',
+        checkInAt TIMESTAMP,
+        checkOutAt TIMESTAMP,
+        method VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+        notes VARCHAR(255),
+        recordedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (eventId, sewadarId, attendanceDate),
+        CHECK (checkOutAt IS NULL OR (checkInAt IS NOT NULL AND checkOutAt > checkInAt))
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_attendance_sewadarid ON attendance (sewadarId, attendanceDate)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_attendance_attendancedate ON attendance (attendanceDate)');
+
+    // Create sewadar_tombstones table (IDs of sewadars merged into another record, which they now redirect to)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sewadar_tombstones (
+        id UUID PRIMARY KEY,
+        mergedIntoId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        mergedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        mergedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sewadar_tombstones_mergedintoid ON sewadar_tombstones (mergedIntoId)');
+
+    // Create sewadar_versions table (a full snapshot of a sewadar after every change, numbered per sewadar)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sewadar_versions (
+        id UUID PRIMARY KEY,
+        sewadarId UUID NOT NULL REFERENCES sewadars(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        note VARCHAR(255),
+        snapshot JSONB NOT NULL,
+        changedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        changedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (sewadarId, version)
+      )
+    `);
+
     // Create audit_logs table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS audit_logs (
@@ -56,6 +299,98 @@ const initializeDatabase = async () => {
         timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    // Structured detail (changed fields with old and new values, request IP, user agent and ID) written by utils/audit.js
+    await pool.query('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS payload JSONB');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_logs_payload_changes ON audit_logs USING GIN ((payload->'changes') jsonb_path_ops)`);
+
+    // Create sessions table (one row per refresh token family / signed-in device)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refreshTokenHash VARCHAR(64) UNIQUE NOT NULL,
+        userAgent TEXT,
+        ipAddress VARCHAR(100),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        lastUsedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expiresAt TIMESTAMP NOT NULL,
+        revokedAt TIMESTAMP,
+        revokedReason VARCHAR(100)
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sessions_userid ON sessions (userId)');
+
+    // Create recovery_codes table (single-use two-factor backup codes, stored hashed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        codeHash VARCHAR(64) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        usedAt TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_recovery_codes_userid ON recovery_codes (userId)');
+
+    // Create password_history table (previous password hashes, for the reuse check)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        passwordHash VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_password_history_userid ON password_history (userId)');
+
+    // Create password_reset_tokens table (single-use "forgot password" links, stored hashed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        tokenHash VARCHAR(64) UNIQUE NOT NULL,
+        requestIp VARCHAR(100),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expiresAt TIMESTAMP NOT NULL,
+        usedAt TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_userid ON password_reset_tokens (userId)');
+
+    // Create settings table (portal-wide options that admins change at runtime)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updatedBy UUID REFERENCES users(id) ON DELETE SET NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create saved_views table (named sewadar list filters, sort, columns and page size; shared with a role or kept personal)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_views (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        ownerId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        sharedRole VARCHAR(20),
+        settings JSONB NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_views_owner_name ON saved_views (ownerId, LOWER(name))');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_saved_views_sharedrole ON saved_views (sharedRole) WHERE sharedRole IS NOT NULL');
+
+    // Create saved_view_pins table (views a user keeps in their sidebar)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_view_pins (
+        userId UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        viewId UUID NOT NULL REFERENCES saved_views(id) ON DELETE CASCADE,
+        pinnedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (userId, viewId)
+      )
+    `);
 
     console.log('✅ Database tables created successfully');
 
@@ -65,16 +400,43 @@ const initializeDatabase = async () => {
       ['admin@rssb.org']
     );
 
+    const bcrypt = require('bcryptjs');
+
     if (adminExists.rows.length === 0) {
-      const bcrypt = require('bcryptjs');
       const hashedPassword = await bcrypt.hash('admin123', 10);
       
+      // The well-known seed password has to be replaced at first login
       await pool.query(`
-        INSERT INTO users (firstName, lastName, email, password, role)
-        VALUES ($1, $2, $3, $4, $5)
-      `, ['Admin', 'User', 'admin@rssb.org', hashedPassword, 'ADMIN']);
+        INSERT INTO users (firstName, lastName, email, password, role, mustChangePassword)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, ['Admin', 'User', 'admin@rssb.org', hashedPassword, 'ADMIN', true]);
       
       console.log('✅ Default admin user created');
+    } else {
+      // Older installs may still run on the seed password
+      const adminResult = await pool.query('SELECT id, password FROM users WHERE email = $1', ['admin@rssb.org']);
+      const admin = adminResult.rows[0];
+      if (await bcrypt.compare('admin123', admin.password)) {
+        await pool.query('UPDATE users SET mustChangePassword = true WHERE id = $1', [admin.id]);
+        console.log('⚠️  Default admin still uses the seed password; a change will be required at next login');
+      }
+    }
+
+    // Installs from before multi-centre support keep working as a single centre
+    const centresExist = await pool.query('SELECT 1 FROM centres LIMIT 1');
+
+    if (centresExist.rows.length === 0) {
+      const centreResult = await pool.query(
+        'INSERT INTO centres (name) VALUES ($1) RETURNING id',
+        [process.env.DEFAULT_CENTRE_NAME || 'Main Centre']
+      );
+      const centreId = centreResult.rows[0].id;
+
+      await pool.query('INSERT INTO sewadar_centres (sewadarId, centreId) SELECT id, $1 FROM sewadars', [centreId]);
+      await pool.query('INSERT INTO user_centres (userId, centreId) SELECT id, $1 FROM users', [centreId]);
+      await pool.query('UPDATE users SET isSuperAdmin = TRUE WHERE email = $1', ['admin@rssb.org']);
+
+      console.log('✅ Default centre created; existing sewadars and users assigned to it');
     }
 
   } catch (error) {
@@ -85,4 +447,24 @@ const initializeDatabase = async () => {
 
 const getDatabase = () => pool;
 
-module.exports = { initializeDatabase, getDatabase };
+/**
+ * Run a callback inside a single transaction on a dedicated client.
+ * Commits when the callback resolves and rolls back when it throws.
+ */
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { initializeDatabase, getDatabase, withTransaction };
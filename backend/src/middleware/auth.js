@@ -1,7 +1,33 @@
 const jwt = require('jsonwebtoken');
 const { getDatabase } = require('../database/init');
+const { isSessionActive } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { passwordChangeReason } = require('../utils/passwordPolicy');
+const { CENTRE_HEADER, loadCentreAccess } = require('../utils/centres');
 const logger = require('../utils/logger');
 
+// All a user with a reset or expired password may call: enough to see who they are, replace it or sign out
+const PASSWORD_CHANGE_ROUTES = [
+  'GET /api/auth/me',
+  'GET /api/auth/password-policy',
+  'POST /api/auth/change-password',
+  'POST /api/auth/refresh',
+  'POST /api/auth/logout'
+];
+
+// All a user bound by the 2FA policy may call before enrolling
+const TWO_FACTOR_SETUP_ROUTES = [
+  'GET /api/auth/me',
+  'GET /api/auth/2fa',
+  'POST /api/auth/2fa/setup',
+  'POST /api/auth/2fa/enable',
+  'POST /api/auth/refresh',
+  'POST /api/auth/logout'
+];
+
+// "METHOD /full/path" of a request, to match against the lists above
+const routeKey = (req) => `${req.method} ${req.baseUrl}${req.path}`;
+
 /**
  * Middleware to authenticate JWT tokens with better error handling
  */
@@ -57,35 +83,90 @@ const authenticateToken = (req, res, next) => {
       logger.warn('Token that failed:', token);
       logger.warn('JWT_SECRET being used:', process.env.JWT_SECRET);
       
-      return res.status(403).json({
+      // 401 lets the client try a silent refresh before giving up
+      return res.status(401).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    // Verify user still exists and is active
-    const db = getDatabase();
-    
-    const userResult = await db.query('SELECT * FROM users WHERE id = $1 AND "isActive" = $2', [user.userId, true]);
-    const dbUser = userResult.rows[0];
+    try {
+      // Verify user still exists and is active
+      const db = getDatabase();
+      
+      const userResult = await db.query('SELECT * FROM users WHERE id = $1 AND "isActive" = $2', [user.userId, true]);
+      const dbUser = userResult.rows[0];
 
-    if (!dbUser) {
-      logger.warn('User not found or inactive:', user.userId);
-      return res.status(403).json({
-        success: false,
-        message: 'User account not found or deactivated'
-      });
-    }
+      if (!dbUser) {
+        logger.warn('User not found or inactive:', user.userId);
+        return res.status(403).json({
+          success: false,
+          message: 'User account not found or deactivated'
+        });
+      }
 
-    req.user = {
-      userId: user.userId,
-      email: user.email,
-      role: user.role,
-      firstName: dbUser.firstname,
-      lastName: dbUser.lastname
-    };
-    
-    next();
+      // Access tokens only live as long as the session they were issued for
+      if (!user.sessionId || !(await isSessionActive(db, user.sessionId, user.userId))) {
+        logger.warn(`Token for revoked or unknown session used by ${user.email} from ${req.ip}`);
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been signed out'
+        });
+      }
+
+      // A reset or expired password has to be replaced before anything else
+      const mustChangePassword = Boolean(passwordChangeReason(dbUser));
+      if (mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(routeKey(req))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Change your password before continuing',
+          code: 'PASSWORD_CHANGE_REQUIRED'
+        });
+      }
+
+      // Then, until a user bound by the 2FA policy enrolls, only enrollment is open
+      if (!mustChangePassword && !dbUser.totpenabled && !TWO_FACTOR_SETUP_ROUTES.includes(routeKey(req))
+        && await isTwoFactorRequired(db, dbUser.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Set up two-factor authentication before continuing',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      // Kiosk accounts sign in at gate devices and only ever scan badges
+      if (dbUser.role === 'KIOSK' && !['/api/auth', '/api/kiosk'].includes(req.baseUrl)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Kiosk accounts can only use the check-in kiosk',
+          code: 'KIOSK_ONLY'
+        });
+      }
+
+      // Records are scoped to the caller's centres, or the one picked in the centre switcher
+      const centreAccess = await loadCentreAccess(db, dbUser, req.headers[CENTRE_HEADER]);
+      if (!centreAccess) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to the selected centre',
+          code: 'CENTRE_NOT_ALLOWED'
+        });
+      }
+
+      req.user = {
+        userId: user.userId,
+        email: user.email,
+        role: user.role,
+        sessionId: user.sessionId,
+        firstName: dbUser.firstname,
+        lastName: dbUser.lastname,
+        ...centreAccess
+      };
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
   });
 };
 
@@ -125,9 +206,38 @@ const requireEditor = requireRole(['ADMIN', 'EDITOR']);
  */
 const requireAdmin = requireRole(['ADMIN']);
 
+/**
+ * Middleware to check if user is a super-admin (manages centres and sees all of them)
+ */
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.isSuperAdmin) {
+    logger.warn(`Super-admin access denied for user ${req.user.email}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Super-admin access required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to check if user can run the check-in kiosk (kiosk accounts and editors)
+ */
+const requireKiosk = requireRole(['ADMIN', 'EDITOR', 'KIOSK']);
+
 module.exports = {
   authenticateToken,
   requireRole,
   requireEditor,
-  requireAdmin
+  requireAdmin,
+  requireSuperAdmin,
+  requireKiosk
 };
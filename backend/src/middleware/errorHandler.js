@@ -41,6 +41,18 @@ const errorHandler = (err, req, res, next) => {
     return res.status(409).json(error);
   }
 
+  // PostgreSQL unique_violation
+  if (err.code === '23505') {
+    error.message = 'Resource already exists';
+    error.details = err.detail;
+    return res.status(409).json(error);
+  }
+
+  if (err.name === 'MulterError') {
+    error.message = err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : err.message;
+    return res.status(400).json(error);
+  }
+
   if (err.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
     error.message = 'Invalid reference to related resource';
     return res.status(400).json(error);
@@ -49,6 +61,7 @@ const errorHandler = (err, req, res, next) => {
   // Handle custom application errors
   if (err.statusCode) {
     error.message = err.message;
+    if (err.details) error.details = err.details;
     return res.status(err.statusCode).json(error);
   }
 
@@ -1,5 +1,231 @@
 const Joi = require('joi');
 const { AppError } = require('./errorHandler');
+const indianStates = require('../data/indianStates');
+
+/**
+ * Common validation patterns
+ */
+const validationPatterns = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  // Indian mobile number, optionally prefixed with +91, 91 or 0 (separators removed first)
+  phone: /^(?:\+91|91|0)?[6-9]\d{9}$/,
+  // Indian postal PIN code
+  pinCode: /^[1-9]\d{5}$/
+};
+
+const emergencyContactRelationships = [
+  'SPOUSE', 'FATHER', 'MOTHER', 'SON', 'DAUGHTER', 'BROTHER', 'SISTER',
+  'RELATIVE', 'FRIEND', 'NEIGHBOUR', 'OTHER'
+];
+
+const eventTypes = ['SATSANG', 'BHANDARA', 'CLEANING_DRIVE', 'OTHER'];
+
+const userRoles = ['ADMIN', 'EDITOR', 'VIEWER', 'KIOSK'];
+
+const attendanceStatuses = ['PRESENT', 'ABSENT'];
+
+// Sewadar fields a merge can take from either record
+const sewadarMergeFields = [
+  'firstName', 'lastName', 'age', 'verificationId', 'verificationType', 'naamdanStatus', 'naamdanId', 'badgeId',
+  'phone', 'alternatePhone', 'email', 'addressLine1', 'addressLine2', 'city', 'district', 'state', 'pinCode',
+  'emergencyContacts', 'photo'
+];
+
+// Mobile numbers are stored as the bare 10 digits, however they were typed
+const indianMobile = () => Joi.string()
+  .trim()
+  .replace(/[\s().-]/g, '')
+  .pattern(validationPatterns.phone)
+  .message('{{#label}} must be a 10-digit Indian mobile number')
+  .custom((value) => value.slice(-10));
+
+const emergencyContact = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  relationship: Joi.string().uppercase().valid(...emergencyContactRelationships).required(),
+  phone: indianMobile().required()
+});
+
+// Contact and address fields shared by sewadarCreate and sewadarUpdate
+const sewadarContactFields = {
+  phone: indianMobile().allow('', null),
+  alternatePhone: indianMobile().allow('', null),
+  email: Joi.string().trim().lowercase().email().max(255).allow('', null),
+  addressLine1: Joi.string().trim().max(255).allow('', null),
+  addressLine2: Joi.string().trim().max(255).allow('', null),
+  city: Joi.string().trim().max(100).allow('', null),
+  district: Joi.string().trim().max(100).allow('', null),
+  state: Joi.string()
+    .valid(...indianStates)
+    .allow('', null)
+    .messages({ 'any.only': '{{#label}} must be a state or union territory of India' }),
+  pinCode: Joi.string()
+    .trim()
+    .replace(/\s/g, '')
+    .pattern(validationPatterns.pinCode)
+    .message('{{#label}} must be a 6-digit PIN code that does not start with 0')
+    .allow('', null),
+  emergencyContacts: Joi.array().items(emergencyContact).max(5)
+};
+
+// Event dates and duty times are wall-clock values at the venue, kept as strings so
+// they never shift with the server or browser time zone
+const isRealDate = (value) => {
+  const parsed = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value.slice(0, 10));
+};
+
+const localDate = () => Joi.string()
+  .trim()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .message('{{#label}} must be a date like 2024-05-01')
+  .custom((value, helpers) => (isRealDate(value) ? value : helpers.message('{{#label}} is not a valid date')));
+
+const localDateTime = () => Joi.string()
+  .trim()
+  .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/)
+  .message('{{#label}} must be a date and time like 2024-05-01T09:00')
+  .custom((value, helpers) => (isRealDate(value) && value.slice(11) <= '23:59' && value.slice(14) <= '59'
+    ? value
+    : helpers.message('{{#label}} is not a valid date and time')));
+
+// Rejects a range that ends before it starts, when both ends are present
+const orderedRange = (start, end, { allowEqual }) => (value, helpers) => {
+  if (value[start] && value[end] && (allowEqual ? value[end] < value[start] : value[end] <= value[start])) {
+    return helpers.message(`"${end}" must ${allowEqual ? 'not be before' : 'be after'} "${start}"`);
+  }
+  return value;
+};
+
+// One sewadar's attendance on an event day. The day itself is checked in routes/events.js.
+const attendanceFields = {
+  status: Joi.string().uppercase().valid(...attendanceStatuses).default('PRESENT'),
+  checkInAt: localDateTime().allow(null),
+  checkOutAt: localDateTime().allow(null),
+  notes: Joi.string().trim().max(255).allow('', null)
+};
+
+const checkAttendanceTimes = (value, helpers) => {
+  if (value.status === 'ABSENT' && (value.checkInAt || value.checkOutAt)) {
+    return helpers.message('An absent sewadar cannot have check-in or check-out times');
+  }
+  if (value.checkOutAt && !value.checkInAt) {
+    return helpers.message('"checkOutAt" needs a "checkInAt"');
+  }
+  return orderedRange('checkInAt', 'checkOutAt', { allowEqual: false })(value, helpers);
+};
+
+// Fields an advanced sewadar search condition can test (see utils/sewadarSearch.js).
+// Text conditions name one text field, or "any" to match whichever of them.
+const sewadarSearchTextFields = [
+  'any', 'firstName', 'lastName', 'verificationId', 'naamdanId', 'badgeId', 'phone', 'alternatePhone',
+  'email', 'addressLine1', 'addressLine2', 'city', 'district', 'state', 'pinCode'
+];
+const sewadarSearchTextOperators = ['contains', 'notContains', 'equals', 'startsWith', 'endsWith', 'present', 'missing'];
+
+// Date ranges relative to today, so a saved view such as "added this month" keeps moving
+const sewadarSearchPeriods = ['today', 'last7Days', 'last30Days', 'thisMonth', 'lastMonth', 'thisYear'];
+
+// Age and date conditions need at least one end of their range, or for dates a period instead
+const checkSearchRange = (value, helpers) => {
+  const range = { age: ['min', 'max'], createdAt: ['from', 'to'], updatedAt: ['from', 'to'] }[value.field];
+  if (!range) {
+    return value;
+  }
+  if (value.period !== undefined) {
+    if (value.from !== undefined || value.to !== undefined) {
+      return helpers.message(`A condition on "${value.field}" takes either "period" or "from"/"to", not both`);
+    }
+    return value;
+  }
+  if (value[range[0]] === undefined && value[range[1]] === undefined) {
+    const period = value.field === 'age' ? '' : ', or a "period"';
+    return helpers.message(`A condition on "${value.field}" needs "${range[0]}", "${range[1]}" or both${period}`);
+  }
+  return orderedRange(range[0], range[1], { allowEqual: true })(value, helpers);
+};
+
+const sewadarSearchRule = Joi.object({
+  field: Joi.string()
+    .valid('age', 'createdAt', 'updatedAt', 'naamdanStatus', 'verificationType', 'createdBy', ...sewadarSearchTextFields)
+    .required(),
+  operator: Joi.when('field', {
+    is: Joi.valid(...sewadarSearchTextFields),
+    then: Joi.string().valid(...sewadarSearchTextOperators).default('contains'),
+    otherwise: Joi.forbidden()
+  }),
+  value: Joi.when('field', {
+    switch: [
+      { is: 'naamdanStatus', then: Joi.boolean().required() },
+      {
+        is: 'verificationType',
+        then: Joi.array().items(Joi.string().valid('AADHAR', 'PAN', 'VOTER_ID', 'PASSPORT')).single().min(1).unique().required()
+      },
+      { is: 'createdBy', then: Joi.string().guid().required() },
+      {
+        is: Joi.valid(...sewadarSearchTextFields),
+        then: Joi.when('operator', {
+          is: Joi.valid('present', 'missing'),
+          then: Joi.forbidden(),
+          otherwise: Joi.string().trim().min(1).max(100).required()
+        })
+      }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  min: Joi.when('field', { is: 'age', then: Joi.number().integer().min(1).max(120), otherwise: Joi.forbidden() }),
+  max: Joi.when('field', { is: 'age', then: Joi.number().integer().min(1).max(120), otherwise: Joi.forbidden() }),
+  from: Joi.when('field', { is: Joi.valid('createdAt', 'updatedAt'), then: localDate(), otherwise: Joi.forbidden() }),
+  to: Joi.when('field', { is: Joi.valid('createdAt', 'updatedAt'), then: localDate(), otherwise: Joi.forbidden() }),
+  period: Joi.when('field', {
+    is: Joi.valid('createdAt', 'updatedAt'),
+    then: Joi.string().valid(...sewadarSearchPeriods),
+    otherwise: Joi.forbidden()
+  })
+}).custom(checkSearchRange);
+
+// A group joins its conditions and nested groups with AND or OR
+const sewadarSearchGroup = Joi.object({
+  combinator: Joi.string().uppercase().valid('AND', 'OR').default('AND'),
+  rules: Joi.array().items(
+    Joi.alternatives().conditional(Joi.object({ rules: Joi.exist() }).unknown(), {
+      then: Joi.link('#sewadarSearchGroup'),
+      otherwise: sewadarSearchRule
+    })
+  ).min(1).max(25).required()
+}).id('sewadarSearchGroup');
+
+// Filters and sort of the sewadar list (see buildSewadarFilters in routes/sewadar.js)
+const sewadarListFilters = {
+  search: Joi.string().allow(''),
+  naamdanStatus: Joi.alternatives().try(Joi.boolean(), Joi.string().valid('', 'Complete', 'Pending')),
+  verificationType: Joi.string().allow(''),
+  departmentId: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('', 'NONE')),
+  sortBy: Joi.string(),
+  sortOrder: Joi.string().valid('asc', 'desc')
+};
+
+// Optional columns of the sewadar list; the name column is always shown
+const sewadarListColumns = ['age', 'verificationType', 'naamdanStatus', 'badgeId', 'createdAt', 'createdBy', 'updatedAt'];
+
+// Roles a saved view can be shared with, lowest first. Sharing with a role shares with the roles above it too.
+const savedViewShareRoles = ['VIEWER', 'EDITOR', 'ADMIN'];
+
+// Everything a saved sewadar list view restores
+const savedViewSettings = Joi.object({
+  search: Joi.string().trim().max(100).allow('').default(''),
+  naamdanStatus: Joi.string().valid('', 'true', 'false').default(''),
+  verificationType: Joi.string().valid('', 'AADHAR', 'PAN', 'VOTER_ID', 'PASSPORT').default(''),
+  departmentId: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('', 'NONE')).default(''),
+  query: sewadarSearchGroup.allow(null).default(null),
+  // Keys of sewadarSortColumns in routes/sewadar.js
+  sortBy: Joi.string()
+    .valid('name', 'firstName', 'lastName', 'age', 'badgeId', 'naamdanStatus', 'createdAt', 'updatedAt', 'createdBy')
+    .default('createdAt'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  columns: Joi.array().items(Joi.string().valid(...sewadarListColumns)).unique().default(sewadarListColumns),
+  pageSize: Joi.number().integer().valid(10, 25, 50, 100).default(10)
+});
 
 /**
  * Validation schemas
@@ -8,10 +234,14 @@ const schemas = {
   // User validation schemas
   userRegistration: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().min(6).required(),
+    // Strength rules live in utils/passwordPolicy.js
+    password: Joi.string().max(128).required(),
     firstName: Joi.string().min(2).max(50).required(),
     lastName: Joi.string().min(2).max(50).required(),
-    role: Joi.string().valid('ADMIN', 'EDITOR', 'VIEWER').default('VIEWER')
+    role: Joi.string().valid(...userRoles).default('VIEWER'),
+    // Defaults to the caller's active or only centre (see utils/centres.js)
+    centreIds: Joi.array().items(Joi.string().guid()).max(50).unique(),
+    isSuperAdmin: Joi.boolean().default(false)
   }),
 
   userLogin: Joi.object({
@@ -22,8 +252,11 @@ const schemas = {
   userUpdate: Joi.object({
     firstName: Joi.string().min(2).max(50),
     lastName: Joi.string().min(2).max(50),
-    role: Joi.string().valid('ADMIN', 'EDITOR', 'VIEWER'),
-    isActive: Joi.boolean()
+    role: Joi.string().valid(...userRoles),
+    isActive: Joi.boolean(),
+    centreIds: Joi.array().items(Joi.string().guid()).max(50).unique(),
+    isSuperAdmin: Joi.boolean(),
+    rowVersion: Joi.number().integer().min(1)
   }).min(1),
 
   userProfileUpdate: Joi.object({
@@ -33,8 +266,42 @@ const schemas = {
   }),
 
   passwordChange: Joi.object({
-    currentPassword: Joi.string().min(6).required(),
-    newPassword: Joi.string().min(6).required()
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  passwordReset: Joi.object({
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  passwordResetWithToken: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().max(128).required()
+  }),
+
+  // Two-factor authentication schemas
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).message('Code must be 6 digits'),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).message('Code must be 6 digits').required()
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/).message('Code must be 6 digits'),
+    recoveryCode: Joi.string().trim().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorPolicy: Joi.object({
+    requiredRoles: Joi.array().items(Joi.string().valid('ADMIN', 'EDITOR')).unique().required()
   }),
 
   // Sewadar validation schemas
@@ -46,7 +313,37 @@ const schemas = {
     verificationType: Joi.string().valid('AADHAR', 'PAN', 'VOTER_ID', 'PASSPORT'),
     naamdanStatus: Joi.boolean().default(false),
     naamdanId: Joi.string().max(20).allow('', null),
-    badgeId: Joi.string().max(20).allow('', null)
+    badgeId: Joi.string().max(20).allow('', null),
+    // Defaults to the caller's active or only centre (see utils/centres.js)
+    centreIds: Joi.array().items(Joi.string().guid()).max(50).unique(),
+    // Required to create a sewadar that looks like an existing one (see utils/sewadarDuplicates.js)
+    duplicateReason: Joi.string().trim().min(3).max(500),
+    ...sewadarContactFields
+  }),
+
+  // A sewadar being entered, to look for existing records of the same person
+  sewadarDuplicateCheck: Joi.object({
+    firstName: Joi.string().trim().min(1).max(50).required(),
+    lastName: Joi.string().trim().max(50).allow(''),
+    age: Joi.number().integer().min(1).max(120).empty('').allow(null),
+    verificationId: Joi.string().trim().max(50).allow('', null),
+    naamdanId: Joi.string().trim().max(20).allow('', null),
+    badgeId: Joi.string().trim().max(20).allow('', null),
+    phone: sewadarContactFields.phone,
+    alternatePhone: sewadarContactFields.alternatePhone,
+    email: sewadarContactFields.email,
+    // The sewadar being edited, which is not its own duplicate
+    excludeId: Joi.string().guid()
+  }),
+
+  // Two records of the same person; fields names the record each value is kept from (the survivor's by default)
+  sewadarMerge: Joi.object({
+    survivorId: Joi.string().guid().lowercase().required(),
+    mergedId: Joi.string().guid().lowercase().required().invalid(Joi.ref('survivorId'))
+      .messages({ 'any.invalid': 'A sewadar cannot be merged into itself' }),
+    fields: Joi.object(Object.fromEntries(
+      sewadarMergeFields.map(field => [field, Joi.string().valid('survivor', 'merged')])
+    )).default({})
   }),
 
   sewadarUpdate: Joi.object({
@@ -57,7 +354,161 @@ const schemas = {
     verificationType: Joi.string().valid('AADHAR', 'PAN', 'VOTER_ID', 'PASSPORT'),
     naamdanStatus: Joi.boolean(),
     naamdanId: Joi.string().max(20).allow('', null),
-    badgeId: Joi.string().max(20).allow('', null)
+    badgeId: Joi.string().max(20).allow('', null),
+    centreIds: Joi.array().items(Joi.string().guid()).min(1).max(50).unique(),
+    rowVersion: Joi.number().integer().min(1),
+    ...sewadarContactFields
+  }).min(1),
+
+  // Optional crop box sent with a photo upload, in pixels of the upright original
+  sewadarPhotoCrop: Joi.object({
+    cropLeft: Joi.number().integer().min(0),
+    cropTop: Joi.number().integer().min(0),
+    cropWidth: Joi.number().integer().min(50),
+    cropHeight: Joi.number().integer().min(50)
+  }).and('cropLeft', 'cropTop', 'cropWidth', 'cropHeight'),
+
+  // Badge batch: explicit IDs, or the same filters, advanced query and sort as the sewadar list
+  badgePrint: Joi.object({
+    ids: Joi.array().items(Joi.string().guid()).min(1).max(500).unique(),
+    ...sewadarListFilters,
+    query: sewadarSearchGroup
+  }),
+
+  // Advanced search: nested AND/OR groups of conditions, on top of the list filters, sort and paging
+  sewadarSearch: Joi.object({
+    ...sewadarListFilters,
+    query: sewadarSearchGroup,
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(500).default(10)
+  }),
+
+  // Export with the options in the body, which can carry an advanced search query
+  sewadarExport: Joi.object({
+    ...sewadarListFilters,
+    query: sewadarSearchGroup,
+    format: Joi.string(),
+    columns: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string())
+  }),
+
+  // Events and duty roster
+  eventCreate: Joi.object({
+    name: Joi.string().trim().min(3).max(150).required(),
+    eventType: Joi.string().uppercase().valid(...eventTypes).required(),
+    location: Joi.string().trim().max(255).required(),
+    description: Joi.string().trim().max(2000).allow('', null),
+    startDate: localDate().required(),
+    endDate: localDate().required()
+  }).custom(orderedRange('startDate', 'endDate', { allowEqual: true })),
+
+  eventUpdate: Joi.object({
+    name: Joi.string().trim().min(3).max(150),
+    eventType: Joi.string().uppercase().valid(...eventTypes),
+    location: Joi.string().trim().max(255),
+    description: Joi.string().trim().max(2000).allow('', null),
+    startDate: localDate(),
+    endDate: localDate()
+  }).min(1).custom(orderedRange('startDate', 'endDate', { allowEqual: true })),
+
+  dutySlotCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    location: Joi.string().trim().max(255).allow('', null),
+    startsAt: localDateTime().required(),
+    endsAt: localDateTime().required(),
+    requiredCount: Joi.number().integer().min(1).max(1000).default(1),
+    notes: Joi.string().trim().max(500).allow('', null)
+  }).custom(orderedRange('startsAt', 'endsAt', { allowEqual: false })),
+
+  dutySlotUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    location: Joi.string().trim().max(255).allow('', null),
+    startsAt: localDateTime(),
+    endsAt: localDateTime(),
+    requiredCount: Joi.number().integer().min(1).max(1000),
+    notes: Joi.string().trim().max(500).allow('', null)
+  }).min(1).custom(orderedRange('startsAt', 'endsAt', { allowEqual: false })),
+
+  dutyAssignment: Joi.object({
+    sewadarIds: Joi.array().items(Joi.string().guid()).min(1).max(100).unique().required()
+  }),
+
+  attendanceMark: Joi.object({
+    date: localDate().required(),
+    ...attendanceFields
+  }).custom(checkAttendanceTimes),
+
+  // Attendance grid: every row is for the same event day
+  attendanceBulk: Joi.object({
+    date: localDate().required(),
+    records: Joi.array().items(
+      Joi.object({
+        sewadarId: Joi.string().guid().required(),
+        ...attendanceFields
+      }).custom(checkAttendanceTimes)
+    ).min(1).max(500).unique('sewadarId').required()
+  }),
+
+  // A badge scanned at a kiosk; queued scans keep the device time they were scanned at
+  kioskScan: Joi.object({
+    eventId: Joi.string().guid().required(),
+    badgeId: Joi.string().trim().max(255).required(),
+    scannedAt: localDateTime().required(),
+    action: Joi.string().uppercase().valid('CHECK_IN', 'CHECK_OUT').default('CHECK_IN')
+  }),
+
+  badgeRevoke: Joi.object({
+    reason: Joi.string().trim().min(3).max(255).required()
+  }),
+
+  // Departments and their members and leaders
+  departmentCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    description: Joi.string().trim().max(500).allow('', null)
+  }),
+
+  departmentUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    description: Joi.string().trim().max(500).allow('', null)
+  }).min(1),
+
+  departmentMembers: Joi.object({
+    sewadarIds: Joi.array().items(Joi.string().guid()).min(1).max(500).unique().required()
+  }),
+
+  // The full list of leaders; an empty list removes them all
+  departmentLeaders: Joi.object({
+    userIds: Joi.array().items(Joi.string().guid()).max(20).unique().required()
+  }),
+
+  centreCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    location: Joi.string().trim().max(255).allow('', null)
+  }),
+
+  centreUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    location: Joi.string().trim().max(255).allow('', null)
+  }).min(1),
+
+  // Each update item is { id, ...fields }; the fields are validated per item against sewadarUpdate
+  sewadarBulkUpdate: Joi.object({
+    updates: Joi.array().items(
+      Joi.object({ id: Joi.string().guid().required() }).unknown(true)
+    ).max(500).default([]),
+    deleteIds: Joi.array().items(Joi.string().guid()).max(500).unique().default([])
+  }).or('updates', 'deleteIds'),
+
+  // A named sewadar list view; without a sharedRole it stays personal
+  savedViewCreate: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    sharedRole: Joi.string().uppercase().valid(...savedViewShareRoles).allow(null).default(null),
+    settings: savedViewSettings.required()
+  }),
+
+  savedViewUpdate: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    sharedRole: Joi.string().uppercase().valid(...savedViewShareRoles).allow(null),
+    settings: savedViewSettings
   }).min(1)
 };
 
@@ -94,17 +545,15 @@ const validate = (schemaName, property = 'body') => {
   };
 };
 
-/**
- * Common validation patterns
- */
-const validationPatterns = {
-  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
-  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-  phone: /^\+?[\d\s\-\(\)]{10,}$/
-};
-
 module.exports = {
   validate,
   schemas,
-  validationPatterns
+  validationPatterns,
+  emergencyContactRelationships,
+  eventTypes,
+  attendanceStatuses,
+  sewadarMergeFields,
+  sewadarSearchTextFields,
+  savedViewShareRoles,
+  userRoles
 };
\ No newline at end of file
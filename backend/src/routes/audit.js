@@ -2,9 +2,35 @@ const express = require('express');
 const { getDatabase } = require('../database/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sewadarScopeCondition, userScopeCondition } = require('../utils/centres');
+const { maskSensitive } = require('../utils/audit');
 
 const router = express.Router();
 
+/**
+ * Condition keeping audit entries a to the caller's centres: actions by users
+ * at those centres, and actions on sewadars or users at those centres
+ * @param {Array<string>|null} centreScope - req.user.centreScope; null (super-admin) sees everything
+ * @param {number} paramIndex - Placeholder number to use for the scope
+ * @returns {{ condition: string, params: Array }} Condition and its parameters
+ */
+const auditScopeCondition = (centreScope, paramIndex) => {
+  if (!centreScope) {
+    return { condition: 'TRUE', params: [] };
+  }
+
+  const byUser = userScopeCondition(centreScope, paramIndex, 'a.userid');
+  const onSewadar = sewadarScopeCondition(centreScope, paramIndex, 'a.entityid');
+  const onUser = userScopeCondition(centreScope, paramIndex, 'a.entityid');
+
+  return {
+    condition: `(${byUser.condition}
+      OR (a.entity = 'SEWADAR' AND ${onSewadar.condition})
+      OR (a.entity = 'USER' AND ${onUser.condition}))`,
+    params: [centreScope]
+  };
+};
+
 // GET /api/audit-logs
 router.get('/', 
   authenticateToken,
@@ -18,14 +44,17 @@ router.get('/',
       userId = '',
       entity = '',
       search = '',
+      field = '',
+      requestId = '',
       startDate = '',
       endDate = ''
     } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    let whereClause = 'WHERE 1=1';
-    let params = [];
-    let paramIndex = 1;
+    const scope = auditScopeCondition(req.user.centreScope, 1);
+    let whereClause = `WHERE ${scope.condition}`;
+    let params = [...scope.params];
+    let paramIndex = params.length + 1;
 
     // ✅ FIXED: Build dynamic WHERE clause with proper PostgreSQL parameters
     // if (action) {
@@ -58,10 +87,22 @@ router.get('/',
       paramIndex++;
     }
     if (search) {
-      whereClause += ` AND (a.details LIKE $${paramIndex} OR u.firstname LIKE $${paramIndex + 1} OR u.lastname LIKE $${paramIndex + 2})`;
-      const pattern = `%${search}%`;
-      params.push(pattern, pattern, pattern);
-      paramIndex += 3;
+      // Matches the details, the values recorded in the payload, or the user's name
+      whereClause += ` AND (a.details ILIKE $${paramIndex} OR a.payload::text ILIKE $${paramIndex}
+        OR u.firstname ILIKE $${paramIndex} OR u.lastname ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+    if (field) {
+      // Entries whose recorded changes include this field
+      whereClause += ` AND a.payload->'changes' @> $${paramIndex}::jsonb`;
+      params.push(JSON.stringify([{ field }]));
+      paramIndex++;
+    }
+    if (requestId) {
+      whereClause += ` AND a.payload->'request'->>'requestId' = $${paramIndex}`;
+      params.push(requestId);
+      paramIndex++;
     }
     if (startDate) {
       whereClause += ` AND a.timestamp::date >= $${paramIndex}::date`;
@@ -75,7 +116,7 @@ router.get('/',
     }
 
     // ✅ FIXED: Get total count with proper column names
-    const countQuery = `SELECT COUNT(*) as total FROM audit_logs a ${whereClause}`;
+    const countQuery = `SELECT COUNT(*) as total FROM audit_logs a LEFT JOIN users u ON a.userid = u.id ${whereClause}`;
     const countResult = await db.query(countQuery, params);
     const total = parseInt(countResult.rows[0].total, 10);
 
@@ -100,7 +141,8 @@ router.get('/',
     `;
     
     const auditResult = await db.query(auditQuery, [...params, parseInt(limit), offset]);
-    const auditLogs = auditResult.rows;
+    // Entries written before masking was added are masked on the way out
+    const auditLogs = auditResult.rows.map(log => ({ ...log, payload: maskSensitive(log.payload) }));
 
     res.json({
       success: true,
@@ -123,23 +165,25 @@ router.get('/stats',
     const db = getDatabase();
     
     const stats = {};
+    // Every figure covers only the entries the caller may see
+    const scope = auditScopeCondition(req.user.centreScope, 1);
 
     // ✅ FIXED: All stats queries converted to PostgreSQL
-    const totalResult = await db.query('SELECT COUNT(*) AS count FROM audit_logs');
+    const totalResult = await db.query(`SELECT COUNT(*) AS count FROM audit_logs a WHERE ${scope.condition}`, scope.params);
     stats.totalActions = parseInt(totalResult.rows[0].count, 10);
 
     const todayResult = await db.query(`
       SELECT COUNT(*) AS count 
-      FROM audit_logs 
-      WHERE timestamp::date = CURRENT_DATE
-    `);
+      FROM audit_logs a
+      WHERE ${scope.condition} AND a.timestamp::date = CURRENT_DATE
+    `, scope.params);
     stats.todaysActions = parseInt(todayResult.rows[0].count, 10);
 
     const weekResult = await db.query(`
       SELECT COUNT(*) AS count 
-      FROM audit_logs 
-      WHERE timestamp >= NOW() - INTERVAL '7 days'
-    `);
+      FROM audit_logs a
+      WHERE ${scope.condition} AND a.timestamp >= NOW() - INTERVAL '7 days'
+    `, scope.params);
     stats.thisWeekActions = parseInt(weekResult.rows[0].count, 10);
 
     // Initialize containers
@@ -155,24 +199,27 @@ router.get('/stats',
         u.email AS "userEmail"
       FROM audit_logs a
       LEFT JOIN users u ON a.userid = u.id
+      WHERE ${scope.condition}
       ORDER BY a.timestamp DESC
       LIMIT 10
-    `);
-    stats.recentActions = recentResult.rows;
+    `, scope.params);
+    stats.recentActions = recentResult.rows.map(log => ({ ...log, payload: maskSensitive(log.payload) }));
 
     // Actions grouped by type
     const actionResult = await db.query(`
-      SELECT action, COUNT(*) AS count 
-      FROM audit_logs 
-      GROUP BY action 
+      SELECT a.action, COUNT(*) AS count 
+      FROM audit_logs a
+      WHERE ${scope.condition}
+      GROUP BY a.action 
       ORDER BY count DESC
-    `);
+    `, scope.params);
 
     actionResult.rows.forEach(row => {
       stats.byAction[row.action] = parseInt(row.count, 10);
     });
 
-    // User activity stats
+    // User activity stats, for the users at the caller's centres (both conditions share $1)
+    const userScope = userScopeCondition(req.user.centreScope, 1, 'u.id');
     const userResult = await db.query(`
       SELECT 
         u.firstname,
@@ -180,12 +227,12 @@ router.get('/stats',
         u.email,
         COUNT(a.id) AS "actionCount"
       FROM users u
-      LEFT JOIN audit_logs a ON u.id = a.userid
-      WHERE u.isActive = TRUE
+      LEFT JOIN audit_logs a ON u.id = a.userid AND ${scope.condition}
+      WHERE u.isActive = TRUE AND ${userScope.condition}
       GROUP BY u.id, u.firstname, u.lastname, u.email
       ORDER BY "actionCount" DESC
       LIMIT 10
-    `);
+    `, scope.params);
     stats.byUser = userResult.rows;
     
     res.json({
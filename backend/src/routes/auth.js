@@ -1,15 +1,158 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
-const { getDatabase } = require('../database/init');
-const { validate } = require('../middleware/validation');
+const { getDatabase, withTransaction } = require('../database/init');
+const { validate, validationPatterns } = require('../middleware/validation');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  REFRESH_COOKIE_NAME,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../utils/sessions');
+const { USER_CENTRES, centresForNewRecord, replaceCentres } = require('../utils/centres');
+const { assertNotLocked, recordFailedLogin, clearFailedLogins } = require('../utils/loginThrottle');
+const {
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  beginEnrollment,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+const {
+  passwordPolicy,
+  assertPasswordAllowed,
+  savePassword,
+  passwordChangeReason
+} = require('../utils/passwordPolicy');
+const {
+  RESET_TOKEN_MINUTES,
+  issueResetToken,
+  claimResetToken,
+  markResetTokenUsed,
+  resetEmail
+} = require('../utils/passwordReset');
+const { sendMail } = require('../utils/mailer');
+const { diffFields, writeAuditLog } = require('../utils/audit');
+const { ROW_VERSION_BUMP } = require('../utils/rowVersion');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Forgot/reset password are unauthenticated and send email, so they get a much tighter per-IP limit
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT, 10) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset attempts. Please try again later.'
+  }
+});
+
+/**
+ * Count a failed login step (password or two-factor code) and audit it. Locks the
+ * account once the limit is reached.
+ * @throws {AppError} Always: 423 when this failure locked the account, 401 otherwise
+ */
+const rejectLogin = async (db, user, req, res, reason, message) => {
+  const failure = await recordFailedLogin(db, user.id);
+
+  await writeAuditLog(db, req, {
+    action: 'LOGIN_FAILED',
+    userId: user.id,
+    entity: 'USER',
+    entityId: user.id,
+    details: `${reason} from ${req.ip}`
+  });
+
+  if (failure.locked) {
+    logger.warn(`Account ${user.email} locked for ${failure.lockMinutes} minutes after repeated failed logins`);
+    await writeAuditLog(db, req, {
+      action: 'ACCOUNT_LOCKED',
+      userId: user.id,
+      entity: 'USER',
+      entityId: user.id,
+      details: `Account locked for ${failure.lockMinutes} minutes after repeated failed logins (last from ${req.ip})`,
+      payload: { lockMinutes: failure.lockMinutes }
+    });
+    res.set('Retry-After', String(failure.error.details.retryAfter));
+    throw failure.error;
+  }
+
+  throw new AppError(message, 401);
+};
+
+/**
+ * Finish a login once every required factor has been checked: start the session,
+ * set the refresh cookie and send the access token
+ */
+const completeLogin = async (db, user, req, res, { method = null, recoveryCodesRemaining } = {}) => {
+  // A successful login resets the failure count and the lockout backoff
+  if (user.failedloginattempts > 0 || user.lockcount > 0 || user.lockeduntil) {
+    await clearFailedLogins(db, user.id);
+  }
+
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET environment variable is not set');
+    return res.status(500).json({
+      success: false,
+      message: 'Server configuration error'
+    });
+  }
+
+  // Start a session: short-lived access token in the body, rotating refresh token in a cookie
+  const { sessionId, refreshToken, expiresAt } = await createSession(db, user, req);
+  const token = signAccessToken(user, sessionId);
+  setRefreshCookie(res, refreshToken, expiresAt);
+
+  // Log successful login
+  await writeAuditLog(db, req, {
+    action: 'LOGIN',
+    userId: user.id,
+    entity: 'USER',
+    entityId: user.id,
+    details: `User logged in from ${req.ip}${method ? ` with ${method}` : ''}`,
+    payload: { method, sessionId }
+  });
+
+  logger.info(`User ${user.email} logged in successfully from ${req.ip}`);
+
+  const twoFactorSetupRequired = !user.totpenabled && await isTwoFactorRequired(db, user.role);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstname,  // ✅ FIXED: Using snake_case from DB
+      lastName: user.lastname,    // ✅ FIXED: Using snake_case from DB
+      role: user.role,
+      isSuperAdmin: Boolean(user.issuperadmin),
+      twoFactorEnabled: Boolean(user.totpenabled),
+      twoFactorSetupRequired,
+      mustChangePassword: Boolean(passwordChangeReason(user)),
+      passwordChangeReason: passwordChangeReason(user)
+    },
+    ...(recoveryCodesRemaining !== undefined && { recoveryCodesRemaining })
+  });
+};
+
 /**
  * Login endpoint
  */
@@ -26,59 +169,131 @@ router.post('/login',
 
     if (!user) {
       logger.warn(`Login attempt with invalid email: ${email} from ${req.ip}`);
+      await writeAuditLog(db, req, {
+        action: 'LOGIN_FAILED',
+        userId: null,
+        entity: 'USER',
+        entityId: null,
+        details: `Login attempt for unknown or inactive email ${email} from ${req.ip}`,
+        payload: { email }
+      });
       throw new AppError('Invalid email or password', 401);
     }
 
+    // A locked account is refused before the password is even checked
+    try {
+      assertNotLocked(user);
+    } catch (error) {
+      logger.warn(`Login attempt for locked account: ${email} from ${req.ip}`);
+      res.set('Retry-After', String(error.details.retryAfter));
+      throw error;
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     
     if (!isValidPassword) {
       logger.warn(`Invalid password attempt for user: ${email} from ${req.ip}`);
-      throw new AppError('Invalid email or password', 401);
+      await rejectLogin(db, user, req, res, 'Invalid password', 'Invalid email or password');
     }
 
-    if (!process.env.JWT_SECRET) {
-      console.error('JWT_SECRET environment variable is not set');
-      return res.status(500).json({
-        success: false,
-        message: 'Server configuration error'
+    // With 2FA on, the password only earns a short-lived challenge for the code step
+    if (user.totpenabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await completeLogin(db, user, req, res);
+  })
+);
 
-    // Log successful login
-    await db.query(
-      'INSERT INTO audit_logs (id, action, userid, entity, entityid, details) VALUES ($1, $2, $3, $4, $5, $6)',
-      [uuidv4(), 'LOGIN', user.id, 'USER', user.id, `User logged in from ${req.ip}`]
-    );
+/**
+ * Second login step: exchange the challenge token and an authenticator (or recovery) code for a session
+ */
+router.post('/login/2fa',
+  validate('twoFactorLogin'),
+  asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = verifyChallengeToken(challengeToken);
+    const db = getDatabase();
 
-    logger.info(`User ${email} logged in successfully from ${req.ip}`);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstname,  // ✅ FIXED: Using snake_case from DB
-        lastName: user.lastname,    // ✅ FIXED: Using snake_case from DB
-        role: user.role
-      }
+    const userResult = await db.query('SELECT * FROM users WHERE id = $1 AND "isActive" = $2', [userId, true]);
+    const user = userResult.rows[0];
+
+    if (!user || !user.totpenabled) {
+      throw new AppError('Verification timed out. Please log in again.', 401);
+    }
+
+    try {
+      assertNotLocked(user);
+    } catch (error) {
+      res.set('Retry-After', String(error.details.retryAfter));
+      throw error;
+    }
+
+    const factor = await verifySecondFactor(db, user, { code, recoveryCode });
+
+    if (!factor.valid) {
+      logger.warn(`Invalid two-factor ${factor.method} code for user: ${user.email} from ${req.ip}`);
+      await rejectLogin(
+        db, user, req, res,
+        factor.method === 'recovery' ? 'Invalid recovery code' : 'Invalid two-factor code',
+        'Invalid verification code'
+      );
+    }
+
+    if (factor.method === 'recovery') {
+      await writeAuditLog(db, req, {
+        action: 'RECOVERY_CODE_USED',
+        userId: user.id,
+        entity: 'USER',
+        entityId: user.id,
+        details: `Recovery code used to log in from ${req.ip}; ${factor.remaining} code(s) left`
+      });
+      logger.warn(`User ${user.email} logged in with a recovery code; ${factor.remaining} left`);
+    }
+
+    await completeLogin(db, user, req, res, {
+      method: factor.method === 'recovery' ? 'recovery code' : 'authenticator code',
+      recoveryCodesRemaining: factor.remaining
     });
   })
 );
 
+/**
+ * Exchange the refresh token cookie for a new access token (and a new refresh token)
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE_NAME];
+
+  if (!refreshToken) {
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  const db = getDatabase();
+
+  let rotated;
+  try {
+    rotated = await rotateSession(db, refreshToken, req);
+  } catch (error) {
+    clearRefreshCookie(res);
+    throw error;
+  }
+
+  setRefreshCookie(res, rotated.refreshToken, rotated.expiresAt);
+
+  res.json({
+    success: true,
+    message: 'Token refreshed',
+    token: signAccessToken(rotated.user, rotated.session.id),
+    user: rotated.user
+  });
+}));
+
 // User registration
 router.post('/register', authenticateToken, validate('userRegistration'), asyncHandler(async (req, res) => {
   // Only admins can create new users
@@ -86,9 +301,18 @@ router.post('/register', authenticateToken, validate('userRegistration'), asyncH
     throw new AppError('Only administrators can register new users', 403);
   }
 
-  const { email, password, firstName, lastName, role } = req.body;
+  const { email, password, firstName, lastName, role, isSuperAdmin } = req.body;
   const db = getDatabase();
 
+  if (isSuperAdmin && !req.user.isSuperAdmin) {
+    throw new AppError('Only super-admins can create super-admin accounts', 403);
+  }
+
+  // Super-admins see every centre, so they need not belong to one
+  const centreIds = isSuperAdmin && !req.body.centreIds
+    ? []
+    : centresForNewRecord(req.user, req.body.centreIds);
+
   // Check if user already exists
   const existingResult = await db.query('SELECT id FROM users WHERE email = $1', [email]);
   const existingUser = existingResult.rows[0];
@@ -97,21 +321,30 @@ router.post('/register', authenticateToken, validate('userRegistration'), asyncH
     throw new AppError('Email already registered', 409);
   }
 
+  await assertPasswordAllowed(db, password, { email, firstname: firstName, lastname: lastName });
+
   // Hash password
   const hashedPassword = await bcrypt.hash(password, 12);
 
   // Create new user
   const userId = uuidv4();
-  await db.query(
-    'INSERT INTO users (id, email, password, firstname, lastname, role, "isActive") VALUES ($1, $2, $3, $4, $5, $6, $7)',
-    [userId, email, hashedPassword, firstName, lastName, role, true]
-  );
+  await withTransaction(async (client) => {
+    await client.query(
+      'INSERT INTO users (id, email, password, firstname, lastname, role, "isActive", issuperadmin) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+      [userId, email, hashedPassword, firstName, lastName, role, true, isSuperAdmin]
+    );
+    await replaceCentres(client, USER_CENTRES, userId, req.user, centreIds, { allowEmpty: isSuperAdmin });
+  });
 
   // ✅ FIXED: Log user creation with PostgreSQL
-  await db.query(
-    'INSERT INTO audit_logs (id, action, userid, entity, entityid, details) VALUES ($1, $2, $3, $4, $5, $6)',
-    [uuidv4(), 'CREATE_USER', req.user.userId, 'USER', userId, `Created new user: ${email} with role: ${role}`]
-  );
+  await writeAuditLog(db, req, {
+    action: 'CREATE_USER',
+    userId: req.user.userId,
+    entity: 'USER',
+    entityId: userId,
+    details: `Created new user: ${email} with role: ${role}${isSuperAdmin ? ' (super-admin)' : ''}`,
+    changes: diffFields({}, { email, firstName, lastName, role, isSuperAdmin: Boolean(isSuperAdmin), centreIds })
+  });
 
   logger.info(`New user registered: ${email} by admin: ${req.user.email}`);
 
@@ -123,7 +356,9 @@ router.post('/register', authenticateToken, validate('userRegistration'), asyncH
       email,
       firstName,
       lastName,
-      role
+      role,
+      isSuperAdmin,
+      centreIds
     }
   });
 }));
@@ -135,17 +370,24 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
   const userResult = await db.query(`
     SELECT id, email, firstname AS "firstName", lastname AS "lastName", 
            role, "isActive" AS "isActive", createdat AS "createdAt", 
-           updatedat AS "updatedAt"
+           updatedat AS "updatedAt", COALESCE(totpenabled, false) AS "twoFactorEnabled",
+           COALESCE(issuperadmin, false) AS "isSuperAdmin",
+           mustchangepassword, passwordchangedat
     FROM users 
     WHERE id = $1
   `, [req.user.userId]);
   
-  const user = userResult.rows[0];
+  const { mustchangepassword, passwordchangedat, ...user } = userResult.rows[0] || {};
 
-  if (!user) {
+  if (!user.id) {
     throw new AppError('User not found', 404);
   }
 
+  user.twoFactorSetupRequired = !user.twoFactorEnabled && await isTwoFactorRequired(db, user.role);
+  user.passwordChangeReason = passwordChangeReason({ mustchangepassword, passwordchangedat });
+  user.mustChangePassword = Boolean(user.passwordChangeReason);
+  user.passwordChangedAt = passwordchangedat;
+
   res.json({
     success: true,
     user
@@ -158,6 +400,11 @@ router.put('/profile', authenticateToken, validate('userProfileUpdate'), asyncHa
   const userId = req.user.userId;
   const db = getDatabase();
 
+  const beforeResult = await db.query(
+    'SELECT firstname AS "firstName", lastname AS "lastName", email FROM users WHERE id = $1',
+    [userId]
+  );
+
   // Check if email is being changed and if it already exists
   if (email !== req.user.email) {
     const existingResult = await db.query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, userId]);
@@ -168,7 +415,7 @@ router.put('/profile', authenticateToken, validate('userProfileUpdate'), asyncHa
 
   // Update user profile
   await db.query(
-    'UPDATE users SET firstname = $1, lastname = $2, email = $3, updatedat = NOW() WHERE id = $4',
+    `UPDATE users SET firstname = $1, lastname = $2, email = $3, updatedat = NOW(), ${ROW_VERSION_BUMP} WHERE id = $4`,
     [firstName, lastName, email, userId]
   );
 
@@ -184,10 +431,14 @@ router.put('/profile', authenticateToken, validate('userProfileUpdate'), asyncHa
   const updatedUser = userResult.rows[0];
 
   // Log profile update
-  await db.query(
-    'INSERT INTO audit_logs (id, action, userid, entity, entityid, details) VALUES ($1, $2, $3, $4, $5, $6)',
-    [uuidv4(), 'UPDATE_PROFILE', userId, 'USER', userId, `Profile updated from ${req.ip}`]
-  );
+  await writeAuditLog(db, req, {
+    action: 'UPDATE_PROFILE',
+    userId,
+    entity: 'USER',
+    entityId: userId,
+    details: `Profile updated from ${req.ip}`,
+    changes: diffFields(beforeResult.rows[0] || {}, { firstName, lastName, email })
+  });
 
   logger.info(`User ${req.user.email} updated profile from ${req.ip}`);
 
@@ -198,6 +449,117 @@ router.put('/profile', authenticateToken, validate('userProfileUpdate'), asyncHa
   });
 }));
 
+// Password rules, so forms can show them before submitting
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: passwordPolicy
+  });
+});
+
+/**
+ * Email a single-use password reset link. The response is the same whether or
+ * not the email belongs to an account, so it cannot be used to discover users.
+ */
+router.post('/forgot-password', passwordResetLimiter, validate('forgotPassword'), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const db = getDatabase();
+
+  const userResult = await db.query('SELECT * FROM users WHERE email = $1 AND "isActive" = $2', [email, true]);
+  const user = userResult.rows[0];
+
+  if (!user) {
+    logger.warn(`Password reset requested for unknown or inactive email ${email} from ${req.ip}`);
+  } else {
+    const issued = await issueResetToken(db, user.id, req.ip);
+
+    if (!issued) {
+      logger.warn(`Password reset for ${email} throttled from ${req.ip}`);
+      await writeAuditLog(db, req, {
+        action: 'PASSWORD_RESET_THROTTLED',
+        userId: user.id,
+        entity: 'USER',
+        entityId: user.id,
+        details: `Password reset link not sent (hourly limit reached), requested from ${req.ip}`
+      });
+    } else {
+      try {
+        await sendMail({ to: user.email, ...resetEmail(user, issued.resetUrl) });
+      } catch (error) {
+        // Still answer like a success: the response must not reveal which emails exist
+        logger.error(`Failed to send password reset email to ${email}: ${error.message}`);
+      }
+
+      await writeAuditLog(db, req, {
+        action: 'PASSWORD_RESET_REQUESTED',
+        userId: user.id,
+        entity: 'USER',
+        entityId: user.id,
+        details: `Password reset link sent, requested from ${req.ip}; valid for ${RESET_TOKEN_MINUTES} minutes`
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  });
+}));
+
+/**
+ * Set a new password with a token from a reset email. The token is used up,
+ * every session is signed out and any login lockout is cleared.
+ */
+router.post('/reset-password', passwordResetLimiter, validate('passwordResetWithToken'), asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const user = await withTransaction(async (client) => {
+    const claimed = await claimResetToken(client, token);
+
+    if (!claimed) {
+      return null;
+    }
+
+    await assertPasswordAllowed(client, newPassword, claimed, 'newPassword');
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await savePassword(client, claimed, hashedPassword);
+    await markResetTokenUsed(client, claimed.tokenid);
+    await clearFailedLogins(client, claimed.id);
+    const revokedCount = await revokeUserSessions(client, claimed.id, 'PASSWORD_RESET');
+
+    await writeAuditLog(client, req, {
+      action: 'PASSWORD_RESET_COMPLETED',
+      userId: claimed.id,
+      entity: 'USER',
+      entityId: claimed.id,
+      details: `Password reset with an emailed link from ${req.ip}; ${revokedCount} session(s) signed out`,
+      payload: { sessionsSignedOut: revokedCount }
+    });
+
+    return claimed;
+  });
+
+  if (!user) {
+    logger.warn(`Invalid or expired password reset token used from ${req.ip}`);
+    await writeAuditLog(getDatabase(), req, {
+      action: 'PASSWORD_RESET_FAILED',
+      userId: null,
+      entity: 'USER',
+      entityId: null,
+      details: `Invalid, used or expired password reset link from ${req.ip}`
+    });
+    throw new AppError('This reset link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  logger.info(`User ${user.email} reset their password with an emailed link from ${req.ip}`);
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. You can now sign in with your new password.'
+  });
+}));
+
 // Change password endpoint
 router.post('/change-password', authenticateToken, validate('passwordChange'), asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
@@ -222,20 +584,29 @@ router.post('/change-password', authenticateToken, validate('passwordChange'), a
     }); // ✅ This keeps the user logged in
   }
 
+  await assertPasswordAllowed(db, newPassword, user, 'newPassword');
+  const requiredBecause = passwordChangeReason(user);
+
   // Hash new password
   const hashedNewPassword = await bcrypt.hash(newPassword, 12);
 
-  // Update password in database
-  await db.query(
-    'UPDATE users SET password = $1, updatedat = NOW() WHERE id = $2',
-    [hashedNewPassword, userId]
-  );
+  // Update password in database (clears a pending forced change and restarts the expiry clock)
+  await savePassword(db, user, hashedNewPassword);
+
+  // Sign out every other device; this one stays logged in
+  const revokedCount = await revokeUserSessions(db, userId, 'PASSWORD_CHANGED', {
+    exceptSessionId: req.user.sessionId
+  });
 
   // Log password change
-  await db.query(
-    'INSERT INTO audit_logs (id, action, userid, entity, entityid, details) VALUES ($1, $2, $3, $4, $5, $6)',
-    [uuidv4(), 'CHANGE_PASSWORD', userId, 'USER', userId, `Password changed from ${req.ip}`]
-  );
+  await writeAuditLog(db, req, {
+    action: 'CHANGE_PASSWORD',
+    userId,
+    entity: 'USER',
+    entityId: userId,
+    details: `Password changed from ${req.ip}${requiredBecause ? ` (required: ${requiredBecause.toLowerCase()})` : ''}; ${revokedCount} other session(s) signed out`,
+    payload: { requiredBecause, sessionsSignedOut: revokedCount }
+  });
 
   logger.info(`User ${req.user.email} changed password from ${req.ip}`);
 
@@ -245,15 +616,278 @@ router.post('/change-password', authenticateToken, validate('passwordChange'), a
   });
 }));
 
+// Two-factor status for the current user
+router.get('/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const userResult = await db.query('SELECT role, totpenabled FROM users WHERE id = $1', [req.user.userId]);
+  const user = userResult.rows[0];
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(user.totpenabled),
+      required: await isTwoFactorRequired(db, user.role),
+      recoveryCodesRemaining: user.totpenabled ? await countRecoveryCodes(db, req.user.userId) : 0
+    }
+  });
+}));
+
+// Start enrollment: a new secret and its QR code for the authenticator app
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const userResult = await db.query('SELECT id, email, totpenabled FROM users WHERE id = $1', [req.user.userId]);
+  const user = userResult.rows[0];
+
+  if (user.totpenabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const enrollment = await beginEnrollment(db, user);
+
+  res.json({
+    success: true,
+    data: enrollment
+  });
+}));
+
+// Finish enrollment by proving the app produces valid codes
+router.post('/2fa/enable', authenticateToken, validate('twoFactorCode'), asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const userResult = await db.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+  const user = userResult.rows[0];
+
+  if (user.totpenabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  if (!user.totpsecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const factor = await verifySecondFactor(db, user, { code: req.body.code });
+  if (!factor.valid) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await db.query('UPDATE users SET totpenabled = true, updatedat = NOW() WHERE id = $1', [user.id]);
+  const recoveryCodes = await generateRecoveryCodes(db, user.id);
+
+  await writeAuditLog(db, req, {
+    action: 'ENABLE_2FA',
+    userId: user.id,
+    entity: 'USER',
+    entityId: user.id,
+    details: `Two-factor authentication enabled from ${req.ip}`
+  });
+
+  logger.info(`User ${req.user.email} enabled two-factor authentication`);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  });
+}));
+
+// Replace the recovery codes (the old ones stop working)
+router.post('/2fa/recovery-codes', authenticateToken, validate('twoFactorCode'), asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const userResult = await db.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+  const user = userResult.rows[0];
+
+  if (!user.totpenabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const factor = await verifySecondFactor(db, user, { code: req.body.code });
+  if (!factor.valid) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = await generateRecoveryCodes(db, user.id);
+
+  await writeAuditLog(db, req, {
+    action: 'REGENERATE_RECOVERY_CODES',
+    userId: user.id,
+    entity: 'USER',
+    entityId: user.id,
+    details: `Recovery codes regenerated from ${req.ip}`
+  });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated',
+    data: { recoveryCodes }
+  });
+}));
+
+// Turn two-factor authentication off (needs the password and a current code)
+router.post('/2fa/disable', authenticateToken, validate('twoFactorDisable'), asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const db = getDatabase();
+  const userResult = await db.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+  const user = userResult.rows[0];
+
+  if (!user.totpenabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await isTwoFactorRequired(db, user.role)) {
+    throw new AppError(`Two-factor authentication is required for the ${user.role} role`, 403);
+  }
+
+  const isValidPassword = await bcrypt.compare(password, user.password);
+  if (!isValidPassword) {
+    throw new AppError('Password is incorrect', 400);
+  }
+
+  const factor = await verifySecondFactor(db, user, { code, recoveryCode });
+  if (!factor.valid) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await disableTwoFactor(db, user.id);
+
+  await writeAuditLog(db, req, {
+    action: 'DISABLE_2FA',
+    userId: user.id,
+    entity: 'USER',
+    entityId: user.id,
+    details: `Two-factor authentication disabled from ${req.ip} using ${factor.method === 'recovery' ? 'a recovery code' : 'an authenticator code'}`
+  });
+
+  logger.info(`User ${req.user.email} disabled two-factor authentication`);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// Roles that must use two-factor authentication
+router.get('/2fa/policy', authenticateToken, asyncHandler(async (req, res) => {
+  const db = getDatabase();
+
+  res.json({
+    success: true,
+    data: { requiredRoles: await getRequiredRoles(db) }
+  });
+}));
+
+router.put('/2fa/policy', authenticateToken, requireAdmin, validate('twoFactorPolicy'), asyncHandler(async (req, res) => {
+  const { requiredRoles } = req.body;
+  const db = getDatabase();
+
+  // Otherwise an admin the policy blocks could lift it instead of enrolling
+  const callerResult = await db.query('SELECT totpenabled FROM users WHERE id = $1', [req.user.userId]);
+  if (!callerResult.rows[0]?.totpenabled) {
+    throw new AppError('Turn on two-factor authentication for your own account before changing the policy', 403);
+  }
+
+  const previousRoles = await getRequiredRoles(db);
+  await setRequiredRoles(db, requiredRoles, req.user.userId);
+
+  await writeAuditLog(db, req, {
+    action: 'UPDATE_2FA_POLICY',
+    userId: req.user.userId,
+    entity: 'SETTINGS',
+    entityId: null,
+    details: `Two-factor authentication required for: ${requiredRoles.length > 0 ? requiredRoles.join(', ') : 'no roles'}`,
+    changes: diffFields({ requiredRoles: previousRoles }, { requiredRoles })
+  });
+
+  logger.info(`Two-factor policy set to [${requiredRoles.join(', ')}] by ${req.user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Two-factor policy updated',
+    data: { requiredRoles }
+  });
+}));
+
+// List the current user's signed-in devices
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const sessions = await listActiveSessions(db, req.user.userId, req.user.sessionId);
+
+  res.json({
+    success: true,
+    data: sessions
+  });
+}));
+
+// Sign out every device except this one
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const revokedCount = await revokeUserSessions(db, req.user.userId, 'SIGNED_OUT_OTHERS', {
+    exceptSessionId: req.user.sessionId
+  });
+
+  await writeAuditLog(db, req, {
+    action: 'REVOKE_SESSIONS',
+    userId: req.user.userId,
+    entity: 'USER',
+    entityId: req.user.userId,
+    details: `Signed out ${revokedCount} other session(s) from ${req.ip}`
+  });
+
+  logger.info(`User ${req.user.email} signed out ${revokedCount} other session(s)`);
+
+  res.json({
+    success: true,
+    message: `Signed out of ${revokedCount} other device(s)`,
+    data: { revoked: revokedCount }
+  });
+}));
+
+// Sign out one of the current user's other devices
+router.delete('/sessions/:sessionId', authenticateToken, asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!validationPatterns.uuid.test(sessionId)) {
+    throw new AppError('Session not found', 404);
+  }
+
+  if (sessionId === req.user.sessionId) {
+    throw new AppError('Use logout to end the current session', 400);
+  }
+
+  const db = getDatabase();
+  const revokedCount = await revokeSession(db, req.user.userId, sessionId, 'REVOKED_BY_USER');
+
+  if (revokedCount === 0) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await writeAuditLog(db, req, {
+    action: 'REVOKE_SESSION',
+    userId: req.user.userId,
+    entity: 'USER',
+    entityId: req.user.userId,
+    details: `Signed out session ${sessionId} from ${req.ip}`
+  });
+
+  res.json({
+    success: true,
+    message: 'Session signed out'
+  });
+}));
+
 // Logout with PostgreSQL audit log
 router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
   const db = getDatabase();
+
+  await revokeSession(db, req.user.userId, req.user.sessionId, 'LOGOUT');
+  clearRefreshCookie(res);
   
   // Log logout
-  await db.query(
-    'INSERT INTO audit_logs (id, action, userid, entity, entityid, details) VALUES ($1, $2, $3, $4, $5, $6)',
-    [uuidv4(), 'LOGOUT', req.user.userId, 'USER', req.user.userId, `User logged out from ${req.ip}`]
-  );
+  await writeAuditLog(db, req, {
+    action: 'LOGOUT',
+    userId: req.user.userId,
+    entity: 'USER',
+    entityId: req.user.userId,
+    details: `User logged out from ${req.ip}`
+  });
 
   logger.info(`User ${req.user.email} logged out from ${req.ip}`);
 
@@ -0,0 +1,263 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { writeAuditLog } = require('../utils/audit');
+
+const router = express.Router();
+
+// Columns returned for a centre, for a query over centres c
+const centreSelectColumns = `
+  c.id,
+  c.name,
+  c.location,
+  c.createdat AS "createdAt",
+  c.updatedat AS "updatedAt",
+  (
+    SELECT COUNT(*) FROM sewadar_centres sc
+    JOIN sewadars s ON sc.sewadarid = s.id
+    WHERE sc.centreid = c.id AND s.deletedat IS NULL
+  )::int AS "sewadarCount",
+  (SELECT COUNT(*) FROM user_centres uc WHERE uc.centreid = c.id)::int AS "userCount"
+`;
+
+const loadCentre = async (db, centreId) => {
+  const result = await db.query(`
+    SELECT ${centreSelectColumns}
+    FROM centres c
+    WHERE c.id = $1
+  `, [centreId]);
+  return result.rows[0];
+};
+
+const lockCentre = async (client, centreId) => {
+  const result = await client.query('SELECT id, name FROM centres WHERE id = $1 FOR UPDATE', [centreId]);
+
+  if (!result.rows[0]) {
+    throw new AppError('Centre not found', 404);
+  }
+  return result.rows[0];
+};
+
+const assertNameAvailable = async (db, name, exceptId = null) => {
+  const result = await db.query(
+    'SELECT id FROM centres WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2',
+    [name, exceptId]
+  );
+  if (result.rows[0]) {
+    throw new AppError(`A centre named "${name}" already exists`, 409);
+  }
+};
+
+/**
+ * @swagger
+ * /centres:
+ *   get:
+ *     summary: List the centres the requesting user can switch to
+ *     description: >
+ *       A user's own centres; every centre for a super-admin. Send one of these IDs
+ *       in the X-Centre-Id header to limit any request to that centre.
+ *     tags: [Centres]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+
+    const result = await db.query(`
+      SELECT ${centreSelectColumns}
+      FROM centres c
+      ${req.user.isSuperAdmin ? '' : 'WHERE c.id = ANY($1::uuid[])'}
+      ORDER BY LOWER(c.name)
+    `, req.user.isSuperAdmin ? [] : [req.user.centreIds]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /centres:
+ *   post:
+ *     summary: Create a centre (Super-admin only)
+ *     tags: [Centres]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Beas
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Centre created
+ *       409:
+ *         description: A centre with this name already exists
+ */
+router.post('/',
+  authenticateToken,
+  requireSuperAdmin,
+  validate('centreCreate'),
+  asyncHandler(async (req, res) => {
+    const { name, location } = req.body;
+
+    const centre = await withTransaction(async (client) => {
+      await assertNameAvailable(client, name);
+
+      const centreId = uuidv4();
+      await client.query(`
+        INSERT INTO centres (id, name, location, createdby)
+        VALUES ($1, $2, $3, $4)
+      `, [centreId, name, location || null, req.user.userId]);
+
+      await writeAuditLog(client, req, {
+        action: 'CREATE_CENTRE',
+        userId: req.user.userId,
+        entity: 'CENTRE',
+        entityId: centreId,
+        details: `Created centre: ${name}`
+      });
+
+      return loadCentre(client, centreId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Centre created successfully',
+      data: centre
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /centres/{id}:
+ *   put:
+ *     summary: Rename a centre or change its location (Super-admin only)
+ *     tags: [Centres]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id',
+  authenticateToken,
+  requireSuperAdmin,
+  validate('centreUpdate'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const centre = await withTransaction(async (client) => {
+      const existing = await lockCentre(client, id);
+      if (req.body.name) {
+        await assertNameAvailable(client, req.body.name, id);
+      }
+
+      const columns = Object.keys(req.body).map(key => ({ column: key, value: req.body[key] === '' ? null : req.body[key] }));
+      await client.query(`
+        UPDATE centres
+        SET ${columns.map(({ column }, index) => `${column} = $${index + 1}`).join(', ')}, updatedat = NOW()
+        WHERE id = $${columns.length + 1}
+      `, [...columns.map(({ value }) => value), id]);
+
+      const renamed = req.body.name && req.body.name !== existing.name ? ` (renamed from ${existing.name})` : '';
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_CENTRE',
+        userId: req.user.userId,
+        entity: 'CENTRE',
+        entityId: id,
+        details: `Updated centre: ${req.body.name || existing.name}${renamed}`
+      });
+
+      return loadCentre(client, id);
+    });
+
+    res.json({
+      success: true,
+      message: 'Centre updated successfully',
+      data: centre
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /centres/{id}:
+ *   delete:
+ *     summary: Delete a centre that has no sewadars left (Super-admin only)
+ *     description: Its users lose their membership of the centre but keep their accounts.
+ *     tags: [Centres]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Centre deleted
+ *       400:
+ *         description: Sewadars still belong to the centre
+ *       404:
+ *         description: Centre not found
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireSuperAdmin,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const existing = await lockCentre(client, id);
+
+      // Deleting a centre must never leave sewadars that nobody can see
+      const countResult = await client.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE s.deletedat IS NULL)::int AS "active",
+          COUNT(*) FILTER (WHERE s.deletedat IS NOT NULL)::int AS "inTrash"
+        FROM sewadar_centres sc
+        JOIN sewadars s ON sc.sewadarid = s.id
+        WHERE sc.centreid = $1
+      `, [id]);
+      const { active, inTrash } = countResult.rows[0];
+      if (active > 0) {
+        throw new AppError(
+          `${existing.name} still has ${active} sewadars. Move or delete them before deleting the centre.`,
+          400
+        );
+      }
+      if (inTrash > 0) {
+        throw new AppError(
+          `${existing.name} still has ${inTrash} sewadars in the trash. Restore and move them, or purge them, before deleting the centre.`,
+          400
+        );
+      }
+
+      await client.query('DELETE FROM centres WHERE id = $1', [id]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_CENTRE',
+        userId: req.user.userId,
+        entity: 'CENTRE',
+        entityId: id,
+        details: `Deleted centre: ${existing.name}`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Centre deleted successfully'
+    });
+  })
+);
+
+module.exports = router;
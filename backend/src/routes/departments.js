@@ -0,0 +1,581 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken, requireEditor, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { writeAuditLog } = require('../utils/audit');
+const { sewadarScopeCondition } = require('../utils/centres');
+
+const router = express.Router();
+
+// Columns returned for a department, for a query over departments d; $1 is the requesting user
+const departmentSelectColumns = `
+  d.id,
+  d.name,
+  d.description,
+  d.createdat AS "createdAt",
+  d.updatedat AS "updatedAt",
+  (
+    SELECT COUNT(*) FROM department_members dm
+    JOIN sewadars s ON dm.sewadarid = s.id
+    WHERE dm.departmentid = d.id AND s.deletedat IS NULL
+  )::int AS "memberCount",
+  (
+    SELECT COALESCE(json_agg(json_build_object(
+      'userId', u.id,
+      'firstName', u.firstname,
+      'lastName', u.lastname,
+      'email', u.email
+    ) ORDER BY LOWER(u.firstname), LOWER(u.lastname)), '[]'::json)
+    FROM department_leaders dl
+    JOIN users u ON dl.userid = u.id
+    WHERE dl.departmentid = d.id
+  ) AS "leaders",
+  EXISTS (SELECT 1 FROM department_leaders dl WHERE dl.departmentid = d.id AND dl.userid = $1) AS "isLeader"
+`;
+
+const loadDepartment = async (db, departmentId, userId) => {
+  const result = await db.query(`
+    SELECT ${departmentSelectColumns}
+    FROM departments d
+    WHERE d.id = $2
+  `, [userId, departmentId]);
+  return result.rows[0];
+};
+
+const lockDepartment = async (client, departmentId) => {
+  const result = await client.query('SELECT id, name FROM departments WHERE id = $1 FOR UPDATE', [departmentId]);
+
+  if (!result.rows[0]) {
+    throw new AppError('Department not found', 404);
+  }
+  return result.rows[0];
+};
+
+const assertNameAvailable = async (db, name, exceptId = null) => {
+  const result = await db.query(
+    'SELECT id FROM departments WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2',
+    [name, exceptId]
+  );
+  if (result.rows[0]) {
+    throw new AppError(`A department named "${name}" already exists`, 409);
+  }
+};
+
+const isDepartmentLeader = async (db, departmentId, userId) => {
+  const result = await db.query(
+    'SELECT 1 FROM department_leaders WHERE departmentid = $1 AND userid = $2',
+    [departmentId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Admins and editors can see and change every department's members;
+ * a leader only those of the departments they lead
+ */
+const requireDepartmentAccess = asyncHandler(async (req, res, next) => {
+  if (['ADMIN', 'EDITOR'].includes(req.user.role)) {
+    return next();
+  }
+
+  const db = getDatabase();
+  const exists = await db.query('SELECT 1 FROM departments WHERE id = $1', [req.params.id]);
+  if (!exists.rows[0]) {
+    throw new AppError('Department not found', 404);
+  }
+  if (!(await isDepartmentLeader(db, req.params.id, req.user.userId))) {
+    throw new AppError('Only this department\'s leaders can see its members', 403);
+  }
+
+  next();
+});
+
+/**
+ * @swagger
+ * /departments:
+ *   get:
+ *     summary: List departments with member counts and leaders
+ *     description: isLeader tells whether the requesting user leads the department.
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mine
+ *         description: Only the departments the requesting user leads
+ *         schema:
+ *           type: boolean
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const mine = String(req.query.mine) === 'true';
+
+    const result = await db.query(`
+      SELECT ${departmentSelectColumns}
+      FROM departments d
+      ${mine ? 'WHERE EXISTS (SELECT 1 FROM department_leaders dl WHERE dl.departmentid = d.id AND dl.userid = $1)' : ''}
+      ORDER BY LOWER(d.name)
+    `, [req.user.userId]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   get:
+ *     summary: Get a department with its leaders
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const department = await loadDepartment(getDatabase(), req.params.id, req.user.userId);
+
+    if (!department) {
+      throw new AppError('Department not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: department
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments:
+ *   post:
+ *     summary: Create a department (Admin/Editor only)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Langar
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Department created
+ *       409:
+ *         description: A department with this name already exists
+ */
+router.post('/',
+  authenticateToken,
+  requireEditor,
+  validate('departmentCreate'),
+  asyncHandler(async (req, res) => {
+    const { name, description } = req.body;
+
+    const department = await withTransaction(async (client) => {
+      await assertNameAvailable(client, name);
+
+      const departmentId = uuidv4();
+      await client.query(`
+        INSERT INTO departments (id, name, description, createdby)
+        VALUES ($1, $2, $3, $4)
+      `, [departmentId, name, description || null, req.user.userId]);
+
+      await writeAuditLog(client, req, {
+        action: 'CREATE_DEPARTMENT',
+        userId: req.user.userId,
+        entity: 'DEPARTMENT',
+        entityId: departmentId,
+        details: `Created department: ${name}`
+      });
+
+      return loadDepartment(client, departmentId, req.user.userId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Department created successfully',
+      data: department
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   put:
+ *     summary: Rename or describe a department (Admin/Editor only)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id',
+  authenticateToken,
+  requireEditor,
+  validate('departmentUpdate'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const department = await withTransaction(async (client) => {
+      const existing = await lockDepartment(client, id);
+      if (req.body.name) {
+        await assertNameAvailable(client, req.body.name, id);
+      }
+
+      const columns = Object.keys(req.body).map(key => ({ column: key, value: req.body[key] === '' ? null : req.body[key] }));
+      await client.query(`
+        UPDATE departments
+        SET ${columns.map(({ column }, index) => `${column} = $${index + 1}`).join(', ')}, updatedat = NOW()
+        WHERE id = $${columns.length + 1}
+      `, [...columns.map(({ value }) => value), id]);
+
+      const renamed = req.body.name && req.body.name !== existing.name ? ` (renamed from ${existing.name})` : '';
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_DEPARTMENT',
+        userId: req.user.userId,
+        entity: 'DEPARTMENT',
+        entityId: id,
+        details: `Updated department: ${req.body.name || existing.name}${renamed}`
+      });
+
+      return loadDepartment(client, id, req.user.userId);
+    });
+
+    res.json({
+      success: true,
+      message: 'Department updated successfully',
+      data: department
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}:
+ *   delete:
+ *     summary: Delete a department; its sewadars stay, only their membership goes (Admin/Editor only)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const existing = await lockDepartment(client, id);
+      const countResult = await client.query('SELECT COUNT(*) AS count FROM department_members WHERE departmentid = $1', [id]);
+
+      await client.query('DELETE FROM departments WHERE id = $1', [id]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_DEPARTMENT',
+        userId: req.user.userId,
+        entity: 'DEPARTMENT',
+        entityId: id,
+        details: `Deleted department: ${existing.name} (${countResult.rows[0].count} members)`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Department deleted successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}/leaders:
+ *   put:
+ *     summary: Replace a department's leaders (Admin only)
+ *     description: Leaders are portal users. They can see and manage this department's members, whatever their role.
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userIds]
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.put('/:id/leaders',
+  authenticateToken,
+  requireAdmin,
+  validate('departmentLeaders'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userIds } = req.body;
+
+    const department = await withTransaction(async (client) => {
+      const existing = await lockDepartment(client, id);
+
+      // Kiosk accounts cannot open the department pages, so they cannot lead
+      const usersResult = await client.query(`
+        SELECT id, firstname, lastname FROM users
+        WHERE id = ANY($1::uuid[]) AND "isActive" = TRUE AND role <> 'KIOSK'
+      `, [userIds]);
+      const users = new Map(usersResult.rows.map(user => [user.id, user]));
+      const unknown = userIds.filter(userId => !users.has(userId));
+
+      if (unknown.length > 0) {
+        throw new AppError('Leaders must be active portal users', 400, unknown.map(userId => ({
+          field: 'userIds',
+          message: 'User not found, deactivated or a kiosk account',
+          value: userId
+        })));
+      }
+
+      const currentResult = await client.query('SELECT userid FROM department_leaders WHERE departmentid = $1', [id]);
+      const current = currentResult.rows.map(row => row.userid);
+      const added = userIds.filter(userId => !current.includes(userId));
+      const removed = current.filter(userId => !userIds.includes(userId));
+
+      if (removed.length > 0) {
+        await client.query('DELETE FROM department_leaders WHERE departmentid = $1 AND userid = ANY($2::uuid[])', [id, removed]);
+      }
+      for (const userId of added) {
+        await client.query(`
+          INSERT INTO department_leaders (departmentid, userid, assignedby)
+          VALUES ($1, $2, $3)
+        `, [id, userId, req.user.userId]);
+      }
+
+      if (added.length > 0 || removed.length > 0) {
+        const names = userIds.map(userId => `${users.get(userId).firstname} ${users.get(userId).lastname}`);
+        await writeAuditLog(client, req, {
+          action: 'SET_DEPARTMENT_LEADERS',
+          userId: req.user.userId,
+          entity: 'DEPARTMENT',
+          entityId: id,
+          details: `Set leaders of ${existing.name}: ${names.length > 0 ? names.join(', ') : 'none'}`
+        });
+      }
+
+      return loadDepartment(client, id, req.user.userId);
+    });
+
+    res.json({
+      success: true,
+      message: 'Department leaders updated',
+      data: department
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}/members:
+ *   get:
+ *     summary: List a department's members (Admin/Editor, or a leader of this department)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Matches name, badge ID or phone
+ *         schema:
+ *           type: string
+ */
+router.get('/:id/members',
+  authenticateToken,
+  requireDepartmentAccess,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const params = [req.params.id];
+    let searchClause = '';
+
+    if (req.query.search) {
+      searchClause = `AND (s.firstname ILIKE $2 OR s.lastname ILIKE $2 OR s.badgeid ILIKE $2 OR s.phone LIKE $2)`;
+      params.push(`%${req.query.search}%`);
+    }
+
+    // Departments span centres, but members at other centres stay hidden
+    const scope = sewadarScopeCondition(req.user.centreScope, params.length + 1);
+    params.push(...scope.params);
+
+    const result = await db.query(`
+      SELECT
+        s.id,
+        s.firstname AS "firstName",
+        s.lastname AS "lastName",
+        s.badgeid AS "badgeId",
+        s.phone,
+        s.naamdanstatus AS "naamdanStatus",
+        dm.addedat AS "addedAt"
+      FROM department_members dm
+      JOIN sewadars s ON dm.sewadarid = s.id
+      WHERE dm.departmentid = $1 ${searchClause} AND s.deletedat IS NULL AND ${scope.condition}
+      ORDER BY LOWER(s.firstname), LOWER(s.lastname), s.id
+    `, params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}/members:
+ *   post:
+ *     summary: Add sewadars to a department (Admin/Editor, or a leader of this department)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sewadarIds]
+ *             properties:
+ *               sewadarIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Per-sewadar results
+ */
+router.post('/:id/members',
+  authenticateToken,
+  requireDepartmentAccess,
+  validate('departmentMembers'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { sewadarIds } = req.body;
+
+    const results = await withTransaction(async (client) => {
+      const department = await lockDepartment(client, id);
+
+      const scope = sewadarScopeCondition(req.user.centreScope, 2, 'sewadars.id');
+      const sewadarsResult = await client.query(
+        `SELECT id, firstname, lastname FROM sewadars WHERE id = ANY($1::uuid[]) AND deletedat IS NULL AND ${scope.condition}`,
+        [sewadarIds, ...scope.params]
+      );
+      const sewadars = new Map(sewadarsResult.rows.map(row => [row.id, row]));
+
+      const itemResults = [];
+      for (const sewadarId of sewadarIds) {
+        const sewadar = sewadars.get(sewadarId);
+
+        if (!sewadar) {
+          itemResults.push({ sewadarId, status: 'failed', errors: [{ message: 'Sewadar not found' }] });
+          continue;
+        }
+
+        const insertResult = await client.query(`
+          INSERT INTO department_members (departmentid, sewadarid, addedby)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (departmentid, sewadarid) DO NOTHING
+        `, [id, sewadarId, req.user.userId]);
+
+        if (insertResult.rowCount === 0) {
+          itemResults.push({ sewadarId, status: 'unchanged', errors: [] });
+          continue;
+        }
+
+        await writeAuditLog(client, req, {
+          action: 'ADD_DEPARTMENT_MEMBER',
+          userId: req.user.userId,
+          entity: 'DEPARTMENT',
+          entityId: id,
+          details: `Added ${sewadar.firstname} ${sewadar.lastname} to ${department.name}`
+        });
+
+        itemResults.push({ sewadarId, status: 'added', errors: [] });
+      }
+
+      return itemResults;
+    });
+
+    const summary = {
+      total: results.length,
+      added: results.filter(result => result.status === 'added').length,
+      unchanged: results.filter(result => result.status === 'unchanged').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    res.json({
+      success: true,
+      message: `Added ${summary.added} of ${summary.total} sewadars`,
+      data: { summary, results }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /departments/{id}/members/{sewadarId}:
+ *   delete:
+ *     summary: Remove a sewadar from a department (Admin/Editor, or a leader of this department)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/members/:sewadarId',
+  authenticateToken,
+  requireDepartmentAccess,
+  asyncHandler(async (req, res) => {
+    const { id, sewadarId } = req.params;
+
+    await withTransaction(async (client) => {
+      const department = await lockDepartment(client, id);
+      const scope = sewadarScopeCondition(req.user.centreScope, 3);
+      const result = await client.query(`
+        DELETE FROM department_members dm
+        USING sewadars s
+        WHERE dm.sewadarid = s.id AND dm.departmentid = $1 AND dm.sewadarid = $2 AND ${scope.condition}
+        RETURNING s.firstname, s.lastname
+      `, [id, sewadarId, ...scope.params]);
+      const removed = result.rows[0];
+
+      if (!removed) {
+        throw new AppError('This sewadar is not a member of the department', 404);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'REMOVE_DEPARTMENT_MEMBER',
+        userId: req.user.userId,
+        entity: 'DEPARTMENT',
+        entityId: id,
+        details: `Removed ${removed.firstname} ${removed.lastname} from ${department.name}`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Sewadar removed from the department'
+    });
+  })
+);
+
+module.exports = router;
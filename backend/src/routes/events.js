@@ -0,0 +1,1299 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken, requireEditor } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { writeAuditLog } = require('../utils/audit');
+const { sewadarScopeCondition } = require('../utils/centres');
+const { parseExportFormat } = require('../utils/sewadarExport');
+const { writeRosterExport } = require('../utils/rosterExport');
+const { attendanceSelectColumns, saveAttendance } = require('../utils/attendance');
+
+const router = express.Router();
+
+// Duty times go in and out as venue wall-clock strings ("2024-05-01T09:00")
+const DUTY_TIME_FORMAT = `'YYYY-MM-DD"T"HH24:MI'`;
+
+// Map camelCase request fields to table columns
+const eventFieldMap = {
+  name: 'name',
+  eventType: 'eventtype',
+  location: 'location',
+  description: 'description',
+  startDate: 'startdate',
+  endDate: 'enddate'
+};
+
+const dutySlotFieldMap = {
+  name: 'name',
+  location: 'location',
+  startsAt: 'startsat',
+  endsAt: 'endsat',
+  requiredCount: 'requiredcount',
+  notes: 'notes'
+};
+
+/**
+ * Convert validated fields to column/value pairs for an INSERT or UPDATE
+ * @param {Object} fields - Validated request body
+ * @param {Object} fieldMap - eventFieldMap or dutySlotFieldMap
+ */
+const toColumns = (fields, fieldMap) => Object.keys(fields)
+  .filter(key => fields[key] !== undefined && fieldMap[key])
+  .map(key => ({ column: fieldMap[key], value: fields[key] === '' ? null : fields[key] }));
+
+// Columns returned for an event, with duty and staffing totals, for a query over events e
+const eventSelectColumns = `
+  e.id,
+  e.name,
+  e.eventtype AS "eventType",
+  e.location,
+  e.description,
+  to_char(e.startdate, 'YYYY-MM-DD') AS "startDate",
+  to_char(e.enddate, 'YYYY-MM-DD') AS "endDate",
+  e.createdby AS "createdBy",
+  e.createdat AS "createdAt",
+  e.updatedat AS "updatedAt",
+  u.firstname AS "createdByFirstName",
+  u.lastname AS "createdByLastName",
+  (SELECT COUNT(*) FROM duty_slots sl WHERE sl.eventid = e.id)::int AS "slotCount",
+  (SELECT COALESCE(SUM(sl.requiredcount), 0) FROM duty_slots sl WHERE sl.eventid = e.id)::int AS "requiredCount",
+  (
+    SELECT COUNT(*) FROM duty_assignments a
+    JOIN duty_slots sl ON a.slotid = sl.id
+    WHERE sl.eventid = e.id
+  )::int AS "assignedCount"
+`;
+
+// A slot's assigned sewadars in the caller's centres as a JSON array, for use inside a query over duty_slots sl
+const assignmentsSelect = (scopeCondition) => `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'sewadarId', s.id,
+    'firstName', s.firstname,
+    'lastName', s.lastname,
+    'badgeId', s.badgeid,
+    'phone', s.phone,
+    'assignedAt', a.assignedat
+  ) ORDER BY LOWER(s.firstname), LOWER(s.lastname)), '[]'::json)
+  FROM duty_assignments a
+  JOIN sewadars s ON a.sewadarid = s.id
+  WHERE a.slotid = sl.id AND s.deletedat IS NULL AND ${scopeCondition}
+)`;
+
+const dutySlotSelectColumns = (scopeCondition) => `
+  sl.id,
+  sl.eventid AS "eventId",
+  sl.name,
+  sl.location,
+  to_char(sl.startsat, ${DUTY_TIME_FORMAT}) AS "startsAt",
+  to_char(sl.endsat, ${DUTY_TIME_FORMAT}) AS "endsAt",
+  sl.requiredcount AS "requiredCount",
+  sl.notes,
+  ${assignmentsSelect(scopeCondition)} AS "assignments"
+`;
+
+/**
+ * Load an event with its duty slots and their assigned sewadars
+ * @param {Object} db - Pool or transaction client
+ * @param {string} eventId
+ * @param {Array<string>|null} centreScope - req.user.centreScope; sewadars outside it are left out
+ * @returns {Promise<Object|null>} The event with a `slots` array, or null when it does not exist
+ */
+const loadEventRoster = async (db, eventId, centreScope) => {
+  const eventResult = await db.query(`
+    SELECT ${eventSelectColumns}
+    FROM events e
+    LEFT JOIN users u ON e.createdby = u.id
+    WHERE e.id = $1
+  `, [eventId]);
+
+  const event = eventResult.rows[0];
+  if (!event) return null;
+
+  const scope = sewadarScopeCondition(centreScope, 2);
+  const slotsResult = await db.query(`
+    SELECT ${dutySlotSelectColumns(scope.condition)}
+    FROM duty_slots sl
+    WHERE sl.eventid = $1
+    ORDER BY sl.startsat, LOWER(sl.name), sl.id
+  `, [eventId, ...scope.params]);
+
+  return { ...event, slots: slotsResult.rows };
+};
+
+const loadDutySlot = async (db, slotId, centreScope) => {
+  const scope = sewadarScopeCondition(centreScope, 2);
+  const result = await db.query(`SELECT ${dutySlotSelectColumns(scope.condition)} FROM duty_slots sl WHERE sl.id = $1`, [slotId, ...scope.params]);
+  return result.rows[0];
+};
+
+/**
+ * Find duties that overlap the given time range for any of the given sewadars.
+ * Ranges that only touch (one ends at 13:00, the next starts at 13:00) do not overlap.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<string>} sewadarIds
+ * @param {Object} range - startsAt, endsAt, the slot to leave out (the one being staffed or edited)
+ *   and optionally the centreScope whose sewadars to check
+ * @returns {Promise<Array<Object>>} One row per clashing duty, with its slot and event
+ */
+const findDutyConflicts = async (db, sewadarIds, { startsAt, endsAt, excludeSlotId, centreScope = null }) => {
+  const scope = sewadarScopeCondition(centreScope, 5, 'a.sewadarid');
+  const result = await db.query(`
+    SELECT
+      a.sewadarid AS "sewadarId",
+      sl.id AS "slotId",
+      sl.name AS "slotName",
+      to_char(sl.startsat, ${DUTY_TIME_FORMAT}) AS "startsAt",
+      to_char(sl.endsat, ${DUTY_TIME_FORMAT}) AS "endsAt",
+      e.id AS "eventId",
+      e.name AS "eventName"
+    FROM duty_assignments a
+    JOIN duty_slots sl ON a.slotid = sl.id
+    JOIN events e ON sl.eventid = e.id
+    WHERE a.sewadarid = ANY($1::uuid[])
+      AND sl.id <> $2
+      AND sl.startsat < $4
+      AND sl.endsat > $3
+      AND ${scope.condition}
+    ORDER BY sl.startsat
+  `, [sewadarIds, excludeSlotId, startsAt, endsAt, ...scope.params]);
+
+  return result.rows;
+};
+
+const describeConflict = (conflict) => `Already on duty: ${conflict.slotName} at ${conflict.eventName} (${conflict.startsAt.replace('T', ' ')} to ${conflict.endsAt.replace('T', ' ')})`;
+
+// Duties must start on one of the event's days; night duties may run past midnight
+const assertSlotWithinEvent = (event, startsAt) => {
+  const day = startsAt.slice(0, 10);
+  if (day < event.startDate || day > event.endDate) {
+    throw new AppError(`Duties must start between ${event.startDate} and ${event.endDate}, the dates of this event`, 400);
+  }
+};
+
+// Lock the event row so slot changes and date changes cannot interleave
+const lockEvent = async (client, eventId) => {
+  const result = await client.query(`
+    SELECT id, name, to_char(startdate, 'YYYY-MM-DD') AS "startDate", to_char(enddate, 'YYYY-MM-DD') AS "endDate"
+    FROM events WHERE id = $1 FOR UPDATE
+  `, [eventId]);
+
+  if (!result.rows[0]) {
+    throw new AppError('Event not found', 404);
+  }
+  return result.rows[0];
+};
+
+const lockDutySlot = async (client, eventId, slotId) => {
+  const result = await client.query(`
+    SELECT id, name,
+      to_char(startsat, ${DUTY_TIME_FORMAT}) AS "startsAt",
+      to_char(endsat, ${DUTY_TIME_FORMAT}) AS "endsAt"
+    FROM duty_slots WHERE id = $1 AND eventid = $2 FOR UPDATE
+  `, [slotId, eventId]);
+
+  if (!result.rows[0]) {
+    throw new AppError('Duty slot not found', 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Lock sewadar rows in a fixed order. Every assignment change takes these locks,
+ * so two editors cannot double-book the same sewadar at the same moment.
+ * Sewadars in the trash or outside centreScope are locked but left out of the returned map.
+ */
+const lockSewadars = async (client, sewadarIds, centreScope = null) => {
+  const scope = sewadarScopeCondition(centreScope, 2);
+  const result = await client.query(`
+    SELECT s.id, s.firstname, s.lastname, s.deletedat, ${scope.condition} AS "inScope"
+    FROM sewadars s WHERE s.id = ANY($1::uuid[]) ORDER BY s.id FOR UPDATE
+  `, [sewadarIds, ...scope.params]);
+  return new Map(result.rows.filter(row => !row.deletedat && row.inScope).map(row => [row.id, row]));
+};
+
+// Attendance is taken per event day; without a date, show today if the event is on, else its first day
+const resolveAttendanceDate = (event, date) => {
+  if (!date) {
+    const today = new Date().toLocaleDateString('en-CA');
+    return today >= event.startDate && today <= event.endDate ? today : event.startDate;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new AppError('date must be formatted as YYYY-MM-DD', 400);
+  }
+  if (date < event.startDate || date > event.endDate) {
+    throw new AppError(`Attendance can only be taken between ${event.startDate} and ${event.endDate}, the dates of this event`, 400);
+  }
+  return date;
+};
+
+// Sewadars check in on the day being marked; check-out may run past midnight
+const attendanceTimeError = (date, record) => (record.checkInAt && record.checkInAt.slice(0, 10) !== date
+  ? `Check-in must be on ${date}, the day being marked`
+  : null);
+
+const describeAttendance = (sewadar, record) => {
+  const name = `${sewadar.firstname} ${sewadar.lastname}`;
+  if (record.status === 'ABSENT') return `${name} absent`;
+  const times = [record.checkInAt, record.checkOutAt].filter(Boolean).map(time => time.slice(11)).join(' to ');
+  return times ? `${name} present (${times})` : `${name} present`;
+};
+
+/**
+ * The attendance grid for one event day: everyone rostered on a duty that
+ * starts that day, plus anyone else with attendance recorded (walk-ins)
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<string>|null} centreScope - req.user.centreScope; sewadars outside it are left out
+ * @returns {Promise<{ summary: Object, rows: Array<Object> }>}
+ */
+const loadAttendanceDay = async (db, eventId, date, centreScope) => {
+  const scope = sewadarScopeCondition(centreScope, 3);
+  const result = await db.query(`
+    WITH day_duties AS (
+      SELECT
+        da.sewadarid,
+        json_agg(json_build_object(
+          'slotId', sl.id,
+          'name', sl.name,
+          'startsAt', to_char(sl.startsat, ${DUTY_TIME_FORMAT}),
+          'endsAt', to_char(sl.endsat, ${DUTY_TIME_FORMAT})
+        ) ORDER BY sl.startsat) AS duties
+      FROM duty_assignments da
+      JOIN duty_slots sl ON da.slotid = sl.id
+      WHERE sl.eventid = $1 AND sl.startsat::date = $2
+      GROUP BY da.sewadarid
+    )
+    SELECT
+      s.id AS "sewadarId",
+      s.firstname AS "firstName",
+      s.lastname AS "lastName",
+      s.badgeid AS "badgeId",
+      s.phone,
+      COALESCE(d.duties, '[]'::json) AS "duties",
+      CASE WHEN a.id IS NULL THEN NULL ELSE (SELECT row_to_json(r) FROM (SELECT ${attendanceSelectColumns}) r) END AS "attendance"
+    FROM sewadars s
+    LEFT JOIN day_duties d ON d.sewadarid = s.id
+    LEFT JOIN attendance a ON a.sewadarid = s.id AND a.eventid = $1 AND a.attendancedate = $2
+    WHERE (d.sewadarid IS NOT NULL OR a.id IS NOT NULL) AND s.deletedat IS NULL AND ${scope.condition}
+    ORDER BY LOWER(s.firstname), LOWER(s.lastname), s.id
+  `, [eventId, date, ...scope.params]);
+
+  const rows = result.rows;
+  const summary = {
+    rostered: rows.filter(row => row.duties.length > 0).length,
+    present: rows.filter(row => row.attendance?.status === 'PRESENT').length,
+    absent: rows.filter(row => row.attendance?.status === 'ABSENT').length,
+    unmarked: rows.filter(row => !row.attendance).length,
+    walkIns: rows.filter(row => row.duties.length === 0 && row.attendance?.status === 'PRESENT').length,
+    hours: Math.round(rows.reduce((sum, row) => sum + (row.attendance?.hours || 0), 0) * 100) / 100
+  };
+
+  return { summary, rows };
+};
+
+/**
+ * @swagger
+ * /events:
+ *   get:
+ *     summary: List events with their duty and staffing totals
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         description: Matches the event name or location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *           enum: [SATSANG, BHANDARA, CLEANING_DRIVE, OTHER]
+ *       - in: query
+ *         name: when
+ *         description: upcoming (not yet ended, soonest first) or past (latest first)
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past]
+ *     responses:
+ *       200:
+ *         description: List of events retrieved successfully
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { page = 1, limit = 10, search = '', eventType = '', when = '' } = req.query;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      whereClause += ` AND (e.name ILIKE $${paramIndex} OR e.location ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+    if (eventType) {
+      whereClause += ` AND e.eventtype = $${paramIndex}`;
+      params.push(eventType);
+      paramIndex++;
+    }
+
+    let orderByClause = 'ORDER BY e.startdate DESC, e.id';
+    if (when === 'upcoming') {
+      whereClause += ' AND e.enddate >= CURRENT_DATE';
+      orderByClause = 'ORDER BY e.startdate ASC, e.id';
+    } else if (when === 'past') {
+      whereClause += ' AND e.enddate < CURRENT_DATE';
+    } else if (when) {
+      throw new AppError('when must be "upcoming" or "past"', 400);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM events e ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const eventsResult = await db.query(`
+      SELECT ${eventSelectColumns}
+      FROM events e
+      LEFT JOIN users u ON e.createdby = u.id
+      ${whereClause}
+      ${orderByClause}
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...params, parseInt(limit), offset]);
+
+    res.json({
+      success: true,
+      data: eventsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}:
+ *   get:
+ *     summary: Get an event with its duty roster (slots and assigned sewadars)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const event = await loadEventRoster(getDatabase(), req.params.id, req.user.centreScope);
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events:
+ *   post:
+ *     summary: Create an event (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, eventType, location, startDate, endDate]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               eventType:
+ *                 type: string
+ *                 enum: [SATSANG, BHANDARA, CLEANING_DRIVE, OTHER]
+ *               location:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 example: '2024-05-01'
+ *               endDate:
+ *                 type: string
+ *                 example: '2024-05-03'
+ */
+router.post('/',
+  authenticateToken,
+  requireEditor,
+  validate('eventCreate'),
+  asyncHandler(async (req, res) => {
+    const event = await withTransaction(async (client) => {
+      const eventId = uuidv4();
+      const columns = toColumns(req.body, eventFieldMap);
+
+      await client.query(`
+        INSERT INTO events (id, ${columns.map(({ column }) => column).join(', ')}, createdby)
+        VALUES ($1, ${columns.map((_, index) => `$${index + 2}`).join(', ')}, $${columns.length + 2})
+      `, [eventId, ...columns.map(({ value }) => value), req.user.userId]);
+
+      await writeAuditLog(client, req, {
+        action: 'CREATE_EVENT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: eventId,
+        details: `Created event: ${req.body.name} (${req.body.startDate} to ${req.body.endDate})`
+      });
+
+      return loadEventRoster(client, eventId, req.user.centreScope);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      data: event
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}:
+ *   put:
+ *     summary: Update an event (Admin/Editor only)
+ *     description: New dates are rejected while any duty would start outside them.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id',
+  authenticateToken,
+  requireEditor,
+  validate('eventUpdate'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const event = await withTransaction(async (client) => {
+      const existing = await lockEvent(client, id);
+      const startDate = req.body.startDate || existing.startDate;
+      const endDate = req.body.endDate || existing.endDate;
+
+      if (endDate < startDate) {
+        throw new AppError('"endDate" must not be before "startDate"', 400);
+      }
+
+      const outsideResult = await client.query(`
+        SELECT COUNT(*) AS count FROM duty_slots
+        WHERE eventid = $1 AND (startsat::date < $2::date OR startsat::date > $3::date)
+      `, [id, startDate, endDate]);
+      const outside = parseInt(outsideResult.rows[0].count, 10);
+
+      if (outside > 0) {
+        throw new AppError(`${outside} ${outside === 1 ? 'duty starts' : 'duties start'} outside ${startDate} to ${endDate}. Move or remove ${outside === 1 ? 'it' : 'them'} first.`, 400);
+      }
+
+      const columns = toColumns(req.body, eventFieldMap);
+      await client.query(`
+        UPDATE events
+        SET ${columns.map(({ column }, index) => `${column} = $${index + 1}`).join(', ')}, updatedat = NOW()
+        WHERE id = $${columns.length + 1}
+      `, [...columns.map(({ value }) => value), id]);
+
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_EVENT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Updated event: ${req.body.name || existing.name} (${Object.keys(req.body).join(', ')})`
+      });
+
+      return loadEventRoster(client, id, req.user.centreScope);
+    });
+
+    res.json({
+      success: true,
+      message: 'Event updated successfully',
+      data: event
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}:
+ *   delete:
+ *     summary: Delete an event with its duties and assignments (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const existing = await lockEvent(client, id);
+      const countsResult = await client.query(`
+        SELECT
+          (SELECT COUNT(*) FROM duty_slots WHERE eventid = $1)::int AS slots,
+          (SELECT COUNT(*) FROM duty_assignments a JOIN duty_slots sl ON a.slotid = sl.id WHERE sl.eventid = $1)::int AS assignments
+      `, [id]);
+      const { slots, assignments } = countsResult.rows[0];
+
+      await client.query('DELETE FROM events WHERE id = $1', [id]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_EVENT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Deleted event: ${existing.name} (${slots} duties, ${assignments} assignments)`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/roster/export:
+ *   get:
+ *     summary: Download an event's duty roster as XLSX, CSV or PDF (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv, pdf]
+ *           default: xlsx
+ */
+router.get('/:id/roster/export',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format);
+    const event = await loadEventRoster(getDatabase(), req.params.id, req.user.centreScope);
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    await writeRosterExport(res, {
+      format,
+      event,
+      generatedBy: `${req.user.firstName} ${req.user.lastName}`
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots:
+ *   post:
+ *     summary: Add a duty slot to an event (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, startsAt, endsAt]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 example: '2024-05-01T09:00'
+ *               endsAt:
+ *                 type: string
+ *                 example: '2024-05-01T13:00'
+ *               requiredCount:
+ *                 type: integer
+ *                 default: 1
+ *               notes:
+ *                 type: string
+ */
+router.post('/:id/slots',
+  authenticateToken,
+  requireEditor,
+  validate('dutySlotCreate'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const slot = await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      assertSlotWithinEvent(event, req.body.startsAt);
+
+      const slotId = uuidv4();
+      const columns = toColumns(req.body, dutySlotFieldMap);
+
+      await client.query(`
+        INSERT INTO duty_slots (id, eventid, ${columns.map(({ column }) => column).join(', ')})
+        VALUES ($1, $2, ${columns.map((_, index) => `$${index + 3}`).join(', ')})
+      `, [slotId, id, ...columns.map(({ value }) => value)]);
+
+      await writeAuditLog(client, req, {
+        action: 'CREATE_DUTY_SLOT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Added duty ${req.body.name} (${req.body.startsAt.replace('T', ' ')} to ${req.body.endsAt.replace('T', ' ')}) to ${event.name}`
+      });
+
+      return loadDutySlot(client, slotId, req.user.centreScope);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Duty slot added successfully',
+      data: slot
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots/{slotId}:
+ *   put:
+ *     summary: Update a duty slot (Admin/Editor only)
+ *     description: New times are rejected with 409 when they would double-book an assigned sewadar.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id/slots/:slotId',
+  authenticateToken,
+  requireEditor,
+  validate('dutySlotUpdate'),
+  asyncHandler(async (req, res) => {
+    const { id, slotId } = req.params;
+
+    const slot = await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const existing = await lockDutySlot(client, id, slotId);
+      const startsAt = req.body.startsAt || existing.startsAt;
+      const endsAt = req.body.endsAt || existing.endsAt;
+
+      if (endsAt <= startsAt) {
+        throw new AppError('"endsAt" must be after "startsAt"', 400);
+      }
+      assertSlotWithinEvent(event, startsAt);
+
+      if (startsAt !== existing.startsAt || endsAt !== existing.endsAt) {
+        const assignedResult = await client.query('SELECT sewadarid FROM duty_assignments WHERE slotid = $1', [slotId]);
+        const assignedIds = assignedResult.rows.map(row => row.sewadarid);
+        // Everyone on the duty is checked, including sewadars from centres the caller cannot see
+        const sewadars = await lockSewadars(client, assignedIds);
+        const conflicts = (await findDutyConflicts(client, assignedIds, { startsAt, endsAt, excludeSlotId: slotId }))
+          .filter(conflict => sewadars.has(conflict.sewadarId));
+
+        if (conflicts.length > 0) {
+          throw new AppError('The new times would double-book assigned sewadars', 409, conflicts.map(conflict => {
+            const sewadar = sewadars.get(conflict.sewadarId);
+            return {
+              ...conflict,
+              message: `${sewadar.firstname} ${sewadar.lastname}: ${describeConflict(conflict)}`
+            };
+          }));
+        }
+      }
+
+      const columns = toColumns(req.body, dutySlotFieldMap);
+      await client.query(`
+        UPDATE duty_slots
+        SET ${columns.map(({ column }, index) => `${column} = $${index + 1}`).join(', ')}, updatedat = NOW()
+        WHERE id = $${columns.length + 1}
+      `, [...columns.map(({ value }) => value), slotId]);
+
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_DUTY_SLOT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Updated duty ${req.body.name || existing.name} at ${event.name} (${Object.keys(req.body).join(', ')})`
+      });
+
+      return loadDutySlot(client, slotId, req.user.centreScope);
+    });
+
+    res.json({
+      success: true,
+      message: 'Duty slot updated successfully',
+      data: slot
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots/{slotId}:
+ *   delete:
+ *     summary: Remove a duty slot and its assignments (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/slots/:slotId',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id, slotId } = req.params;
+
+    await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const existing = await lockDutySlot(client, id, slotId);
+      const countResult = await client.query('SELECT COUNT(*) AS count FROM duty_assignments WHERE slotid = $1', [slotId]);
+
+      await client.query('DELETE FROM duty_slots WHERE id = $1', [slotId]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_DUTY_SLOT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Removed duty ${existing.name} from ${event.name} (${countResult.rows[0].count} assignments)`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Duty slot removed successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots/{slotId}/conflicts:
+ *   get:
+ *     summary: Check which sewadars are already on an overlapping duty
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sewadarIds
+ *         required: true
+ *         description: Comma-separated sewadar IDs (at most 100)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clashing duties, one entry per sewadar and duty
+ */
+router.get('/:id/slots/:slotId/conflicts',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id, slotId } = req.params;
+    const sewadarIds = String(req.query.sewadarIds || '').split(',').map(value => value.trim()).filter(Boolean);
+
+    if (sewadarIds.length === 0 || sewadarIds.length > 100) {
+      throw new AppError('Provide between 1 and 100 sewadarIds', 400);
+    }
+
+    const slot = await loadDutySlot(db, slotId, req.user.centreScope);
+    if (!slot || slot.eventId !== id) {
+      throw new AppError('Duty slot not found', 404);
+    }
+
+    const conflicts = await findDutyConflicts(db, sewadarIds, {
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      excludeSlotId: slotId,
+      centreScope: req.user.centreScope
+    });
+
+    res.json({
+      success: true,
+      data: conflicts.map(conflict => ({ ...conflict, message: describeConflict(conflict) }))
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots/{slotId}/assignments:
+ *   post:
+ *     summary: Assign sewadars to a duty slot (Admin/Editor only)
+ *     description: >
+ *       Each sewadar is checked for overlapping duties at any event. Sewadars who
+ *       would be double-booked are reported and left out; the others are assigned.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sewadarIds]
+ *             properties:
+ *               sewadarIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Per-sewadar results
+ *       409:
+ *         description: Nobody could be assigned
+ */
+router.post('/:id/slots/:slotId/assignments',
+  authenticateToken,
+  requireEditor,
+  validate('dutyAssignment'),
+  asyncHandler(async (req, res) => {
+    const { id, slotId } = req.params;
+    const { sewadarIds } = req.body;
+
+    const { results, slot } = await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const existingSlot = await lockDutySlot(client, id, slotId);
+      const sewadars = await lockSewadars(client, sewadarIds, req.user.centreScope);
+
+      const assignedResult = await client.query('SELECT sewadarid FROM duty_assignments WHERE slotid = $1', [slotId]);
+      const alreadyAssigned = new Set(assignedResult.rows.map(row => row.sewadarid));
+
+      const conflicts = await findDutyConflicts(client, sewadarIds, {
+        startsAt: existingSlot.startsAt,
+        endsAt: existingSlot.endsAt,
+        excludeSlotId: slotId
+      });
+
+      const itemResults = [];
+      for (const sewadarId of sewadarIds) {
+        const sewadar = sewadars.get(sewadarId);
+
+        if (!sewadar) {
+          itemResults.push({ sewadarId, status: 'failed', errors: [{ message: 'Sewadar not found' }] });
+          continue;
+        }
+        if (alreadyAssigned.has(sewadarId)) {
+          itemResults.push({ sewadarId, status: 'unchanged', errors: [] });
+          continue;
+        }
+
+        const clashes = conflicts.filter(conflict => conflict.sewadarId === sewadarId);
+        if (clashes.length > 0) {
+          itemResults.push({
+            sewadarId,
+            status: 'failed',
+            errors: clashes.map(conflict => ({ ...conflict, message: describeConflict(conflict) }))
+          });
+          continue;
+        }
+
+        await client.query(`
+          INSERT INTO duty_assignments (slotid, sewadarid, assignedby)
+          VALUES ($1, $2, $3)
+        `, [slotId, sewadarId, req.user.userId]);
+
+        await writeAuditLog(client, req, {
+          action: 'ASSIGN_DUTY',
+          userId: req.user.userId,
+          entity: 'EVENT',
+          entityId: id,
+          details: `Assigned ${sewadar.firstname} ${sewadar.lastname} to ${existingSlot.name} at ${event.name}`
+        });
+
+        itemResults.push({ sewadarId, status: 'assigned', errors: [] });
+      }
+
+      return { results: itemResults, slot: await loadDutySlot(client, slotId, req.user.centreScope) };
+    });
+
+    const summary = {
+      total: results.length,
+      assigned: results.filter(result => result.status === 'assigned').length,
+      unchanged: results.filter(result => result.status === 'unchanged').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+    const nothingApplied = summary.assigned === 0 && summary.failed > 0;
+
+    res.status(nothingApplied ? 409 : 200).json({
+      success: !nothingApplied,
+      message: nothingApplied
+        ? 'No sewadars could be assigned'
+        : `Assigned ${summary.assigned} of ${summary.total} sewadars`,
+      data: { summary, results, slot }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/slots/{slotId}/assignments/{sewadarId}:
+ *   delete:
+ *     summary: Remove a sewadar from a duty slot (Admin/Editor only)
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/slots/:slotId/assignments/:sewadarId',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id, slotId, sewadarId } = req.params;
+
+    await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const existingSlot = await lockDutySlot(client, id, slotId);
+
+      const scope = sewadarScopeCondition(req.user.centreScope, 3);
+      const deleteResult = await client.query(`
+        DELETE FROM duty_assignments a
+        USING sewadars s
+        WHERE a.sewadarid = s.id AND a.slotid = $1 AND a.sewadarid = $2 AND ${scope.condition}
+        RETURNING s.firstname, s.lastname
+      `, [slotId, sewadarId, ...scope.params]);
+      const removed = deleteResult.rows[0];
+
+      if (!removed) {
+        throw new AppError('This sewadar is not assigned to the duty', 404);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'UNASSIGN_DUTY',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Removed ${removed.firstname} ${removed.lastname} from ${existingSlot.name} at ${event.name}`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Sewadar removed from the duty'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/attendance:
+ *   get:
+ *     summary: Attendance grid for one day of an event
+ *     description: >
+ *       Lists everyone rostered on a duty that starts that day, plus walk-ins
+ *       with attendance recorded, each with their attendance and hours served.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         description: YYYY-MM-DD within the event; defaults to today while the event is on, otherwise its first day
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grid rows and a summary of the day
+ */
+router.get('/:id/attendance',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+
+    const eventResult = await db.query(`
+      SELECT id, name, eventtype AS "eventType", location,
+        to_char(startdate, 'YYYY-MM-DD') AS "startDate", to_char(enddate, 'YYYY-MM-DD') AS "endDate"
+      FROM events WHERE id = $1
+    `, [req.params.id]);
+    const event = eventResult.rows[0];
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const date = resolveAttendanceDate(event, req.query.date);
+    const { summary, rows } = await loadAttendanceDay(db, event.id, date, req.user.centreScope);
+
+    res.json({
+      success: true,
+      data: { event, date, summary, rows }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/attendance:
+ *   put:
+ *     summary: Save attendance for many sewadars on one event day (Admin/Editor only)
+ *     description: >
+ *       Used by the attendance grid. Each record replaces that sewadar's attendance
+ *       for the day; records identical to what is stored are reported as unchanged.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date, records]
+ *             properties:
+ *               date:
+ *                 type: string
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [sewadarId]
+ *                   properties:
+ *                     sewadarId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [PRESENT, ABSENT]
+ *                     checkInAt:
+ *                       type: string
+ *                     checkOutAt:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Per-sewadar results and the refreshed grid for the day
+ */
+router.put('/:id/attendance',
+  authenticateToken,
+  requireEditor,
+  validate('attendanceBulk'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { records } = req.body;
+
+    const { results, day } = await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const date = resolveAttendanceDate(event, req.body.date);
+      const sewadars = await lockSewadars(client, records.map(record => record.sewadarId), req.user.centreScope);
+
+      const itemResults = [];
+      for (const record of records) {
+        const sewadar = sewadars.get(record.sewadarId);
+
+        if (!sewadar) {
+          itemResults.push({ sewadarId: record.sewadarId, status: 'failed', errors: [{ message: 'Sewadar not found' }] });
+          continue;
+        }
+        const timeError = attendanceTimeError(date, record);
+        if (timeError) {
+          itemResults.push({ sewadarId: record.sewadarId, status: 'failed', errors: [{ field: 'checkInAt', message: timeError }] });
+          continue;
+        }
+
+        const changed = await saveAttendance(client, { ...record, eventId: id, date }, {
+          method: 'GRID',
+          recordedBy: req.user.userId
+        });
+        if (changed) {
+          await writeAuditLog(client, req, {
+            action: 'MARK_ATTENDANCE',
+            userId: req.user.userId,
+            entity: 'EVENT',
+            entityId: id,
+            details: `Marked ${describeAttendance(sewadar, record)} at ${event.name} on ${date}`
+          });
+        }
+
+        itemResults.push({ sewadarId: record.sewadarId, status: changed ? 'saved' : 'unchanged', errors: [] });
+      }
+
+      return { results: itemResults, day: { date, ...(await loadAttendanceDay(client, id, date, req.user.centreScope)) } };
+    });
+
+    const summary = {
+      total: results.length,
+      saved: results.filter(result => result.status === 'saved').length,
+      unchanged: results.filter(result => result.status === 'unchanged').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    res.json({
+      success: true,
+      message: `Saved attendance for ${summary.saved} of ${summary.total} sewadars`,
+      data: { summary, results, day }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/attendance/{sewadarId}:
+ *   put:
+ *     summary: Mark one sewadar's attendance on an event day (Admin/Editor only)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [PRESENT, ABSENT]
+ *               checkInAt:
+ *                 type: string
+ *               checkOutAt:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The saved attendance
+ */
+router.put('/:id/attendance/:sewadarId',
+  authenticateToken,
+  requireEditor,
+  validate('attendanceMark'),
+  asyncHandler(async (req, res) => {
+    const { id, sewadarId } = req.params;
+
+    const attendance = await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const date = resolveAttendanceDate(event, req.body.date);
+      const sewadar = (await lockSewadars(client, [sewadarId], req.user.centreScope)).get(sewadarId);
+
+      if (!sewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+      const timeError = attendanceTimeError(date, req.body);
+      if (timeError) {
+        throw new AppError(timeError, 400);
+      }
+
+      const changed = await saveAttendance(client, { ...req.body, eventId: id, sewadarId, date }, {
+        method: 'MANUAL',
+        recordedBy: req.user.userId
+      });
+      if (changed) {
+        await writeAuditLog(client, req, {
+          action: 'MARK_ATTENDANCE',
+          userId: req.user.userId,
+          entity: 'EVENT',
+          entityId: id,
+          details: `Marked ${describeAttendance(sewadar, req.body)} at ${event.name} on ${date}`
+        });
+      }
+
+      const result = await client.query(`
+        SELECT ${attendanceSelectColumns}
+        FROM attendance a
+        WHERE a.eventid = $1 AND a.sewadarid = $2 AND a.attendancedate = $3
+      `, [id, sewadarId, date]);
+      return result.rows[0];
+    });
+
+    res.json({
+      success: true,
+      message: 'Attendance saved',
+      data: attendance
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /events/{id}/attendance/{sewadarId}:
+ *   delete:
+ *     summary: Clear one sewadar's attendance on an event day (Admin/Editor only)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ */
+router.delete('/:id/attendance/:sewadarId',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id, sewadarId } = req.params;
+
+    if (!req.query.date) {
+      throw new AppError('date is required', 400);
+    }
+
+    await withTransaction(async (client) => {
+      const event = await lockEvent(client, id);
+      const date = resolveAttendanceDate(event, req.query.date);
+
+      const scope = sewadarScopeCondition(req.user.centreScope, 4);
+      const deleteResult = await client.query(`
+        DELETE FROM attendance a
+        USING sewadars s
+        WHERE a.sewadarid = s.id AND a.eventid = $1 AND a.sewadarid = $2 AND a.attendancedate = $3 AND ${scope.condition}
+        RETURNING s.firstname, s.lastname
+      `, [id, sewadarId, date, ...scope.params]);
+      const removed = deleteResult.rows[0];
+
+      if (!removed) {
+        throw new AppError('No attendance recorded for this sewadar on that day', 404);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'CLEAR_ATTENDANCE',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: id,
+        details: `Cleared attendance of ${removed.firstname} ${removed.lastname} at ${event.name} on ${date}`
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Attendance cleared'
+    });
+  })
+);
+
+module.exports = router;
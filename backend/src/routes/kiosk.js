@@ -0,0 +1,284 @@
+const express = require('express');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken, requireKiosk } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { writeAuditLog } = require('../utils/audit');
+const { sewadarScopeCondition } = require('../utils/centres');
+const { readPhoto } = require('../utils/sewadarPhoto');
+const { attendanceSelectColumns, saveAttendance } = require('../utils/attendance');
+
+const router = express.Router();
+
+// "YYYY-MM-DD" of the day before, for check-outs after midnight
+const previousDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+};
+
+const loadAttendance = async (client, eventId, sewadarId, date) => {
+  const result = await client.query(`
+    SELECT ${attendanceSelectColumns}
+    FROM attendance a
+    WHERE a.eventid = $1 AND a.sewadarid = $2 AND a.attendancedate = $3
+  `, [eventId, sewadarId, date]);
+  return result.rows[0];
+};
+
+/**
+ * @swagger
+ * /kiosk/events:
+ *   get:
+ *     summary: Events a kiosk can check sewadars in to on a day
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         description: YYYY-MM-DD, the kiosk's local date; defaults to the server's today
+ *         schema:
+ *           type: string
+ */
+router.get('/events',
+  authenticateToken,
+  requireKiosk,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const date = req.query.date || new Date().toLocaleDateString('en-CA');
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new AppError('date must be formatted as YYYY-MM-DD', 400);
+    }
+
+    const result = await db.query(`
+      SELECT id, name, eventtype AS "eventType", location,
+        to_char(startdate, 'YYYY-MM-DD') AS "startDate", to_char(enddate, 'YYYY-MM-DD') AS "endDate"
+      FROM events
+      WHERE startdate <= $1 AND enddate >= $1
+      ORDER BY startdate, LOWER(name)
+    `, [date]);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /kiosk/scans:
+ *   post:
+ *     summary: Record a badge scan as a check-in or check-out
+ *     description: >
+ *       Looks the sewadar up by the scanned badge ID and records attendance for
+ *       the event on the day of scannedAt. Revoked badges are refused. Scans queued
+ *       while the kiosk was offline are sent later with their original scannedAt.
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [eventId, badgeId, scannedAt]
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               badgeId:
+ *                 type: string
+ *               scannedAt:
+ *                 type: string
+ *                 description: Kiosk local time, YYYY-MM-DDTHH:mm
+ *               action:
+ *                 type: string
+ *                 enum: [CHECK_IN, CHECK_OUT]
+ *                 default: CHECK_IN
+ *     responses:
+ *       200:
+ *         description: The sewadar, what happened and their attendance for the day
+ *       403:
+ *         description: The badge has been revoked
+ *       404:
+ *         description: Unknown badge or event
+ *       409:
+ *         description: Check-out without a check-in
+ */
+router.post('/scans',
+  authenticateToken,
+  requireKiosk,
+  validate('kioskScan'),
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { eventId, badgeId, scannedAt, action } = req.body;
+    const date = scannedAt.slice(0, 10);
+
+    // Checked before anything else so a revoked card never gets through, whoever holds its number now
+    const revokedResult = await db.query(`
+      SELECT br.reason, to_char(br.revokedat, 'YYYY-MM-DD') AS "revokedOn", s.id AS "sewadarId", s.firstname, s.lastname
+      FROM badge_revocations br
+      LEFT JOIN sewadars s ON br.sewadarid = s.id
+      WHERE br.badgeid = $1
+    `, [badgeId]);
+    const revoked = revokedResult.rows[0];
+
+    if (revoked) {
+      const holder = revoked.firstname ? ` issued to ${revoked.firstname} ${revoked.lastname}` : '';
+      await writeAuditLog(db, req, {
+        action: 'REVOKED_BADGE_SCANNED',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: revoked.sewadarId,
+        details: `Refused revoked badge ${badgeId}${holder} at the kiosk`
+      });
+      throw new AppError(`Badge ${badgeId} was revoked on ${revoked.revokedOn}: ${revoked.reason}`, 403, [{
+        badgeId,
+        reason: revoked.reason,
+        revokedOn: revoked.revokedOn,
+        message: `Badge ${badgeId}${holder} has been revoked`
+      }]);
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // Sharing the event lock keeps its dates fixed while the scan is recorded
+      const eventResult = await client.query(`
+        SELECT id, name, to_char(startdate, 'YYYY-MM-DD') AS "startDate", to_char(enddate, 'YYYY-MM-DD') AS "endDate"
+        FROM events WHERE id = $1 FOR SHARE
+      `, [eventId]);
+      const event = eventResult.rows[0];
+
+      if (!event) {
+        throw new AppError('Event not found', 404);
+      }
+
+      // Locking the sewadar serialises repeated scans of the same badge; badges from other centres are not recognised
+      const scope = sewadarScopeCondition(req.user.centreScope, 2);
+      const sewadarResult = await client.query(`
+        SELECT s.id, s.firstname AS "firstName", s.lastname AS "lastName", s.badgeid AS "badgeId", s.photoupdatedat AS "photoUpdatedAt"
+        FROM sewadars s WHERE s.badgeid = $1 AND s.deletedat IS NULL AND ${scope.condition} FOR UPDATE OF s
+      `, [badgeId, ...scope.params]);
+      const sewadar = sewadarResult.rows[0];
+
+      if (!sewadar) {
+        throw new AppError(`Badge ${badgeId} is not recognised`, 404);
+      }
+
+      const name = `${sewadar.firstName} ${sewadar.lastName}`;
+      const attendanceOptions = { method: 'KIOSK', recordedBy: req.user.userId };
+
+      if (action === 'CHECK_IN') {
+        if (date < event.startDate || date > event.endDate) {
+          throw new AppError(`${event.name} is not on ${date}`, 400);
+        }
+
+        const existing = await loadAttendance(client, eventId, sewadar.id, date);
+        if (existing && existing.status === 'PRESENT' && existing.checkInAt) {
+          return { result: 'ALREADY_CHECKED_IN', message: `${name} already checked in at ${existing.checkInAt.slice(11)}`, sewadar, attendance: existing };
+        }
+
+        await saveAttendance(client, {
+          eventId,
+          sewadarId: sewadar.id,
+          date,
+          status: 'PRESENT',
+          checkInAt: scannedAt,
+          checkOutAt: null,
+          notes: existing?.notes
+        }, attendanceOptions);
+        await writeAuditLog(client, req, {
+          action: 'KIOSK_CHECK_IN',
+          userId: req.user.userId,
+          entity: 'EVENT',
+          entityId: eventId,
+          details: `Checked in ${name} (badge ${badgeId}) at ${event.name}, ${scannedAt.replace('T', ' ')}`
+        });
+
+        return { result: 'CHECKED_IN', message: `${name} checked in`, sewadar, attendance: await loadAttendance(client, eventId, sewadar.id, date) };
+      }
+
+      // A check-out closes the latest check-in before it, today's or (for night duties) yesterday's
+      const openResult = await client.query(`
+        SELECT ${attendanceSelectColumns}
+        FROM attendance a
+        WHERE a.eventid = $1 AND a.sewadarid = $2 AND a.attendancedate IN ($3, $4)
+          AND a.status = 'PRESENT' AND a.checkinat < $5
+        ORDER BY a.attendancedate DESC
+        LIMIT 1
+        FOR UPDATE
+      `, [eventId, sewadar.id, date, previousDay(date), scannedAt]);
+      const open = openResult.rows[0];
+
+      if (!open) {
+        throw new AppError(`${name} has not checked in, so cannot check out`, 409);
+      }
+      if (open.checkOutAt && open.checkOutAt >= scannedAt) {
+        return { result: 'ALREADY_CHECKED_OUT', message: `${name} already checked out at ${open.checkOutAt.slice(11)}`, sewadar, attendance: open };
+      }
+
+      await saveAttendance(client, {
+        eventId,
+        sewadarId: sewadar.id,
+        date: open.date,
+        status: 'PRESENT',
+        checkInAt: open.checkInAt,
+        checkOutAt: scannedAt,
+        notes: open.notes
+      }, attendanceOptions);
+      await writeAuditLog(client, req, {
+        action: 'KIOSK_CHECK_OUT',
+        userId: req.user.userId,
+        entity: 'EVENT',
+        entityId: eventId,
+        details: `Checked out ${name} (badge ${badgeId}) at ${event.name}, ${scannedAt.replace('T', ' ')}`
+      });
+
+      return { result: 'CHECKED_OUT', message: `${name} checked out`, sewadar, attendance: await loadAttendance(client, eventId, sewadar.id, open.date) };
+    });
+
+    res.json({
+      success: true,
+      message: outcome.message,
+      data: {
+        result: outcome.result,
+        sewadar: outcome.sewadar,
+        attendance: outcome.attendance
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /kiosk/sewadars/{id}/photo:
+ *   get:
+ *     summary: A scanned sewadar's photo, for visual confirmation at the kiosk
+ *     tags: [Kiosk]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/sewadars/:id/photo',
+  authenticateToken,
+  requireKiosk,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const scope = sewadarScopeCondition(req.user.centreScope, 2);
+    const result = await db.query(
+      `SELECT s.photoupdatedat FROM sewadars s WHERE s.id = $1 AND s.deletedat IS NULL AND ${scope.condition}`,
+      [req.params.id, ...scope.params]
+    );
+    const photo = result.rows[0]?.photoupdatedat ? await readPhoto(req.params.id) : null;
+
+    if (!photo) {
+      throw new AppError('Photo not found', 404);
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.type('image/jpeg').send(photo);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, validationPatterns, savedViewShareRoles } = require('../middleware/validation');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { userScopeCondition } = require('../utils/centres');
+const { diffFields, writeAuditLog } = require('../utils/audit');
+
+const router = express.Router();
+
+// Fields of a view compared for the audit log
+const savedViewAuditFields = ['name', 'sharedRole', 'settings'];
+
+/**
+ * Columns returned for a saved view, for a query over saved_views v joined to its owner u;
+ * $1 is the requesting user and $2 their role. Viewers can use shared views but not change them,
+ * and admins can change any shared view they can see.
+ */
+const savedViewSelectColumns = `
+  v.id,
+  v.name,
+  v.sharedrole AS "sharedRole",
+  v.settings,
+  v.ownerid AS "ownerId",
+  u.firstname AS "ownerFirstName",
+  u.lastname AS "ownerLastName",
+  v.createdat AS "createdAt",
+  v.updatedat AS "updatedAt",
+  EXISTS (SELECT 1 FROM saved_view_pins p WHERE p.viewid = v.id AND p.userid = $1) AS "pinned",
+  (
+    (v.ownerid = $1 AND (v.sharedrole IS NULL OR $2::text <> 'VIEWER'))
+    OR (v.sharedrole IS NOT NULL AND $2::text = 'ADMIN')
+  ) AS "canEdit"
+`;
+
+// Roles whose shared views reach a user of this role: their own and every role below it
+const sharedRolesReaching = (role) => savedViewShareRoles.slice(0, savedViewShareRoles.indexOf(role) + 1);
+
+/**
+ * Views a user can see: their own, and views shared with their role by someone
+ * at one of their centres (any centre for a super-admin)
+ * @param {Object} user - req.user
+ * @returns {{ condition: string, params: Array }} Condition over saved_views v and its parameters, starting at $1
+ */
+const visibleViewsCondition = (user) => {
+  const scope = userScopeCondition(user.isSuperAdmin ? null : user.centreIds, 4, 'v.ownerid');
+  return {
+    condition: `(v.ownerid = $1 OR (v.sharedrole = ANY($3::text[]) AND ${scope.condition}))`,
+    params: [user.userId, user.role, sharedRolesReaching(user.role), ...scope.params]
+  };
+};
+
+const loadSavedView = async (db, user, viewId, { lock = false } = {}) => {
+  // IDs come from shared links, so a mangled one is just a view that is not there
+  if (!validationPatterns.uuid.test(viewId)) {
+    throw new AppError('Saved view not found', 404);
+  }
+
+  const visible = visibleViewsCondition(user);
+  const result = await db.query(`
+    SELECT ${savedViewSelectColumns}
+    FROM saved_views v
+    JOIN users u ON v.ownerid = u.id
+    WHERE v.id = $${visible.params.length + 1} AND ${visible.condition}
+    ${lock ? 'FOR UPDATE OF v' : ''}
+  `, [...visible.params, viewId]);
+
+  // Views the caller cannot see are reported as missing, so their names do not leak
+  if (!result.rows[0]) {
+    throw new AppError('Saved view not found', 404);
+  }
+  return result.rows[0];
+};
+
+const assertCanChange = (user, view) => {
+  if (!view.canEdit) {
+    throw new AppError(user.role === 'VIEWER'
+      ? 'Viewers can use shared views but not change them'
+      : 'Only the owner of this view or an admin can change it', 403);
+  }
+};
+
+const assertCanShare = (user, sharedRole) => {
+  if (sharedRole && user.role === 'VIEWER') {
+    throw new AppError('Viewers can only save personal views', 403);
+  }
+};
+
+const assertNameAvailable = async (db, ownerId, name, exceptId = null) => {
+  const result = await db.query(
+    'SELECT id FROM saved_views WHERE ownerid = $1 AND LOWER(name) = LOWER($2) AND id IS DISTINCT FROM $3',
+    [ownerId, name, exceptId]
+  );
+  if (result.rows[0]) {
+    throw new AppError(`A view named "${name}" already exists`, 409);
+  }
+};
+
+const sharingLabel = (sharedRole) => {
+  if (!sharedRole) {
+    return 'personal';
+  }
+  return sharedRole === 'ADMIN' ? 'shared with admins' : `shared with ${sharedRole.toLowerCase()}s and above`;
+};
+
+/**
+ * @swagger
+ * /saved-views:
+ *   get:
+ *     summary: List the sewadar list views the requesting user can open
+ *     description: >
+ *       The user's own views first, then views shared with their role (or a role below it)
+ *       by users at one of their centres. pinned tells whether the user keeps the view in
+ *       their sidebar; canEdit whether they may change or delete it.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: pinned
+ *         description: Only the views the requesting user has pinned
+ *         schema:
+ *           type: boolean
+ */
+router.get('/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const pinnedOnly = String(req.query.pinned) === 'true';
+    const visible = visibleViewsCondition(req.user);
+
+    const result = await db.query(`
+      SELECT ${savedViewSelectColumns}
+      FROM saved_views v
+      JOIN users u ON v.ownerid = u.id
+      WHERE ${visible.condition}
+      ${pinnedOnly ? 'AND EXISTS (SELECT 1 FROM saved_view_pins p WHERE p.viewid = v.id AND p.userid = $1)' : ''}
+      ORDER BY (v.ownerid = $1) DESC, LOWER(v.name)
+    `, visible.params);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /saved-views/{id}:
+ *   get:
+ *     summary: Get a saved view, e.g. to open it from a link
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The view with its settings
+ *       404:
+ *         description: No such view, or it is not shared with the requesting user
+ */
+router.get('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const view = await loadSavedView(getDatabase(), req.user, req.params.id);
+
+    res.json({
+      success: true,
+      data: view
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /saved-views:
+ *   post:
+ *     summary: Save the sewadar list's filters, sort, columns and page size as a named view
+ *     description: >
+ *       Without a sharedRole the view is personal. Sharing with a role shares with the roles
+ *       above it too; viewers can only save personal views.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, settings]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Pending naamdan, passport, added this month
+ *               sharedRole:
+ *                 type: string
+ *                 enum: [VIEWER, EDITOR, ADMIN]
+ *                 nullable: true
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   search:
+ *                     type: string
+ *                   naamdanStatus:
+ *                     type: string
+ *                     enum: ['', 'true', 'false']
+ *                   verificationType:
+ *                     type: string
+ *                   departmentId:
+ *                     type: string
+ *                   query:
+ *                     type: object
+ *                     nullable: true
+ *                     description: Advanced search query, as taken by POST /sewadars/search
+ *                   sortBy:
+ *                     type: string
+ *                   sortOrder:
+ *                     type: string
+ *                     enum: [asc, desc]
+ *                   columns:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [age, verificationType, naamdanStatus, badgeId, createdAt, createdBy, updatedAt]
+ *                   pageSize:
+ *                     type: integer
+ *                     enum: [10, 25, 50, 100]
+ *     responses:
+ *       201:
+ *         description: View saved
+ *       403:
+ *         description: A viewer tried to share the view
+ *       409:
+ *         description: The user already has a view with this name
+ */
+router.post('/',
+  authenticateToken,
+  validate('savedViewCreate'),
+  asyncHandler(async (req, res) => {
+    const { name, sharedRole, settings } = req.body;
+    assertCanShare(req.user, sharedRole);
+
+    const view = await withTransaction(async (client) => {
+      await assertNameAvailable(client, req.user.userId, name);
+
+      const viewId = uuidv4();
+      await client.query(`
+        INSERT INTO saved_views (id, name, ownerid, sharedrole, settings)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [viewId, name, req.user.userId, sharedRole, JSON.stringify(settings)]);
+
+      await writeAuditLog(client, req, {
+        action: 'CREATE_SAVED_VIEW',
+        userId: req.user.userId,
+        entity: 'SAVED_VIEW',
+        entityId: viewId,
+        details: `Saved sewadar list view: ${name} (${sharingLabel(sharedRole)})`,
+        changes: diffFields({}, { name, sharedRole, settings }, savedViewAuditFields)
+      });
+
+      return loadSavedView(client, req.user, viewId);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'View saved successfully',
+      data: view
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /saved-views/{id}:
+ *   put:
+ *     summary: Rename a saved view, change who it is shared with, or replace its settings
+ *     description: >
+ *       Owners can change their views and admins any shared view; viewers cannot change
+ *       shared views. Only the owner can make a shared view personal again, which unpins
+ *       it for everyone else.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: View updated
+ *       403:
+ *         description: The requesting user may not change this view
+ *       404:
+ *         description: No such view, or it is not shared with the requesting user
+ *       409:
+ *         description: The owner already has a view with this name
+ */
+router.put('/:id',
+  authenticateToken,
+  validate('savedViewUpdate'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const view = await withTransaction(async (client) => {
+      const existing = await loadSavedView(client, req.user, id, { lock: true });
+      assertCanChange(req.user, existing);
+
+      const updated = { ...existing, ...req.body };
+      assertCanShare(req.user, updated.sharedRole);
+      // A personal view belongs to its owner alone, so an admin making it personal would lose it
+      if (!updated.sharedRole && existing.ownerId !== req.user.userId) {
+        throw new AppError('Only the owner can make a view personal', 403);
+      }
+      if (req.body.name) {
+        await assertNameAvailable(client, existing.ownerId, req.body.name, id);
+      }
+
+      await client.query(`
+        UPDATE saved_views
+        SET name = $1, sharedrole = $2, settings = $3, updatedat = NOW()
+        WHERE id = $4
+      `, [updated.name, updated.sharedRole, JSON.stringify(updated.settings), id]);
+
+      if (existing.sharedRole && !updated.sharedRole) {
+        await client.query('DELETE FROM saved_view_pins WHERE viewid = $1 AND userid <> $2', [id, existing.ownerId]);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_SAVED_VIEW',
+        userId: req.user.userId,
+        entity: 'SAVED_VIEW',
+        entityId: id,
+        details: `Updated sewadar list view: ${updated.name} (${sharingLabel(updated.sharedRole)})`,
+        changes: diffFields(existing, updated, savedViewAuditFields)
+      });
+
+      return loadSavedView(client, req.user, id);
+    });
+
+    res.json({
+      success: true,
+      message: 'View updated successfully',
+      data: view
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /saved-views/{id}:
+ *   delete:
+ *     summary: Delete a saved view
+ *     description: Owners can delete their views and admins any shared view. It is unpinned for everyone.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: View deleted
+ *       403:
+ *         description: The requesting user may not delete this view
+ *       404:
+ *         description: No such view, or it is not shared with the requesting user
+ */
+router.delete('/:id',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const existing = await loadSavedView(client, req.user, id, { lock: true });
+      assertCanChange(req.user, existing);
+
+      await client.query('DELETE FROM saved_views WHERE id = $1', [id]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_SAVED_VIEW',
+        userId: req.user.userId,
+        entity: 'SAVED_VIEW',
+        entityId: id,
+        details: `Deleted sewadar list view: ${existing.name} (${sharingLabel(existing.sharedRole)})`,
+        changes: diffFields(existing, {}, savedViewAuditFields)
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'View deleted successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /saved-views/{id}/pin:
+ *   put:
+ *     summary: Pin a view to the requesting user's sidebar
+ *     description: Any view the user can open can be pinned, including views shared with them.
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ *   delete:
+ *     summary: Unpin a view from the requesting user's sidebar
+ *     tags: [Saved Views]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/:id/pin',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    await loadSavedView(db, req.user, req.params.id);
+
+    await db.query(`
+      INSERT INTO saved_view_pins (userid, viewid)
+      VALUES ($1, $2)
+      ON CONFLICT (userid, viewid) DO NOTHING
+    `, [req.user.userId, req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'View pinned to the sidebar',
+      data: await loadSavedView(db, req.user, req.params.id)
+    });
+  })
+);
+
+router.delete('/:id/pin',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    if (!validationPatterns.uuid.test(req.params.id)) {
+      throw new AppError('Saved view not found', 404);
+    }
+
+    const db = getDatabase();
+    await db.query('DELETE FROM saved_view_pins WHERE userid = $1 AND viewid = $2', [req.user.userId, req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'View unpinned from the sidebar'
+    });
+  })
+);
+
+module.exports = router;
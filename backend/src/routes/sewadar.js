@@ -1,12 +1,67 @@
 const express = require('express');
+const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const { getDatabase } = require('../database/init');
-const { authenticateToken, requireEditor } = require('../middleware/auth');
-const { validate } = require('../middleware/validation');
+const { getDatabase, withTransaction } = require('../database/init');
+const { authenticateToken, requireEditor, requireAdmin } = require('../middleware/auth');
+const { validate, schemas, validationPatterns } = require('../middleware/validation');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { templateColumns, readImportFile, validateImportRows } = require('../utils/sewadarImport');
+const { parseExportFormat, parseExportColumns, writeSewadarExport } = require('../utils/sewadarExport');
+const { processPhoto, savePhoto, readPhoto, removePhoto, movePhoto } = require('../utils/sewadarPhoto');
+const { MAX_BADGES_PER_PRINT, writeBadgePdf } = require('../utils/sewadarBadge');
+const { getSewadarAttendance, getAttendanceSummary } = require('../utils/attendance');
+const { findDuplicateCandidates, flagImportDuplicates, describeDuplicates } = require('../utils/sewadarDuplicates');
+const { moveRelatedRecords, findMergedInto } = require('../utils/sewadarMerge');
+const {
+  TRASH_RETENTION_DAYS,
+  purgeableAtSql,
+  purgeSewadars,
+  findTrashedIdHolder,
+  sendTrashedIdConflict
+} = require('../utils/sewadarTrash');
+const { diffSnapshots, withChangedFields } = require('../utils/sewadarVersions');
+const { writeAuditLog } = require('../utils/audit');
+const { buildSewadarSearchCondition } = require('../utils/sewadarSearch');
+const {
+  ROW_VERSION_BUMP,
+  setRowVersionHeaders,
+  expectedRowVersion,
+  sendEditConflict
+} = require('../utils/rowVersion');
+const {
+  SEWADAR_CENTRES,
+  sewadarScopeCondition,
+  centresSelect,
+  centresForNewRecord,
+  replaceCentres
+} = require('../utils/centres');
 
 const router = express.Router();
 
+// Import files are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new AppError('Only .xlsx and .csv files can be imported', 400));
+  }
+});
+
+// Photos are resized in memory and only the processed JPEG is written to disk
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new AppError('Photos must be JPEG, PNG or WebP images', 400));
+  }
+});
+
 /* Field mapping middleware */
 const mapSewadarFields = (req, res, next) => {
   if (req.body) {
@@ -15,132 +70,2024 @@ const mapSewadarFields = (req, res, next) => {
       req.body.naamdanStatus = req.body.naamdanComplete;
       delete req.body.naamdanComplete;
     }
-    
-    console.log('📝 Mapped request body:', req.body);
-  }
-  next();
-};
+  }
+  next();
+};
+
+// Map camelCase request fields to sewadars table columns
+const sewadarFieldMap = {
+  firstName: 'firstname',
+  lastName: 'lastname',
+  age: 'age',
+  verificationId: 'verificationid',
+  verificationType: 'verificationtype',
+  naamdanStatus: 'naamdanstatus',
+  naamdanId: 'naamdanid',
+  badgeId: 'badgeid',
+  phone: 'phone',
+  alternatePhone: 'alternatephone',
+  email: 'email',
+  addressLine1: 'addressline1',
+  addressLine2: 'addressline2',
+  city: 'city',
+  district: 'district',
+  state: 'state',
+  pinCode: 'pincode'
+};
+
+/**
+ * Convert validated sewadar fields to column/value pairs for an UPDATE,
+ * handling data type conversions for PostgreSQL compatibility
+ */
+const toSewadarColumns = (fields) => Object.keys(fields)
+  .filter(key => fields[key] !== undefined && sewadarFieldMap[key])
+  .map(key => {
+    let value = fields[key];
+    if (key === 'naamdanStatus') {
+      value = Boolean(value);
+    } else if (key === 'age') {
+      value = value ? parseInt(value) : null;
+    } else if (value === '') {
+      value = null;
+    }
+    return { field: key, column: sewadarFieldMap[key], value };
+  });
+
+// A sewadar's emergency contacts as a JSON array, for use inside a query over sewadars s
+const emergencyContactsSelect = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'name', c.name,
+    'relationship', c.relationship,
+    'phone', c.phone
+  ) ORDER BY c.position), '[]'::json)
+  FROM sewadar_emergency_contacts c
+  WHERE c.sewadarid = s.id
+)`;
+
+// Why the sewadar's current badge number was revoked, or null, for use inside a query over sewadars s
+const badgeRevocationSelect = `(
+  SELECT json_build_object('reason', br.reason, 'revokedAt', br.revokedat)
+  FROM badge_revocations br
+  WHERE br.badgeid = s.badgeid
+)`;
+
+// The departments a sewadar serves in, by name, for use inside a query over sewadars s
+const departmentsSelect = `(
+  SELECT COALESCE(json_agg(json_build_object('id', d.id, 'name', d.name) ORDER BY LOWER(d.name)), '[]'::json)
+  FROM department_members dm
+  JOIN departments d ON dm.departmentid = d.id
+  WHERE dm.sewadarid = s.id
+)`;
+
+// Columns returned for a sewadar by the list, detail, create and update endpoints
+const sewadarSelectColumns = `
+  s.*,
+  s.firstname AS "firstName",
+  s.lastname AS "lastName",
+  s.verificationid AS "verificationId",
+  s.verificationtype AS "verificationType",
+  s.naamdanstatus AS "naamdanStatus",
+  s.naamdanid AS "naamdanId",
+  s.badgeid AS "badgeId",
+  s.alternatephone AS "alternatePhone",
+  s.addressline1 AS "addressLine1",
+  s.addressline2 AS "addressLine2",
+  s.pincode AS "pinCode",
+  ${emergencyContactsSelect} AS "emergencyContacts",
+  s.photoupdatedat AS "photoUpdatedAt",
+  ${badgeRevocationSelect} AS "badgeRevocation",
+  ${departmentsSelect} AS "departments",
+  ${centresSelect(SEWADAR_CENTRES, 's.id')} AS "centres",
+  s.createdby AS "createdBy",
+  s.createdat AS "createdAt",
+  s.updatedat AS "updatedAt",
+  s.rowversion AS "rowVersion",
+  s.deletedat AS "deletedAt",
+  s.deletedby AS "deletedBy",
+  u.firstname AS "createdByFirstName",
+  u.lastname AS "createdByLastName"
+`;
+
+/**
+ * Insert a sewadar and its emergency contacts
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {Object} fields - Fields validated against sewadarCreate
+ * @param {string} createdBy - ID of the user creating the record
+ * @returns {Promise<string>} The new sewadar's ID
+ */
+const insertSewadar = async (client, fields, createdBy) => {
+  const sewadarId = uuidv4();
+  const columns = toSewadarColumns(fields);
+
+  await client.query(`
+    INSERT INTO sewadars (id, ${columns.map(({ column }) => column).join(', ')}, createdby)
+    VALUES ($1, ${columns.map((_, index) => `$${index + 2}`).join(', ')}, $${columns.length + 2})
+  `, [sewadarId, ...columns.map(({ value }) => value), createdBy]);
+
+  if (fields.emergencyContacts) {
+    await replaceEmergencyContacts(client, sewadarId, fields.emergencyContacts);
+  }
+
+  return sewadarId;
+};
+
+/**
+ * Replace a sewadar's emergency contacts with the given list
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @returns {Promise<boolean>} Whether the stored contacts actually changed
+ */
+const replaceEmergencyContacts = async (client, sewadarId, contacts) => {
+  const existingResult = await client.query(
+    'SELECT name, relationship, phone FROM sewadar_emergency_contacts WHERE sewadarid = $1 ORDER BY position',
+    [sewadarId]
+  );
+
+  const describe = (list) => JSON.stringify(list.map(({ name, relationship, phone }) => [name, relationship, phone]));
+  if (describe(existingResult.rows) === describe(contacts)) {
+    return false;
+  }
+
+  await client.query('DELETE FROM sewadar_emergency_contacts WHERE sewadarid = $1', [sewadarId]);
+
+  for (const [position, contact] of contacts.entries()) {
+    await client.query(`
+      INSERT INTO sewadar_emergency_contacts (sewadarid, name, relationship, phone, position)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [sewadarId, contact.name, contact.relationship, contact.phone, position]);
+  }
+
+  return true;
+};
+
+// Everything a version restores (the editable fields, emergency contacts and centres) as one JSON object,
+// for use inside a query over sewadars s
+const versionSnapshotSelect = `json_build_object(
+  ${Object.entries(sewadarFieldMap).map(([field, column]) => `'${field}', s.${column}`).join(',\n  ')},
+  'emergencyContacts', ${emergencyContactsSelect},
+  'centres', ${centresSelect(SEWADAR_CENTRES, 's.id')}
+)`;
+
+/**
+ * Record the sewadar's current state as its next version. Call after the
+ * change, inside the transaction that holds the sewadar's row lock.
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {string} sewadarId - Sewadar that changed
+ * @param {string} action - CREATE, UPDATE, DELETE, RESTORE, MERGE or REVERT
+ * @param {string} userId - User who made the change
+ * @param {string} [note] - What happened, where the action alone does not say
+ * @returns {Promise<{ version: number, changes: Array<Object> }>} The new version number and
+ *   the fields that differ from the previous version (every filled-in field for a new sewadar)
+ */
+const recordSewadarVersion = async (client, sewadarId, action, userId, note = null) => {
+  const result = await client.query(`
+    INSERT INTO sewadar_versions (id, sewadarid, version, action, note, snapshot, changedby)
+    SELECT $2, s.id,
+      COALESCE((SELECT MAX(v.version) FROM sewadar_versions v WHERE v.sewadarid = s.id), 0) + 1,
+      $3, $4, ${versionSnapshotSelect}, $5
+    FROM sewadars s
+    WHERE s.id = $1
+    RETURNING version, snapshot
+  `, [sewadarId, uuidv4(), action, note, userId]);
+  const { version, snapshot } = result.rows[0];
+
+  const previousResult = await client.query(
+    'SELECT snapshot FROM sewadar_versions WHERE sewadarid = $1 AND version = $2',
+    [sewadarId, version - 1]
+  );
+  const previous = previousResult.rows[0];
+
+  return { version, changes: diffSnapshots(previous ? previous.snapshot : {}, snapshot) };
+};
+
+/**
+ * Sewadars added before version history have no versions yet; record their
+ * current state as version 1 so the first change can be compared and undone.
+ * Call before the change.
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {string} sewadarId - Sewadar about to change
+ */
+const recordBaselineVersion = async (client, sewadarId) => {
+  await client.query(`
+    INSERT INTO sewadar_versions (id, sewadarid, version, action, note, snapshot, changedat)
+    SELECT $2, s.id, 1, 'BASELINE', 'State before version history began', ${versionSnapshotSelect}, COALESCE(s.updatedat, s.createdat)
+    FROM sewadars s
+    WHERE s.id = $1 AND NOT EXISTS (SELECT 1 FROM sewadar_versions v WHERE v.sewadarid = s.id)
+  `, [sewadarId, uuidv4()]);
+};
+
+/**
+ * Build the WHERE clause shared by the sewadar list and export endpoints.
+ * Sewadars in the trash never match.
+ * @param {Object} filters - search, naamdanStatus, verificationType and departmentId ("NONE" for sewadars in no department) filters
+ * @param {Array<string>|null} centreScope - req.user.centreScope; only sewadars at these centres match
+ * @returns {{ whereClause: string, params: Array, paramIndex: number }} Clause, its parameters and the next free parameter index
+ */
+const buildSewadarFilters = ({ search = '', naamdanStatus, verificationType, departmentId } = {}, centreScope) => {
+  const scope = sewadarScopeCondition(centreScope, 1);
+  let whereClause = `WHERE s.deletedat IS NULL AND ${scope.condition}`;
+  const params = [...scope.params];
+  let paramIndex = params.length + 1;
+  
+  // Build WHERE clause for filtering with proper PostgreSQL parameters
+  if (search) {
+    whereClause += ` AND (s.firstname LIKE $${paramIndex} OR s.lastname LIKE $${paramIndex + 1} OR s.verificationid LIKE $${paramIndex + 2} OR s.phone LIKE $${paramIndex + 3})`;
+    const searchPattern = `%${search}%`;
+    params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+    paramIndex += 4;
+  }
+  
+  if (naamdanStatus !== undefined && naamdanStatus !== null && naamdanStatus !== '') {
+    let statusValue;
+    if (String(naamdanStatus) === 'true' || naamdanStatus === 'Complete') {
+      statusValue = true;
+    } else if (String(naamdanStatus) === 'false' || naamdanStatus === 'Pending') {
+      statusValue = false;
+    }
+    
+    if (statusValue !== undefined) {
+      whereClause += ` AND s.naamdanstatus = $${paramIndex}`;
+      params.push(statusValue);
+      paramIndex++;
+    }
+  }
+  
+  if (verificationType) {
+    whereClause += ` AND s.verificationtype = $${paramIndex}`;
+    params.push(verificationType);
+    paramIndex++;
+  }
+
+  if (departmentId === 'NONE') {
+    whereClause += ' AND NOT EXISTS (SELECT 1 FROM department_members dm WHERE dm.sewadarid = s.id)';
+  } else if (departmentId) {
+    if (!validationPatterns.uuid.test(departmentId)) {
+      throw new AppError('departmentId must be a department ID or "NONE"', 400);
+    }
+    whereClause += ` AND EXISTS (SELECT 1 FROM department_members dm WHERE dm.sewadarid = s.id AND dm.departmentid = $${paramIndex})`;
+    params.push(departmentId);
+    paramIndex++;
+  }
+
+  return { whereClause, params, paramIndex };
+};
+
+/**
+ * Narrow list filters with an advanced search query
+ * @param {Object} filters - whereClause, params and paramIndex (see buildSewadarFilters)
+ * @param {Object} [query] - Group validated by the sewadarSearch schemas; none leaves the filters as they are
+ * @returns {{ whereClause: string, params: Array, paramIndex: number }} The narrowed filters
+ */
+const withSearchQuery = (filters, query) => {
+  if (!query) {
+    return filters;
+  }
+
+  const search = buildSewadarSearchCondition(query, filters.paramIndex);
+  return {
+    whereClause: `${filters.whereClause} AND ${search.condition}`,
+    params: [...filters.params, ...search.params],
+    paramIndex: search.paramIndex
+  };
+};
+
+/**
+ * WHERE clause matching one sewadar, but only if it is at one of the caller's centres
+ * and not in the trash. Other sewadars are reported as not found.
+ * @param {Object} req - Request with req.user.centreScope
+ * @param {string} id - Sewadar ID
+ * @param {string} alias - Name of the sewadars table in the query
+ * @returns {{ where: string, params: Array }} Clause and its parameters, the ID being $1
+ */
+const scopedSewadarWhere = (req, id, alias = 'sewadars') => {
+  const { condition, params } = sewadarScopeCondition(req.user.centreScope, 2, `${alias}.id`);
+  return { where: `WHERE ${alias}.id = $1 AND ${alias}.deletedat IS NULL AND ${condition}`, params: [id, ...params] };
+};
+
+/**
+ * Sortable list columns mapped to their ORDER BY expressions. Only these keys are
+ * accepted, so the sort request never reaches the SQL text directly.
+ */
+const sewadarSortColumns = {
+  name: ['LOWER(s.firstname)', 'LOWER(s.lastname)'],
+  firstName: ['LOWER(s.firstname)'],
+  lastName: ['LOWER(s.lastname)', 'LOWER(s.firstname)'],
+  age: ['s.age'],
+  badgeId: ['s.badgeid'],
+  naamdanStatus: ['s.naamdanstatus'],
+  createdAt: ['s.createdat'],
+  updatedAt: ['s.updatedat'],
+  createdBy: ['LOWER(u.firstname)', 'LOWER(u.lastname)']
+};
+
+/**
+ * Build the ORDER BY clause shared by the sewadar list and export endpoints
+ * @param {Object} options - sortBy (key of sewadarSortColumns) and sortOrder (asc/desc)
+ * @returns {string} ORDER BY clause ending in a unique tiebreaker so pages never overlap
+ */
+const buildSewadarSort = ({ sortBy, sortOrder } = {}) => {
+  const sortKey = sortBy || 'createdAt';
+  const direction = String(sortOrder || 'desc').toUpperCase();
+
+  const expressions = sewadarSortColumns[sortKey];
+  if (!expressions) {
+    throw new AppError(`Cannot sort by "${sortKey}". Use one of: ${Object.keys(sewadarSortColumns).join(', ')}`, 400);
+  }
+  if (!['ASC', 'DESC'].includes(direction)) {
+    throw new AppError('sortOrder must be "asc" or "desc"', 400);
+  }
+
+  // Empty values stay at the bottom in both directions
+  const orderBy = expressions.map(expression => `${expression} ${direction} NULLS LAST`);
+  return `ORDER BY ${orderBy.join(', ')}, s.id ASC`;
+};
+
+/**
+ * Send one page of the sewadars matching a filter, with creator information and
+ * pagination, as GET /sewadars and POST /sewadars/search answer
+ * @param {Object} res - Express response
+ * @param {Object} filters - whereClause, params and paramIndex (see buildSewadarFilters)
+ * @param {Object} options - page, limit, sortBy and sortOrder
+ */
+const sendSewadarPage = async (res, { whereClause, params, paramIndex }, options) => {
+  const db = getDatabase();
+  const { page = 1, limit = 10 } = options;
+  
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const orderByClause = buildSewadarSort(options);
+  
+  // Get total count
+  const countQuery = `
+    SELECT COUNT(*) as total 
+    FROM sewadars s 
+    ${whereClause}
+  `;
+  const countResult = await db.query(countQuery, params);
+  const total = parseInt(countResult.rows[0].total, 10);
+  
+  // Get sewadars with creator information
+  const sewadarsQuery = `
+    SELECT ${sewadarSelectColumns}
+    FROM sewadars s
+    LEFT JOIN users u ON s.createdby = u.id
+    ${whereClause}
+    ${orderByClause}
+    LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+  `;
+  
+  const sewadarsResult = await db.query(sewadarsQuery, [...params, parseInt(limit), offset]);
+  const sewadars = sewadarsResult.rows;
+  
+  res.json({
+    success: true,
+    data: sewadars,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / parseInt(limit))
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /sewadars:
+ *   get:
+ *     summary: Get all sewadars
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: naamdanStatus
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: departmentId
+ *         description: Only members of this department, or NONE for sewadars in no department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [name, firstName, lastName, age, badgeId, naamdanStatus, createdAt, updatedAt, createdBy]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: List of sewadars retrieved successfully
+ */
+router.get('/', 
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    await sendSewadarPage(res, buildSewadarFilters(req.query, req.user.centreScope), req.query);
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/search:
+ *   post:
+ *     summary: Advanced sewadar search
+ *     description: >
+ *       Nested AND/OR groups of conditions on age and created/updated date ranges, naamdan status,
+ *       verification type, creator, and text on any field (including present/missing). Applied on top of
+ *       the GET /sewadars filters, with the same sort, paging and response.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               query:
+ *                 type: object
+ *                 description: '{ combinator: AND|OR, rules: [condition or group] }'
+ *               page:
+ *                 type: integer
+ *               limit:
+ *                 type: integer
+ *               sortBy:
+ *                 type: string
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Matching sewadars, as GET /sewadars
+ *       400:
+ *         description: Invalid query
+ */
+router.post('/search',
+  authenticateToken,
+  validate('sewadarSearch'),
+  asyncHandler(async (req, res) => {
+    const filters = withSearchQuery(buildSewadarFilters(req.body, req.user.centreScope), req.body.query);
+    await sendSewadarPage(res, filters, req.body);
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/export:
+ *   get:
+ *     summary: Export sewadars matching the list filters as XLSX, CSV or PDF (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv, pdf]
+ *           default: xlsx
+ *       - in: query
+ *         name: columns
+ *         description: Comma-separated column keys; defaults to the standard column set
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: naamdanStatus
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: verificationType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: departmentId
+ *         description: Same as GET /sewadars
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         description: Same sort keys as GET /sewadars
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *   post:
+ *     summary: Same as GET with filters, format and columns in the JSON body, plus an optional advanced query as for POST /sewadars/search
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ */
+const ExcelJS = require('exceljs');
+
+const exportSewadars = asyncHandler(async (req, res) => {
+  const db = getDatabase();
+  const options = req.method === 'GET' ? req.query : req.body;
+
+  const format = parseExportFormat(options.format);
+  const columns = parseExportColumns(options.columns);
+  // Only the validated POST body can carry an advanced query
+  const { whereClause, params } = withSearchQuery(
+    buildSewadarFilters(options, req.user.centreScope),
+    req.method === 'POST' ? options.query : undefined
+  );
+  const orderByClause = buildSewadarSort(options);
+
+  const sewadarsResult = await db.query(`
+    SELECT 
+      s.id,
+      s.firstname AS "firstName",
+      s.lastname AS "lastName",
+      s.age,
+      s.verificationid AS "verificationId",
+      s.verificationtype AS "verificationType",
+      s.naamdanstatus AS "naamdanStatus",
+      s.naamdanid AS "naamdanId",
+      s.badgeid AS "badgeId",
+      s.phone,
+      s.alternatephone AS "alternatePhone",
+      s.email,
+      s.addressline1 AS "addressLine1",
+      s.addressline2 AS "addressLine2",
+      s.city,
+      s.district,
+      s.state,
+      s.pincode AS "pinCode",
+      ${emergencyContactsSelect} AS "emergencyContacts",
+      ${centresSelect(SEWADAR_CENTRES, 's.id')} AS "centres",
+      s.createdat AS "createdAt",
+      s.updatedat AS "updatedAt",
+      u.firstname AS "createdByFirstName",
+      u.lastname AS "createdByLastName"
+    FROM sewadars s
+    LEFT JOIN users u ON s.createdby = u.id
+    ${whereClause}
+    ${orderByClause}
+  `, params);
+  const sewadars = sewadarsResult.rows;
+
+  // Describe the active filters on the printed roster
+  const appliedFilters = [];
+  if (req.user.activeCentreId) {
+    const centreResult = await db.query('SELECT name FROM centres WHERE id = $1', [req.user.activeCentreId]);
+    appliedFilters.push(`centre ${centreResult.rows[0].name}`);
+  }
+  if (options.search) appliedFilters.push(`search "${options.search}"`);
+  if (options.naamdanStatus !== undefined && options.naamdanStatus !== '') {
+    appliedFilters.push(`naamdan ${String(options.naamdanStatus) === 'true' ? 'complete' : 'pending'}`);
+  }
+  if (options.verificationType) appliedFilters.push(`verification ${options.verificationType}`);
+  if (options.departmentId === 'NONE') {
+    appliedFilters.push('no department');
+  } else if (options.departmentId) {
+    const departmentResult = await db.query('SELECT name FROM departments WHERE id = $1', [options.departmentId]);
+    appliedFilters.push(`department ${departmentResult.rows[0]?.name || 'unknown'}`);
+  }
+  if (req.method === 'POST' && options.query) appliedFilters.push('advanced filters');
+
+  await writeSewadarExport(res, {
+    format,
+    columns,
+    sewadars,
+    title: 'RSSB Sewadar Roster',
+    subtitle: `${sewadars.length} sewadars${appliedFilters.length ? ` · ${appliedFilters.join(', ')}` : ''} · generated ${new Date().toLocaleString()} by ${req.user.firstName} ${req.user.lastName}`
+  });
+});
+
+router.get('/export', authenticateToken, requireEditor, exportSewadars);
+router.post('/export', authenticateToken, requireEditor, validate('sewadarExport'), exportSewadars);
+
+/**
+ * @swagger
+ * /sewadars/duplicates:
+ *   post:
+ *     summary: Find existing sewadars that are likely the same person (Admin/Editor only)
+ *     description: >
+ *       Scores the caller's sewadars on normalised name (also with first and last name swapped),
+ *       age, phone, email and full or partial IDs. Call it before POST /sewadars, which refuses
+ *       likely duplicates unless a duplicateReason is sent.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               age:
+ *                 type: integer
+ *               phone:
+ *                 type: string
+ *               excludeId:
+ *                 type: string
+ *                 description: The sewadar being edited
+ *     responses:
+ *       200:
+ *         description: Candidates, best match first, with score, confidence (HIGH or MEDIUM) and reasons
+ */
+router.post('/duplicates',
+  authenticateToken,
+  requireEditor,
+  validate('sewadarDuplicateCheck'),
+  asyncHandler(async (req, res) => {
+    const { excludeId, ...sewadar } = req.body;
+
+    const candidates = await findDuplicateCandidates(getDatabase(), sewadar, {
+      centreScope: req.user.centreScope,
+      excludeId
+    });
+
+    res.json({
+      success: true,
+      data: { candidates }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/merge:
+ *   post:
+ *     summary: Merge two records of the same sewadar (Admin/Editor only)
+ *     description: |
+ *       Keeps the survivor, taking each field from the record named in fields. Attendance,
+ *       duty assignments, departments, centres, badge revocations and audit history move to
+ *       the survivor; the merged record is deleted and its ID redirects to the survivor.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [survivorId, mergedId]
+ *             properties:
+ *               survivorId:
+ *                 type: string
+ *               mergedId:
+ *                 type: string
+ *               fields:
+ *                 type: object
+ *                 description: Field name (including emergencyContacts and photo) to survivor or merged
+ *                 additionalProperties:
+ *                   type: string
+ *                   enum: [survivor, merged]
+ *     responses:
+ *       200:
+ *         description: The survivor after the merge
+ *       404:
+ *         description: Either sewadar not found
+ */
+router.post('/merge',
+  authenticateToken,
+  requireEditor,
+  validate('sewadarMerge'),
+  asyncHandler(async (req, res) => {
+    const { survivorId, mergedId, fields } = req.body;
+    const fromMerged = Object.keys(fields).filter(field => fields[field] === 'merged');
+
+    const { survivor, mergedHadPhoto } = await withTransaction(async (client) => {
+      const scope = sewadarScopeCondition(req.user.centreScope, 2);
+      const lockResult = await client.query(`
+        SELECT s.id FROM sewadars s
+        WHERE s.id = ANY($1::uuid[]) AND s.deletedat IS NULL AND ${scope.condition}
+        ORDER BY s.id
+        FOR UPDATE
+      `, [[survivorId, mergedId], ...scope.params]);
+
+      if (lockResult.rows.length !== 2) {
+        throw new AppError('Sewadar not found', 404);
+      }
+
+      // The full before-state of both records goes into the audit log
+      const beforeResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        WHERE s.id = ANY($1::uuid[])
+      `, [[survivorId, mergedId]]);
+      const survivorBefore = beforeResult.rows.find(row => row.id === survivorId);
+      const mergedBefore = beforeResult.rows.find(row => row.id === mergedId);
+
+      await recordBaselineVersion(client, survivorId);
+      const { moved, discarded } = await moveRelatedRecords(client, mergedId, survivorId);
+
+      // Delete first so the survivor can take over the merged record's unique IDs
+      await client.query('DELETE FROM sewadars WHERE id = $1', [mergedId]);
+      await client.query(
+        'INSERT INTO sewadar_tombstones (id, mergedintoid, mergedby) VALUES ($1, $2, $3)',
+        [mergedId, survivorId, req.user.userId]
+      );
+
+      const updates = fromMerged
+        .filter(field => sewadarFieldMap[field])
+        .map(field => ({ column: sewadarFieldMap[field], value: mergedBefore[sewadarFieldMap[field]] }));
+      if (fields.photo === 'merged') {
+        updates.push({ column: 'photoupdatedat', value: mergedBefore.photoupdatedat });
+      }
+
+      await client.query(`
+        UPDATE sewadars
+        SET ${[...updates.map(({ column }, index) => `${column} = $${index + 2}`), 'updatedat = NOW()', ROW_VERSION_BUMP].join(', ')}
+        WHERE id = $1
+      `, [survivorId, ...updates.map(({ value }) => value)]);
+
+      if (fields.emergencyContacts === 'merged') {
+        await replaceEmergencyContacts(client, survivorId, mergedBefore.emergencyContacts);
+      }
+      const { version, changes } = await recordSewadarVersion(
+        client, survivorId, 'MERGE', req.user.userId,
+        `Merged ${mergedBefore.firstName} ${mergedBefore.lastName} (ID ${mergedId}) into this record`
+      );
+
+      await writeAuditLog(client, req, {
+        action: 'MERGE_SEWADAR',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: survivorId,
+        details: `Merged sewadar: ${mergedBefore.firstName} ${mergedBefore.lastName} (ID ${mergedId}) into ${survivorBefore.firstName} ${survivorBefore.lastName}`
+          + (fromMerged.length > 0 ? `; kept from the merged record: ${fromMerged.join(', ')}` : ''),
+        changes,
+        payload: {
+          survivorId,
+          mergedId,
+          version,
+          fieldsFromMerged: fromMerged,
+          before: { survivor: survivorBefore, merged: mergedBefore },
+          moved,
+          discarded
+        }
+      });
+
+      const survivorResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        WHERE s.id = $1
+      `, [survivorId]);
+
+      return { survivor: survivorResult.rows[0], mergedHadPhoto: Boolean(mergedBefore.photoupdatedat) };
+    });
+
+    // Photo files live outside the database, so they follow once the merge is committed
+    if (fields.photo === 'merged') {
+      if (mergedHadPhoto) {
+        await movePhoto(mergedId, survivorId);
+      } else {
+        await removePhoto(survivorId);
+      }
+    }
+    await removePhoto(mergedId);
+
+    res.json({
+      success: true,
+      message: 'Sewadars merged successfully',
+      data: survivor
+    });
+  })
+);
+
+/**
+ * WHERE clause for sewadars in the trash at the caller's centres, for a query over sewadars s
+ * @param {Object} req - Request with req.user.centreScope
+ * @param {number} paramIndex - First free placeholder number
+ */
+const trashWhere = (req, paramIndex) => {
+  const scope = sewadarScopeCondition(req.user.centreScope, paramIndex);
+  return { where: `WHERE s.deletedat IS NOT NULL AND ${scope.condition}`, params: scope.params };
+};
+
+// Columns for a sewadar in the trash, on top of sewadarSelectColumns; needs users du joined on s.deletedby
+const trashSelectColumns = `
+  ${purgeableAtSql} AS "purgeableAt",
+  ${purgeableAtSql} <= NOW() AS "canPurge",
+  du.firstname AS "deletedByFirstName",
+  du.lastname AS "deletedByLastName"
+`;
+
+/**
+ * @swagger
+ * /sewadars/trash:
+ *   get:
+ *     summary: List deleted sewadars that can still be restored (Admin only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sewadars in the trash, most recently deleted first, with when each may be purged
+ */
+router.get('/trash',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { where, params } = trashWhere(req, 1);
+    let whereClause = where;
+    if (search) {
+      params.push(`%${search}%`);
+      whereClause += ` AND (s.firstname ILIKE $${params.length} OR s.lastname ILIKE $${params.length}
+        OR s.verificationid ILIKE $${params.length} OR s.badgeid ILIKE $${params.length})`;
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM sewadars s ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await db.query(`
+      SELECT ${sewadarSelectColumns}, ${trashSelectColumns}
+      FROM sewadars s
+      LEFT JOIN users u ON s.createdby = u.id
+      LEFT JOIN users du ON s.deletedby = du.id
+      ${whereClause}
+      ORDER BY s.deletedat DESC, s.id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/trash/purge:
+ *   post:
+ *     summary: Permanently delete every sewadar whose retention period in the trash has passed (Admin only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sewadars purged
+ */
+router.post('/trash/purge',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const purged = await withTransaction(async (client) => {
+      const { where, params } = trashWhere(req, 1);
+      const result = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        ${where} AND ${purgeableAtSql} <= NOW()
+        ORDER BY s.id
+        FOR UPDATE OF s
+      `, params);
+
+      await purgeSewadars(client, req, result.rows);
+      return result.rows;
+    });
+
+    for (const sewadar of purged) {
+      await removePhoto(sewadar.id);
+    }
+
+    res.json({
+      success: true,
+      message: `Permanently deleted ${purged.length} sewadars`,
+      data: { purged: purged.length }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/restore:
+ *   post:
+ *     summary: Restore a sewadar from the trash (Admin only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The restored sewadar
+ *       404:
+ *         description: Sewadar not found in the trash
+ */
+router.post('/:id/restore',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const restored = await withTransaction(async (client) => {
+      const { where, params } = trashWhere(req, 2);
+      const existingResult = await client.query(
+        `SELECT s.firstname, s.lastname, s.deletedat FROM sewadars s ${where} AND s.id = $1 FOR UPDATE`,
+        [id, ...params]
+      );
+      const existing = existingResult.rows[0];
+
+      if (!existing) {
+        throw new AppError('Sewadar not found in the trash', 404);
+      }
+
+      await recordBaselineVersion(client, id);
+      await client.query(
+        `UPDATE sewadars SET deletedat = NULL, deletedby = NULL, updatedat = NOW(), ${ROW_VERSION_BUMP} WHERE id = $1`,
+        [id]
+      );
+      const { version } = await recordSewadarVersion(client, id, 'RESTORE', req.user.userId, 'Restored from the trash');
+
+      await writeAuditLog(client, req, {
+        action: 'RESTORE_SEWADAR',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Restored sewadar from the trash: ${existing.firstname} ${existing.lastname}`,
+        changes: [{ field: 'deletedAt', from: existing.deletedat, to: null }],
+        payload: { version }
+      });
+
+      const restoredResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        WHERE s.id = $1
+      `, [id]);
+
+      return restoredResult.rows[0];
+    });
+
+    res.json({
+      success: true,
+      message: 'Sewadar restored successfully',
+      data: restored
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a sewadar from the trash once its retention period has passed (Admin only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sewadar permanently deleted
+ *       404:
+ *         description: Sewadar not found in the trash
+ *       409:
+ *         description: Still within the retention period
+ */
+router.delete('/:id/purge',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const { where, params } = trashWhere(req, 2);
+      const existingResult = await client.query(`
+        SELECT ${sewadarSelectColumns}, ${purgeableAtSql} <= NOW() AS "canPurge"
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        ${where} AND s.id = $1
+        FOR UPDATE OF s
+      `, [id, ...params]);
+      const existing = existingResult.rows[0];
+
+      if (!existing) {
+        throw new AppError('Sewadar not found in the trash', 404);
+      }
+
+      if (!existing.canPurge) {
+        throw new AppError(
+          `Sewadars stay in the trash for ${TRASH_RETENTION_DAYS} days before they can be permanently deleted`,
+          409
+        );
+      }
+
+      const { canPurge, ...sewadar } = existing;
+      await purgeSewadars(client, req, [sewadar]);
+    });
+
+    await removePhoto(id);
+
+    res.json({
+      success: true,
+      message: 'Sewadar permanently deleted'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/import/template:
+ *   get:
+ *     summary: Download an empty sewadar import template (Admin/Editor only)
+ */
+router.get('/import/template',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Sewadars');
+    worksheet.columns = templateColumns;
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.addRow({
+      firstName: 'Ram',
+      lastName: 'Kumar',
+      age: 35,
+      verificationType: 'AADHAR',
+      verificationId: '123456789012',
+      naamdanStatus: 'Pending',
+      naamdanId: '',
+      badgeId: '',
+      phone: '9876543210',
+      email: '',
+      addressLine1: '12 Gurudwara Road',
+      addressLine2: '',
+      city: 'Beas',
+      district: 'Amritsar',
+      state: 'Punjab',
+      pinCode: '143201',
+      emergencyContactName: 'Sita Kumar',
+      emergencyContactRelationship: 'SPOUSE',
+      emergencyContactPhone: '9876501234'
+    });
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=sewadar_import_template.xlsx');
+
+    await workbook.xlsx.write(res);
+    res.end();
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/import:
+ *   post:
+ *     summary: Bulk import sewadars from an .xlsx or .csv file (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               duplicateReason:
+ *                 type: string
+ *                 description: Why rows flagged as possible duplicates should be imported anyway
+ *     responses:
+ *       200:
+ *         description: Row-by-row validation report (dry run), with possibleDuplicates on rows that may already be registered
+ *       201:
+ *         description: All rows imported
+ *       400:
+ *         description: File could not be read or contains invalid rows
+ *       409:
+ *         description: Some rows may already be registered and no duplicateReason was given (code POSSIBLE_DUPLICATES)
+ */
+router.post('/import',
+  authenticateToken,
+  requireEditor,
+  importUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('Please upload an .xlsx or .csv file in the "file" field', 400);
+    }
+
+    const db = getDatabase();
+    // Imports are previews unless the caller explicitly opts out
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true') !== 'false';
+
+    // Imported sewadars join the active centre, so check there is one before reading the file
+    const centreIds = centresForNewRecord(req.user);
+
+    const rows = await readImportFile(req.file);
+    const report = await validateImportRows(db, rows);
+    const duplicateReason = String(req.body.duplicateReason || '').trim();
+
+    const summary = {
+      total: report.length,
+      valid: report.filter(entry => entry.status === 'valid').length,
+      invalid: report.filter(entry => entry.status === 'invalid').length,
+      possibleDuplicates: await flagImportDuplicates(db, report, req.user.centreScope),
+      created: 0
+    };
+
+    if (dryRun) {
+      const duplicateNote = summary.possibleDuplicates > 0
+        ? ` (${summary.possibleDuplicates} may already be registered)`
+        : '';
+      return res.json({
+        success: true,
+        message: summary.invalid > 0
+          ? `${summary.invalid} of ${summary.total} rows need attention`
+          : `All ${summary.total} rows are ready to import${duplicateNote}`,
+        data: { dryRun: true, fileName: req.file.originalname, summary, rows: report }
+      });
+    }
+
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import aborted: fix the invalid rows and upload the file again',
+        data: { dryRun: false, fileName: req.file.originalname, summary, rows: report }
+      });
+    }
+
+    if (summary.possibleDuplicates > 0 && duplicateReason.length < 3) {
+      return res.status(409).json({
+        success: false,
+        code: 'POSSIBLE_DUPLICATES',
+        message: `${summary.possibleDuplicates} rows may already be registered. Remove them from the file, or give a reason to import them anyway.`,
+        data: { dryRun: false, fileName: req.file.originalname, summary, rows: report }
+      });
+    }
+
+    await withTransaction(async (client) => {
+      for (const entry of report) {
+        const { firstName, lastName } = entry.data;
+        const sewadarId = await insertSewadar(client, entry.data, req.user.userId);
+        await replaceCentres(client, SEWADAR_CENTRES, sewadarId, req.user, centreIds);
+        const { version, changes } = await recordSewadarVersion(
+          client, sewadarId, 'CREATE', req.user.userId, `Imported from ${req.file.originalname}, row ${entry.row}`
+        );
+
+        await writeAuditLog(client, req, {
+          action: 'CREATE_SEWADAR',
+          userId: req.user.userId,
+          entity: 'SEWADAR',
+          entityId: sewadarId,
+          details: `Created sewadar: ${firstName} ${lastName} (imported from ${req.file.originalname}, row ${entry.row})`,
+          changes,
+          payload: { version, fileName: req.file.originalname, row: entry.row }
+        });
+
+        if (entry.possibleDuplicates) {
+          await writeAuditLog(client, req, {
+            action: 'DUPLICATE_OVERRIDE',
+            userId: req.user.userId,
+            entity: 'SEWADAR',
+            entityId: sewadarId,
+            details: `Imported ${firstName} ${lastName} (row ${entry.row}) despite possible matches: ${describeDuplicates(entry.possibleDuplicates)}. Reason: ${duplicateReason}`,
+            payload: {
+              reason: duplicateReason,
+              candidates: entry.possibleDuplicates.map(({ id, row, score, reasons }) => ({ id, row, score, reasons }))
+            }
+          });
+        }
+
+        entry.status = 'created';
+        entry.id = sewadarId;
+      }
+    });
+
+    summary.created = report.length;
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.created} sewadars`,
+      data: { dryRun: false, fileName: req.file.originalname, summary, rows: report }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/bulk:
+ *   patch:
+ *     summary: Update or delete many sewadars at once (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               updates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [id]
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *               deleteIds:
+ *                 type: array
+ *                 description: Sewadars to move to the trash
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Per-item results; failed items are reported without undoing the others
+ *       400:
+ *         description: No item could be applied
+ */
+router.patch('/bulk',
+  authenticateToken,
+  requireEditor,
+  validate('sewadarBulkUpdate'),
+  asyncHandler(async (req, res) => {
+    const { updates, deleteIds } = req.body;
+
+    if (updates.length === 0 && deleteIds.length === 0) {
+      throw new AppError('No updates or deletions provided', 400);
+    }
+
+    // Validate every update item up front so bad input never reaches the database
+    const items = [
+      ...updates.map(({ id, ...fields }) => {
+        if ('naamdanComplete' in fields) {
+          fields.naamdanStatus = fields.naamdanComplete;
+          delete fields.naamdanComplete;
+        }
+
+        const { error, value } = schemas.sewadarUpdate.validate(fields, {
+          abortEarly: false,
+          stripUnknown: true
+        });
+
+        return {
+          id,
+          action: 'update',
+          fields: value,
+          errors: error
+            ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+            : []
+        };
+      }),
+      ...deleteIds.map(id => ({ id, action: 'delete', errors: [] }))
+    ];
+
+    const results = await withTransaction(async (client) => {
+      const itemResults = [];
+
+      for (const item of items) {
+        if (item.errors.length > 0) {
+          itemResults.push({ id: item.id, action: item.action, status: 'failed', errors: item.errors });
+          continue;
+        }
+
+        // Each item gets its own savepoint so one failure does not undo the others
+        await client.query('SAVEPOINT bulk_item');
+
+        try {
+          const { where, params } = scopedSewadarWhere(req, item.id);
+          const existingResult = await client.query(`SELECT * FROM sewadars ${where} FOR UPDATE`, params);
+          const existingSewadar = existingResult.rows[0];
+
+          if (!existingSewadar) {
+            throw new AppError('Sewadar not found', 404);
+          }
+
+          await recordBaselineVersion(client, item.id);
+
+          let status;
+
+          if (item.action === 'delete') {
+            await client.query(
+              `UPDATE sewadars SET deletedat = NOW(), deletedby = $2, ${ROW_VERSION_BUMP} WHERE id = $1`,
+              [item.id, req.user.userId]
+            );
+            const { version } = await recordSewadarVersion(client, item.id, 'DELETE', req.user.userId, 'Bulk action');
+
+            await writeAuditLog(client, req, {
+              action: 'DELETE_SEWADAR',
+              userId: req.user.userId,
+              entity: 'SEWADAR',
+              entityId: item.id,
+              details: `Moved sewadar to the trash: ${existingSewadar.firstname} ${existingSewadar.lastname} (bulk action)`,
+              payload: { version, bulk: true }
+            });
+
+            status = 'deleted';
+          } else {
+            const changes = toSewadarColumns(item.fields)
+              .filter(({ column, value }) => existingSewadar[column] !== value);
+
+            if (item.fields.emergencyContacts
+              && await replaceEmergencyContacts(client, item.id, item.fields.emergencyContacts)) {
+              changes.push({ field: 'emergencyContacts' });
+            }
+
+            if (item.fields.centreIds
+              && await replaceCentres(client, SEWADAR_CENTRES, item.id, req.user, item.fields.centreIds)) {
+              changes.push({ field: 'centreIds' });
+            }
+
+            if (changes.length === 0) {
+              status = 'unchanged';
+            } else {
+              const columnChanges = changes.filter(({ column }) => column);
+              const assignments = columnChanges.map(({ column }, index) => `${column} = $${index + 1}`);
+              await client.query(`
+                UPDATE sewadars
+                SET ${[...assignments, 'updatedat = NOW()', ROW_VERSION_BUMP].join(', ')}
+                WHERE id = $${columnChanges.length + 1}
+              `, [...columnChanges.map(({ value }) => value), item.id]);
+              const recorded = await recordSewadarVersion(client, item.id, 'UPDATE', req.user.userId, 'Bulk action');
+
+              await writeAuditLog(client, req, {
+                action: 'UPDATE_SEWADAR',
+                userId: req.user.userId,
+                entity: 'SEWADAR',
+                entityId: item.id,
+                details: `Updated sewadar: ${existingSewadar.firstname} ${existingSewadar.lastname} (bulk action: ${changes.map(({ field }) => field).join(', ')})`,
+                changes: recorded.changes,
+                payload: { version: recorded.version, bulk: true }
+              });
+
+              status = 'updated';
+            }
+          }
+
+          await client.query('RELEASE SAVEPOINT bulk_item');
+          itemResults.push({ id: item.id, action: item.action, status, errors: [] });
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_item');
+          itemResults.push({
+            id: item.id,
+            action: item.action,
+            status: 'failed',
+            errors: [{
+              message: error.code === '23505'
+                ? 'Another sewadar already uses one of these IDs'
+                : error.message
+            }]
+          });
+        }
+      }
+
+      return itemResults;
+    });
+
+    const summary = {
+      total: results.length,
+      updated: results.filter(result => result.status === 'updated').length,
+      unchanged: results.filter(result => result.status === 'unchanged').length,
+      deleted: results.filter(result => result.status === 'deleted').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    const allFailed = summary.failed === summary.total;
+
+    res.status(allFailed ? 400 : 200).json({
+      success: !allFailed,
+      message: allFailed
+        ? 'None of the selected sewadars could be changed'
+        : `Processed ${summary.total - summary.failed} of ${summary.total} sewadars`,
+      data: { summary, results }
+    });
+  })
+);
+
+// Columns needed to draw a badge (see utils/sewadarBadge.js)
+const badgeSelect = `
+  SELECT
+    s.id,
+    s.firstname AS "firstName",
+    s.lastname AS "lastName",
+    s.badgeid AS "badgeId",
+    s.photoupdatedat AS "photoUpdatedAt",
+    ${badgeRevocationSelect} AS "badgeRevocation"
+  FROM sewadars s
+  LEFT JOIN users u ON s.createdby = u.id
+`;
+
+/**
+ * Record one PRINT_BADGE audit entry per printed badge
+ */
+const auditBadgePrints = (req, sewadars, note) => withTransaction(async (client) => {
+  for (const sewadar of sewadars) {
+    await writeAuditLog(client, req, {
+      action: 'PRINT_BADGE',
+      userId: req.user.userId,
+      entity: 'SEWADAR',
+      entityId: sewadar.id,
+      details: `Printed badge ${sewadar.badgeId} for ${sewadar.firstName} ${sewadar.lastName}${note ? ` (${note})` : ''}`,
+      payload: { badgeId: sewadar.badgeId }
+    });
+  }
+});
+
+const badgeFilename = () => `sewadar_badges_${new Date().toISOString().split('T')[0]}.pdf`;
+
+/**
+ * @swagger
+ * /sewadars/badges:
+ *   post:
+ *     summary: Print badges for selected or filtered sewadars as A4 sheets (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               search:
+ *                 type: string
+ *               naamdanStatus:
+ *                 type: boolean
+ *               verificationType:
+ *                 type: string
+ *               departmentId:
+ *                 type: string
+ *               query:
+ *                 type: object
+ *                 description: Advanced query, as for POST /sewadars/search
+ *               sortBy:
+ *                 type: string
+ *                 default: badgeId
+ *               sortOrder:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: PDF with 10 badges per A4 page; X-Badges-Skipped counts sewadars without a badge ID or with a revoked one
+ *       400:
+ *         description: Nothing to print, or more than the per-print limit
+ */
+router.post('/badges',
+  authenticateToken,
+  requireEditor,
+  validate('badgePrint'),
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { ids, query, ...filters } = req.body;
+
+    // Explicit IDs take precedence over the list filters
+    const { whereClause, params, paramIndex } = withSearchQuery(
+      buildSewadarFilters(ids ? {} : filters, req.user.centreScope),
+      ids ? undefined : query
+    );
+    const orderByClause = buildSewadarSort({
+      sortBy: filters.sortBy || 'badgeId',
+      sortOrder: filters.sortOrder || 'asc'
+    });
+
+    const result = await db.query(`
+      ${badgeSelect}
+      ${whereClause}${ids ? ` AND s.id = ANY($${paramIndex})` : ''}
+      ${orderByClause}
+    `, ids ? [...params, ids] : params);
+
+    // Revoked badge numbers are never printed again
+    const sewadars = result.rows.filter(sewadar => sewadar.badgeId && !sewadar.badgeRevocation);
+    const skipped = result.rows.length - sewadars.length;
+
+    if (sewadars.length === 0) {
+      throw new AppError(
+        result.rows.length > 0 ? 'None of these sewadars has a usable badge ID' : 'No sewadars match these filters',
+        400
+      );
+    }
+    if (sewadars.length > MAX_BADGES_PER_PRINT) {
+      throw new AppError(`A single print is limited to ${MAX_BADGES_PER_PRINT} badges; narrow the filters and print in batches`, 400);
+    }
+
+    await auditBadgePrints(req, sewadars, `batch of ${sewadars.length}`);
+
+    res.setHeader('X-Badges-Skipped', String(skipped));
+    await writeBadgePdf(res, sewadars, { layout: 'sheet', filename: badgeFilename() });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/badge:
+ *   get:
+ *     summary: Print one sewadar's badge (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: layout
+ *         description: card (a single card-sized page) or sheet (top corner of an A4 page)
+ *         schema:
+ *           type: string
+ *           enum: [card, sheet]
+ *           default: card
+ */
+router.get('/:id/badge',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const layout = req.query.layout || 'card';
+
+    if (!['card', 'sheet'].includes(layout)) {
+      throw new AppError('layout must be "card" or "sheet"', 400);
+    }
+
+    const { where, params } = scopedSewadarWhere(req, req.params.id, 's');
+    const result = await db.query(`${badgeSelect} ${where}`, params);
+    const sewadar = result.rows[0];
+
+    if (!sewadar) {
+      throw new AppError('Sewadar not found', 404);
+    }
+    if (!sewadar.badgeId) {
+      throw new AppError('This sewadar has no badge ID yet. Add one before printing a badge.', 400);
+    }
+    if (sewadar.badgeRevocation) {
+      throw new AppError(`Badge ${sewadar.badgeId} has been revoked. Give the sewadar a new badge ID before printing.`, 400);
+    }
+
+    await auditBadgePrints(req, [sewadar]);
+
+    await writeBadgePdf(res, [sewadar], { layout, filename: `badge_${sewadar.badgeId}.pdf` });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/badge/revoke:
+ *   post:
+ *     summary: Revoke a sewadar's current badge, e.g. when the card is lost (Admin/Editor only)
+ *     description: >
+ *       The badge number stays revoked even if it is later given to someone else:
+ *       kiosks refuse it and it cannot be printed. Give the sewadar a new badge ID
+ *       to issue a replacement card.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ */
+router.post('/:id/badge/revoke',
+  authenticateToken,
+  requireEditor,
+  validate('badgeRevoke'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const { where, params } = scopedSewadarWhere(req, id);
+      const result = await client.query(`SELECT firstname, lastname, badgeid FROM sewadars ${where} FOR UPDATE`, params);
+      const sewadar = result.rows[0];
+
+      if (!sewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+      if (!sewadar.badgeid) {
+        throw new AppError('This sewadar has no badge to revoke', 400);
+      }
+
+      const insertResult = await client.query(`
+        INSERT INTO badge_revocations (badgeid, sewadarid, reason, revokedby)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (badgeid) DO NOTHING
+      `, [sewadar.badgeid, id, req.body.reason, req.user.userId]);
+
+      if (insertResult.rowCount === 0) {
+        throw new AppError(`Badge ${sewadar.badgeid} is already revoked`, 409);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'REVOKE_BADGE',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Revoked badge ${sewadar.badgeid} of ${sewadar.firstname} ${sewadar.lastname}: ${req.body.reason}`,
+        payload: { badgeId: sewadar.badgeid, reason: req.body.reason }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Badge revoked'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/badge/reinstate:
+ *   post:
+ *     summary: Lift the revocation of a sewadar's current badge, e.g. when a lost card is found (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:id/badge/reinstate',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const { where, params } = scopedSewadarWhere(req, id);
+      const result = await client.query(`SELECT firstname, lastname, badgeid FROM sewadars ${where} FOR UPDATE`, params);
+      const sewadar = result.rows[0];
+
+      if (!sewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+
+      const deleteResult = await client.query('DELETE FROM badge_revocations WHERE badgeid = $1', [sewadar.badgeid]);
+      if (deleteResult.rowCount === 0) {
+        throw new AppError('This sewadar\'s badge is not revoked', 404);
+      }
+
+      await writeAuditLog(client, req, {
+        action: 'REINSTATE_BADGE',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Reinstated badge ${sewadar.badgeid} of ${sewadar.firstname} ${sewadar.lastname}`,
+        payload: { badgeId: sewadar.badgeid }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Badge reinstated'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/photo:
+ *   get:
+ *     summary: Get a sewadar's photo (480x600 JPEG)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *   put:
+ *     summary: Upload or replace a sewadar's photo (Admin/Editor only)
+ *     description: The image is auto-rotated, cropped to the optional box (or to the most prominent area) and resized to 480x600.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *               cropLeft:
+ *                 type: integer
+ *               cropTop:
+ *                 type: integer
+ *               cropWidth:
+ *                 type: integer
+ *               cropHeight:
+ *                 type: integer
+ *   delete:
+ *     summary: Remove a sewadar's photo (Admin/Editor only)
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/photo',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { where, params } = scopedSewadarWhere(req, req.params.id);
+    const result = await db.query(`SELECT photoupdatedat FROM sewadars ${where}`, params);
+    const photo = result.rows[0]?.photoupdatedat ? await readPhoto(req.params.id) : null;
+
+    if (!photo) {
+      throw new AppError('Photo not found', 404);
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.type('image/jpeg').send(photo);
+  })
+);
+
+router.put('/:id/photo',
+  authenticateToken,
+  requireEditor,
+  photoUpload.single('photo'),
+  validate('sewadarPhotoCrop'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!req.file) {
+      throw new AppError('Please upload an image in the "photo" field', 400);
+    }
+
+    const { cropLeft, cropTop, cropWidth, cropHeight } = req.body;
+    const crop = cropWidth
+      ? { left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight }
+      : undefined;
+    const jpeg = await processPhoto(req.file.buffer, crop);
+
+    const photoUpdatedAt = await withTransaction(async (client) => {
+      const { where, params } = scopedSewadarWhere(req, id);
+      const existingResult = await client.query(`SELECT firstname, lastname, photoupdatedat FROM sewadars ${where} FOR UPDATE`, params);
+      const existingSewadar = existingResult.rows[0];
+
+      if (!existingSewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+
+      const updatedResult = await client.query(
+        'UPDATE sewadars SET photoupdatedat = NOW() WHERE id = $1 RETURNING photoupdatedat',
+        [id]
+      );
+
+      await writeAuditLog(client, req, {
+        action: 'UPLOAD_PHOTO',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Updated photo for ${existingSewadar.firstname} ${existingSewadar.lastname}`,
+        changes: [{ field: 'photoUpdatedAt', from: existingSewadar.photoupdatedat, to: updatedResult.rows[0].photoupdatedat }]
+      });
+
+      return updatedResult.rows[0].photoupdatedat;
+    });
+
+    // Photo files live outside the database, so the new one is written once the change is committed
+    await savePhoto(id, jpeg);
+
+    res.json({
+      success: true,
+      message: 'Photo updated successfully',
+      data: { photoUpdatedAt }
+    });
+  })
+);
+
+router.delete('/:id/photo',
+  authenticateToken,
+  requireEditor,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const { where, params } = scopedSewadarWhere(req, id);
+      const existingResult = await client.query(`SELECT firstname, lastname, photoupdatedat FROM sewadars ${where} FOR UPDATE`, params);
+      const existingSewadar = existingResult.rows[0];
+
+      if (!existingSewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+      if (!existingSewadar.photoupdatedat) {
+        throw new AppError('This sewadar has no photo', 404);
+      }
+
+      await client.query('UPDATE sewadars SET photoupdatedat = NULL WHERE id = $1', [id]);
+
+      await writeAuditLog(client, req, {
+        action: 'DELETE_PHOTO',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Removed photo for ${existingSewadar.firstname} ${existingSewadar.lastname}`,
+        changes: [{ field: 'photoUpdatedAt', from: existingSewadar.photoupdatedat, to: null }]
+      });
+    });
+
+    await removePhoto(id);
+
+    res.json({
+      success: true,
+      message: 'Photo removed successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/attendance:
+ *   get:
+ *     summary: A sewadar's attendance history and service hours
+ *     description: Records are newest first; runningHours is the sewadar's total up to and including each record.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:id/attendance',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { where, params } = scopedSewadarWhere(req, req.params.id);
+    const result = await db.query(`SELECT id FROM sewadars ${where}`, params);
+
+    if (!result.rows[0]) {
+      throw new AppError('Sewadar not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: await getSewadarAttendance(db, req.params.id)
+    });
+  })
+);
 
 /**
  * @swagger
- * /sewadars:
+ * /sewadars/{id}/versions:
  *   get:
- *     summary: Get all sewadars
+ *     summary: A sewadar's version history, newest first
+ *     description: Each version lists the fields it changed relative to the version before it.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Versions with action, note, author and changedFields
+ *       404:
+ *         description: Sewadar not found
+ */
+router.get('/:id/versions',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { where, params } = scopedSewadarWhere(req, req.params.id);
+    const result = await db.query(`SELECT id FROM sewadars ${where}`, params);
+
+    if (!result.rows[0]) {
+      throw new AppError('Sewadar not found', 404);
+    }
+
+    const versionsResult = await db.query(`
+      SELECT
+        v.version,
+        v.action,
+        v.note,
+        v.snapshot,
+        v.changedat AS "changedAt",
+        u.firstname AS "changedByFirstName",
+        u.lastname AS "changedByLastName"
+      FROM sewadar_versions v
+      LEFT JOIN users u ON v.changedby = u.id
+      WHERE v.sewadarid = $1
+      ORDER BY v.version
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      data: withChangedFields(versionsResult.rows).reverse()
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /sewadars/{id}/versions/diff:
+ *   get:
+ *     summary: Field-level differences between two versions of a sewadar
  *     tags: [Sewadars]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: from
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 1
  *       - in: query
- *         name: limit
+ *         name: to
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 10
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *       - in: query
- *         name: naamdanStatus
- *         schema:
- *           type: boolean
  *     responses:
  *       200:
- *         description: List of sewadars retrieved successfully
+ *         description: Both versions and the fields whose values differ
+ *       404:
+ *         description: Sewadar or version not found
  */
-router.get('/', 
+router.get('/:id/versions/diff',
   authenticateToken,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
-    const { 
-      page = 1, 
-      limit = 10, 
-      search = '', 
-      naamdanStatus,
-      verificationType 
-    } = req.query;
-    
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    let whereClause = 'WHERE 1=1';
-    let params = [];
-    let paramIndex = 1;
-    
-    // Build WHERE clause for filtering with proper PostgreSQL parameters
-    if (search) {
-      whereClause += ` AND (s.firstname LIKE $${paramIndex} OR s.lastname LIKE $${paramIndex + 1} OR s.verificationid LIKE $${paramIndex + 2})`;
-      const searchPattern = `%${search}%`;
-      params.push(searchPattern, searchPattern, searchPattern);
-      paramIndex += 3;
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      throw new AppError('Choose the two versions to compare', 400, [
+        { field: 'from', message: 'from and to must be version numbers' }
+      ]);
     }
-    
-    if (naamdanStatus !== undefined && naamdanStatus !== '') {
-      let statusValue;
-      if (naamdanStatus === 'true' || naamdanStatus === 'Complete') {
-        statusValue = true;
-      } else if (naamdanStatus === 'false' || naamdanStatus === 'Pending') {
-        statusValue = false;
-      }
-      
-      if (statusValue !== undefined) {
-        whereClause += ` AND s.naamdanstatus = $${paramIndex}`;
-        params.push(statusValue);
-        paramIndex++;
-      }
+
+    const db = getDatabase();
+    const { where, params } = scopedSewadarWhere(req, req.params.id);
+    const result = await db.query(`SELECT id FROM sewadars ${where}`, params);
+
+    if (!result.rows[0]) {
+      throw new AppError('Sewadar not found', 404);
     }
-    
-    if (verificationType) {
-      whereClause += ` AND s.verificationtype = $${paramIndex}`;
-      params.push(verificationType);
-      paramIndex++;
+
+    const versionsResult = await db.query(`
+      SELECT
+        v.version,
+        v.action,
+        v.note,
+        v.snapshot,
+        v.changedat AS "changedAt",
+        u.firstname AS "changedByFirstName",
+        u.lastname AS "changedByLastName"
+      FROM sewadar_versions v
+      LEFT JOIN users u ON v.changedby = u.id
+      WHERE v.sewadarid = $1 AND v.version = ANY($2::int[])
+    `, [req.params.id, [from, to]]);
+    const fromVersion = versionsResult.rows.find(row => row.version === from);
+    const toVersion = versionsResult.rows.find(row => row.version === to);
+
+    if (!fromVersion || !toVersion) {
+      throw new AppError('Version not found', 404);
     }
-    
-    // Get total count
-    const countQuery = `
-      SELECT COUNT(*) as total 
-      FROM sewadars s 
-      ${whereClause}
-    `;
-    const countResult = await db.query(countQuery, params);
-    const total = parseInt(countResult.rows[0].total, 10);
-    
-    // Get sewadars with creator information
-    const sewadarsQuery = `
-      SELECT 
-        s.*,
-        s.firstname AS "firstName",
-        s.lastname AS "lastName",
-        s.verificationid AS "verificationId",
-        s.verificationtype AS "verificationType",
-        s.naamdanstatus AS "naamdanStatus",
-        s.naamdanid AS "naamdanId",
-        s.badgeid AS "badgeId",
-        s.createdby AS "createdBy",
-        s.createdat AS "createdAt",
-        s.updatedat AS "updatedAt",
-        u.firstname AS "createdByFirstName",
-        u.lastname AS "createdByLastName"
-      FROM sewadars s
-      LEFT JOIN users u ON s.createdby = u.id
-      ${whereClause}
-      ORDER BY s.createdat DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-    
-    const sewadarsResult = await db.query(sewadarsQuery, [...params, parseInt(limit), offset]);
-    const sewadars = sewadarsResult.rows;
-    
+
     res.json({
       success: true,
-      data: sewadars,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / parseInt(limit))
+      data: {
+        from: fromVersion,
+        to: toVersion,
+        changes: diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
       }
     });
   })
@@ -148,89 +2095,112 @@ router.get('/',
 
 /**
  * @swagger
- * /sewadars/export:
- *   get:
- *     summary: Export all sewadars to Excel (Admin/Editor only)
+ * /sewadars/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Put a sewadar's fields, emergency contacts and centres back as they were in a version (Admin/Editor only)
+ *     description: The restore is recorded as a new version. Centres the caller cannot assign are left as they are.
+ *     tags: [Sewadars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The sewadar after the restore
+ *       404:
+ *         description: Sewadar or version not found
+ *       409:
+ *         description: Another sewadar now uses one of the version's unique IDs
  */
-const ExcelJS = require('exceljs');
-
-router.get('/export', 
+router.post('/:id/versions/:version/restore',
   authenticateToken,
   requireEditor,
-  async (req, res) => {
-    try {
-      const db = getDatabase();
-      
-      const sewadarsResult = await db.query(`
-        SELECT 
-          s.id,
-          s.firstname AS "firstName",
-          s.lastname AS "lastName",
-          s.age,
-          s.verificationid AS "verificationId",
-          s.verificationtype AS "verificationType",
-          s.naamdanstatus AS "naamdanStatus",
-          s.naamdanid AS "naamdanId",
-          s.badgeid AS "badgeId",
-          s.createdat AS "createdAt",
-          s.updatedat AS "updatedAt",
-          u.firstname AS "createdByFirstName",
-          u.lastname AS "createdByLastName"
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+
+    const { sewadar, version } = await withTransaction(async (client) => {
+      const { where, params } = scopedSewadarWhere(req, id);
+      const existingResult = await client.query(`SELECT * FROM sewadars ${where} FOR UPDATE`, params);
+      const existingSewadar = existingResult.rows[0];
+
+      if (!existingSewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+
+      const versionResult = await client.query(
+        'SELECT snapshot FROM sewadar_versions WHERE sewadarid = $1 AND version = $2',
+        [id, Number.isInteger(versionNumber) ? versionNumber : 0]
+      );
+
+      if (!versionResult.rows[0]) {
+        throw new AppError('Version not found', 404);
+      }
+
+      const { snapshot } = versionResult.rows[0];
+      const columns = Object.entries(sewadarFieldMap).map(([field, column]) => ({ column, value: snapshot[field] }));
+
+      try {
+        await client.query(`
+          UPDATE sewadars
+          SET ${[...columns.map(({ column }, index) => `${column} = $${index + 2}`), 'updatedat = NOW()', ROW_VERSION_BUMP].join(', ')}
+          WHERE id = $1
+        `, [id, ...columns.map(({ value }) => value)]);
+      } catch (error) {
+        if (error.code === '23505') {
+          throw new AppError('Another sewadar now uses one of the IDs in this version', 409);
+        }
+        throw error;
+      }
+
+      await replaceEmergencyContacts(client, id, snapshot.emergencyContacts);
+
+      // Centres deleted since, or outside the caller's reach, cannot be put back
+      const centresResult = await client.query(
+        'SELECT id FROM centres WHERE id = ANY($1::uuid[])',
+        [snapshot.centres.map(centre => centre.id)]
+      );
+      await replaceCentres(
+        client,
+        SEWADAR_CENTRES,
+        id,
+        req.user,
+        centresResult.rows
+          .map(row => row.id)
+          .filter(centreId => req.user.isSuperAdmin || req.user.centreIds.includes(centreId))
+      );
+
+      const restoredVersion = await recordSewadarVersion(
+        client, id, 'REVERT', req.user.userId, `Restored version ${versionNumber}`
+      );
+
+      await writeAuditLog(client, req, {
+        action: 'RESTORE_SEWADAR_VERSION',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Restored sewadar ${existingSewadar.firstname} ${existingSewadar.lastname} to version ${versionNumber} `
+          + `(version ${restoredVersion.version}: ${restoredVersion.changes.length > 0
+            ? restoredVersion.changes.map(({ field }) => field).join(', ')
+            : 'no changes'})`,
+        changes: restoredVersion.changes,
+        payload: { restoredVersion: versionNumber, version: restoredVersion.version }
+      });
+
+      const restoredResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
         FROM sewadars s
         LEFT JOIN users u ON s.createdby = u.id
-        ORDER BY s.createdat DESC
-      `);
-      const sewadars = sewadarsResult.rows;
-      
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('Sewadars Data');
-      
-      worksheet.columns = [
-        { header: 'ID', key: 'id', width: 36 },
-        { header: 'First Name', key: 'firstName', width: 20 },
-        { header: 'Last Name', key: 'lastName', width: 20 },
-        { header: 'Age', key: 'age', width: 10 },
-        { header: 'Verification Type', key: 'verificationType', width: 20 },
-        { header: 'Verification ID', key: 'verificationId', width: 25 },
-        { header: 'Naamdan Status', key: 'naamdanStatus', width: 15 },
-        { header: 'Naamdan ID', key: 'naamdanId', width: 20 },
-        { header: 'Badge ID', key: 'badgeId', width: 20 },
-        { header: 'Created By', key: 'createdBy', width: 25 },
-        { header: 'Created Date', key: 'createdAt', width: 20 }
-      ];
-      
-      sewadars.forEach(sewadar => {
-        worksheet.addRow({
-          id: sewadar.id,
-          firstName: sewadar.firstName,
-          lastName: sewadar.lastName,
-          age: sewadar.age,
-          verificationType: sewadar.verificationType,
-          verificationId: sewadar.verificationId,
-          naamdanStatus: sewadar.naamdanStatus ? 'Complete' : 'Pending',
-          naamdanId: sewadar.naamdanId,
-          badgeId: sewadar.badgeId,
-          createdBy: sewadar.createdByFirstName && sewadar.createdByLastName 
-            ? `${sewadar.createdByFirstName} ${sewadar.createdByLastName}` 
-            : 'Unknown',
-          createdAt: new Date(sewadar.createdAt).toLocaleDateString()
-        });
-      });
-      
-      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename=sewadars_export_${new Date().toISOString().split('T')[0]}.xlsx`);
-      
-      await workbook.xlsx.write(res);
-      res.end();
-      
-    } catch (error) {
-      console.error('Export error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Export failed'
-      });
-    }
-  }
+        WHERE s.id = $1
+      `, [id]);
+
+      return { sewadar: restoredResult.rows[0], version: restoredVersion.version };
+    });
+
+    res.json({
+      success: true,
+      message: `Restored version ${versionNumber} as version ${version}`,
+      data: sewadar
+    });
+  })
 );
 
 /**
@@ -238,43 +2208,39 @@ router.get('/export',
  * /sewadars/{id}:
  *   get:
  *     summary: Get sewadar by ID
+ *     description: The ID of a record merged into another answers 308 with the survivor's URL
  */
 router.get('/:id', 
   authenticateToken,
   asyncHandler(async (req, res) => {
     const db = getDatabase();
     const { id } = req.params;
+    const { where, params } = scopedSewadarWhere(req, id, 's');
     
     const sewadarResult = await db.query(`
-      SELECT 
-        s.*,
-        s.firstname AS "firstName",
-        s.lastname AS "lastName",
-        s.verificationid AS "verificationId",
-        s.verificationtype AS "verificationType",
-        s.naamdanstatus AS "naamdanStatus",
-        s.naamdanid AS "naamdanId",
-        s.badgeid AS "badgeId",
-        s.createdby AS "createdBy",
-        s.createdat AS "createdAt",
-        s.updatedat AS "updatedAt",
-        u.firstname AS "createdByFirstName",
-        u.lastname AS "createdByLastName",
+      SELECT ${sewadarSelectColumns},
         u.email AS "createdByEmail"
       FROM sewadars s
       LEFT JOIN users u ON s.createdby = u.id
-      WHERE s.id = $1
-    `, [id]);
+      ${where}
+    `, params);
     
     const sewadar = sewadarResult.rows[0];
     
     if (!sewadar) {
+      // Links to a merged record lead on to the record it was merged into
+      const mergedIntoId = await findMergedInto(db, id);
+      if (mergedIntoId) {
+        return res.redirect(308, `${req.baseUrl}/${mergedIntoId}`);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Sewadar not found'
       });
     }
     
+    setRowVersionHeaders(res, sewadar.rowVersion);
     res.json({
       success: true,
       data: sewadar
@@ -287,6 +2253,15 @@ router.get('/:id',
  * /sewadars:
  *   post:
  *     summary: Create new sewadar
+ *     responses:
+ *       201:
+ *         description: Sewadar created
+ *       409:
+ *         description: >
+ *           Likely duplicates of an existing sewadar (code POSSIBLE_DUPLICATES, candidates in data).
+ *           Send duplicateReason to create the sewadar anyway; the override is audited. A verification,
+ *           naamdan or badge ID held by a sewadar in the trash answers code ID_IN_TRASH with that
+ *           sewadar in data, to be restored instead.
  */
 router.post('/', 
   authenticateToken,
@@ -294,90 +2269,66 @@ router.post('/',
   mapSewadarFields,
   validate('sewadarCreate'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
-    const sewadarId = uuidv4();
+    const { firstName, lastName, duplicateReason } = req.body;
+    const centreIds = centresForNewRecord(req.user, req.body.centreIds);
 
-    console.log('📝 Creating sewadar with data:', req.body);
-    
-    const {
-      firstName,
-      lastName,
-      age,
-      verificationId,
-      verificationType,
-      naamdanStatus,
-      naamdanId,
-      badgeId
-    } = req.body;
-    
-    // Data conversion for PostgreSQL compatibility
-    const cleanData = {
-      id: sewadarId,
-      firstName: firstName || null,
-      lastName: lastName || null,
-      age: age ? parseInt(age) : null,
-      verificationId: verificationId || null,
-      verificationType: verificationType || null,
-      naamdanStatus: Boolean(naamdanStatus),
-      naamdanId: naamdanId || null,
-      badgeId: badgeId || null,
-      createdBy: req.user.userId
-    };
-    
-    // Insert new sewadar
-    await db.query(`
-      INSERT INTO sewadars (
-        id, firstname, lastname, age, verificationid, verificationtype,
-        naamdanstatus, naamdanid, badgeid, createdby
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-    `, [
-      cleanData.id,
-      cleanData.firstName,
-      cleanData.lastName,
-      cleanData.age,
-      cleanData.verificationId,
-      cleanData.verificationType,
-      cleanData.naamdanStatus,
-      cleanData.naamdanId,
-      cleanData.badgeId,
-      cleanData.createdBy
-    ]);
-    
-    // Log the creation
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'CREATE_SEWADAR', 
-      req.user.userId, 
-      'SEWADAR', 
-      sewadarId,
-      `Created sewadar: ${firstName} ${lastName}`
-    ]);
-    
-    // Fetch the created sewadar with creator info
-    const createdResult = await db.query(`
-      SELECT 
-        s.*,
-        s.firstname AS "firstName",
-        s.lastname AS "lastName",
-        s.verificationid AS "verificationId",
-        s.verificationtype AS "verificationType",
-        s.naamdanstatus AS "naamdanStatus",
-        s.naamdanid AS "naamdanId",
-        s.badgeid AS "badgeId",
-        s.createdby AS "createdBy",
-        s.createdat AS "createdAt",
-        s.updatedat AS "updatedAt",
-        u.firstname AS "createdByFirstName",
-        u.lastname AS "createdByLastName"
-      FROM sewadars s
-      LEFT JOIN users u ON s.createdby = u.id
-      WHERE s.id = $1
-    `, [sewadarId]);
+    // IDs stay taken while their sewadar is in the trash; point at that record instead of failing on the constraint
+    const trashedHolder = await findTrashedIdHolder(getDatabase(), req.body, req.user.centreScope);
+    if (trashedHolder) {
+      return sendTrashedIdConflict(res, trashedHolder);
+    }
+
+    // The same person is often entered twice under a slightly different name
+    const duplicates = await findDuplicateCandidates(getDatabase(), req.body, { centreScope: req.user.centreScope });
+    if (duplicates.length > 0 && !duplicateReason) {
+      return res.status(409).json({
+        success: false,
+        code: 'POSSIBLE_DUPLICATES',
+        message: 'This sewadar may already be registered. Check the possible matches, or give a reason to add them anyway.',
+        data: { candidates: duplicates }
+      });
+    }
     
-    const createdSewadar = createdResult.rows[0];
+    const createdSewadar = await withTransaction(async (client) => {
+      const sewadarId = await insertSewadar(client, req.body, req.user.userId);
+      await replaceCentres(client, SEWADAR_CENTRES, sewadarId, req.user, centreIds);
+      const { version, changes } = await recordSewadarVersion(client, sewadarId, 'CREATE', req.user.userId);
+      
+      // Log the creation
+      await writeAuditLog(client, req, {
+        action: 'CREATE_SEWADAR',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: sewadarId,
+        details: `Created sewadar: ${firstName} ${lastName}`,
+        changes,
+        payload: { version }
+      });
+
+      if (duplicates.length > 0) {
+        await writeAuditLog(client, req, {
+          action: 'DUPLICATE_OVERRIDE',
+          userId: req.user.userId,
+          entity: 'SEWADAR',
+          entityId: sewadarId,
+          details: `Created ${firstName} ${lastName} despite possible matches: ${describeDuplicates(duplicates)}. Reason: ${duplicateReason}`,
+          payload: {
+            reason: duplicateReason,
+            candidates: duplicates.map(({ id, row, score, reasons }) => ({ id, row, score, reasons }))
+          }
+        });
+      }
+      
+      // Fetch the created sewadar with creator info
+      const createdResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        WHERE s.id = $1
+      `, [sewadarId]);
+      
+      return createdResult.rows[0];
+    });
     
     res.status(201).json({
       success: true,
@@ -392,6 +2343,18 @@ router.post('/',
  * /sewadars/{id}:
  *   put:
  *     summary: Update sewadar
+ *     description: >
+ *       Send the rowVersion returned by GET /sewadars/{id}, in the body or as the If-Match ETag,
+ *       so that an edit cannot overwrite changes saved by someone else in the meantime.
+ *     responses:
+ *       200:
+ *         description: Sewadar updated; the new ETag is returned
+ *       409:
+ *         description: >
+ *           Changed by someone else since it was loaded (code EDIT_CONFLICT, current sewadar in data),
+ *           or an ID is held by a sewadar in the trash (code ID_IN_TRASH)
+ *       428:
+ *         description: Neither rowVersion nor If-Match was sent
  */
 router.put('/:id', 
   authenticateToken,
@@ -399,106 +2362,103 @@ router.put('/:id',
   mapSewadarFields,
   validate('sewadarUpdate'),
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
     const { id } = req.params;
-    
-    // Check if sewadar exists
-    const existingResult = await db.query('SELECT * FROM sewadars WHERE id = $1', [id]);
-    const existingSewadar = existingResult.rows[0];
-    
-    if (!existingSewadar) {
-      throw new AppError('Sewadar not found', 404);
+    const rowVersion = expectedRowVersion(req);
+
+    const trashedHolder = await findTrashedIdHolder(getDatabase(), req.body, req.user.centreScope);
+    if (trashedHolder) {
+      return sendTrashedIdConflict(res, trashedHolder);
     }
     
-    // Build dynamic update query with PostgreSQL parameter conversion
-    const updates = [];
-    const values = [];
-    let paramIndex = 1;
-    
-    // Map camelCase to snake_case and handle data type conversions
-    const fieldMap = {
-      firstName: 'firstname',
-      lastName: 'lastname',
-      age: 'age',
-      verificationId: 'verificationid',
-      verificationType: 'verificationtype',
-      naamdanStatus: 'naamdanstatus',
-      naamdanId: 'naamdanid',
-      badgeId: 'badgeid'
-    };
-    
-    Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined && fieldMap[key]) {
-        const dbColumn = fieldMap[key];
-        updates.push(`${dbColumn} = $${paramIndex}`);
-        
-        // Convert data types for PostgreSQL compatibility
-        let value = req.body[key];
-        if (key === 'naamdanStatus') {
-          value = Boolean(value);
-        } else if (key === 'age') {
-          value = value ? parseInt(value) : null;
-        } else if (value === '') {
-          value = null;
-        }
-        
+    const { sewadar: updatedSewadar, conflict } = await withTransaction(async (client) => {
+      // Check if sewadar exists
+      const { where, params } = scopedSewadarWhere(req, id);
+      const existingResult = await client.query(`SELECT * FROM sewadars ${where} FOR UPDATE`, params);
+      const existingSewadar = existingResult.rows[0];
+      
+      if (!existingSewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+
+      // Someone else saved since this edit was loaded; hand back their version instead of overwriting it
+      if (existingSewadar.rowversion !== rowVersion) {
+        const currentResult = await client.query(`
+          SELECT ${sewadarSelectColumns}
+          FROM sewadars s
+          LEFT JOIN users u ON s.createdby = u.id
+          WHERE s.id = $1
+        `, [id]);
+
+        return { conflict: currentResult.rows[0] };
+      }
+
+      await recordBaselineVersion(client, id);
+      
+      // Build dynamic update query with PostgreSQL parameter conversion
+      const updates = [];
+      const values = [];
+      let paramIndex = 1;
+      
+      toSewadarColumns(req.body).forEach(({ column, value }) => {
+        updates.push(`${column} = $${paramIndex}`);
         values.push(value);
         paramIndex++;
+      });
+      
+      if (updates.length === 0 && !req.body.emergencyContacts && !req.body.centreIds) {
+        throw new AppError('No valid fields provided for update', 400);
       }
+      
+      if (req.body.emergencyContacts) {
+        await replaceEmergencyContacts(client, id, req.body.emergencyContacts);
+      }
+
+      if (req.body.centreIds) {
+        await replaceCentres(client, SEWADAR_CENTRES, id, req.user, req.body.centreIds);
+      }
+      
+      // Add updatedAt timestamp, row version and id parameter
+      updates.push(`updatedat = NOW()`, ROW_VERSION_BUMP);
+      values.push(id);
+      
+      const updateQuery = `
+        UPDATE sewadars 
+        SET ${updates.join(', ')}
+        WHERE id = $${paramIndex}
+      `;
+      
+      await client.query(updateQuery, values);
+
+      const { version, changes } = await recordSewadarVersion(client, id, 'UPDATE', req.user.userId);
+      
+      // Log the update
+      await writeAuditLog(client, req, {
+        action: 'UPDATE_SEWADAR',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Updated sewadar: ${existingSewadar.firstname} ${existingSewadar.lastname} `
+          + `(version ${version}: ${changes.length > 0 ? changes.map(({ field }) => field).join(', ') : 'no changes'})`,
+        changes,
+        payload: { version }
+      });
+      
+      // Fetch updated sewadar
+      const updatedResult = await client.query(`
+        SELECT ${sewadarSelectColumns}
+        FROM sewadars s
+        LEFT JOIN users u ON s.createdby = u.id
+        WHERE s.id = $1
+      `, [id]);
+      
+      return { sewadar: updatedResult.rows[0] };
     });
-    
-    if (updates.length === 0) {
-      throw new AppError('No valid fields provided for update', 400);
+
+    if (conflict) {
+      return sendEditConflict(res, 'sewadar', conflict);
     }
     
-    // Add updatedAt timestamp and id parameter
-    updates.push(`updatedat = NOW()`);
-    values.push(id);
-    
-    const updateQuery = `
-      UPDATE sewadars 
-      SET ${updates.join(', ')}
-      WHERE id = $${paramIndex}
-    `;
-    
-    await db.query(updateQuery, values);
-    
-    // Log the update
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'UPDATE_SEWADAR', 
-      req.user.userId, 
-      'SEWADAR', 
-      id,
-      `Updated sewadar: ${existingSewadar.firstname} ${existingSewadar.lastname}`
-    ]);
-    
-    // Fetch updated sewadar
-    const updatedResult = await db.query(`
-      SELECT 
-        s.*,
-        s.firstname AS "firstName",
-        s.lastname AS "lastName",
-        s.verificationid AS "verificationId",
-        s.verificationtype AS "verificationType",
-        s.naamdanstatus AS "naamdanStatus",
-        s.naamdanid AS "naamdanId",
-        s.badgeid AS "badgeId",
-        s.createdby AS "createdBy",
-        s.createdat AS "createdAt",
-        s.updatedat AS "updatedAt",
-        u.firstname AS "createdByFirstName",
-        u.lastname AS "createdByLastName"
-      FROM sewadars s
-      LEFT JOIN users u ON s.createdby = u.id
-      WHERE s.id = $1
-    `, [id]);
-    
-    const updatedSewadar = updatedResult.rows[0];
-    
+    setRowVersionHeaders(res, updatedSewadar.rowVersion);
     res.json({
       success: true,
       message: 'Sewadar updated successfully',
@@ -511,42 +2471,43 @@ router.put('/:id',
  * @swagger
  * /sewadars/{id}:
  *   delete:
- *     summary: Delete sewadar
+ *     summary: Move a sewadar to the trash (restore or purge it under /sewadars/trash)
  */
 router.delete('/:id', 
   authenticateToken,
   requireEditor,
   asyncHandler(async (req, res) => {
-    const db = getDatabase();
     const { id } = req.params;
     
-    // Check if sewadar exists
-    const existingResult = await db.query('SELECT * FROM sewadars WHERE id = $1', [id]);
-    const existingSewadar = existingResult.rows[0];
-    
-    if (!existingSewadar) {
-      throw new AppError('Sewadar not found', 404);
-    }
-    
-    // Delete sewadar
-    await db.query('DELETE FROM sewadars WHERE id = $1', [id]);
-    
-    // Log the deletion
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'DELETE_SEWADAR', 
-      req.user.userId, 
-      'SEWADAR', 
-      id,
-      `Deleted sewadar: ${existingSewadar.firstname} ${existingSewadar.lastname}`
-    ]);
+    await withTransaction(async (client) => {
+      // Check if sewadar exists
+      const { where, params } = scopedSewadarWhere(req, id);
+      const existingResult = await client.query(`SELECT * FROM sewadars ${where} FOR UPDATE`, params);
+      const existingSewadar = existingResult.rows[0];
+      
+      if (!existingSewadar) {
+        throw new AppError('Sewadar not found', 404);
+      }
+      
+      // Move to the trash; an admin can restore it until it is purged
+      await recordBaselineVersion(client, id);
+      await client.query(`UPDATE sewadars SET deletedat = NOW(), deletedby = $2, ${ROW_VERSION_BUMP} WHERE id = $1`, [id, req.user.userId]);
+      const { version } = await recordSewadarVersion(client, id, 'DELETE', req.user.userId);
+      
+      // Log the deletion
+      await writeAuditLog(client, req, {
+        action: 'DELETE_SEWADAR',
+        userId: req.user.userId,
+        entity: 'SEWADAR',
+        entityId: id,
+        details: `Moved sewadar to the trash: ${existingSewadar.firstname} ${existingSewadar.lastname}`,
+        payload: { version }
+      });
+    });
     
     res.json({
       success: true,
-      message: 'Sewadar deleted successfully'
+      message: 'Sewadar moved to the trash'
     });
   })
 );
@@ -561,46 +2522,75 @@ router.get('/stats/summary',
   authenticateToken,
   asyncHandler(async (req, res) => {
     const db = getDatabase();
+    // Every figure covers only the sewadars at the caller's centres, leaving out the trash
+    const scope = sewadarScopeCondition(req.user.centreScope, 1);
+    const live = `s.deletedat IS NULL AND ${scope.condition}`;
     
     // Get total count
-    const totalResult = await db.query('SELECT COUNT(*) as count FROM sewadars');
+    const totalResult = await db.query(`SELECT COUNT(*) as count FROM sewadars s WHERE ${live}`, scope.params);
     const total = parseInt(totalResult.rows[0].count, 10);
     
     // Get naamdan complete count
-    const completedResult = await db.query('SELECT COUNT(*) as count FROM sewadars WHERE naamdanstatus = TRUE');
+    const completedResult = await db.query(
+      `SELECT COUNT(*) as count FROM sewadars s WHERE ${live} AND s.naamdanstatus = TRUE`,
+      scope.params
+    );
     const naamdanStatus = parseInt(completedResult.rows[0].count, 10);
     
     // Get naamdan pending count
-    const pendingResult = await db.query('SELECT COUNT(*) as count FROM sewadars WHERE naamdanstatus = FALSE');
+    const pendingResult = await db.query(
+      `SELECT COUNT(*) as count FROM sewadars s WHERE ${live} AND s.naamdanstatus = FALSE`,
+      scope.params
+    );
     const naamdanPending = parseInt(pendingResult.rows[0].count, 10);
     
     // Get recently added count
     const recentResult = await db.query(`
       SELECT COUNT(*) as count 
-      FROM sewadars 
-      WHERE createdat >= NOW() - INTERVAL '30 days'
-    `);
+      FROM sewadars s
+      WHERE ${live} AND s.createdat >= NOW() - INTERVAL '30 days'
+    `, scope.params);
     const recentlyAdded = parseInt(recentResult.rows[0].count, 10);
     
     // Get verification type breakdown
     const verificationResult = await db.query(`
-      SELECT verificationtype, COUNT(*) as count 
-      FROM sewadars 
-      WHERE verificationtype IS NOT NULL 
-      GROUP BY verificationtype
-    `);
+      SELECT s.verificationtype, COUNT(*) as count 
+      FROM sewadars s
+      WHERE ${live} AND s.verificationtype IS NOT NULL 
+      GROUP BY s.verificationtype
+    `, scope.params);
     
     const byVerificationType = {};
     verificationResult.rows.forEach(row => {
       byVerificationType[row.verificationtype] = parseInt(row.count, 10);
     });
     
+    // Get department breakdown (a sewadar in two departments counts in both)
+    const memberScope = sewadarScopeCondition(req.user.centreScope, 1, 'dm.sewadarid');
+    const departmentResult = await db.query(`
+      SELECT d.id, d.name, COUNT(dm.sewadarid)::int AS "memberCount"
+      FROM departments d
+      LEFT JOIN department_members dm ON dm.departmentid = d.id AND ${memberScope.condition}
+        AND EXISTS (SELECT 1 FROM sewadars ms WHERE ms.id = dm.sewadarid AND ms.deletedat IS NULL)
+      GROUP BY d.id, d.name
+      ORDER BY LOWER(d.name)
+    `, memberScope.params);
+    const unassignedResult = await db.query(`
+      SELECT COUNT(*) as count
+      FROM sewadars s
+      WHERE ${live}
+        AND NOT EXISTS (SELECT 1 FROM department_members dm WHERE dm.sewadarid = s.id)
+    `, scope.params);
+    
     const stats = {
       total,
       naamdanStatus,
       naamdanPending,
       byVerificationType,
-      recentlyAdded
+      byDepartment: departmentResult.rows,
+      withoutDepartment: parseInt(unassignedResult.rows[0].count, 10),
+      recentlyAdded,
+      attendance: await getAttendanceSummary(db, req.user.centreScope)
     };
     
     res.json({
@@ -1,18 +1,87 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
-const { getDatabase } = require('../database/init');
+const { getDatabase, withTransaction } = require('../database/init');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validate } = require('../middleware/validation');
+const { validate, validationPatterns } = require('../middleware/validation');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { listActiveSessions, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { clearFailedLogins } = require('../utils/loginThrottle');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { assertPasswordAllowed, savePassword } = require('../utils/passwordPolicy');
+const { diffFields, writeAuditLog } = require('../utils/audit');
+const {
+  ROW_VERSION_BUMP,
+  setRowVersionHeaders,
+  expectedRowVersion,
+  sendEditConflict
+} = require('../utils/rowVersion');
+const {
+  USER_CENTRES,
+  userScopeCondition,
+  centresSelect,
+  replaceCentres
+} = require('../utils/centres');
 
 const router = express.Router();
 
+// Columns returned for a user by the list, detail and update endpoints
+const userSelectColumns = `
+  users.id, 
+  email, 
+  firstname AS "firstName", 
+  lastname AS "lastName", 
+  role, 
+  "isActive" AS "isActive", 
+  COALESCE(issuperadmin, false) AS "isSuperAdmin",
+  ${centresSelect(USER_CENTRES, 'users.id')} AS "centres",
+  CASE WHEN lockeduntil > NOW() THEN lockeduntil END AS "lockedUntil",
+  COALESCE(totpenabled, false) AS "twoFactorEnabled",
+  COALESCE(mustchangepassword, false) AS "mustChangePassword",
+  passwordchangedat AS "passwordChangedAt",
+  createdat AS "createdAt", 
+  updatedat AS "updatedAt",
+  rowversion AS "rowVersion"
+`;
+
+/**
+ * Load the user named in req.params.id, if they share a centre with the caller.
+ * Users at other centres are reported as not found.
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} req - Request with req.user.centreScope
+ * @param {string} columns - Columns to select from users
+ * @returns {Promise<Object>} Users row
+ */
+const loadScopedUser = async (db, req, columns = '*') => {
+  const { condition, params } = userScopeCondition(req.user.centreScope, 2, 'users.id');
+  const result = await db.query(
+    `SELECT ${columns} FROM users WHERE users.id = $1 AND ${condition}`,
+    [req.params.id, ...params]
+  );
+
+  if (!result.rows[0]) {
+    throw new AppError('User not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Only super-admins may change a super-admin's account
+ * @param {Object} req - Request with req.user
+ * @param {Object} user - Users row including issuperadmin
+ */
+const assertCanManage = (req, user) => {
+  if (user.issuperadmin && !req.user.isSuperAdmin) {
+    throw new AppError('Only super-admins can change a super-admin account', 403);
+  }
+};
+
 /**
  * @swagger
  * /users:
  *   get:
  *     summary: Get all users (Admin only)
+ *     description: Only users sharing one of the caller's centres (or the centre in X-Centre-Id); super-admins see everyone
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -28,19 +97,15 @@ router.get('/',
   asyncHandler(async (req, res) => {
     const db = getDatabase();
     
+    // Only users sharing one of the caller's centres
+    const { condition, params } = userScopeCondition(req.user.centreScope, 1, 'users.id');
+    
     const usersResult = await db.query(`
-      SELECT 
-        id, 
-        email, 
-        firstname AS "firstName", 
-        lastname AS "lastName", 
-        role, 
-        "isActive" AS "isActive", 
-        createdat AS "createdAt", 
-        updatedat AS "updatedAt"
+      SELECT ${userSelectColumns}
       FROM users
+      WHERE ${condition}
       ORDER BY createdat DESC
-    `);
+    `, params);
     
     const users = usersResult.rows;
     
@@ -78,25 +143,7 @@ router.get('/:id',
     const db = getDatabase();
     const { id } = req.params;
     
-    const userResult = await db.query(`
-      SELECT 
-        id, 
-        email, 
-        firstname AS "firstName", 
-        lastname AS "lastName", 
-        role, 
-        "isActive" AS "isActive", 
-        createdat AS "createdAt", 
-        updatedat AS "updatedAt"
-      FROM users 
-      WHERE id = $1
-    `, [id]);
-    
-    const user = userResult.rows[0];
-    
-    if (!user) {
-      throw new AppError('User not found', 404);
-    }
+    const user = await loadScopedUser(db, req, userSelectColumns);
     
     // Get user's sewadar creation stats
     const statsResult = await db.query(`
@@ -107,6 +154,7 @@ router.get('/:id',
     
     const stats = statsResult.rows[0];
     
+    setRowVersionHeaders(res, user.rowVersion);
     res.json({
       success: true,
       data: {
@@ -144,14 +192,29 @@ router.get('/:id',
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [ADMIN, EDITOR, VIEWER]
+ *                 enum: [ADMIN, EDITOR, VIEWER, KIOSK]
  *               isActive:
  *                 type: boolean
+ *               centreIds:
+ *                 type: array
+ *                 description: The user's centres; memberships at centres the caller does not belong to are kept
+ *                 items:
+ *                   type: string
+ *               isSuperAdmin:
+ *                 type: boolean
+ *                 description: Super-admins only
+ *               rowVersion:
+ *                 type: integer
+ *                 description: rowVersion of the user as loaded; required unless If-Match is sent
  *     responses:
  *       200:
  *         description: User updated successfully
  *       404:
  *         description: User not found
+ *       409:
+ *         description: Changed by someone else since it was loaded (code EDIT_CONFLICT, current user in data)
+ *       428:
+ *         description: Neither rowVersion nor If-Match was sent
  */
 router.put('/:id', 
   authenticateToken,
@@ -160,26 +223,33 @@ router.put('/:id',
   asyncHandler(async (req, res) => {
     const db = getDatabase();
     const { id } = req.params;
+    const rowVersion = expectedRowVersion(req);
     
     // Check if user exists
-    const existingResult = await db.query('SELECT * FROM users WHERE id = $1', [id]);
-    const existingUser = existingResult.rows[0];
-    
-    if (!existingUser) {
-      throw new AppError('User not found', 404);
-    }
+    const existingUser = await loadScopedUser(db, req);
+    assertCanManage(req, existingUser);
     
     // Prevent admin from deactivating themselves
     if (id === req.user.userId && req.body.isActive === false) {
       throw new AppError('Cannot deactivate your own account', 400);
     }
+
+    if (req.body.isSuperAdmin !== undefined) {
+      if (!req.user.isSuperAdmin) {
+        throw new AppError('Only super-admins can grant or remove super-admin access', 403);
+      }
+      if (id === req.user.userId && req.body.isSuperAdmin === false) {
+        throw new AppError('Cannot remove your own super-admin access', 400);
+      }
+    }
     
     // Build dynamic update query with field mapping
     const fieldMap = {
       firstName: 'firstname',
       lastName: 'lastname',
       role: 'role',
-      isActive: '"isActive"'
+      isActive: '"isActive"',
+      isSuperAdmin: 'issuperadmin'
     };
     
     const updates = [];
@@ -195,12 +265,12 @@ router.put('/:id',
       }
     });
     
-    if (updates.length === 0) {
+    if (updates.length === 0 && !req.body.centreIds) {
       throw new AppError('No valid fields provided for update', 400);
     }
     
-    // Add updatedAt timestamp and id parameter
-    updates.push(`updatedat = NOW()`);
+    // Add updatedAt timestamp, row version and id parameter
+    updates.push(`updatedat = NOW()`, ROW_VERSION_BUMP);
     values.push(id);
     
     const updateQuery = `
@@ -208,39 +278,64 @@ router.put('/:id',
       SET ${updates.join(', ')}
       WHERE id = $${paramIndex}
     `;
+
+    const { before, centresChanged, conflict } = await withTransaction(async (client) => {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [id]);
+
+      // The user as the admin saw them, for the audit entry's before/after values
+      const beforeResult = await client.query(`SELECT ${userSelectColumns} FROM users WHERE users.id = $1`, [id]);
+      const before = beforeResult.rows[0];
+
+      // Someone else saved since this edit was loaded; hand back their version instead of overwriting it
+      if (before.rowVersion !== rowVersion) {
+        return { conflict: before };
+      }
+
+      await client.query(updateQuery, values);
+
+      if (!req.body.centreIds) {
+        return { before, centresChanged: false };
+      }
+
+      // Only super-admins may belong to no centre
+      const superAdmin = req.body.isSuperAdmin ?? Boolean(existingUser.issuperadmin);
+      return {
+        before,
+        centresChanged: await replaceCentres(client, USER_CENTRES, id, req.user, req.body.centreIds, { allowEmpty: superAdmin })
+      };
+    });
+
+    if (conflict) {
+      return sendEditConflict(res, 'user', conflict);
+    }
+
+    // A deactivated account must not keep working on devices that are already signed in
+    let revokedCount = 0;
+    if (req.body.isActive === false && existingUser.isActive !== false) {
+      revokedCount = await revokeUserSessions(db, id, 'DEACTIVATED');
+    }
     
-    await db.query(updateQuery, values);
-    
-    // Log the update
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'UPDATE_USER', 
-      req.user.userId, 
-      'USER', 
-      id,
-      `Updated user: ${existingUser.email}`
-    ]);
-    
-    // Fetch updated user
+    // Fetch updated user (unscoped, as the caller may just have moved them to another centre)
     const updatedResult = await db.query(`
-      SELECT 
-        id, 
-        email, 
-        firstname AS "firstName", 
-        lastname AS "lastName", 
-        role, 
-        "isActive" AS "isActive", 
-        createdat AS "createdAt", 
-        updatedat AS "updatedAt"
+      SELECT ${userSelectColumns}
       FROM users 
-      WHERE id = $1
+      WHERE users.id = $1
     `, [id]);
     
     const updatedUser = updatedResult.rows[0];
     
+    // Log the update
+    await writeAuditLog(db, req, {
+      action: 'UPDATE_USER',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Updated user: ${existingUser.email}${centresChanged ? '; centres changed' : ''}${revokedCount ? `; ${revokedCount} session(s) signed out` : ''}`,
+      changes: diffFields(before, updatedUser, ['firstName', 'lastName', 'role', 'isActive', 'isSuperAdmin', 'centres']),
+      payload: { sessionsSignedOut: revokedCount }
+    });
+    
+    setRowVersionHeaders(res, updatedUser.rowVersion);
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -274,54 +369,48 @@ router.put('/:id',
  *             properties:
  *               newPassword:
  *                 type: string
- *                 minLength: 6
+ *                 description: Must satisfy the password policy (GET /auth/password-policy)
  *     responses:
  *       200:
- *         description: Password reset successfully
+ *         description: Password reset successfully; the user must change it at next login
+ *       400:
+ *         description: Password does not satisfy the policy
  *       404:
  *         description: User not found
  */
 router.post('/:id/reset-password', 
   authenticateToken,
   requireAdmin,
+  validate('passwordReset'),
   asyncHandler(async (req, res) => {
     const db = getDatabase();
     const { id } = req.params;
     const { newPassword } = req.body;
     
-    if (!newPassword || newPassword.length < 6) {
-      throw new AppError('Password must be at least 6 characters long', 400);
-    }
-    
     // Check if user exists
-    const existingResult = await db.query('SELECT * FROM users WHERE id = $1', [id]);
-    const existingUser = existingResult.rows[0];
-    
-    if (!existingUser) {
-      throw new AppError('User not found', 404);
-    }
+    const existingUser = await loadScopedUser(db, req);
+    assertCanManage(req, existingUser);
+
+    await assertPasswordAllowed(db, newPassword, existingUser, 'newPassword');
     
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     
-    // Update password
-    await db.query(
-      'UPDATE users SET password = $1, updatedat = NOW() WHERE id = $2',
-      [hashedPassword, id]
-    );
+    // The admin knows this password, so the user must replace it at next login
+    await savePassword(db, existingUser, hashedPassword, { mustChange: true });
+
+    // Anyone holding the old password's sessions is signed out
+    const revokedCount = await revokeUserSessions(db, id, 'PASSWORD_RESET');
     
     // Log the password reset
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'RESET_PASSWORD', 
-      req.user.userId, 
-      'USER', 
-      id,
-      `Password reset for user: ${existingUser.email}`
-    ]);
+    await writeAuditLog(db, req, {
+      action: 'RESET_PASSWORD',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Password reset for user: ${existingUser.email}; change required at next login; ${revokedCount} session(s) signed out`,
+      payload: { sessionsSignedOut: revokedCount }
+    });
     
     res.json({
       success: true,
@@ -360,12 +449,8 @@ router.delete('/:id',
     const { id } = req.params;
     
     // Check if user exists
-    const existingResult = await db.query('SELECT * FROM users WHERE id = $1', [id]);
-    const existingUser = existingResult.rows[0];
-    
-    if (!existingUser) {
-      throw new AppError('User not found', 404);
-    }
+    const existingUser = await loadScopedUser(db, req);
+    assertCanManage(req, existingUser);
     
     // Prevent admin from deleting themselves
     if (id === req.user.userId) {
@@ -390,17 +475,19 @@ router.delete('/:id',
     await db.query('DELETE FROM users WHERE id = $1', [id]);
     
     // Log the deletion
-    await db.query(`
-      INSERT INTO audit_logs (id, action, userid, entity, entityid, details)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      uuidv4(), 
-      'DELETE_USER', 
-      req.user.userId, 
-      'USER', 
-      id,
-      `Deleted user: ${existingUser.email}`
-    ]);
+    await writeAuditLog(db, req, {
+      action: 'DELETE_USER',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Deleted user: ${existingUser.email}`,
+      changes: diffFields({
+        email: existingUser.email,
+        firstName: existingUser.firstname,
+        lastName: existingUser.lastname,
+        role: existingUser.role
+      }, {})
+    });
     
     res.json({
       success: true,
@@ -409,4 +496,259 @@ router.delete('/:id',
   })
 );
 
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Clear a login lockout and reset failed attempts (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    const existingUser = await loadScopedUser(db, req, 'email, issuperadmin');
+    assertCanManage(req, existingUser);
+
+    await clearFailedLogins(db, id);
+
+    await writeAuditLog(db, req, {
+      action: 'UNLOCK_USER',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Unlocked login for user: ${existingUser.email}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (Admin only)
+ *     description: For users who lost their authenticator and recovery codes. Signs the user out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/2fa',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    if (id === req.user.userId) {
+      throw new AppError('Use your profile to turn off your own two-factor authentication', 400);
+    }
+
+    const existingUser = await loadScopedUser(db, req, 'email, totpenabled, issuperadmin');
+    assertCanManage(req, existingUser);
+
+    if (!existingUser.totpenabled) {
+      throw new AppError('Two-factor authentication is not enabled for this user', 400);
+    }
+
+    await disableTwoFactor(db, id);
+    await revokeUserSessions(db, id, '2FA_RESET');
+
+    await writeAuditLog(db, req, {
+      action: 'RESET_2FA',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Reset two-factor authentication for user: ${existingUser.email}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Sign a user out of every session (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    await loadScopedUser(db, req, 'id');
+
+    const sessions = await listActiveSessions(db, id, req.user.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  })
+);
+
+router.delete('/:id/sessions',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id } = req.params;
+
+    const existingUser = await loadScopedUser(db, req, 'email, issuperadmin');
+    assertCanManage(req, existingUser);
+
+    // An admin signing themselves out everywhere keeps the session they are using
+    const revokedCount = await revokeUserSessions(db, id, 'REVOKED_BY_ADMIN', {
+      exceptSessionId: id === req.user.userId ? req.user.sessionId : null
+    });
+
+    await writeAuditLog(db, req, {
+      action: 'REVOKE_SESSIONS',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Signed out ${revokedCount} session(s) of user: ${existingUser.email}`
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revokedCount} session(s)`,
+      data: { revoked: revokedCount }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign a user out of one session (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId',
+  authenticateToken,
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const db = getDatabase();
+    const { id, sessionId } = req.params;
+
+    if (!validationPatterns.uuid.test(sessionId)) {
+      throw new AppError('Session not found', 404);
+    }
+
+    if (sessionId === req.user.sessionId) {
+      throw new AppError('Use logout to end the current session', 400);
+    }
+
+    const existingUser = await loadScopedUser(db, req, 'email, issuperadmin');
+    assertCanManage(req, existingUser);
+
+    const revokedCount = await revokeSession(db, id, sessionId, 'REVOKED_BY_ADMIN');
+
+    if (revokedCount === 0) {
+      throw new AppError('Session not found', 404);
+    }
+
+    await writeAuditLog(db, req, {
+      action: 'REVOKE_SESSION',
+      userId: req.user.userId,
+      entity: 'USER',
+      entityId: id,
+      details: `Signed out session ${sessionId} of user: ${existingUser.email}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  })
+);
+
 module.exports = router;
@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
+const { v4: uuidv4 } = require('uuid');
 
 const logger = require('./utils/logger');
 const { initializeDatabase } = require('./database/init');
@@ -12,6 +13,11 @@ const authRoutes = require('./routes/auth');
 const sewadarRoutes = require('./routes/sewadar');
 const userRoutes = require('./routes/users');
 const auditLogRoutes = require('./routes/audit');
+const eventRoutes = require('./routes/events');
+const kioskRoutes = require('./routes/kiosk');
+const departmentRoutes = require('./routes/departments');
+const centreRoutes = require('./routes/centres');
+const savedViewRoutes = require('./routes/savedViews');
 const { errorHandler } = require('./middleware/errorHandler');
 const cookieParser = require('cookie-parser');
 
@@ -64,9 +70,18 @@ const limiter = rateLimit({
   windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000, // 15 minutes default
   max: process.env.RATE_LIMIT_MAX || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  // Gate kiosks scan a badge every few seconds and have their own limit below
+  skip: (req) => req.path.startsWith('/kiosk/'),
 });
 app.use('/api/', limiter);
 
+const kioskLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: process.env.KIOSK_RATE_LIMIT_MAX || 120, // requests per minute per IP
+  message: 'Too many scans from this device, please slow down.',
+});
+app.use('/api/kiosk', kioskLimiter);
+
 // CORS configuration
 const corsOptions = {
   origin: [
@@ -81,10 +96,13 @@ const corsOptions = {
     'Content-Type',
     'Accept',
     'Authorization',
-    'Cache-Control'
+    'Cache-Control',
+    'X-Centre-Id',
+    'X-Request-Id',
+    'If-Match'
   ],
-  exposedHeaders: ['Authorization'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  exposedHeaders: ['Authorization', 'X-Badges-Skipped', 'X-Request-Id', 'ETag'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -95,9 +113,17 @@ app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request ID: kept from the proxy when it sends one, so a request can be traced across logs and audit entries
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Request logging
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path} - ${req.ip}`);
+  logger.info(`${req.method} ${req.path} - ${req.ip} [${req.id}]`);
   next();
 });
 
@@ -126,6 +152,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/sewadars', sewadarRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/centres', centreRoutes);
+app.use('/api/saved-views', savedViewRoutes);
+app.use('/api/kiosk', kioskRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -0,0 +1,159 @@
+const { sewadarScopeCondition } = require('./centres');
+
+// Check-in/out times go in and out as venue wall-clock strings ("2024-05-01T09:00")
+const TIME_FORMAT = `'YYYY-MM-DD"T"HH24:MI'`;
+
+// Hours served for one attendance row a: only a present sewadar with both times counts
+const attendanceHoursSql = `
+  CASE
+    WHEN a.status = 'PRESENT' AND a.checkinat IS NOT NULL AND a.checkoutat IS NOT NULL
+    THEN ROUND((EXTRACT(EPOCH FROM (a.checkoutat - a.checkinat)) / 3600)::numeric, 2)
+    ELSE 0
+  END
+`;
+
+// Columns returned for an attendance row a
+const attendanceSelectColumns = `
+  a.eventid AS "eventId",
+  a.sewadarid AS "sewadarId",
+  to_char(a.attendancedate, 'YYYY-MM-DD') AS "date",
+  a.status,
+  to_char(a.checkinat, ${TIME_FORMAT}) AS "checkInAt",
+  to_char(a.checkoutat, ${TIME_FORMAT}) AS "checkOutAt",
+  (${attendanceHoursSql})::float AS "hours",
+  a.method,
+  a.notes,
+  a.updatedat AS "recordedAt"
+`;
+
+/**
+ * Create or replace one sewadar's attendance for an event day
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {Object} record - eventId, sewadarId, date, status, checkInAt, checkOutAt, notes
+ * @param {Object} options - method (MANUAL, GRID, ...) and recordedBy (user ID)
+ * @returns {Promise<boolean>} Whether anything actually changed
+ */
+const saveAttendance = async (client, record, { method, recordedBy }) => {
+  const values = [
+    record.status,
+    record.checkInAt || null,
+    record.checkOutAt || null,
+    record.notes || null
+  ];
+
+  const existingResult = await client.query(`
+    SELECT a.status, to_char(a.checkinat, ${TIME_FORMAT}) AS "checkInAt",
+      to_char(a.checkoutat, ${TIME_FORMAT}) AS "checkOutAt", a.notes
+    FROM attendance a
+    WHERE a.eventid = $1 AND a.sewadarid = $2 AND a.attendancedate = $3
+    FOR UPDATE
+  `, [record.eventId, record.sewadarId, record.date]);
+  const existing = existingResult.rows[0];
+
+  if (existing && JSON.stringify([existing.status, existing.checkInAt, existing.checkOutAt, existing.notes]) === JSON.stringify(values)) {
+    return false;
+  }
+
+  await client.query(`
+    INSERT INTO attendance (eventid, sewadarid, attendancedate, status, checkinat, checkoutat, notes, method, recordedby)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (eventid, sewadarid, attendancedate) DO UPDATE SET
+      status = EXCLUDED.status,
+      checkinat = EXCLUDED.checkinat,
+      checkoutat = EXCLUDED.checkoutat,
+      notes = EXCLUDED.notes,
+      method = EXCLUDED.method,
+      recordedby = EXCLUDED.recordedby,
+      updatedat = NOW()
+  `, [record.eventId, record.sewadarId, record.date, ...values, method, recordedBy]);
+
+  return true;
+};
+
+/**
+ * A sewadar's attendance history, newest first, with running hour totals
+ * @param {Object} db - Pool or transaction client
+ * @returns {Promise<{ summary: Object, records: Array<Object> }>}
+ */
+const getSewadarAttendance = async (db, sewadarId) => {
+  const recordsResult = await db.query(`
+    SELECT * FROM (
+      SELECT
+        ${attendanceSelectColumns},
+        e.name AS "eventName",
+        e.eventtype AS "eventType",
+        SUM(${attendanceHoursSql}) OVER (
+          ORDER BY a.attendancedate, a.checkinat NULLS FIRST, a.id
+          ROWS UNBOUNDED PRECEDING
+        )::float AS "runningHours"
+      FROM attendance a
+      JOIN events e ON a.eventid = e.id
+      WHERE a.sewadarid = $1
+    ) history
+    ORDER BY "date" DESC, "checkInAt" DESC NULLS LAST
+  `, [sewadarId]);
+
+  const summaryResult = await db.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE a.status = 'PRESENT')::int AS "daysPresent",
+      COUNT(*) FILTER (WHERE a.status = 'ABSENT')::int AS "daysAbsent",
+      COALESCE(SUM(${attendanceHoursSql}), 0)::float AS "totalHours",
+      COALESCE(SUM(${attendanceHoursSql}) FILTER (WHERE a.attendancedate >= CURRENT_DATE - 30), 0)::float AS "hoursLast30Days",
+      to_char(MIN(a.attendancedate) FILTER (WHERE a.status = 'PRESENT'), 'YYYY-MM-DD') AS "firstAttended",
+      to_char(MAX(a.attendancedate) FILTER (WHERE a.status = 'PRESENT'), 'YYYY-MM-DD') AS "lastAttended"
+    FROM attendance a
+    WHERE a.sewadarid = $1
+  `, [sewadarId]);
+
+  return { summary: summaryResult.rows[0], records: recordsResult.rows };
+};
+
+/**
+ * Attendance figures for the sewadar stats summary
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<string>|null} centreScope - Only count sewadars at these centres (see utils/centres.js)
+ */
+const getAttendanceSummary = async (db, centreScope = null) => {
+  const scope = sewadarScopeCondition(centreScope, 1, 'a.sewadarid');
+
+  const totalsResult = await db.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE a.status = 'PRESENT' AND a.attendancedate = CURRENT_DATE)::int AS "presentToday",
+      COUNT(*) FILTER (WHERE a.status = 'PRESENT' AND a.attendancedate >= CURRENT_DATE - 30)::int AS "checkInsLast30Days",
+      COUNT(DISTINCT a.sewadarid) FILTER (WHERE a.status = 'PRESENT' AND a.attendancedate >= CURRENT_DATE - 30)::int AS "activeSewadarsLast30Days",
+      COALESCE(SUM(${attendanceHoursSql}) FILTER (WHERE a.attendancedate >= CURRENT_DATE - 30), 0)::float AS "hoursLast30Days",
+      COALESCE(SUM(${attendanceHoursSql}), 0)::float AS "totalHours"
+    FROM attendance a
+    JOIN sewadars s ON a.sewadarid = s.id AND s.deletedat IS NULL
+    WHERE ${scope.condition}
+  `, scope.params);
+
+  // The latest event days with any attendance recorded
+  const recentResult = await db.query(`
+    SELECT
+      a.eventid AS "eventId",
+      e.name AS "eventName",
+      to_char(a.attendancedate, 'YYYY-MM-DD') AS "date",
+      COUNT(*) FILTER (WHERE a.status = 'PRESENT')::int AS "present",
+      COUNT(*) FILTER (WHERE a.status = 'ABSENT')::int AS "absent",
+      COALESCE(SUM(${attendanceHoursSql}), 0)::float AS "hours"
+    FROM attendance a
+    JOIN events e ON a.eventid = e.id
+    JOIN sewadars s ON a.sewadarid = s.id AND s.deletedat IS NULL
+    WHERE ${scope.condition}
+    GROUP BY a.eventid, e.name, a.attendancedate
+    ORDER BY a.attendancedate DESC, e.name
+    LIMIT 5
+  `, scope.params);
+
+  return { ...totalsResult.rows[0], recentOccasions: recentResult.rows };
+};
+
+module.exports = {
+  TIME_FORMAT,
+  attendanceHoursSql,
+  attendanceSelectColumns,
+  saveAttendance,
+  getSewadarAttendance,
+  getAttendanceSummary
+};
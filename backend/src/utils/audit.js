@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MASK = '[masked]';
+
+// Values never written to the audit log, matched on the lowercased key or changed field name
+const SECRET_KEYS = new Set([
+  'password', 'newpassword', 'currentpassword', 'passwordhash',
+  'totpsecret', 'recoverycode', 'recoverycodes', 'code',
+  'token', 'refreshtoken', 'refreshtokenhash', 'resettoken'
+]);
+
+// Identity document numbers keep only their last four characters
+const PARTIAL_KEYS = new Set(['verificationid']);
+
+const maskValue = (key, value) => {
+  const name = String(key).toLowerCase();
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEYS.has(name)) return MASK;
+  if (PARTIAL_KEYS.has(name)) {
+    const text = String(value);
+    return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : '*'.repeat(text.length);
+  }
+  return undefined;
+};
+
+/**
+ * Copy of a payload with sensitive values masked at any depth, including the
+ * from/to of a changed field that is itself sensitive
+ * @param {*} value - Payload or part of one
+ * @returns {*} Masked copy
+ */
+const maskSensitive = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(maskSensitive);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  const masked = {};
+  for (const [key, entry] of Object.entries(value)) {
+    const replacement = maskValue(key, entry);
+    masked[key] = replacement === undefined ? maskSensitive(entry) : replacement;
+  }
+
+  if (typeof value.field === 'string' && ('from' in value || 'to' in value)) {
+    for (const side of ['from', 'to']) {
+      const replacement = maskValue(value.field, value[side]);
+      if (replacement !== undefined) masked[side] = replacement;
+    }
+  }
+
+  return masked;
+};
+
+// Centres are compared by ID, so renaming a centre does not show up as a change to its members
+const comparable = (field, value) => (field === 'centres' && Array.isArray(value)
+  ? value.map(centre => centre.id).sort()
+  : value);
+
+/**
+ * Field-level differences between two states of a record
+ * @param {Object} before - Earlier state (empty for a new record)
+ * @param {Object} after - Later state
+ * @param {Array<string>} [fields] - Fields to compare; defaults to every key of either state
+ * @returns {Array<{ field: string, from: *, to: * }>} Changed fields
+ */
+const diffFields = (before, after, fields = [...new Set([...Object.keys(after), ...Object.keys(before)])]) => fields
+  .filter(field => JSON.stringify(comparable(field, before[field] ?? null))
+    !== JSON.stringify(comparable(field, after[field] ?? null)))
+  .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+/**
+ * Where a request came from, for the audit payload
+ * @param {Object} req - Express request (req.id is set by the request ID middleware)
+ */
+const requestContext = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+  requestId: req.id || null
+});
+
+/**
+ * Write an audit log entry. Alongside the readable details, the payload holds
+ * the changed fields with their old and new values, any extra data, and the
+ * request's IP, user agent and ID; sensitive values are masked.
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} req - Request being handled
+ * @param {Object} entry - action, userId, entity, entityId and details as in audit_logs,
+ *   plus changes (see diffFields) and payload (extra data)
+ */
+const writeAuditLog = async (db, req, {
+  action,
+  userId = null,
+  entity = null,
+  entityId = null,
+  details,
+  changes,
+  payload
+}) => {
+  await db.query(`
+    INSERT INTO audit_logs (id, action, userid, entity, entityid, details, payload)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    uuidv4(),
+    action,
+    userId,
+    entity,
+    entityId,
+    details,
+    JSON.stringify(maskSensitive({
+      ...payload,
+      ...(changes && changes.length > 0 && { changes }),
+      request: requestContext(req)
+    }))
+  ]);
+};
+
+module.exports = {
+  maskSensitive,
+  diffFields,
+  writeAuditLog
+};
@@ -0,0 +1,191 @@
+const { AppError } = require('../middleware/errorHandler');
+const { validationPatterns } = require('../middleware/validation');
+
+// Request header carrying the centre picked in the frontend's centre switcher
+const CENTRE_HEADER = 'x-centre-id';
+
+// Join tables linking sewadars and portal users to their centres
+const SEWADAR_CENTRES = { table: 'sewadar_centres', column: 'sewadarid' };
+const USER_CENTRES = { table: 'user_centres', column: 'userid' };
+
+/**
+ * Work out which centres a request may see. Users see the centres they belong
+ * to, narrowed to one when the centre switcher sends X-Centre-Id; super-admins
+ * see every centre unless they pick one.
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} dbUser - Users row of the caller
+ * @param {string} requestedCentreId - Value of the X-Centre-Id header, if any
+ * @returns {Promise<Object|null>} isSuperAdmin, centreIds (memberships), activeCentreId and
+ *   centreScope (centre IDs to filter on, or null for no filter); null when the caller may not use the requested centre
+ */
+const loadCentreAccess = async (db, dbUser, requestedCentreId) => {
+  const isSuperAdmin = Boolean(dbUser.issuperadmin);
+
+  const membershipResult = await db.query('SELECT centreid FROM user_centres WHERE userid = $1', [dbUser.id]);
+  const centreIds = membershipResult.rows.map(row => row.centreid);
+
+  let activeCentreId = null;
+  if (requestedCentreId) {
+    if (!validationPatterns.uuid.test(requestedCentreId)) {
+      return null;
+    }
+
+    if (isSuperAdmin) {
+      const centreResult = await db.query('SELECT id FROM centres WHERE id = $1', [requestedCentreId]);
+      if (centreResult.rows.length === 0) {
+        return null;
+      }
+    } else if (!centreIds.includes(requestedCentreId)) {
+      return null;
+    }
+
+    activeCentreId = requestedCentreId;
+  }
+
+  let centreScope = centreIds;
+  if (activeCentreId) {
+    centreScope = [activeCentreId];
+  } else if (isSuperAdmin) {
+    centreScope = null;
+  }
+
+  return { isSuperAdmin, centreIds, activeCentreId, centreScope };
+};
+
+/**
+ * SQL condition keeping only rows linked to a centre in scope
+ * @param {Object} membership - SEWADAR_CENTRES or USER_CENTRES
+ * @param {string} ownerColumn - The row's ID column in the outer query, e.g. s.id
+ * @param {Array<string>|null} centreScope - req.user.centreScope
+ * @param {number} paramIndex - Placeholder number to use for the scope
+ * @returns {{ condition: string, params: Array }} Condition ("TRUE" for an unscoped super-admin) and its parameters
+ */
+const centreScopeCondition = (membership, ownerColumn, centreScope, paramIndex) => {
+  if (!centreScope) {
+    return { condition: 'TRUE', params: [] };
+  }
+
+  return {
+    condition: `EXISTS (
+      SELECT 1 FROM ${membership.table} mc
+      WHERE mc.${membership.column} = ${ownerColumn} AND mc.centreid = ANY($${paramIndex}::uuid[])
+    )`,
+    params: [centreScope]
+  };
+};
+
+const sewadarScopeCondition = (centreScope, paramIndex, ownerColumn = 's.id') =>
+  centreScopeCondition(SEWADAR_CENTRES, ownerColumn, centreScope, paramIndex);
+
+const userScopeCondition = (centreScope, paramIndex, ownerColumn = 'u.id') =>
+  centreScopeCondition(USER_CENTRES, ownerColumn, centreScope, paramIndex);
+
+/**
+ * A record's centres as a JSON array of { id, name }, for use inside a select
+ * @param {Object} membership - SEWADAR_CENTRES or USER_CENTRES
+ * @param {string} ownerColumn - The row's ID column in the outer query
+ */
+const centresSelect = (membership, ownerColumn) => `(
+  SELECT COALESCE(json_agg(json_build_object('id', c.id, 'name', c.name) ORDER BY LOWER(c.name)), '[]'::json)
+  FROM ${membership.table} mc
+  JOIN centres c ON mc.centreid = c.id
+  WHERE mc.${membership.column} = ${ownerColumn}
+)`;
+
+/**
+ * Check that the caller may put records into these centres
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} user - req.user
+ * @param {Array<string>} centreIds - Requested centres
+ */
+const assertAssignableCentres = async (db, user, centreIds) => {
+  if (!user.isSuperAdmin) {
+    if (centreIds.some(id => !user.centreIds.includes(id))) {
+      throw new AppError('You can only assign centres you belong to', 403);
+    }
+    return;
+  }
+
+  const result = await db.query('SELECT id FROM centres WHERE id = ANY($1::uuid[])', [centreIds]);
+  if (result.rows.length !== new Set(centreIds).size) {
+    throw new AppError('Centre not found', 404);
+  }
+};
+
+/**
+ * Centres for a new record when none were chosen: the active centre, or the
+ * caller's only centre
+ * @param {Object} user - req.user
+ * @param {Array<string>} [centreIds] - Centres chosen in the request
+ * @returns {Array<string>} Centre IDs
+ */
+const centresForNewRecord = (user, centreIds) => {
+  if (centreIds && centreIds.length > 0) {
+    return centreIds;
+  }
+  if (user.activeCentreId) {
+    return [user.activeCentreId];
+  }
+  if (user.centreIds.length === 1) {
+    return user.centreIds;
+  }
+
+  throw new AppError('Choose a centre for this record', 400, [
+    { field: 'centreIds', message: 'Pick a centre in the centre switcher or choose one or more centres' }
+  ]);
+};
+
+/**
+ * Set a record's centres. Memberships at centres the caller does not belong to
+ * are kept, as they are not the caller's to remove; new ones must be centres
+ * the caller may assign.
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {Object} membership - SEWADAR_CENTRES or USER_CENTRES
+ * @param {string} ownerId - Sewadar or user ID
+ * @param {Object} user - req.user
+ * @param {Array<string>} centreIds - Centres the record should have within the caller's reach
+ * @param {Object} options - allowEmpty: whether the record may end up in no centre
+ * @returns {Promise<boolean>} Whether the stored centres actually changed
+ */
+const replaceCentres = async (client, membership, ownerId, user, centreIds, { allowEmpty = false } = {}) => {
+  const existingResult = await client.query(
+    `SELECT centreid FROM ${membership.table} WHERE ${membership.column} = $1`,
+    [ownerId]
+  );
+  const existing = existingResult.rows.map(row => row.centreid);
+
+  const kept = user.isSuperAdmin ? [] : existing.filter(id => !user.centreIds.includes(id));
+  const next = [...new Set([...kept, ...centreIds])];
+
+  if (next.length === 0 && !allowEmpty) {
+    throw new AppError('At least one centre is required', 400, [
+      { field: 'centreIds', message: 'Choose at least one centre' }
+    ]);
+  }
+
+  if (next.length === existing.length && next.every(id => existing.includes(id))) {
+    return false;
+  }
+
+  await assertAssignableCentres(client, user, next.filter(id => !existing.includes(id)));
+
+  await client.query(`DELETE FROM ${membership.table} WHERE ${membership.column} = $1`, [ownerId]);
+  await client.query(
+    `INSERT INTO ${membership.table} (${membership.column}, centreid) SELECT $1, unnest($2::uuid[])`,
+    [ownerId, next]
+  );
+
+  return true;
+};
+
+module.exports = {
+  CENTRE_HEADER,
+  SEWADAR_CENTRES,
+  USER_CENTRES,
+  loadCentreAccess,
+  sewadarScopeCondition,
+  userScopeCondition,
+  centresSelect,
+  centresForNewRecord,
+  replaceCentres
+};
@@ -0,0 +1,85 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_BASE_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 5;
+const LOCK_MAX_MINUTES = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 24 * 60;
+
+/**
+ * Seconds left on an account lock, or 0 when the account is not locked
+ * @param {Object} user - User row with `lockeduntil`
+ */
+const lockSecondsRemaining = (user) => {
+  if (!user.lockeduntil) return 0;
+  return Math.max(0, Math.ceil((new Date(user.lockeduntil).getTime() - Date.now()) / 1000));
+};
+
+const lockedError = (lockedUntil, seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return new AppError(
+    `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    423,
+    { lockedUntil, retryAfter: seconds }
+  );
+};
+
+/**
+ * Refuse the login while the account is locked, whatever the password
+ * @throws {AppError} 423 with `lockedUntil` and `retryAfter` (seconds) details
+ */
+const assertNotLocked = (user) => {
+  const seconds = lockSecondsRemaining(user);
+  if (seconds > 0) {
+    throw lockedError(new Date(user.lockeduntil).toISOString(), seconds);
+  }
+};
+
+/**
+ * Count a failed password for the account and lock it once the limit is reached.
+ * Each lock lasts twice as long as the previous one until a successful login or an
+ * admin unlock resets the backoff.
+ * @returns {Promise<{ locked: boolean, lockMinutes?: number, error?: AppError }>}
+ */
+const recordFailedLogin = async (db, userId) => {
+  const attemptResult = await db.query(`
+    UPDATE users SET failedloginattempts = COALESCE(failedloginattempts, 0) + 1
+    WHERE id = $1
+    RETURNING failedloginattempts, COALESCE(lockcount, 0) AS lockcount
+  `, [userId]);
+
+  const { failedloginattempts: attempts, lockcount: lockCount } = attemptResult.rows[0];
+
+  if (attempts < MAX_FAILED_LOGINS) {
+    return { locked: false };
+  }
+
+  const lockMinutes = Math.min(LOCK_BASE_MINUTES * 2 ** lockCount, LOCK_MAX_MINUTES);
+  const lockResult = await db.query(`
+    UPDATE users
+    SET lockeduntil = NOW() + $1 * INTERVAL '1 minute',
+        lockcount = COALESCE(lockcount, 0) + 1,
+        failedloginattempts = 0
+    WHERE id = $2
+    RETURNING lockeduntil
+  `, [lockMinutes, userId]);
+
+  const lockedUntil = new Date(lockResult.rows[0].lockeduntil).toISOString();
+  return { locked: true, lockMinutes, error: lockedError(lockedUntil, lockMinutes * 60) };
+};
+
+/**
+ * Forget failed attempts and lock history (successful login or admin unlock)
+ */
+const clearFailedLogins = async (db, userId) => {
+  await db.query(
+    'UPDATE users SET failedloginattempts = 0, lockcount = 0, lockeduntil = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  lockSecondsRemaining,
+  assertNotLocked,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'RSSB Portal <no-reply@rssb.local>';
+
+/**
+ * Mail transports, selected with MAIL_TRANSPORT. Each factory returns an object
+ * with `send(message)`; add an entry here to support another provider.
+ */
+const transports = {
+  // Real delivery through any SMTP server
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  // Local development: one .eml file per message, openable in any mail client
+  file: () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      send: async (message) => {
+        const { message: raw } = await transporter.sendMail(message);
+        await fs.promises.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+        await fs.promises.writeFile(file, raw);
+        logger.info(`Mail to ${message.to} written to ${file}`);
+      }
+    };
+  },
+
+  // Local development: print the message to the server log
+  console: () => ({
+    send: async (message) => {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  })
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail
+};
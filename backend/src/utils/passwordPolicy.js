@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('./logger');
+
+const readFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true';
+};
+
+const readInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+const passwordPolicy = {
+  minLength: readInt('PASSWORD_MIN_LENGTH', 10),
+  requireUppercase: readFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: readFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: readFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: readFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  // Number of previous passwords (including the current one) that cannot be reused; 0 turns it off
+  historyCount: readInt('PASSWORD_HISTORY_COUNT', 5),
+  // Days before a password must be changed; 0 turns expiry off
+  maxAgeDays: readInt('PASSWORD_MAX_AGE_DAYS', 90)
+};
+
+const MAX_LENGTH = 128;
+
+const loadBlocklist = () => {
+  const files = [path.join(__dirname, '../data/common-passwords.txt')];
+  if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    files.push(path.resolve(process.env.PASSWORD_BLOCKLIST_FILE));
+  }
+
+  const words = new Set();
+  for (const file of files) {
+    try {
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(line => words.add(line));
+    } catch (error) {
+      logger.error(`Could not read password blocklist ${file}: ${error.message}`);
+    }
+  }
+  return words;
+};
+
+const blocklist = loadBlocklist();
+
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+  return blocklist.has(lower) || (core.length > 0 && blocklist.has(core));
+};
+
+/**
+ * Check a candidate password against the length, character class, blocklist
+ * and personal-information rules
+ * @param {string} password - Candidate password
+ * @param {Object} user - Owner of the password (email, firstname, lastname) to keep it impersonal
+ * @returns {string[]} Problems found; empty when the password is acceptable
+ */
+const checkPasswordStrength = (password, user = {}) => {
+  const problems = [];
+
+  if (password.length < passwordPolicy.minLength) {
+    problems.push(`Password must be at least ${passwordPolicy.minLength} characters long`);
+  }
+  if (password.length > MAX_LENGTH) {
+    problems.push(`Password must be at most ${MAX_LENGTH} characters long`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (isCommonPassword(password)) {
+    problems.push('Password is too common. Choose something harder to guess');
+  }
+
+  const lower = password.toLowerCase();
+  const personal = [user.email?.split('@')[0], user.firstname, user.lastname]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (personal.some(value => lower.includes(value))) {
+    problems.push('Password must not contain your name or email');
+  }
+
+  return problems;
+};
+
+/**
+ * Whether the password matches the current one or one of the last N kept in history
+ */
+const isRecentlyUsed = async (db, user, password) => {
+  if (passwordPolicy.historyCount <= 0) return false;
+
+  if (user.password && await bcrypt.compare(password, user.password)) {
+    return true;
+  }
+
+  const historyResult = await db.query(
+    'SELECT passwordhash FROM password_history WHERE userid = $1 ORDER BY createdat DESC LIMIT $2',
+    [user.id, Math.max(passwordPolicy.historyCount - 1, 0)]
+  );
+
+  for (const row of historyResult.rows) {
+    if (await bcrypt.compare(password, row.passwordhash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Enforce the whole policy for a new password
+ * @param {Object} user - Full user row (for history and personal-information checks); omit for new accounts
+ * @throws {AppError} 400 with one `{ field, message }` detail per problem
+ */
+const assertPasswordAllowed = async (db, password, user = {}, field = 'password') => {
+  const problems = checkPasswordStrength(password, user);
+
+  if (problems.length === 0 && user.id && await isRecentlyUsed(db, user, password)) {
+    problems.push(`Password must differ from your last ${passwordPolicy.historyCount} passwords`);
+  }
+
+  if (problems.length > 0) {
+    throw new AppError(
+      problems[0],
+      400,
+      problems.map(message => ({ field, message }))
+    );
+  }
+};
+
+/**
+ * Store a new password hash, keeping the old one in the history
+ * @param {Object} user - Current user row (its `password` moves to the history)
+ * @param {Object} options
+ * @param {boolean} options.mustChange - Ask the user to pick a new password at next login (admin resets)
+ */
+const savePassword = async (db, user, hashedPassword, { mustChange = false } = {}) => {
+  await db.query(`
+    UPDATE users
+    SET password = $1, mustchangepassword = $2, passwordchangedat = NOW(), updatedat = NOW()
+    WHERE id = $3
+  `, [hashedPassword, mustChange, user.id]);
+
+  if (passwordPolicy.historyCount > 0 && user.password) {
+    await db.query(
+      'INSERT INTO password_history (userid, passwordhash) VALUES ($1, $2)',
+      [user.id, user.password]
+    );
+  }
+
+  // Keep only what the reuse check can look at
+  await db.query(`
+    DELETE FROM password_history
+    WHERE userid = $1 AND id NOT IN (
+      SELECT id FROM password_history WHERE userid = $1 ORDER BY createdat DESC LIMIT $2
+    )
+  `, [user.id, Math.max(passwordPolicy.historyCount - 1, 0)]);
+};
+
+/**
+ * Why a user has to change their password before using the portal, if they do
+ * @param {Object} user - User row with `mustchangepassword` and `passwordchangedat`
+ * @returns {'RESET'|'EXPIRED'|null}
+ */
+const passwordChangeReason = (user) => {
+  if (user.mustchangepassword) return 'RESET';
+
+  if (passwordPolicy.maxAgeDays > 0 && user.passwordchangedat) {
+    const ageMs = Date.now() - new Date(user.passwordchangedat).getTime();
+    if (ageMs > passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000) return 'EXPIRED';
+  }
+
+  return null;
+};
+
+module.exports = {
+  passwordPolicy,
+  checkPasswordStrength,
+  assertPasswordAllowed,
+  savePassword,
+  passwordChangeReason
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 30;
+const RESET_MAX_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR, 10) || 3;
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Only the hash is stored, so a database leak cannot be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a single-use reset token for a user. Any earlier unused token stops working.
+ * @returns {Promise<{ token: string, resetUrl: string, expiresAt: Date }|null>}
+ *   null when the account already received RESET_MAX_PER_HOUR tokens in the last hour
+ */
+const issueResetToken = async (db, userId, ip) => {
+  const recentResult = await db.query(`
+    SELECT COUNT(*)::int AS count FROM password_reset_tokens
+    WHERE userid = $1 AND createdat > NOW() - INTERVAL '1 hour'
+  `, [userId]);
+
+  if (recentResult.rows[0].count >= RESET_MAX_PER_HOUR) {
+    return null;
+  }
+
+  await db.query(
+    'UPDATE password_reset_tokens SET expiresat = NOW() WHERE userid = $1 AND usedat IS NULL AND expiresat > NOW()',
+    [userId]
+  );
+  await db.query(
+    "DELETE FROM password_reset_tokens WHERE userid = $1 AND createdat < NOW() - INTERVAL '1 day'",
+    [userId]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+
+  await db.query(`
+    INSERT INTO password_reset_tokens (userid, tokenhash, expiresat, requestip)
+    VALUES ($1, $2, $3, $4)
+  `, [userId, hashToken(token), expiresAt, ip]);
+
+  return {
+    token,
+    resetUrl: `${FRONTEND_URL}/reset-password?token=${token}`,
+    expiresAt
+  };
+};
+
+/**
+ * Look up a live reset token and lock it for the rest of the transaction
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @returns {Promise<Object|null>} Token id plus the full user row, or null when invalid, used or expired
+ */
+const claimResetToken = async (client, token) => {
+  const result = await client.query(`
+    SELECT t.id AS tokenid, u.*
+    FROM password_reset_tokens t
+    JOIN users u ON t.userid = u.id
+    WHERE t.tokenhash = $1
+      AND t.usedat IS NULL
+      AND t.expiresat > NOW()
+      AND u."isActive" = true
+    FOR UPDATE OF t
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+};
+
+const markResetTokenUsed = async (client, tokenId) => {
+  await client.query('UPDATE password_reset_tokens SET usedat = NOW() WHERE id = $1', [tokenId]);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Plain text and HTML bodies for the reset email
+ */
+const resetEmail = (user, resetUrl) => {
+  const greeting = `Hello ${user.firstname},`;
+  const intro = 'Someone (hopefully you) asked to reset the password for your RSSB Sewadar Portal account.';
+  const expiry = `The link works once and expires in ${RESET_TOKEN_MINUTES} minutes.`;
+  const ignore = 'If you did not ask for this, you can ignore this email; your password will not change.';
+
+  return {
+    subject: 'Reset your RSSB Portal password',
+    text: `${greeting}\n\n${intro}\n\nReset your password: ${resetUrl}\n\n${expiry}\n${ignore}\n`,
+    html: `<p>${escapeHtml(greeting)}</p><p>${intro}</p><p><a href="${resetUrl}">Reset your password</a></p><p>${expiry}<br>${ignore}</p>`
+  };
+};
+
+module.exports = {
+  RESET_TOKEN_MINUTES,
+  issueResetToken,
+  claimResetToken,
+  markResetTokenUsed,
+  resetEmail
+};
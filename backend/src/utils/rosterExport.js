@@ -0,0 +1,65 @@
+const { writeTableExport } = require('./sewadarExport');
+
+// "09:00 - 13:00", or with the end date when a duty runs past midnight
+const formatDutyTime = ({ startsAt, endsAt }) => {
+  const sameDay = startsAt.slice(0, 10) === endsAt.slice(0, 10);
+  return `${startsAt.slice(11)} - ${sameDay ? endsAt.slice(11) : endsAt.replace('T', ' ')}`;
+};
+
+/**
+ * Roster columns. Each row is { event, slot, assignment } where assignment is
+ * null on the line that reports a slot's vacancies.
+ */
+const rosterColumns = [
+  { header: 'Duty', width: 25, value: ({ slot }) => slot.name },
+  { header: 'Date', width: 12, value: ({ slot }) => slot.startsAt.slice(0, 10) },
+  { header: 'Time', width: 22, value: ({ slot }) => formatDutyTime(slot) },
+  { header: 'Location', width: 25, value: ({ event, slot }) => slot.location || event.location },
+  { header: 'Badge ID', width: 15, value: ({ assignment }) => assignment?.badgeId },
+  {
+    header: 'Sewadar',
+    width: 30,
+    value: ({ slot, assignment }) => (assignment
+      ? `${assignment.firstName} ${assignment.lastName}`
+      : `${slot.requiredCount - slot.assignments.length} vacant`)
+  },
+  { header: 'Phone', width: 15, value: ({ assignment }) => assignment?.phone }
+];
+
+/**
+ * Write an event's duty roster in the requested format: one line per assigned
+ * sewadar, plus a line for every slot that is still short of sewadars
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - xlsx, csv or pdf
+ * @param {Object} options.event - Event with its slots and their assignments (see routes/events.js)
+ * @param {string} options.generatedBy - Name printed on the PDF
+ */
+const writeRosterExport = (res, { format, event, generatedBy }) => {
+  const rows = [];
+  event.slots.forEach(slot => {
+    slot.assignments.forEach(assignment => rows.push({ event, slot, assignment }));
+    if (slot.assignments.length < slot.requiredCount) {
+      rows.push({ event, slot, assignment: null });
+    }
+  });
+
+  const assigned = event.slots.reduce((sum, slot) => sum + slot.assignments.length, 0);
+  const dates = event.startDate === event.endDate ? event.startDate : `${event.startDate} to ${event.endDate}`;
+  const safeName = event.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').toLowerCase() || 'event';
+
+  return writeTableExport(res, {
+    format,
+    columns: rosterColumns,
+    rows,
+    filename: `roster_${safeName}_${event.startDate}`,
+    sheetName: 'Duty Roster',
+    title: `Duty Roster: ${event.name}`,
+    subtitle: `${event.location} · ${dates} · ${event.slots.length} duties, ${assigned} sewadars assigned · generated ${new Date().toLocaleString()} by ${generatedBy}`,
+    emptyMessage: 'No duties have been added to this event yet.'
+  });
+};
+
+module.exports = {
+  writeRosterExport
+};
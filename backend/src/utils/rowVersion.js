@@ -0,0 +1,70 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Counter bumped by every edit of a sewadar's or user's details (see the rowversion columns)
+const ROW_VERSION_BUMP = 'rowversion = rowversion + 1';
+
+/**
+ * ETag naming a row version, as returned by GET and expected in If-Match
+ * @param {number} rowVersion - Row version of the record
+ * @returns {string} Quoted ETag
+ */
+const rowVersionEtag = (rowVersion) => `"${rowVersion}"`;
+
+/**
+ * Send a record's row version as its ETag. The ETag only follows edits to the
+ * record's details, so the response must not be stored and revalidated, or a
+ * changed photo or centre name could be served from a stale copy.
+ * @param {Object} res - Express response
+ * @param {number} rowVersion - Row version of the record being returned
+ */
+const setRowVersionHeaders = (res, rowVersion) => {
+  res.set({
+    ETag: rowVersionEtag(rowVersion),
+    'Cache-Control': 'no-store'
+  });
+};
+
+/**
+ * Row version an edit was based on: the If-Match ETag, or rowVersion in the body.
+ * Edits must name it, so one editor cannot silently overwrite another's changes.
+ * @param {Object} req - Request (the body has been validated)
+ * @returns {number} Expected row version
+ */
+const expectedRowVersion = (req) => {
+  const ifMatch = req.get('if-match');
+  if (ifMatch) {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(ifMatch.trim());
+    if (!match) {
+      throw new AppError('If-Match must be the ETag returned when the record was loaded', 400);
+    }
+    return parseInt(match[1], 10);
+  }
+
+  if (req.body.rowVersion === undefined) {
+    throw new AppError('Send the rowVersion (or If-Match ETag) of the record being edited', 428);
+  }
+  return req.body.rowVersion;
+};
+
+/**
+ * Answer an edit based on an outdated row version with 409 and the record as it now is
+ * @param {Object} res - Express response
+ * @param {string} noun - What was edited, e.g. 'sewadar'
+ * @param {Object} current - The record as the GET endpoint returns it
+ */
+const sendEditConflict = (res, noun, current) => {
+  setRowVersionHeaders(res, current.rowVersion);
+  res.status(409).json({
+    success: false,
+    code: 'EDIT_CONFLICT',
+    message: `This ${noun} was changed by someone else after you opened it. Review their changes and save again.`,
+    data: current
+  });
+};
+
+module.exports = {
+  ROW_VERSION_BUMP,
+  setRowVersionHeaders,
+  expectedRowVersion,
+  sendEditConflict
+};
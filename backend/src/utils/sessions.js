@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('../middleware/errorHandler');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+const REFRESH_COOKIE_NAME = 'rssb_refresh_token';
+
+// Only the hash of a refresh token is stored, so a database leak cannot be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User row (id, email, role)
+ * @param {string} sessionId - Session the token belongs to
+ */
+const signAccessToken = (user, sessionId) => {
+  if (!process.env.JWT_SECRET) {
+    throw new AppError('Server configuration error', 500);
+  }
+
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Start a new session for a user who has just proven their credentials
+ * @returns {Promise<{ sessionId: string, refreshToken: string, expiresAt: Date }>}
+ */
+const createSession = async (db, user, req) => {
+  const sessionId = uuidv4();
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  await db.query(`
+    INSERT INTO sessions (id, userid, refreshtokenhash, useragent, ipaddress, expiresat)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [sessionId, user.id, hashToken(refreshToken), req.get('user-agent') || null, req.ip, expiresAt]);
+
+  // Drop this user's sessions that ended more than a month ago
+  await db.query(`
+    DELETE FROM sessions
+    WHERE userid = $1 AND COALESCE(revokedat, expiresat) < NOW() - INTERVAL '30 days'
+  `, [user.id]);
+
+  return { sessionId, refreshToken, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new one. The presented token stops working
+ * immediately, so a copied token is useless once the real client has refreshed.
+ * @returns {Promise<{ session: Object, user: Object, refreshToken: string, expiresAt: Date }>}
+ */
+const rotateSession = async (db, refreshToken, req) => {
+  const sessionResult = await db.query(`
+    SELECT s.id, s.userid, u.email, u.role, u.firstname, u.lastname
+    FROM sessions s
+    JOIN users u ON s.userid = u.id
+    WHERE s.refreshtokenhash = $1
+      AND s.revokedat IS NULL
+      AND s.expiresat > NOW()
+      AND u."isActive" = true
+  `, [hashToken(refreshToken)]);
+
+  const session = sessionResult.rows[0];
+  if (!session) {
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  const nextToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  // The hash condition makes two concurrent refreshes with the same token race safely
+  const updateResult = await db.query(`
+    UPDATE sessions
+    SET refreshtokenhash = $1, expiresat = $2, lastusedat = NOW(), ipaddress = $3, useragent = COALESCE($4, useragent)
+    WHERE id = $5 AND refreshtokenhash = $6
+  `, [hashToken(nextToken), expiresAt, req.ip, req.get('user-agent') || null, session.id, hashToken(refreshToken)]);
+
+  if (updateResult.rowCount === 0) {
+    throw new AppError('Session expired. Please log in again.', 401);
+  }
+
+  return {
+    session,
+    user: {
+      id: session.userid,
+      email: session.email,
+      role: session.role,
+      firstName: session.firstname,
+      lastName: session.lastname
+    },
+    refreshToken: nextToken,
+    expiresAt
+  };
+};
+
+/**
+ * Check that the session behind an access token is still live
+ */
+const isSessionActive = async (db, sessionId, userId) => {
+  const result = await db.query(`
+    SELECT id FROM sessions
+    WHERE id = $1 AND userid = $2 AND revokedat IS NULL AND expiresat > NOW()
+  `, [sessionId, userId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * List a user's live sessions, most recently used first
+ * @param {string} currentSessionId - Session of the caller, flagged as `current`
+ */
+const listActiveSessions = async (db, userId, currentSessionId = null) => {
+  const result = await db.query(`
+    SELECT
+      id,
+      useragent AS "userAgent",
+      ipaddress AS "ipAddress",
+      createdat AS "createdAt",
+      lastusedat AS "lastUsedAt",
+      expiresat AS "expiresAt"
+    FROM sessions
+    WHERE userid = $1 AND revokedat IS NULL AND expiresat > NOW()
+    ORDER BY lastusedat DESC
+  `, [userId]);
+
+  return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<number>} Number of sessions revoked (0 or 1)
+ */
+const revokeSession = async (db, userId, sessionId, reason) => {
+  const result = await db.query(
+    'UPDATE sessions SET revokedat = NOW(), revokedreason = $1 WHERE id = $2 AND userid = $3 AND revokedat IS NULL',
+    [reason, sessionId, userId]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Revoke every live session of a user, optionally keeping the current one
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (db, userId, reason, { exceptSessionId = null } = {}) => {
+  const result = await db.query(`
+    UPDATE sessions SET revokedat = NOW(), revokedreason = $1
+    WHERE userid = $2 AND revokedat IS NULL AND ($3::uuid IS NULL OR id <> $3::uuid)
+  `, [reason, userId, exceptSessionId]);
+  return result.rowCount;
+};
+
+// The frontend and API live on different sites in production, so the cookie must be SameSite=None there
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth'
+});
+
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...refreshCookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+};
@@ -0,0 +1,41 @@
+// Settings are read on hot paths (every authenticated request), so keep them briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Read a portal setting, falling back to a default when it was never saved
+ * @param {Object} db - Pool or transaction client
+ * @param {string} key - Setting key
+ * @param {*} defaultValue - Returned when the setting does not exist
+ */
+const getSetting = async (db, key, defaultValue = null) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const result = await db.query('SELECT value FROM settings WHERE key = $1', [key]);
+  const value = result.rows.length > 0 ? result.rows[0].value : defaultValue;
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Save a portal setting
+ * @param {string} userId - Admin making the change
+ */
+const setSetting = async (db, key, value, userId) => {
+  await db.query(`
+    INSERT INTO settings (key, value, updatedby, updatedat)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updatedby = EXCLUDED.updatedby, updatedat = NOW()
+  `, [key, JSON.stringify(value), userId]);
+
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+};
+
+module.exports = {
+  getSetting,
+  setSetting
+};
@@ -0,0 +1,152 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { readPhoto } = require('./sewadarPhoto');
+
+const BADGE_TITLE = process.env.BADGE_TITLE || 'RSSB Sewadar';
+const MAX_BADGES_PER_PRINT = parseInt(process.env.BADGE_MAX_PER_PRINT, 10) || 500;
+
+const mm = (value) => value * 72 / 25.4;
+
+// ID-1 (credit card) size, so badges fit standard holders and lanyards
+const CARD_WIDTH = mm(85.6);
+const CARD_HEIGHT = mm(54);
+
+// A4 sheet of 2 x 5 cards with a small gutter for cutting
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 5;
+const SHEET_GUTTER = mm(4);
+const A4 = { width: mm(210), height: mm(297) };
+const CARDS_PER_SHEET = SHEET_COLUMNS * SHEET_ROWS;
+
+const initials = (sewadar) => `${sewadar.firstName.charAt(0)}${sewadar.lastName.charAt(0)}`.toUpperCase();
+
+/**
+ * Draw one badge with its top-left corner at (x, y)
+ * @param {Object} assets - { photo: Buffer|null, qr: Buffer }
+ */
+const drawCard = (doc, x, y, sewadar, { photo, qr }) => {
+  const padding = mm(3);
+  const headerHeight = mm(9);
+
+  // Cut outline
+  doc.lineWidth(0.5).strokeColor('#CCCCCC').rect(x, y, CARD_WIDTH, CARD_HEIGHT).stroke();
+
+  // Header band
+  doc.rect(x, y, CARD_WIDTH, headerHeight).fill('#8B0000');
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#FFFFFF').text(BADGE_TITLE, x, y + mm(2.8), {
+    width: CARD_WIDTH,
+    align: 'center',
+    lineBreak: false
+  });
+
+  // Photo (4:5) or an initials placeholder
+  const photoTop = y + headerHeight + padding;
+  const photoHeight = CARD_HEIGHT - headerHeight - padding * 2;
+  const photoWidth = photoHeight * 0.8;
+  if (photo) {
+    doc.image(photo, x + padding, photoTop, { width: photoWidth, height: photoHeight });
+  } else {
+    doc.rect(x + padding, photoTop, photoWidth, photoHeight).fill('#E9ECEF');
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#ADB5BD').text(
+      initials(sewadar),
+      x + padding,
+      photoTop + photoHeight / 2 - 10,
+      { width: photoWidth, align: 'center', lineBreak: false }
+    );
+  }
+
+  // Name across the top, beside the photo
+  const textLeft = x + padding * 2 + photoWidth;
+  const textWidth = x + CARD_WIDTH - padding - textLeft;
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#212529').text(
+    `${sewadar.firstName} ${sewadar.lastName}`,
+    textLeft,
+    photoTop,
+    { width: textWidth, height: mm(9), ellipsis: true }
+  );
+
+  // QR code with the badge ID in the bottom corner, for scanning at duty desks
+  const qrSize = mm(18);
+  const qrLeft = x + CARD_WIDTH - padding - qrSize;
+  const qrTop = photoTop + photoHeight - qrSize;
+  doc.image(qr, qrLeft, qrTop, { width: qrSize, height: qrSize });
+
+  // Badge ID beside the QR code
+  const idWidth = qrLeft - textLeft - padding;
+  doc.font('Helvetica').fontSize(6.5).fillColor('#6C757D').text('BADGE ID', textLeft, qrTop + qrSize - mm(9), {
+    width: idWidth,
+    lineBreak: false
+  });
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#8B0000').text(sewadar.badgeId, textLeft, qrTop + qrSize - mm(6), {
+    width: idWidth,
+    lineBreak: false,
+    ellipsis: true
+  });
+};
+
+const loadAssets = async (sewadar) => ({
+  photo: sewadar.photoUpdatedAt ? await readPhoto(sewadar.id) : null,
+  qr: await QRCode.toBuffer(sewadar.badgeId, { type: 'png', margin: 0, width: 240, errorCorrectionLevel: 'M' })
+});
+
+/**
+ * Stream print-ready badges as a PDF
+ * @param {Object} res - Express response
+ * @param {Array<Object>} sewadars - Rows with id, firstName, lastName, badgeId and photoUpdatedAt
+ * @param {Object} options
+ * @param {string} options.layout - 'card' (one card-sized page per badge) or 'sheet' (A4, 10 per page)
+ * @param {string} options.filename - Download name
+ */
+const writeBadgePdf = async (res, sewadars, { layout, filename }) => {
+  // Load every photo and QR code up front so a missing file fails before any output
+  const assets = [];
+  for (const sewadar of sewadars) {
+    assets.push(await loadAssets(sewadar));
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+  await new Promise((resolve, reject) => {
+    const sheet = layout === 'sheet';
+    const doc = new PDFDocument({
+      size: sheet ? [A4.width, A4.height] : [CARD_WIDTH, CARD_HEIGHT],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: `${BADGE_TITLE} badges` }
+    });
+    doc.on('end', resolve);
+    doc.on('error', reject);
+    doc.pipe(res);
+
+    const sheetLeft = (A4.width - SHEET_COLUMNS * CARD_WIDTH - (SHEET_COLUMNS - 1) * SHEET_GUTTER) / 2;
+    const sheetTop = (A4.height - SHEET_ROWS * CARD_HEIGHT - (SHEET_ROWS - 1) * SHEET_GUTTER) / 2;
+
+    sewadars.forEach((sewadar, index) => {
+      if (!sheet) {
+        doc.addPage();
+        drawCard(doc, 0, 0, sewadar, assets[index]);
+        return;
+      }
+
+      const slot = index % CARDS_PER_SHEET;
+      if (slot === 0) doc.addPage();
+      const column = slot % SHEET_COLUMNS;
+      const row = Math.floor(slot / SHEET_COLUMNS);
+      drawCard(
+        doc,
+        sheetLeft + column * (CARD_WIDTH + SHEET_GUTTER),
+        sheetTop + row * (CARD_HEIGHT + SHEET_GUTTER),
+        sewadar,
+        assets[index]
+      );
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  MAX_BADGES_PER_PRINT,
+  writeBadgePdf
+};
@@ -0,0 +1,293 @@
+const { SEWADAR_CENTRES, sewadarScopeCondition, centresSelect } = require('./centres');
+
+// Scores (out of 100) from which a record is a possible and a likely duplicate
+const POSSIBLE_DUPLICATE_SCORE = 45;
+const LIKELY_DUPLICATE_SCORE = 75;
+const MAX_CANDIDATES = 10;
+
+const idFields = [
+  { field: 'verificationId', column: 'verificationid', label: 'verification ID' },
+  { field: 'naamdanId', column: 'naamdanid', label: 'naamdan ID' },
+  { field: 'badgeId', column: 'badgeid', label: 'badge ID' }
+];
+
+// Letters only, so "Gur-preet" and "gurpreet" compare equal
+const normaliseName = (value) => String(value || '').toLowerCase().replace(/[^\p{L}]/gu, '');
+
+// Letters and digits only, so "ABCD 1234" and "abcd-1234" compare equal
+const normaliseId = (value) => String(value || '').toUpperCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Same normalisation in SQL, for narrowing the records to score
+const nameKeySql = (column) => `LEFT(regexp_replace(LOWER(${column}), '[^[:alpha:]]', '', 'g'), 3)`;
+const idTailSql = (column) => `RIGHT(UPPER(regexp_replace(COALESCE(${column}, ''), '[^[:alnum:]]', '', 'g')), 4)`;
+
+const nameKey = (value) => normaliseName(value).slice(0, 3);
+const idTail = (value) => {
+  const id = normaliseId(value);
+  return id.length >= 4 ? id.slice(-4) : null;
+};
+
+const phonesOf = (sewadar) => [sewadar.phone, sewadar.alternatePhone].filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Score how likely two sewadars are the same person
+ * @param {Object} probe - Sewadar being entered (firstName, lastName, age, phone, ...)
+ * @param {Object} record - Existing sewadar in the same shape
+ * @returns {{ score: number, reasons: Array<string> }} Score from 0 to 100 and why
+ */
+const scoreDuplicate = (probe, record) => {
+  const reasons = [];
+  let score = 0;
+
+  // Names are compared whole, and with first and last name swapped
+  const probeName = normaliseName(probe.firstName) + normaliseName(probe.lastName);
+  const nameSimilarity = Math.max(
+    similarity(probeName, normaliseName(record.firstName) + normaliseName(record.lastName)),
+    similarity(probeName, normaliseName(record.lastName) + normaliseName(record.firstName))
+  );
+  if (nameSimilarity === 1) {
+    score += 45;
+    reasons.push('Same name');
+  } else if (nameSimilarity >= 0.75) {
+    score += Math.round(45 * nameSimilarity);
+    reasons.push('Similar name');
+  }
+
+  if (probe.age && record.age) {
+    const difference = Math.abs(probe.age - record.age);
+    if (difference <= 1) {
+      score += 15;
+      reasons.push(difference === 0 ? 'Same age' : 'Age within a year');
+    } else if (difference <= 3) {
+      score += 5;
+      reasons.push('Similar age');
+    } else if (difference > 10) {
+      // Namesakes a generation apart are not the same person
+      score -= 20;
+    }
+  }
+
+  const recordPhones = phonesOf(record);
+  if (phonesOf(probe).some(phone => recordPhones.includes(phone))) {
+    score += 35;
+    reasons.push('Same phone number');
+  }
+
+  if (probe.email && record.email && probe.email.toLowerCase() === record.email.toLowerCase()) {
+    score += 30;
+    reasons.push('Same email');
+  }
+
+  idFields.forEach(({ field, label }) => {
+    const probeId = normaliseId(probe[field]);
+    const recordId = normaliseId(record[field]);
+    if (!probeId || !recordId) return;
+
+    if (probeId === recordId) {
+      score += 50;
+      reasons.push(`Same ${label}`);
+    } else if (
+      (Math.min(probeId.length, recordId.length) >= 4 && (probeId.includes(recordId) || recordId.includes(probeId)))
+      || (Math.min(probeId.length, recordId.length) >= 6 && probeId.slice(-4) === recordId.slice(-4))
+    ) {
+      score += 25;
+      reasons.push(`Partial ${label} match`);
+    }
+  });
+
+  return { score: Math.max(0, Math.min(100, score)), reasons };
+};
+
+// Lookup keys a record can be found by, mirroring the pool query below
+const recordKeys = (record) => [
+  `first:${nameKey(record.firstName)}`,
+  `last:${nameKey(record.lastName)}`,
+  ...phonesOf(record).map(phone => `phone:${phone}`),
+  ...(record.email ? [`email:${record.email.toLowerCase()}`] : []),
+  ...idFields.map(({ field }) => idTail(record[field])).filter(Boolean).map(tail => `id:${tail}`)
+];
+
+// Keys to look a probe up by: first name against either name, so swapped names are found
+const probeKeys = (probe) => [
+  `first:${nameKey(probe.firstName)}`,
+  `first:${nameKey(probe.lastName)}`,
+  `last:${nameKey(probe.firstName)}`,
+  ...phonesOf(probe).map(phone => `phone:${phone}`),
+  ...(probe.email ? [`email:${probe.email.toLowerCase()}`] : []),
+  ...idFields.map(({ field }) => idTail(probe[field])).filter(Boolean).map(tail => `id:${tail}`)
+];
+
+const addToIndex = (index, record) => {
+  recordKeys(record).forEach(key => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(record);
+  });
+};
+
+const lookUp = (index, probe) => {
+  const found = new Set();
+  probeKeys(probe).forEach(key => (index.get(key) || []).forEach(record => found.add(record)));
+  return [...found];
+};
+
+const rankMatches = (probe, records, toCandidate) => records
+  .map(record => ({ record, ...scoreDuplicate(probe, record) }))
+  .filter(({ score }) => score >= POSSIBLE_DUPLICATE_SCORE)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, MAX_CANDIDATES)
+  .map(({ record, score, reasons }) => ({
+    ...toCandidate(record),
+    score,
+    confidence: score >= LIKELY_DUPLICATE_SCORE ? 'HIGH' : 'MEDIUM',
+    reasons
+  }));
+
+const existingCandidate = (record) => ({
+  id: record.id,
+  firstName: record.firstName,
+  lastName: record.lastName,
+  age: record.age,
+  phone: record.phone,
+  badgeId: record.badgeId,
+  centres: record.centres
+});
+
+/**
+ * Load the existing sewadars that share a name start, phone, email or ID
+ * ending with any of the probes; only these can score high enough to matter
+ */
+const loadCandidatePool = async (db, probes, centreScope, excludeId) => {
+  const scope = sewadarScopeCondition(centreScope, 1);
+  const collect = (fn) => [...new Set(probes.flatMap(fn).filter(Boolean))];
+  const offset = scope.params.length;
+
+  const result = await db.query(`
+    SELECT
+      s.id,
+      s.firstname AS "firstName",
+      s.lastname AS "lastName",
+      s.age,
+      s.phone,
+      s.alternatephone AS "alternatePhone",
+      s.email,
+      s.verificationid AS "verificationId",
+      s.naamdanid AS "naamdanId",
+      s.badgeid AS "badgeId",
+      ${centresSelect(SEWADAR_CENTRES, 's.id')} AS "centres"
+    FROM sewadars s
+    WHERE ${scope.condition}
+      AND s.deletedat IS NULL
+      AND s.id IS DISTINCT FROM $${offset + 1}::uuid
+      AND (
+        ${nameKeySql('s.firstname')} = ANY($${offset + 2}::text[])
+        OR ${nameKeySql('s.lastname')} = ANY($${offset + 3}::text[])
+        OR s.phone = ANY($${offset + 4}::text[])
+        OR s.alternatephone = ANY($${offset + 4}::text[])
+        OR LOWER(s.email) = ANY($${offset + 5}::text[])
+        OR ${idFields.map(({ column }) => `${idTailSql(`s.${column}`)} = ANY($${offset + 6}::text[])`).join(' OR ')}
+      )
+  `, [
+    ...scope.params,
+    excludeId || null,
+    collect(probe => [nameKey(probe.firstName), nameKey(probe.lastName)]),
+    collect(probe => [nameKey(probe.firstName)]),
+    collect(phonesOf),
+    collect(probe => [probe.email && probe.email.toLowerCase()]),
+    collect(probe => idFields.map(({ field }) => idTail(probe[field])))
+  ]);
+
+  return result.rows;
+};
+
+/**
+ * Existing sewadars that are likely the same person as one being entered
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} sewadar - firstName, lastName, age, phone, alternatePhone, email and IDs
+ * @param {Object} options - centreScope (req.user.centreScope) and excludeId (the record being edited)
+ * @returns {Promise<Array<Object>>} Best matches first, with score, confidence (HIGH or MEDIUM) and reasons
+ */
+const findDuplicateCandidates = async (db, sewadar, { centreScope = null, excludeId = null } = {}) => {
+  const pool = await loadCandidatePool(db, [sewadar], centreScope, excludeId);
+  return rankMatches(sewadar, pool, existingCandidate);
+};
+
+/**
+ * Flag import rows that look like an existing sewadar or an earlier row of
+ * the same file. Sets possibleDuplicates on each valid report entry that has any.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<Object>} report - Entries from validateImportRows
+ * @param {Array<string>|null} centreScope - req.user.centreScope
+ * @returns {Promise<number>} Number of rows with possible duplicates
+ */
+const flagImportDuplicates = async (db, report, centreScope) => {
+  const entries = report.filter(entry => entry.status === 'valid');
+  if (entries.length === 0) return 0;
+
+  const existingIndex = new Map();
+  (await loadCandidatePool(db, entries.map(entry => entry.data), centreScope, null))
+    .forEach(record => addToIndex(existingIndex, record));
+
+  const fileIndex = new Map();
+  let flagged = 0;
+
+  entries.forEach(entry => {
+    const matches = [
+      ...rankMatches(entry.data, lookUp(existingIndex, entry.data), existingCandidate),
+      ...rankMatches(entry.data, lookUp(fileIndex, entry.data), record => ({
+        row: record.row,
+        firstName: record.firstName,
+        lastName: record.lastName,
+        age: record.age,
+        phone: record.phone,
+        badgeId: record.badgeId
+      }))
+    ];
+
+    if (matches.length > 0) {
+      entry.possibleDuplicates = matches;
+      flagged++;
+    }
+    addToIndex(fileIndex, { ...entry.data, row: entry.row });
+  });
+
+  return flagged;
+};
+
+/**
+ * One-line summary of overridden matches for the audit log
+ */
+const describeDuplicates = (candidates) => candidates
+  .map(candidate => `${candidate.firstName} ${candidate.lastName} (${candidate.id ? `ID ${candidate.id}` : `row ${candidate.row}`}, score ${candidate.score})`)
+  .join(', ');
+
+module.exports = {
+  POSSIBLE_DUPLICATE_SCORE,
+  LIKELY_DUPLICATE_SCORE,
+  scoreDuplicate,
+  findDuplicateCandidates,
+  flagImportDuplicates,
+  describeDuplicates
+};
@@ -0,0 +1,247 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { AppError } = require('../middleware/errorHandler');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+// "Name (Relationship) phone" for each contact, separated by semicolons
+const formatEmergencyContacts = (contacts) => (contacts || [])
+  .map(({ name, relationship, phone }) => `${name} (${relationship.charAt(0)}${relationship.slice(1).toLowerCase()}) ${phone}`)
+  .join('; ');
+
+/**
+ * Columns that can be exported, keyed by the name clients send in `columns`.
+ * `width` is the XLSX column width and the relative PDF column width.
+ */
+const exportColumns = {
+  id: { header: 'ID', width: 36, value: (s) => s.id },
+  firstName: { header: 'First Name', width: 20, value: (s) => s.firstName },
+  lastName: { header: 'Last Name', width: 20, value: (s) => s.lastName },
+  age: { header: 'Age', width: 10, value: (s) => s.age },
+  verificationType: { header: 'Verification Type', width: 20, value: (s) => s.verificationType },
+  verificationId: { header: 'Verification ID', width: 25, value: (s) => s.verificationId },
+  naamdanStatus: { header: 'Naamdan Status', width: 15, value: (s) => (s.naamdanStatus ? 'Complete' : 'Pending') },
+  naamdanId: { header: 'Naamdan ID', width: 20, value: (s) => s.naamdanId },
+  badgeId: { header: 'Badge ID', width: 20, value: (s) => s.badgeId },
+  phone: { header: 'Phone', width: 15, value: (s) => s.phone },
+  alternatePhone: { header: 'Alternate Phone', width: 15, value: (s) => s.alternatePhone },
+  email: { header: 'Email', width: 25, value: (s) => s.email },
+  addressLine1: { header: 'Address Line 1', width: 30, value: (s) => s.addressLine1 },
+  addressLine2: { header: 'Address Line 2', width: 30, value: (s) => s.addressLine2 },
+  city: { header: 'City', width: 15, value: (s) => s.city },
+  district: { header: 'District', width: 15, value: (s) => s.district },
+  state: { header: 'State', width: 20, value: (s) => s.state },
+  pinCode: { header: 'PIN Code', width: 10, value: (s) => s.pinCode },
+  emergencyContacts: { header: 'Emergency Contacts', width: 40, value: (s) => formatEmergencyContacts(s.emergencyContacts) },
+  centres: { header: 'Centres', width: 25, value: (s) => (s.centres || []).map(({ name }) => name).join('; ') },
+  createdBy: {
+    header: 'Created By',
+    width: 25,
+    value: (s) => (s.createdByFirstName && s.createdByLastName
+      ? `${s.createdByFirstName} ${s.createdByLastName}`
+      : 'Unknown')
+  },
+  createdAt: { header: 'Created Date', width: 20, value: (s) => formatDate(s.createdAt) },
+  updatedAt: { header: 'Updated Date', width: 20, value: (s) => formatDate(s.updatedAt) }
+};
+
+const defaultExportColumns = [
+  'id', 'firstName', 'lastName', 'age', 'verificationType', 'verificationId',
+  'naamdanStatus', 'naamdanId', 'badgeId', 'phone', 'createdBy', 'createdAt'
+];
+
+const exportFormats = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+/**
+ * Resolve the requested export format, defaulting to XLSX
+ */
+const parseExportFormat = (format) => {
+  const key = String(format || 'xlsx').toLowerCase();
+  if (!exportFormats[key]) {
+    throw new AppError(`Unsupported export format "${format}". Use one of: ${Object.keys(exportFormats).join(', ')}`, 400);
+  }
+  return key;
+};
+
+/**
+ * Resolve the requested columns (array or comma-separated string) against the whitelist
+ */
+const parseExportColumns = (columns) => {
+  if (!columns || columns.length === 0) return defaultExportColumns;
+
+  const requested = (Array.isArray(columns) ? columns : String(columns).split(','))
+    .map(column => String(column).trim())
+    .filter(Boolean);
+
+  const unknown = requested.filter(column => !exportColumns[column]);
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown export columns: ${unknown.join(', ')}`, 400);
+  }
+
+  return requested.length > 0 ? [...new Set(requested)] : defaultExportColumns;
+};
+
+// Quote CSV cells and neutralise values a spreadsheet would treat as formulas
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeCsv = (res, columns, rows) => {
+  const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(column.value(row))).join(','));
+  });
+  // BOM so Excel opens the file as UTF-8
+  res.end(`\uFEFF${lines.join('\r\n')}\r\n`);
+};
+
+const writeXlsx = async (res, columns, rows, { sheetName }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: String(index),
+    width: column.width
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    worksheet.addRow(columns.map(column => column.value(row)));
+  });
+
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+const writePdf = (res, columns, rows, { title, subtitle, emptyMessage }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+  doc.on('end', resolve);
+  doc.on('error', reject);
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const totalUnits = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalUnits) * tableWidth);
+  const rowHeight = 18;
+  const bottomLimit = () => doc.page.height - doc.page.margins.bottom - 24;
+
+  const drawRow = (cells, { header = false, shaded = false } = {}) => {
+    const y = doc.y;
+    if (header) {
+      doc.rect(left, y, tableWidth, rowHeight).fill('#8B0000');
+    } else if (shaded) {
+      doc.rect(left, y, tableWidth, rowHeight).fill('#F5F5F5');
+    }
+
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(header ? '#FFFFFF' : '#212529');
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell === null || cell === undefined ? '' : String(cell), x + 4, y + 5, {
+        width: widths[index] - 8,
+        height: rowHeight - 6,
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += widths[index];
+    });
+
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const headers = columns.map(column => column.header);
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#8B0000').text(title, left, doc.y);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(subtitle);
+  doc.moveDown();
+
+  drawRow(headers, { header: true });
+
+  if (rows.length === 0) {
+    doc.moveDown().font('Helvetica').fontSize(10).fillColor('#555555').text(emptyMessage, left);
+  }
+
+  rows.forEach((row, index) => {
+    if (doc.y + rowHeight > bottomLimit()) {
+      doc.addPage();
+      drawRow(headers, { header: true });
+    }
+    drawRow(columns.map(column => column.value(row)), { shaded: index % 2 === 1 });
+  });
+
+  // Page numbers once the page count is known
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      `Page ${i + 1} of ${range.count}`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 12,
+      { width: tableWidth, align: 'right', lineBreak: false }
+    );
+  }
+
+  doc.end();
+});
+
+/**
+ * Write rows to the response as a table in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - xlsx, csv or pdf
+ * @param {Array<Object>} options.columns - Column definitions: { header, width, value(row) }
+ * @param {Array<Object>} options.rows - Rows to export
+ * @param {string} options.filename - Download name without the extension
+ * @param {string} options.sheetName - XLSX worksheet name
+ * @param {string} options.title - PDF title
+ * @param {string} options.subtitle - PDF subtitle (filters, generation time)
+ * @param {string} options.emptyMessage - PDF text when there are no rows
+ */
+const writeTableExport = async (res, { format, columns, rows, filename, sheetName, title, subtitle, emptyMessage }) => {
+  const { contentType, extension } = exportFormats[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}.${extension}`);
+
+  if (format === 'csv') return writeCsv(res, columns, rows);
+  if (format === 'pdf') return writePdf(res, columns, rows, { title, subtitle, emptyMessage });
+  return writeXlsx(res, columns, rows, { sheetName });
+};
+
+/**
+ * Write sewadars to the response in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - xlsx, csv or pdf
+ * @param {Array<string>} options.columns - Column keys from exportColumns
+ * @param {Array<Object>} options.sewadars - Rows to export
+ * @param {string} options.title - PDF title
+ * @param {string} options.subtitle - PDF subtitle (filters, generation time)
+ */
+const writeSewadarExport = (res, { format, columns, sewadars, title, subtitle }) => writeTableExport(res, {
+  format,
+  columns: columns.map(key => exportColumns[key]),
+  rows: sewadars,
+  filename: `sewadars_export_${new Date().toISOString().split('T')[0]}`,
+  sheetName: 'Sewadars Data',
+  title,
+  subtitle,
+  emptyMessage: 'No sewadars match these filters.'
+});
+
+module.exports = {
+  exportColumns,
+  defaultExportColumns,
+  parseExportFormat,
+  parseExportColumns,
+  writeTableExport,
+  writeSewadarExport
+};
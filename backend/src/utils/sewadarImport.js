@@ -0,0 +1,267 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { schemas } = require('../middleware/validation');
+const indianStates = require('../data/indianStates');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 2000;
+
+/**
+ * Accepted column headers (lowercased, non-alphanumerics stripped) mapped to sewadar fields.
+ * Includes the headers written by /sewadars/export so an export can be re-imported.
+ */
+const headerMap = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  age: 'age',
+  verificationid: 'verificationId',
+  verificationtype: 'verificationType',
+  naamdanstatus: 'naamdanStatus',
+  naamdancomplete: 'naamdanStatus',
+  naamdanid: 'naamdanId',
+  badgeid: 'badgeId',
+  phone: 'phone',
+  mobile: 'phone',
+  alternatephone: 'alternatePhone',
+  email: 'email',
+  addressline1: 'addressLine1',
+  address: 'addressLine1',
+  addressline2: 'addressLine2',
+  city: 'city',
+  district: 'district',
+  state: 'state',
+  pincode: 'pinCode',
+  pin: 'pinCode',
+  emergencycontactname: 'emergencyContactName',
+  emergencycontactrelationship: 'emergencyContactRelationship',
+  emergencycontactphone: 'emergencyContactPhone'
+};
+
+// Columns written in the downloadable template, in order
+const templateColumns = [
+  { header: 'First Name', key: 'firstName', width: 20 },
+  { header: 'Last Name', key: 'lastName', width: 20 },
+  { header: 'Age', key: 'age', width: 10 },
+  { header: 'Verification Type', key: 'verificationType', width: 20 },
+  { header: 'Verification ID', key: 'verificationId', width: 25 },
+  { header: 'Naamdan Status', key: 'naamdanStatus', width: 15 },
+  { header: 'Naamdan ID', key: 'naamdanId', width: 20 },
+  { header: 'Badge ID', key: 'badgeId', width: 20 },
+  { header: 'Phone', key: 'phone', width: 15 },
+  { header: 'Email', key: 'email', width: 25 },
+  { header: 'Address Line 1', key: 'addressLine1', width: 30 },
+  { header: 'Address Line 2', key: 'addressLine2', width: 30 },
+  { header: 'City', key: 'city', width: 15 },
+  { header: 'District', key: 'district', width: 15 },
+  { header: 'State', key: 'state', width: 20 },
+  { header: 'PIN Code', key: 'pinCode', width: 10 },
+  { header: 'Emergency Contact Name', key: 'emergencyContactName', width: 25 },
+  { header: 'Emergency Contact Relationship', key: 'emergencyContactRelationship', width: 20 },
+  { header: 'Emergency Contact Phone', key: 'emergencyContactPhone', width: 15 }
+];
+
+// A file carries at most one emergency contact per row, in these columns
+const emergencyContactColumns = {
+  emergencyContactName: 'name',
+  emergencyContactRelationship: 'relationship',
+  emergencyContactPhone: 'phone'
+};
+
+// Rows in an import must carry the columns that are NOT NULL in the sewadars table
+const importRowSchema = schemas.sewadarCreate.fork(
+  ['verificationId', 'verificationType'],
+  (schema) => schema.required()
+);
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Flatten ExcelJS cell values (rich text, hyperlinks, formulas, dates) to plain values
+ */
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+    return undefined;
+  }
+  return value;
+};
+
+const parseBoolean = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'complete', 'completed', 'done'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'pending', ''].includes(text)) return false;
+  return value;
+};
+
+/**
+ * Convert one raw spreadsheet row into the shape expected by the sewadarCreate schema
+ */
+const normaliseRow = (raw) => {
+  const row = {};
+
+  Object.entries(raw).forEach(([field, value]) => {
+    if (value === undefined || value === null) return;
+    const text = String(value).trim();
+    if (text === '') return;
+
+    if (field === 'naamdanStatus') {
+      row[field] = parseBoolean(text);
+    } else if (field === 'age') {
+      row[field] = Number(text);
+    } else if (field === 'verificationType') {
+      row[field] = text.toUpperCase().replace(/[\s-]+/g, '_');
+    } else if (field === 'state') {
+      row[field] = indianStates.find(state => state.toLowerCase() === text.toLowerCase()) || text;
+    } else if (emergencyContactColumns[field]) {
+      row.emergencyContacts = row.emergencyContacts || [{}];
+      row.emergencyContacts[0][emergencyContactColumns[field]] = text;
+    } else {
+      row[field] = text;
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Read an uploaded .xlsx or .csv buffer into raw row objects keyed by sewadar field
+ * @returns {Promise<Array<{ row: number, raw: Object }>>}
+ */
+const readImportFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (extension === '.xlsx') {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  } else if (extension === '.csv') {
+    // Keep every CSV cell as text so IDs with leading zeros survive
+    worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+      map: (datum) => (datum === '' ? null : datum)
+    });
+  } else {
+    throw new AppError('Only .xlsx and .csv files can be imported', 400);
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new AppError('The uploaded file has no data rows', 400);
+  }
+
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    const field = headerMap[normaliseHeader(cellToValue(cell.value))];
+    if (field) columns[colNumber] = field;
+  });
+
+  const mappedFields = Object.values(columns);
+  if (!mappedFields.includes('firstName') || !mappedFields.includes('lastName')) {
+    throw new AppError('The header row must include First Name and Last Name columns', 400);
+  }
+
+  const rows = [];
+  worksheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const raw = {};
+    Object.entries(columns).forEach(([colNumber, field]) => {
+      raw[field] = cellToValue(sheetRow.getCell(Number(colNumber)).value);
+    });
+
+    // Skip rows that are completely blank
+    if (Object.values(raw).every(value => value === undefined || String(value).trim() === '')) return;
+
+    rows.push({ row: rowNumber, raw });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A single import is limited to ${MAX_IMPORT_ROWS} rows`, 400);
+  }
+
+  return rows;
+};
+
+/**
+ * Validate parsed rows against the sewadar schema, against each other and against
+ * existing records for the UNIQUE id columns.
+ * @returns {Promise<Array<{ row: number, status: string, errors: Array, data: Object }>>}
+ */
+const validateImportRows = async (db, rows) => {
+  const uniqueFields = [
+    { field: 'verificationId', column: 'verificationid' },
+    { field: 'naamdanId', column: 'naamdanid' },
+    { field: 'badgeId', column: 'badgeid' }
+  ];
+
+  const report = rows.map(({ row, raw }) => {
+    const { error, value } = importRowSchema.validate(normaliseRow(raw), {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    return {
+      row,
+      status: error ? 'invalid' : 'valid',
+      errors: error
+        ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+        : [],
+      data: error ? normaliseRow(raw) : value
+    };
+  });
+
+  // Duplicates inside the file itself
+  uniqueFields.forEach(({ field }) => {
+    const seen = new Map();
+    report.forEach(entry => {
+      const id = entry.data[field];
+      if (!id) return;
+      if (seen.has(id)) {
+        entry.errors.push({ field, message: `"${field}" duplicates row ${seen.get(id)} in this file` });
+      } else {
+        seen.set(id, entry.row);
+      }
+    });
+  });
+
+  // Duplicates against records already in the database
+  const collect = (field) => report.map(entry => entry.data[field]).filter(Boolean).map(String);
+  const existingResult = await db.query(`
+    SELECT verificationid, naamdanid, badgeid, deletedat IS NOT NULL AS "inTrash"
+    FROM sewadars
+    WHERE verificationid = ANY($1) OR naamdanid = ANY($2) OR badgeid = ANY($3)
+  `, [collect('verificationId'), collect('naamdanId'), collect('badgeId')]);
+
+  uniqueFields.forEach(({ field, column }) => {
+    // ID -> whether its sewadar is in the trash, where it still holds the ID until purged
+    const existing = new Map(existingResult.rows.filter(row => row[column]).map(row => [row[column], row.inTrash]));
+    report.forEach(entry => {
+      const value = entry.data[field] && String(entry.data[field]);
+      if (value && existing.has(value)) {
+        entry.errors.push({
+          field,
+          message: existing.get(value)
+            ? `"${field}" belongs to a sewadar in the trash; restore that record instead`
+            : `"${field}" already belongs to an existing sewadar`
+        });
+      }
+    });
+  });
+
+  report.forEach(entry => {
+    if (entry.errors.length > 0) entry.status = 'invalid';
+  });
+
+  return report;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  templateColumns,
+  readImportFile,
+  validateImportRows
+};
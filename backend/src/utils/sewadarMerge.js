@@ -0,0 +1,101 @@
+/**
+ * Move everything attached to a merged sewadar onto the survivor. Runs before
+ * the merged record is deleted, whose cascades would otherwise drop it.
+ * Where both records have a row that may exist only once (the same event day
+ * or the same duty slot), the survivor's row is kept and the other discarded.
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {string} mergedId - Sewadar being merged away
+ * @param {string} survivorId - Sewadar that remains
+ * @returns {Promise<{ moved: Object, discarded: Object }>} IDs of the rows moved per kind,
+ *   and the full rows discarded as duplicates
+ */
+const moveRelatedRecords = async (client, mergedId, survivorId) => {
+  const ids = (result) => result.rows.map(row => row.id);
+
+  const discardedAttendance = await client.query(`
+    DELETE FROM attendance a
+    WHERE a.sewadarid = $1
+      AND EXISTS (
+        SELECT 1 FROM attendance kept
+        WHERE kept.sewadarid = $2 AND kept.eventid = a.eventid AND kept.attendancedate = a.attendancedate
+      )
+    RETURNING *
+  `, [mergedId, survivorId]);
+  const attendance = await client.query(
+    'UPDATE attendance SET sewadarid = $2, updatedat = NOW() WHERE sewadarid = $1 RETURNING id',
+    [mergedId, survivorId]
+  );
+
+  const discardedDuties = await client.query(`
+    DELETE FROM duty_assignments da
+    WHERE da.sewadarid = $1
+      AND EXISTS (SELECT 1 FROM duty_assignments kept WHERE kept.sewadarid = $2 AND kept.slotid = da.slotid)
+    RETURNING *
+  `, [mergedId, survivorId]);
+  const duties = await client.query(
+    'UPDATE duty_assignments SET sewadarid = $2 WHERE sewadarid = $1 RETURNING id',
+    [mergedId, survivorId]
+  );
+
+  // Memberships are combined: the survivor serves wherever either record did
+  const departments = await client.query(`
+    INSERT INTO department_members (departmentid, sewadarid, addedby, addedat)
+    SELECT departmentid, $2, addedby, addedat FROM department_members WHERE sewadarid = $1
+    ON CONFLICT DO NOTHING
+    RETURNING departmentid AS id
+  `, [mergedId, survivorId]);
+  const centres = await client.query(`
+    INSERT INTO sewadar_centres (sewadarid, centreid)
+    SELECT $2, centreid FROM sewadar_centres WHERE sewadarid = $1
+    ON CONFLICT DO NOTHING
+    RETURNING centreid AS id
+  `, [mergedId, survivorId]);
+
+  const badgeRevocations = await client.query(
+    'UPDATE badge_revocations SET sewadarid = $2 WHERE sewadarid = $1 RETURNING badgeid AS id',
+    [mergedId, survivorId]
+  );
+
+  const auditEntries = await client.query(
+    'UPDATE audit_logs SET entityid = $2 WHERE entity = $3 AND entityid = $1 RETURNING id',
+    [mergedId, survivorId, 'SEWADAR']
+  );
+
+  // Records merged into this one earlier now redirect straight to the survivor
+  const tombstones = await client.query(
+    'UPDATE sewadar_tombstones SET mergedintoid = $2 WHERE mergedintoid = $1 RETURNING id',
+    [mergedId, survivorId]
+  );
+
+  return {
+    moved: {
+      attendance: ids(attendance),
+      dutyAssignments: ids(duties),
+      departments: ids(departments),
+      centres: ids(centres),
+      badgeRevocations: ids(badgeRevocations),
+      auditEntries: ids(auditEntries),
+      tombstones: ids(tombstones)
+    },
+    discarded: {
+      attendance: discardedAttendance.rows,
+      dutyAssignments: discardedDuties.rows
+    }
+  };
+};
+
+/**
+ * Sewadar a merged-away ID now redirects to
+ * @param {Object} db - Pool or transaction client
+ * @param {string} id - Former sewadar ID
+ * @returns {Promise<string|null>} Survivor's ID, or null when the ID was never merged
+ */
+const findMergedInto = async (db, id) => {
+  const result = await db.query('SELECT mergedintoid FROM sewadar_tombstones WHERE id = $1', [id]);
+  return result.rows[0] ? result.rows[0].mergedintoid : null;
+};
+
+module.exports = {
+  moveRelatedRecords,
+  findMergedInto
+};
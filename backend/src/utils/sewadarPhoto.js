@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { AppError } = require('../middleware/errorHandler');
+
+const PHOTO_DIR = path.resolve(process.env.PHOTO_UPLOAD_DIR || 'uploads/photos');
+
+// Stored photos are portrait 4:5, the shape of the photo box on the badge
+const PHOTO_WIDTH = 480;
+const PHOTO_HEIGHT = 600;
+
+const photoPath = (sewadarId) => path.join(PHOTO_DIR, `${sewadarId}.jpg`);
+
+/**
+ * Normalise an uploaded image into the stored badge photo: auto-rotated from EXIF,
+ * optionally cropped to the given box, then cropped/resized to 480x600 JPEG.
+ * Without a crop box the most interesting region (usually the face) is kept.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {{ left: number, top: number, width: number, height: number }} [crop] - In pixels of the upright original
+ * @returns {Promise<Buffer>} JPEG data
+ */
+const processPhoto = async (buffer, crop) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new AppError('The uploaded file is not a readable image', 400);
+  }
+
+  if (crop) {
+    // EXIF orientations 5-8 are rotated by 90 degrees, which swaps width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    if (crop.left + crop.width > width || crop.top + crop.height > height) {
+      throw new AppError(`The crop area falls outside the ${width}x${height} image`, 400);
+    }
+  }
+
+  let image = sharp(buffer).rotate();
+  if (crop) {
+    image = image.extract(crop);
+  }
+
+  return image
+    .resize(PHOTO_WIDTH, PHOTO_HEIGHT, { fit: 'cover', position: sharp.strategy.attention })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer();
+};
+
+/**
+ * Write a processed photo to disk, replacing any previous one
+ */
+const savePhoto = async (sewadarId, jpeg) => {
+  await fs.promises.mkdir(PHOTO_DIR, { recursive: true });
+  // Write then rename so a reader never sees half a file
+  const temporary = `${photoPath(sewadarId)}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporary, jpeg);
+  await fs.promises.rename(temporary, photoPath(sewadarId));
+};
+
+/**
+ * @returns {Promise<Buffer|null>} The stored photo, or null when there is none
+ */
+const readPhoto = async (sewadarId) => {
+  try {
+    return await fs.promises.readFile(photoPath(sewadarId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const removePhoto = async (sewadarId) => {
+  await fs.promises.rm(photoPath(sewadarId), { force: true });
+};
+
+/**
+ * Give one sewadar's photo to another, replacing theirs (used when merging records)
+ */
+const movePhoto = async (fromSewadarId, toSewadarId) => {
+  try {
+    await fs.promises.rename(photoPath(fromSewadarId), photoPath(toSewadarId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  processPhoto,
+  savePhoto,
+  readPhoto,
+  removePhoto,
+  movePhoto
+};
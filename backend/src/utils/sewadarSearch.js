@@ -0,0 +1,131 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Deepest nesting of groups accepted, counting the top-level group
+const MAX_GROUP_DEPTH = 5;
+
+// Text fields a condition can match, by request field name (see sewadarSearchTextFields)
+const textColumns = {
+  firstName: 's.firstname',
+  lastName: 's.lastname',
+  verificationId: 's.verificationid',
+  naamdanId: 's.naamdanid',
+  badgeId: 's.badgeid',
+  phone: 's.phone',
+  alternatePhone: 's.alternatephone',
+  email: 's.email',
+  addressLine1: 's.addressline1',
+  addressLine2: 's.addressline2',
+  city: 's.city',
+  district: 's.district',
+  state: 's.state',
+  pinCode: 's.pincode'
+};
+
+// Dates are whole days, so "to" includes everything up to the end of that day
+const dateColumns = {
+  createdAt: 's.createdat',
+  updatedAt: 's.updatedat'
+};
+
+// Relative periods (see sewadarSearchPeriods), as bounds on a date column
+const periodBounds = {
+  today: column => [`${column} >= CURRENT_DATE`],
+  last7Days: column => [`${column} >= CURRENT_DATE - 6`],
+  last30Days: column => [`${column} >= CURRENT_DATE - 29`],
+  thisMonth: column => [`${column} >= DATE_TRUNC('month', CURRENT_DATE)`],
+  lastMonth: column => [
+    `${column} >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '1 month'`,
+    `${column} < DATE_TRUNC('month', CURRENT_DATE)`
+  ],
+  thisYear: column => [`${column} >= DATE_TRUNC('year', CURRENT_DATE)`]
+};
+
+// The text typed is matched literally, so % and _ are not wildcards
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const likePatterns = {
+  contains: value => `%${escapeLike(value)}%`,
+  notContains: value => `%${escapeLike(value)}%`,
+  equals: value => escapeLike(value),
+  startsWith: value => `${escapeLike(value)}%`,
+  endsWith: value => `%${escapeLike(value)}`
+};
+
+/**
+ * Build the SQL condition for an advanced sewadar search (see the sewadarSearch
+ * schema). Every value is passed as a parameter; only column names from the
+ * maps above reach the SQL text.
+ * @param {Object} query - Validated group: { combinator, rules }, rules being conditions or nested groups
+ * @param {number} paramIndex - First free parameter placeholder number
+ * @returns {{ condition: string, params: Array, paramIndex: number }} Condition, its parameters and the next free placeholder number
+ */
+const buildSewadarSearchCondition = (query, paramIndex) => {
+  const params = [];
+  const placeholder = (value) => {
+    params.push(value);
+    return `$${paramIndex + params.length - 1}`;
+  };
+
+  const textCondition = ({ field, operator, value }) => {
+    const columns = field === 'any' ? Object.values(textColumns) : [textColumns[field]];
+
+    if (operator === 'present' || operator === 'missing') {
+      const tests = columns.map(column => `COALESCE(TRIM(${column}), '') ${operator === 'present' ? '<>' : '='} ''`);
+      return `(${tests.join(operator === 'present' ? ' OR ' : ' AND ')})`;
+    }
+
+    const pattern = placeholder(likePatterns[operator](value));
+    if (operator === 'notContains') {
+      // Matches only if no field contains the text; empty fields never do
+      return `(${columns.map(column => `COALESCE(${column}, '') NOT ILIKE ${pattern}`).join(' AND ')})`;
+    }
+    return `(${columns.map(column => `${column} ILIKE ${pattern}`).join(' OR ')})`;
+  };
+
+  const ruleCondition = (rule) => {
+    if (rule.field === 'age') {
+      const bounds = [];
+      if (rule.min !== undefined) bounds.push(`s.age >= ${placeholder(rule.min)}`);
+      if (rule.max !== undefined) bounds.push(`s.age <= ${placeholder(rule.max)}`);
+      return `(${bounds.join(' AND ')})`;
+    }
+
+    if (dateColumns[rule.field]) {
+      const column = dateColumns[rule.field];
+      if (rule.period) {
+        return `(${periodBounds[rule.period](column).join(' AND ')})`;
+      }
+      const bounds = [];
+      if (rule.from) bounds.push(`${column} >= ${placeholder(rule.from)}::date`);
+      if (rule.to) bounds.push(`${column} < ${placeholder(rule.to)}::date + 1`);
+      return `(${bounds.join(' AND ')})`;
+    }
+
+    switch (rule.field) {
+      case 'naamdanStatus':
+        return `s.naamdanstatus = ${placeholder(rule.value)}`;
+      case 'verificationType':
+        return `s.verificationtype = ANY(${placeholder(rule.value)}::text[])`;
+      case 'createdBy':
+        return `s.createdby = ${placeholder(rule.value)}`;
+      default:
+        return textCondition(rule);
+    }
+  };
+
+  const groupCondition = (group, depth) => {
+    if (depth > MAX_GROUP_DEPTH) {
+      throw new AppError(`Search groups can be nested at most ${MAX_GROUP_DEPTH} deep`, 400);
+    }
+
+    const conditions = group.rules.map(rule => (rule.rules ? groupCondition(rule, depth + 1) : ruleCondition(rule)));
+    return `(${conditions.join(` ${group.combinator} `)})`;
+  };
+
+  const condition = groupCondition(query, 1);
+  return { condition, params, paramIndex: paramIndex + params.length };
+};
+
+module.exports = {
+  buildSewadarSearchCondition
+};
@@ -0,0 +1,100 @@
+const { writeAuditLog } = require('./audit');
+const { sewadarScopeCondition } = require('./centres');
+
+const readInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Days a deleted sewadar stays restorable before it may be purged; 0 allows purging straight away
+const TRASH_RETENTION_DAYS = Math.max(0, readInt('TRASH_RETENTION_DAYS', 30));
+
+// When a sewadar s in the trash may be purged, for use inside a query
+const purgeableAtSql = `(s.deletedat + make_interval(days => ${TRASH_RETENTION_DAYS}))`;
+
+/**
+ * Permanently delete sewadars from the trash, with one PURGE_SEWADAR audit
+ * entry each holding the record as it was. Cascades remove their attendance,
+ * duties, memberships and contacts; photo files are left to the caller.
+ * @param {Object} client - Transaction client (see withTransaction)
+ * @param {Object} req - Request of the admin purging them
+ * @param {Array<Object>} sewadars - Full records (sewadarSelectColumns) of trashed sewadars
+ */
+const purgeSewadars = async (client, req, sewadars) => {
+  for (const sewadar of sewadars) {
+    await client.query('DELETE FROM sewadars WHERE id = $1 AND deletedat IS NOT NULL', [sewadar.id]);
+
+    await writeAuditLog(client, req, {
+      action: 'PURGE_SEWADAR',
+      userId: req.user.userId,
+      entity: 'SEWADAR',
+      entityId: sewadar.id,
+      details: `Permanently deleted sewadar: ${sewadar.firstName} ${sewadar.lastName} (in the trash since ${new Date(sewadar.deletedAt).toISOString().split('T')[0]})`,
+      payload: { sewadar }
+    });
+  }
+};
+
+// Unique IDs, which a sewadar in the trash keeps until it is purged
+const uniqueIdFields = [
+  { field: 'verificationId', column: 'verificationid', label: 'Verification ID' },
+  { field: 'naamdanId', column: 'naamdanid', label: 'Naamdan ID' },
+  { field: 'badgeId', column: 'badgeid', label: 'Badge ID' }
+];
+
+/**
+ * Find a sewadar in the trash that still holds one of these IDs, so the
+ * record can be restored rather than entered a second time
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} data - Request body with any of verificationId, naamdanId and badgeId
+ * @param {Array<string>|null} centreScope - req.user.centreScope; holders outside it are not named
+ * @returns {Promise<Object|null>} field, label, value and sewadar (null when outside centreScope)
+ */
+const findTrashedIdHolder = async (db, data, centreScope) => {
+  if (!uniqueIdFields.some(({ field }) => data[field])) {
+    return null;
+  }
+
+  const scope = sewadarScopeCondition(centreScope, 4);
+  const result = await db.query(`
+    SELECT s.id, s.firstname AS "firstName", s.lastname AS "lastName", s.deletedat AS "deletedAt",
+      s.verificationid, s.naamdanid, s.badgeid, ${scope.condition} AS "inScope"
+    FROM sewadars s
+    WHERE s.deletedat IS NOT NULL AND (s.verificationid = $1 OR s.naamdanid = $2 OR s.badgeid = $3)
+    LIMIT 1
+  `, [...uniqueIdFields.map(({ field }) => data[field] || null), ...scope.params]);
+
+  const holder = result.rows[0];
+  if (!holder) {
+    return null;
+  }
+
+  const { field, column, label } = uniqueIdFields.find(idField => data[idField.field] && holder[idField.column] === data[idField.field]);
+  const { id, firstName, lastName, deletedAt } = holder;
+  return { field, label, value: holder[column], sewadar: holder.inScope ? { id, firstName, lastName, deletedAt } : null };
+};
+
+/**
+ * Answer a create or edit reusing an ID held by a sewadar in the trash with
+ * 409, naming that sewadar when the caller can see them
+ * @param {Object} res - Express response
+ * @param {Object} match - From findTrashedIdHolder
+ */
+const sendTrashedIdConflict = (res, { field, label, value, sewadar }) => {
+  res.status(409).json({
+    success: false,
+    code: 'ID_IN_TRASH',
+    message: sewadar
+      ? `${label} ${value} belongs to ${sewadar.firstName} ${sewadar.lastName}, who is in the trash. Restore that record instead, or purge it to free the ID.`
+      : `${label} ${value} belongs to a sewadar in the trash at another centre`,
+    data: { field, sewadar }
+  });
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeableAtSql,
+  purgeSewadars,
+  findTrashedIdHolder,
+  sendTrashedIdConflict
+};
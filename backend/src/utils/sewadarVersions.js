@@ -0,0 +1,24 @@
+const { diffFields } = require('./audit');
+
+/**
+ * Field-level differences between two snapshots of a sewadar (see sewadar_versions)
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {Array<{ field: string, from: *, to: * }>} Changed fields in snapshot order
+ */
+const diffSnapshots = (from, to) => diffFields(from, to);
+
+/**
+ * Attach to each version the fields it changed relative to the one before it
+ * @param {Array<Object>} versions - Versions of one sewadar in ascending order, with snapshots
+ * @returns {Array<Object>} The versions with changedFields and without snapshots
+ */
+const withChangedFields = (versions) => versions.map(({ snapshot, ...version }, index) => ({
+  ...version,
+  changedFields: index === 0 ? [] : diffSnapshots(versions[index - 1].snapshot, snapshot).map(({ field }) => field)
+}));
+
+module.exports = {
+  diffSnapshots,
+  withChangedFields
+};
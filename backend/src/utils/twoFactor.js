@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { AppError } = require('../middleware/errorHandler');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+const { getSetting, setSetting } = require('./settings');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'RSSB Portal';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_KEY = 'twoFactorRequiredRoles';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+/**
+ * Roles that must have two-factor authentication enabled
+ * @returns {Promise<string[]>}
+ */
+const getRequiredRoles = (db) => getSetting(db, POLICY_KEY, []);
+
+const setRequiredRoles = (db, roles, userId) => setSetting(db, POLICY_KEY, roles, userId);
+
+/**
+ * Whether the policy requires two-factor authentication for a role
+ */
+const isTwoFactorRequired = async (db, role) => (await getRequiredRoles(db)).includes(role);
+
+/**
+ * Start enrollment: store a fresh (not yet enabled) secret and return what the
+ * authenticator app needs. Scanning the QR code needs no network access.
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>}
+ */
+const beginEnrollment = async (db, user) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+
+  await db.query(
+    'UPDATE users SET totpsecret = $1, totpenabled = false, totplaststep = NULL WHERE id = $2',
+    [secret, user.id]
+  );
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @returns {Promise<string[]>} The plain codes, shown to the user exactly once
+ */
+const generateRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM recovery_codes WHERE userid = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO recovery_codes (userid, codehash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+const countRecoveryCodes = async (db, userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS count FROM recovery_codes WHERE userid = $1 AND usedat IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user. A TOTP code is accepted once
+ * only, and a recovery code is used up by a successful check.
+ * @param {Object} user - User row with `totpsecret` and `totplaststep`
+ * @param {Object} factor - Either `{ code }` or `{ recoveryCode }`
+ * @returns {Promise<{ valid: boolean, method: 'totp'|'recovery', remaining?: number }>}
+ */
+const verifySecondFactor = async (db, user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await db.query(
+      'UPDATE recovery_codes SET usedat = NOW() WHERE userid = $1 AND codehash = $2 AND usedat IS NULL',
+      [user.id, hashRecoveryCode(recoveryCode)]
+    );
+    if (result.rowCount === 0) {
+      return { valid: false, method: 'recovery' };
+    }
+    return { valid: true, method: 'recovery', remaining: await countRecoveryCodes(db, user.id) };
+  }
+
+  if (!user.totpsecret) {
+    return { valid: false, method: 'totp' };
+  }
+
+  const step = verifyCode(user.totpsecret, code);
+  if (step === null) {
+    return { valid: false, method: 'totp' };
+  }
+
+  // Refuse a code from a time step that was already used (replayed or shoulder-surfed)
+  const result = await db.query(
+    'UPDATE users SET totplaststep = $1 WHERE id = $2 AND (totplaststep IS NULL OR totplaststep < $1)',
+    [step, user.id]
+  );
+
+  return { valid: result.rowCount > 0, method: 'totp' };
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ */
+const disableTwoFactor = async (db, userId) => {
+  await db.query(
+    'UPDATE users SET totpsecret = NULL, totpenabled = false, totplaststep = NULL WHERE id = $1',
+    [userId]
+  );
+  await db.query('DELETE FROM recovery_codes WHERE userid = $1', [userId]);
+};
+
+/**
+ * Sign the short-lived token that links the password step of a login to the code step
+ */
+const signChallengeToken = (user) => {
+  if (!process.env.JWT_SECRET) {
+    throw new AppError('Server configuration error', 500);
+  }
+
+  return jwt.sign(
+    { userId: user.id, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+/**
+ * @returns {string} The user id the challenge was issued for
+ * @throws {AppError} 401 when the token is invalid, expired or not a challenge token
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== 'two-factor') {
+      throw new Error('Wrong token purpose');
+    }
+    return payload.userId;
+  } catch (error) {
+    throw new AppError('Verification timed out. Please log in again.', 401);
+  }
+};
+
+module.exports = {
+  getRequiredRoles,
+  setRequiredRoles,
+  isTwoFactorRequired,
+  beginEnrollment,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+};
@@ -15,6 +15,20 @@ import AuditLogs from './pages/AuditLogs';
 import Profile from './pages/Profile';
 import NotFound from './pages/NotFound';
 import EditSewadar from './pages/EditSewadar';
+import ImportSewadars from './pages/ImportSewadars';
+import MergeSewadars from './pages/MergeSewadars';
+import ChangePassword from './pages/ChangePassword';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import EventList from './pages/EventList';
+import EventForm from './pages/EventForm';
+import EventRoster from './pages/EventRoster';
+import EventAttendance from './pages/EventAttendance';
+import Kiosk from './pages/Kiosk';
+import DepartmentList from './pages/DepartmentList';
+import DepartmentMembers from './pages/DepartmentMembers';
+import CentreList from './pages/CentreList';
+import Trash from './pages/Trash';
 
 function App() {
   return (
@@ -51,7 +65,23 @@ function App() {
           <Routes>
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+
+            {/* Forced password change - shown before any other page */}
+            <Route path="/change-password" element={
+              <ProtectedRoute>
+                <ChangePassword />
+              </ProtectedRoute>
+            } />
             
+            {/* Full-screen badge check-in for gate devices */}
+            <Route path="/kiosk" element={
+              <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR', 'KIOSK']}>
+                <Kiosk />
+              </ProtectedRoute>
+            } />
+
             {/* Protected Routes */}
             <Route path="/" element={
               <ProtectedRoute>
@@ -74,6 +104,20 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              {/* BULK IMPORT SEWADARS - Upload wizard */}
+              <Route path="sewadars/import" element={
+                <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR']}>
+                  <ImportSewadars />
+                </ProtectedRoute>
+              } />
+
+              {/* MERGE DUPLICATE SEWADARS - Pick the surviving record and values */}
+              <Route path="sewadars/merge" element={
+                <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR']}>
+                  <MergeSewadars />
+                </ProtectedRoute>
+              } />
+              
               {/* EDIT EXISTING SEWADAR - Uses EditSewadar */}
               <Route path="sewadars/:id/edit" element={
                 <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR']}>
@@ -81,6 +125,42 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              {/* Sewa Events & Duty Rosters - All authenticated users can view */}
+              <Route path="events" element={<EventList />} />
+              
+              <Route path="events/new" element={
+                <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR']}>
+                  <EventForm />
+                </ProtectedRoute>
+              } />
+              
+              <Route path="events/:id" element={<EventRoster />} />
+              <Route path="events/:id/attendance" element={<EventAttendance />} />
+              
+              <Route path="events/:id/edit" element={
+                <ProtectedRoute requiredRoles={['ADMIN', 'EDITOR']}>
+                  <EventForm />
+                </ProtectedRoute>
+              } />
+              
+              {/* Departments - All can view; members are shown to editors and the department's leaders */}
+              <Route path="departments" element={<DepartmentList />} />
+              <Route path="departments/:id" element={<DepartmentMembers />} />
+              
+              {/* Centres - Admin only; super-admins also manage them */}
+              <Route path="centres" element={
+                <ProtectedRoute requiredRoles={['ADMIN']}>
+                  <CentreList />
+                </ProtectedRoute>
+              } />
+
+              {/* Trash - Admin only; deleted sewadars to restore or purge */}
+              <Route path="trash" element={
+                <ProtectedRoute requiredRoles={['ADMIN']}>
+                  <Trash />
+                </ProtectedRoute>
+              } />
+              
               {/* Admin Panel - Admin only */}
               <Route path="admin" element={
                 <ProtectedRoute requiredRoles={['ADMIN']}>
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+import departmentService from '../services/departments';
+
+/**
+ * Pick sewadars to add to a department. Calls onAdded once they are saved.
+ */
+const AddDepartmentMembersModal = ({ department, memberIds, onClose, onAdded }) => {
+  const [searchInput, setSearchInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const handler = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const response = await sewadarService.getSewadars({
+          search: searchInput,
+          limit: 20,
+          sortBy: 'name',
+          sortOrder: 'asc'
+        });
+        if (!cancelled) setResults(response.data);
+      } catch (error) {
+        if (!cancelled) toast.error(error.message || 'Failed to search sewadars');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(handler);
+    };
+  }, [searchInput]);
+
+  const toggleSelected = (sewadarId) => {
+    setSelected((prev) => (prev.includes(sewadarId) ? prev.filter((id) => id !== sewadarId) : [...prev, sewadarId]));
+  };
+
+  const handleAdd = async () => {
+    try {
+      setSaving(true);
+      const response = await departmentService.addMembers(department.id, selected);
+      toast.success(response.message);
+      response.data.results
+        .filter((result) => result.status === 'failed')
+        .forEach((result) => toast.error(result.errors[0]?.message, { duration: 8000 }));
+      onAdded();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add sewadars');
+      console.error('Add department members error:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Add to {department.name}</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="relative mb-3">
+          <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            autoFocus
+            placeholder="Search sewadars by name or phone..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+        </div>
+
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-80 overflow-y-auto">
+          {searching && results.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">Searching...</p>
+          )}
+          {!searching && results.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">No sewadars found</p>
+          )}
+          {results.map((sewadar) => {
+            const member = memberIds.includes(sewadar.id);
+
+            return (
+              <label
+                key={sewadar.id}
+                className={`flex items-start gap-3 p-3 ${member ? 'bg-gray-50' : 'hover:bg-gray-50 cursor-pointer'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={member || selected.includes(sewadar.id)}
+                  disabled={member}
+                  onChange={() => toggleSelected(sewadar.id)}
+                  className="mt-1 rounded border-gray-300"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900">
+                    {sewadar.firstName} {sewadar.lastName}
+                    {sewadar.badgeId && <span className="ml-2 text-xs text-gray-500">{sewadar.badgeId}</span>}
+                  </div>
+                  {member && <div className="text-xs text-green-700">Already in this department</div>}
+                  {!member && sewadar.departments?.length > 0 && (
+                    <div className="text-xs text-gray-500">
+                      Also in {sewadar.departments.map((item) => item.name).join(', ')}
+                    </div>
+                  )}
+                </div>
+              </label>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleAdd}
+            disabled={selected.length === 0 || saving}
+            className="btn btn-primary"
+          >
+            {saving ? 'Adding...' : `Add ${selected.length || ''}`.trim()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddDepartmentMembersModal;
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+import eventService from '../services/events';
+
+/**
+ * Pick sewadars for a duty slot. Search results are checked against the
+ * sewadars' other duties so anyone who would be double-booked is shown as busy.
+ * Calls onAssigned with the updated slot.
+ */
+const AssignSewadarsModal = ({ event, slot, onClose, onAssigned }) => {
+  const [searchInput, setSearchInput] = useState('');
+  const [results, setResults] = useState([]);
+  const [conflicts, setConflicts] = useState({});
+  const [selected, setSelected] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const assignedIds = slot.assignments.map((assignment) => assignment.sewadarId);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const handler = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const response = await sewadarService.getSewadars({
+          search: searchInput,
+          limit: 20,
+          sortBy: 'name',
+          sortOrder: 'asc'
+        });
+        const sewadars = response.data;
+
+        const busy = {};
+        if (sewadars.length > 0) {
+          const clashes = await eventService.checkConflicts(event.id, slot.id, sewadars.map((sewadar) => sewadar.id));
+          clashes.forEach((clash) => {
+            busy[clash.sewadarId] = clash.message;
+          });
+        }
+
+        if (!cancelled) {
+          setResults(sewadars);
+          setConflicts(busy);
+        }
+      } catch (error) {
+        if (!cancelled) toast.error(error.message || 'Failed to search sewadars');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(handler);
+    };
+  }, [searchInput, event.id, slot.id]);
+
+  const toggleSelected = (sewadarId) => {
+    setSelected((prev) => (prev.includes(sewadarId) ? prev.filter((id) => id !== sewadarId) : [...prev, sewadarId]));
+  };
+
+  const handleAssign = async () => {
+    try {
+      setSaving(true);
+      const response = await eventService.assignSewadars(event.id, slot.id, selected);
+      toast.success(response.message);
+      response.data.results
+        .filter((result) => result.status === 'failed')
+        .forEach((result) => toast.error(result.errors[0]?.message, { duration: 8000 }));
+      onAssigned(response.data.slot);
+    } catch (error) {
+      console.error('Assign sewadars error:', error);
+      const failed = error.data?.data?.results?.filter((result) => result.status === 'failed') || [];
+      if (failed.length > 0) {
+        failed.forEach((result) => toast.error(result.errors[0]?.message, { duration: 8000 }));
+      } else {
+        toast.error(error.message || 'Failed to assign sewadars');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Assign to {slot.name}</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {eventService.formatDutyTime(slot)} · {slot.assignments.length} of {slot.requiredCount} assigned
+        </p>
+
+        <div className="relative mb-3">
+          <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            autoFocus
+            placeholder="Search sewadars by name or phone..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+          />
+        </div>
+
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-80 overflow-y-auto">
+          {searching && results.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">Searching...</p>
+          )}
+          {!searching && results.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">No sewadars found</p>
+          )}
+          {results.map((sewadar) => {
+            const assigned = assignedIds.includes(sewadar.id);
+            const conflict = conflicts[sewadar.id];
+
+            return (
+              <label
+                key={sewadar.id}
+                className={`flex items-start gap-3 p-3 ${assigned || conflict ? 'bg-gray-50' : 'hover:bg-gray-50 cursor-pointer'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={assigned || selected.includes(sewadar.id)}
+                  disabled={assigned || Boolean(conflict)}
+                  onChange={() => toggleSelected(sewadar.id)}
+                  className="mt-1 rounded border-gray-300"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900">
+                    {sewadar.firstName} {sewadar.lastName}
+                    {sewadar.badgeId && <span className="ml-2 text-xs text-gray-500">{sewadar.badgeId}</span>}
+                  </div>
+                  {assigned && <div className="text-xs text-green-700">Already on this duty</div>}
+                  {conflict && (
+                    <div className="flex items-center gap-1 text-xs text-orange-700">
+                      <AlertTriangle className="h-3 w-3 flex-shrink-0" />
+                      {conflict}
+                    </div>
+                  )}
+                </div>
+              </label>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleAssign}
+            disabled={selected.length === 0 || saving}
+            className="btn btn-primary"
+          >
+            {saving ? 'Assigning...' : `Assign ${selected.length || ''}`.trim()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssignSewadarsModal;
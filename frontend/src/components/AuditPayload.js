@@ -0,0 +1,81 @@
+import React from 'react';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value) && value.every((item) => item && item.name)) {
+    return value.map((item) => item.name).join(', ') || '—';
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Expandable view of an audit entry's structured payload: the changed fields
+ * with their old and new values, where the request came from, and any other
+ * recorded data. Sensitive values arrive already masked by the server.
+ */
+const AuditPayload = ({ payload }) => {
+  if (!payload) return null;
+
+  const { changes = [], request, ...rest } = payload;
+  const hasOtherData = Object.keys(rest).length > 0;
+
+  if (changes.length === 0 && !request && !hasOtherData) return null;
+
+  return (
+    <details className="mt-1">
+      <summary className="text-xs text-blue-600 cursor-pointer">
+        {changes.length > 0
+          ? `${changes.length} field${changes.length === 1 ? '' : 's'} changed`
+          : 'Details'}
+      </summary>
+
+      <div className="mt-2 space-y-2">
+        {changes.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs border border-gray-200 rounded">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Field</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">Before</th>
+                  <th className="px-2 py-1 text-left font-medium text-gray-500">After</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {changes.map((change) => (
+                  <tr key={change.field}>
+                    <td className="px-2 py-1 font-medium text-gray-700 whitespace-nowrap">{change.field}</td>
+                    <td className="px-2 py-1 text-red-700 bg-red-50 break-all">{formatValue(change.from)}</td>
+                    <td className="px-2 py-1 text-green-700 bg-green-50 break-all">{formatValue(change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {request && (
+          <p className="text-xs text-gray-500 break-all">
+            {[
+              request.ip && `IP ${request.ip}`,
+              request.userAgent,
+              request.requestId && `Request ${request.requestId}`
+            ].filter(Boolean).join(' · ')}
+          </p>
+        )}
+
+        {hasOtherData && (
+          <details>
+            <summary className="text-xs text-gray-600 cursor-pointer">Recorded data</summary>
+            <pre className="mt-1 p-2 bg-gray-50 rounded text-xs text-gray-700 overflow-x-auto max-h-64">
+              {JSON.stringify(rest, null, 2)}
+            </pre>
+          </details>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default AuditPayload;
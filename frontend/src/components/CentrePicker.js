@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { MapPin } from 'lucide-react';
+import centreService from '../services/centres';
+
+/**
+ * Checkboxes for the centres a sewadar or user belongs to. Renders nothing
+ * when the signed-in user has a single centre, as the server assigns it.
+ * Centres the user cannot see are left alone by the server.
+ */
+const CentrePicker = ({ value = [], onChange, label = 'Centres', error, disabled = false }) => {
+  const [centres, setCentres] = useState([]);
+
+  useEffect(() => {
+    centreService.getCentres()
+      .then(setCentres)
+      .catch((loadError) => console.error('Load centres error:', loadError));
+  }, []);
+
+  if (centres.length <= 1) return null;
+
+  const toggle = (centreId) => {
+    onChange(value.includes(centreId) ? value.filter((id) => id !== centreId) : [...value, centreId]);
+  };
+
+  return (
+    <div>
+      <label className="form-label flex items-center gap-1">
+        <MapPin className="h-4 w-4" />
+        {label}
+      </label>
+      <div className="flex flex-wrap gap-x-4 gap-y-2">
+        {centres.map((centre) => (
+          <label key={centre.id} className="inline-flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={value.includes(centre.id)}
+              onChange={() => toggle(centre.id)}
+              disabled={disabled}
+              className="rounded border-gray-300"
+            />
+            {centre.name}
+          </label>
+        ))}
+      </div>
+      {error && <p className="text-red-600 text-sm mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default CentrePicker;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Columns, ChevronDown } from 'lucide-react';
+
+/**
+ * Columns Menu Component
+ *
+ * Button with a dropdown of checkboxes for the optional columns of a list.
+ * @param {Array<[string, string]>} props.columns - Optional columns as [key, label], in table order
+ * @param {Array<string>} props.visible - Keys of the columns shown
+ * @param {Function} props.onChange - Called with the keys to show, in table order
+ */
+const ColumnsMenu = ({ columns, visible, onChange, className = '' }) => {
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+
+  // Close the menu when clicking outside of it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleColumn = (key) => {
+    const next = visible.includes(key) ? visible.filter((column) => column !== key) : [...visible, key];
+    onChange(columns.map(([column]) => column).filter((column) => next.includes(column)));
+  };
+
+  return (
+    <div ref={menuRef} className={`relative ${className}`}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="btn btn-outline flex items-center justify-center gap-2 w-full"
+      >
+        <Columns className="h-4 w-4" />
+        Columns
+        <ChevronDown className="h-4 w-4" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-56 bg-white rounded-lg shadow-lg border border-gray-200 p-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Show Columns</p>
+            <button
+              onClick={() => onChange(columns.map(([column]) => column))}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              All
+            </button>
+          </div>
+          <div className="space-y-1">
+            {columns.map(([key, label]) => (
+              <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={visible.includes(key)}
+                  onChange={() => toggleColumn(key)}
+                  className="rounded border-gray-300"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <p className="mt-2 text-xs text-gray-500">The name is always shown.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnsMenu;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import { X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import eventService from '../services/events';
+
+/**
+ * Add or edit one duty slot of an event. Calls onSaved with the saved slot.
+ */
+const DutySlotModal = ({ event, slot, onClose, onSaved }) => {
+  const isEdit = Boolean(slot);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm({
+    defaultValues: {
+      name: slot?.name || '',
+      location: slot?.location || '',
+      startsAt: slot?.startsAt || `${event.startDate}T09:00`,
+      endsAt: slot?.endsAt || `${event.startDate}T13:00`,
+      requiredCount: slot?.requiredCount || 1,
+      notes: slot?.notes || ''
+    }
+  });
+
+  const startsAt = watch('startsAt');
+
+  const onSubmit = async (data) => {
+    const payload = { ...data, requiredCount: parseInt(data.requiredCount, 10) };
+
+    try {
+      const response = isEdit
+        ? await eventService.updateSlot(event.id, slot.id, payload)
+        : await eventService.createSlot(event.id, payload);
+      toast.success(response.message);
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Save duty slot error:', error);
+      if (error.status === 409 && error.details) {
+        // New times clash with other duties of the sewadars already assigned
+        error.details.forEach((detail) => toast.error(detail.message, { duration: 8000 }));
+        return;
+      }
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to save duty');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">{isEdit ? 'Edit Duty' : 'Add Duty'}</h3>
+          <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Duty *</label>
+            <input
+              {...register('name', {
+                required: 'Duty name is required',
+                minLength: { value: 2, message: 'Duty name must be at least 2 characters' }
+              })}
+              type="text"
+              className="form-input w-full"
+              placeholder="e.g. Parking, Langar, Shoe counter"
+            />
+            {errors.name && <p className="text-red-600 text-sm mt-1">{errors.name.message}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+            <input
+              {...register('location')}
+              type="text"
+              className="form-input w-full"
+              placeholder={`Defaults to ${event.location}`}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts *</label>
+              <input
+                {...register('startsAt', {
+                  required: 'Start time is required',
+                  validate: (value) => (value.slice(0, 10) >= event.startDate && value.slice(0, 10) <= event.endDate)
+                    || 'Duties must start on one of the event days'
+                })}
+                type="datetime-local"
+                min={`${event.startDate}T00:00`}
+                max={`${event.endDate}T23:59`}
+                className="form-input w-full"
+              />
+              {errors.startsAt && <p className="text-red-600 text-sm mt-1">{errors.startsAt.message}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends *</label>
+              <input
+                {...register('endsAt', {
+                  required: 'End time is required',
+                  validate: (value) => !startsAt || value > startsAt || 'The duty must end after it starts'
+                })}
+                type="datetime-local"
+                min={startsAt || undefined}
+                className="form-input w-full"
+              />
+              {errors.endsAt && <p className="text-red-600 text-sm mt-1">{errors.endsAt.message}</p>}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sewadars Needed *</label>
+            <input
+              {...register('requiredCount', {
+                required: 'Enter how many sewadars are needed',
+                min: { value: 1, message: 'At least 1 sewadar is needed' }
+              })}
+              type="number"
+              min="1"
+              className="form-input w-full"
+            />
+            {errors.requiredCount && <p className="text-red-600 text-sm mt-1">{errors.requiredCount.message}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea {...register('notes')} rows={2} className="form-input w-full" />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+              {isSubmitting ? 'Saving...' : isEdit ? 'Save Duty' : 'Add Duty'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DutySlotModal;
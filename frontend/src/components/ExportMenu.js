@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import toast from 'react-hot-toast';
+import exportService from '../services/export';
+
+/**
+ * Export Menu Component
+ *
+ * Export button with a dropdown to pick the file format and the columns to
+ * include. The current list filters are passed through so the file contains
+ * exactly the records the user is looking at.
+ */
+const ExportMenu = ({ filters = {}, label = 'Export', className = '' }) => {
+  const menuRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [format, setFormat] = useState('xlsx');
+  const [columns, setColumns] = useState(exportService.defaultColumns);
+
+  // Close the menu when clicking outside of it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleColumn = (key) => {
+    setColumns(prev => (prev.includes(key) ? prev.filter(column => column !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      // Keep the server's column order regardless of the click order
+      const orderedColumns = exportService.columns
+        .map(column => column.key)
+        .filter(key => columns.includes(key));
+
+      await exportService.exportSewadars({ filters, format, columns: orderedColumns });
+      toast.success('Sewadars exported successfully!');
+      setOpen(false);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className={`relative ${className}`}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+        className="btn btn-outline flex items-center justify-center gap-2 w-full"
+      >
+        {exporting ? (
+          <>
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current"></div>
+            Exporting...
+          </>
+        ) : (
+          <>
+            <Download className="h-4 w-4" />
+            {label}
+            <ChevronDown className="h-4 w-4" />
+          </>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-20 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-4 space-y-4">
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">Format</p>
+            <div className="space-y-1">
+              {Object.entries(exportService.formats).map(([key, { label: formatLabel }]) => (
+                <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={key}
+                    checked={format === key}
+                    onChange={() => setFormat(key)}
+                  />
+                  {formatLabel}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Columns</p>
+              <button
+                onClick={() => setColumns(exportService.defaultColumns)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Reset
+              </button>
+            </div>
+            <div className="grid grid-cols-2 gap-1 max-h-48 overflow-y-auto">
+              {exportService.columns.map(column => (
+                <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                    className="rounded border-gray-300"
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <button
+            onClick={handleExport}
+            disabled={exporting || columns.length === 0}
+            className="btn btn-primary w-full flex items-center justify-center gap-2"
+          >
+            <Download className="h-4 w-4" />
+            Download {format.toUpperCase()}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -6,18 +6,33 @@ import {
   Settings, 
   LogOut, 
   Search,
-  ChevronDown
+  ChevronDown,
+  MapPin
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
+import centreService from '../services/centres';
 
 const Header = ({ onMenuClick, user }) => {
   const [userMenuOpen, setUserMenuOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   
   
-  const { logout } = useAuth();
+  const [centres, setCentres] = useState([]);
+  const activeCentreId = centreService.getActiveCentreId() || '';
+  
+  const { logout, isSuperAdmin } = useAuth();
   const navigate = useNavigate();
   const userMenuRef = useRef(null);
+  const role = user?.role;
+
+  // Centres for the switcher (kiosk accounts never leave the kiosk page)
+  useEffect(() => {
+    if (!role || role === 'KIOSK') return;
+
+    centreService.getCentres()
+      .then(setCentres)
+      .catch((error) => console.error('Load centres error:', error));
+  }, [role]);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -44,6 +59,12 @@ const Header = ({ onMenuClick, user }) => {
     }
   };
 
+  // Every page loads its data for the active centre, so start afresh after switching
+  const handleCentreChange = (e) => {
+    centreService.setActiveCentreId(e.target.value || null);
+    window.location.reload();
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
@@ -90,6 +111,30 @@ const Header = ({ onMenuClick, user }) => {
           {/* Right section */}
           <div className="flex items-center gap-3">
 
+            {/* Centre switcher */}
+            {centres.length > 1 || isSuperAdmin() ? (
+              <div className="flex items-center gap-2">
+                <MapPin className="hidden sm:block h-4 w-4 text-gray-500" />
+                <select
+                  value={activeCentreId}
+                  onChange={handleCentreChange}
+                  aria-label="Centre"
+                  title="Show records from this centre"
+                  className="max-w-[10rem] sm:max-w-[14rem] py-2 pl-3 pr-8 bg-gray-50 border-0 rounded-xl text-sm text-gray-900 focus:bg-white focus:ring-2 focus:ring-red-500/20"
+                >
+                  <option value="">{isSuperAdmin() ? 'All centres' : 'All my centres'}</option>
+                  {centres.map((centre) => (
+                    <option key={centre.id} value={centre.id}>{centre.name}</option>
+                  ))}
+                </select>
+              </div>
+            ) : centres.length === 1 && (
+              <span className="hidden sm:inline-flex items-center gap-1 text-sm text-gray-600">
+                <MapPin className="h-4 w-4 text-gray-500" />
+                {centres[0].name}
+              </span>
+            )}
+
             {/* Notifications */}
             
             
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { Check, X } from 'lucide-react';
+import authService from '../services/auth';
+
+// The policy only changes with a server restart, so fetch it once per page load
+let policyPromise = null;
+const loadPolicy = () => {
+  if (!policyPromise) {
+    policyPromise = authService.getPasswordPolicy().catch((error) => {
+      policyPromise = null;
+      throw error;
+    });
+  }
+  return policyPromise;
+};
+
+/**
+ * Password Requirements Component
+ *
+ * Live checklist of the server's password policy for the password being typed.
+ * The blocklist and reuse rules can only be checked by the server on submit.
+ */
+const PasswordRequirements = ({ password = '' }) => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadPolicy()
+      .then((loaded) => active && setPolicy(loaded))
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  if (!policy) return null;
+
+  const rules = [
+    { label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+    policy.requireUppercase && { label: 'An uppercase letter', met: /[A-Z]/.test(password) },
+    policy.requireLowercase && { label: 'A lowercase letter', met: /[a-z]/.test(password) },
+    policy.requireNumber && { label: 'A number', met: /\d/.test(password) },
+    policy.requireSymbol && { label: 'A symbol', met: /[^A-Za-z0-9]/.test(password) }
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-2 text-xs space-y-1">
+      <ul className="space-y-1">
+        {rules.map(rule => (
+          <li key={rule.label} className={`flex items-center ${rule.met ? 'text-green-700' : 'text-gray-500'}`}>
+            {rule.met ? <Check className="h-3 w-3 mr-1" /> : <X className="h-3 w-3 mr-1" />}
+            {rule.label}
+          </li>
+        ))}
+      </ul>
+      <p className="text-gray-500">
+        Common passwords and your name or email are not allowed
+        {policy.historyCount > 0 && `, nor any of your last ${policy.historyCount} passwords`}.
+      </p>
+    </div>
+  );
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, ExternalLink } from 'lucide-react';
+
+/**
+ * Existing sewadars that may be the person being entered, with a reason box
+ * for adding them anyway. The reason is saved in the audit log.
+ */
+const PossibleMatches = ({ candidates, reason, onReasonChange, disabled = false }) => {
+  if (!candidates || candidates.length === 0) return null;
+
+  return (
+    <div className="border border-yellow-300 bg-yellow-50 rounded-lg p-4 space-y-3">
+      <div className="flex items-start gap-2">
+        <AlertTriangle className="h-5 w-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+        <div>
+          <h3 className="text-sm font-semibold text-yellow-900">Possible matches</h3>
+          <p className="text-sm text-yellow-800">
+            This sewadar may already be registered. Open a match to check it before adding a new record.
+          </p>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-yellow-200 bg-white rounded-md border border-yellow-200">
+        {candidates.map((candidate) => (
+          <li key={candidate.id} className="p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <div className="min-w-0">
+              <Link
+                to={`/sewadars/${candidate.id}/edit`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1 text-sm font-medium text-blue-700 hover:text-blue-900"
+              >
+                {candidate.firstName} {candidate.lastName}
+                <ExternalLink className="h-3 w-3" />
+              </Link>
+              <div className="text-xs text-gray-500">
+                {[
+                  candidate.age && `Age ${candidate.age}`,
+                  candidate.phone,
+                  candidate.badgeId && `Badge ${candidate.badgeId}`,
+                  candidate.centres?.map((centre) => centre.name).join(', ')
+                ].filter(Boolean).join(' · ')}
+              </div>
+              <div className="text-xs text-gray-600">{candidate.reasons.join(', ')}</div>
+            </div>
+            <span className={`self-start sm:self-center inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+              candidate.confidence === 'HIGH' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              {candidate.confidence === 'HIGH' ? 'Likely match' : 'Possible match'}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <div>
+        <label className="form-label">Reason for adding a new record anyway *</label>
+        <textarea
+          rows={2}
+          maxLength={500}
+          value={reason}
+          onChange={(e) => onReasonChange(e.target.value)}
+          disabled={disabled}
+          placeholder="e.g. Different person - father and son with the same name"
+          className="form-input"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default PossibleMatches;
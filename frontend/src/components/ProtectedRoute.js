@@ -36,6 +36,21 @@ const ProtectedRoute = ({ children, requiredRoles = null }) => {
     );
   }
 
+  // A reset or expired password has to be replaced before anything else loads,
+  // then users bound by the 2FA policy must enroll
+  if (user.mustChangePassword) {
+    if (location.pathname !== '/change-password') {
+      return <Navigate to="/change-password" replace />;
+    }
+  } else if (user.twoFactorSetupRequired && location.pathname !== '/profile') {
+    return <Navigate to="/profile" state={{ tab: 'security' }} replace />;
+  }
+
+  // Kiosk accounts only ever see the full-screen check-in kiosk
+  if (user.role === 'KIOSK' && !user.mustChangePassword && location.pathname !== '/kiosk') {
+    return <Navigate to="/kiosk" replace />;
+  }
+
   // Check role-based access if required roles are specified
   if (requiredRoles && !hasRole(requiredRoles)) {
     return (
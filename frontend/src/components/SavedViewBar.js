@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { Bookmark, Save, Pin, PinOff, Link as LinkIcon, Edit3, Trash2, Share2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import savedViewService from '../services/savedViews';
+
+const SHARING_OPTIONS = [
+  ['', 'Only me'],
+  ['VIEWER', 'Everyone (viewers, editors and admins)'],
+  ['EDITOR', 'Editors and admins'],
+  ['ADMIN', 'Admins only']
+];
+
+const sharingLabel = (sharedRole) => SHARING_OPTIONS.find(([role]) => role === (sharedRole || ''))[1];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Name and sharing of a new view, or of the open one. Only the owner can make a view personal.
+const ViewDetailsModal = ({ title, view, userId, canShare, saving, onSubmit, onClose }) => {
+  const ownView = !view || view.ownerId === userId;
+  const [name, setName] = useState(view?.name || '');
+  const [sharedRole, setSharedRole] = useState(view?.sharedRole || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name: name.trim(), sharedRole: sharedRole || null });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-6 w-full max-w-md space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Pending naamdan, passport, added this month"
+            maxLength={100}
+            autoFocus
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Shared with</label>
+          <select
+            value={sharedRole}
+            onChange={(e) => setSharedRole(e.target.value)}
+            disabled={!canShare}
+            className={inputClass}
+          >
+            {SHARING_OPTIONS.map(([role, label]) => (
+              <option key={role} value={role} disabled={!role && !ownView}>{label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            {canShare
+              ? 'Shared views appear for users of that role at your centres. They can use them but not change them.'
+              : 'Viewers can save views for themselves only.'}
+          </p>
+        </div>
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button type="submit" disabled={saving || name.trim().length < 2} className="btn btn-primary">
+            {saving ? 'Saving...' : 'Save View'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+/**
+ * Saved view controls for the sewadar list: open a view, save the list as it
+ * is now as a new view or into the open one, and rename, share, pin, link to
+ * or delete the open view. Viewers can save personal views, and use shared
+ * views without changing them.
+ * @param {Array<Object>} props.views - Views the user can open
+ * @param {Object|null} props.activeView - The open view
+ * @param {Object} props.settings - The list's current filters, query, sort, columns and page size
+ * @param {boolean} props.modified - Whether the list has moved away from the open view's settings
+ * @param {string} props.userId - The signed-in user, whose own views are listed first
+ * @param {boolean} props.canShare - Whether the user may share views (editors and admins)
+ * @param {Function} props.onOpen - Called with a view ID to open, or null to leave the open view
+ * @param {Function} props.onSaved - Called with a view just saved or changed, to make it the open one
+ * @param {Function} props.onDeleted - Called once the open view is deleted
+ * @param {Function} props.onDiscard - Put the list back to the open view's settings
+ */
+const SavedViewBar = ({ views, activeView, settings, modified, userId, canShare, onOpen, onSaved, onDeleted, onDiscard }) => {
+  const [modal, setModal] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const myViews = views.filter((view) => view.ownerId === userId);
+  const sharedViews = views.filter((view) => view.ownerId !== userId);
+
+  const run = async (action, failure) => {
+    try {
+      setSaving(true);
+      const response = await action();
+      toast.success(response.message);
+      return response;
+    } catch (error) {
+      toast.error(error.message || failure);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmitDetails = async (details) => {
+    const response = modal === 'create'
+      ? await run(() => savedViewService.createView({ ...details, settings }), 'Failed to save the view')
+      : await run(() => savedViewService.updateView(activeView.id, details), 'Failed to update the view');
+    if (response) {
+      setModal(null);
+      onSaved(response.data);
+    }
+  };
+
+  const handleUpdateSettings = async () => {
+    const response = await run(() => savedViewService.updateView(activeView.id, { settings }), 'Failed to update the view');
+    if (response) onSaved(response.data);
+  };
+
+  const handleTogglePin = async () => {
+    const response = await run(() => savedViewService.setPinned(activeView.id, !activeView.pinned), 'Failed to pin the view');
+    if (response) onSaved({ ...activeView, pinned: !activeView.pinned });
+  };
+
+  const handleDelete = async () => {
+    const response = await run(() => savedViewService.deleteView(activeView.id), 'Failed to delete the view');
+    setConfirmDelete(false);
+    if (response) onDeleted();
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/sewadars?view=${activeView.id}`);
+      toast.success('Link copied to the clipboard');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  const iconButton = 'p-2 rounded-lg text-gray-500 hover:text-gray-900 hover:bg-gray-100 disabled:opacity-50';
+
+  return (
+    <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+      <div className="flex items-center gap-2 flex-1 min-w-0">
+        <Bookmark className="h-5 w-5 text-gray-400 flex-shrink-0" />
+        <select
+          value={activeView?.id || ''}
+          onChange={(e) => onOpen(e.target.value || null)}
+          className="flex-1 min-w-0 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
+        >
+          <option value="">No saved view</option>
+          {activeView && !views.some((view) => view.id === activeView.id) && (
+            <option value={activeView.id}>{activeView.name}</option>
+          )}
+          {myViews.length > 0 && (
+            <optgroup label="My Views">
+              {myViews.map((view) => <option key={view.id} value={view.id}>{view.name}</option>)}
+            </optgroup>
+          )}
+          {sharedViews.length > 0 && (
+            <optgroup label="Shared With Me">
+              {sharedViews.map((view) => (
+                <option key={view.id} value={view.id}>{view.name} ({view.ownerFirstName} {view.ownerLastName})</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {activeView?.sharedRole && (
+          <span title={sharingLabel(activeView.sharedRole)} className="flex-shrink-0">
+            <Share2 className="h-4 w-4 text-gray-400" />
+          </span>
+        )}
+        {modified && <span className="text-xs text-orange-600 whitespace-nowrap">Unsaved changes</span>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {activeView && modified && (
+          <button onClick={onDiscard} disabled={saving} className="text-sm text-blue-600 hover:text-blue-900 px-2">
+            Discard Changes
+          </button>
+        )}
+        {activeView?.canEdit && modified && (
+          <button onClick={handleUpdateSettings} disabled={saving} className="btn btn-outline flex items-center gap-2">
+            <Save className="h-4 w-4" />
+            Update View
+          </button>
+        )}
+        <button onClick={() => setModal('create')} disabled={saving} className="btn btn-outline flex items-center gap-2">
+          <Save className="h-4 w-4" />
+          Save as New View
+        </button>
+        {activeView && (
+          <>
+            <button
+              onClick={handleTogglePin}
+              disabled={saving}
+              title={activeView.pinned ? 'Unpin from the sidebar' : 'Pin to the sidebar'}
+              className={iconButton}
+            >
+              {activeView.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+            </button>
+            <button onClick={handleCopyLink} title="Copy a link to this view" className={iconButton}>
+              <LinkIcon className="h-4 w-4" />
+            </button>
+            {activeView.canEdit && (
+              <>
+                <button onClick={() => setModal('edit')} disabled={saving} title="Rename or change sharing" className={iconButton}>
+                  <Edit3 className="h-4 w-4" />
+                </button>
+                <button onClick={() => setConfirmDelete(true)} disabled={saving} title="Delete this view" className={iconButton}>
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      {modal && (
+        <ViewDetailsModal
+          title={modal === 'create' ? 'Save as New View' : 'Edit View'}
+          view={modal === 'edit' ? activeView : null}
+          userId={userId}
+          canShare={canShare}
+          saving={saving}
+          onSubmit={handleSubmitDetails}
+          onClose={() => setModal(null)}
+        />
+      )}
+
+      {confirmDelete && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Delete View</h3>
+            <p className="text-gray-600 mb-6">
+              Delete the view <span className="font-medium">{activeView.name}</span>?
+              {activeView.sharedRole && ' It is shared, so it disappears for everyone it is shared with.'}
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setConfirmDelete(false)}
+                disabled={saving}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                disabled={saving}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {saving ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewBar;
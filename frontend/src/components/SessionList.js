@@ -0,0 +1,93 @@
+import React from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+
+/**
+ * Turn a user agent string into a short "Browser on OS" label
+ * @param {string} userAgent - Raw user agent
+ * @returns {{ label: string, mobile: boolean }}
+ */
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) return { label: 'Unknown device', mobile: false };
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Unknown browser';
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'unknown OS';
+
+  return {
+    label: `${browser} on ${system}`,
+    mobile: /Mobi|Android|iPhone|iPad/.test(userAgent)
+  };
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : 'N/A');
+
+/**
+ * Session List Component
+ *
+ * Table of signed-in devices with a sign-out action per row. The session the
+ * viewer is using right now is labelled and cannot be signed out from here.
+ */
+const SessionList = ({ sessions, onRevoke, revokingId = null, emptyMessage = 'No active sessions' }) => {
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500 py-4">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+      {sessions.map((session) => {
+        const { label, mobile } = describeDevice(session.userAgent);
+        const DeviceIcon = mobile ? Smartphone : Monitor;
+
+        return (
+          <div key={session.id} className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="flex items-start space-x-3">
+              <DeviceIcon className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {label}
+                  {session.current && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500" title={session.userAgent}>
+                  IP {session.ipAddress || 'unknown'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Signed in {formatDateTime(session.createdAt)} &middot; Last active {formatDateTime(session.lastUsedAt)}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => onRevoke(session)}
+                disabled={revokingId === session.id}
+                className="inline-flex items-center justify-center px-3 py-1.5 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                <LogOut className="h-4 w-4 mr-1" />
+                {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import attendanceService from '../services/attendance';
+
+const INITIAL_ROWS = 10;
+
+/**
+ * A sewadar's attendance history and service hours, newest first, with the
+ * running total of hours after each event day
+ */
+const SewadarAttendance = ({ sewadarId }) => {
+  const [attendance, setAttendance] = useState(null);
+  const [error, setError] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    attendanceService.getSewadarAttendance(sewadarId)
+      .then((data) => {
+        if (!cancelled) setAttendance(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load attendance');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sewadarId]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+  if (!attendance) {
+    return <p className="text-sm text-gray-500">Loading attendance...</p>;
+  }
+
+  const { summary, records } = attendance;
+  const visible = showAll ? records : records.slice(0, INITIAL_ROWS);
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        {[
+          ['Total hours', attendanceService.formatHours(summary.totalHours)],
+          ['Last 30 days', attendanceService.formatHours(summary.hoursLast30Days)],
+          ['Days present', summary.daysPresent],
+          ['Days absent', summary.daysAbsent]
+        ].map(([label, value]) => (
+          <div key={label} className="bg-gray-50 rounded-lg p-3">
+            <div className="text-xs text-gray-500 uppercase tracking-wider">{label}</div>
+            <div className="text-lg font-semibold text-gray-900">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {records.length === 0 ? (
+        <p className="text-sm text-gray-500">No attendance recorded yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Times</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Running total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visible.map((record) => (
+                <tr key={`${record.eventId}-${record.date}`}>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {new Date(`${record.date}T00:00:00`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}
+                  </td>
+                  <td className="px-3 py-2">
+                    <Link to={`/events/${record.eventId}/attendance`} className="text-blue-600 hover:text-blue-800">
+                      {record.eventName}
+                    </Link>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      record.status === 'PRESENT' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {record.status === 'PRESENT' ? 'Present' : 'Absent'}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                    {record.checkInAt
+                      ? `${record.checkInAt.slice(11)} - ${record.checkOutAt ? record.checkOutAt.slice(11) : '…'}`
+                      : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right">{attendanceService.formatHours(record.hours)}</td>
+                  <td className="px-3 py-2 text-right text-gray-600">{attendanceService.formatHours(record.runningHours)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {records.length > INITIAL_ROWS && (
+            <button
+              type="button"
+              onClick={() => setShowAll((prev) => !prev)}
+              className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showAll ? 'Show fewer' : `Show all ${records.length} records`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SewadarAttendance;
@@ -0,0 +1,296 @@
+import React from 'react';
+import { useFieldArray } from 'react-hook-form';
+import { Plus, Trash2 } from 'lucide-react';
+
+// States and union territories accepted by the API (backend/src/data/indianStates.js)
+const INDIAN_STATES = [
+  'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh', 'Goa', 'Gujarat',
+  'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka', 'Kerala', 'Madhya Pradesh',
+  'Maharashtra', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Odisha', 'Punjab', 'Rajasthan',
+  'Sikkim', 'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand', 'West Bengal',
+  'Andaman and Nicobar Islands', 'Chandigarh', 'Dadra and Nagar Haveli and Daman and Diu', 'Delhi',
+  'Jammu and Kashmir', 'Ladakh', 'Lakshadweep', 'Puducherry'
+];
+
+const RELATIONSHIPS = [
+  { value: 'SPOUSE', label: 'Spouse' },
+  { value: 'FATHER', label: 'Father' },
+  { value: 'MOTHER', label: 'Mother' },
+  { value: 'SON', label: 'Son' },
+  { value: 'DAUGHTER', label: 'Daughter' },
+  { value: 'BROTHER', label: 'Brother' },
+  { value: 'SISTER', label: 'Sister' },
+  { value: 'RELATIVE', label: 'Other relative' },
+  { value: 'FRIEND', label: 'Friend' },
+  { value: 'NEIGHBOUR', label: 'Neighbour' },
+  { value: 'OTHER', label: 'Other' }
+];
+
+const MAX_EMERGENCY_CONTACTS = 5;
+
+// Same rule as the API: 10 digits starting 6-9, optionally written with +91 / 0 and separators
+const isIndianMobile = (value) => !value || /^(?:\+91|91|0)?[6-9]\d{9}$/.test(value.replace(/[\s().-]/g, ''));
+
+const phoneRules = {
+  validate: (value) => isIndianMobile(value) || 'Enter a 10-digit Indian mobile number'
+};
+
+/**
+ * Default form values for the fields rendered by SewadarContactFields
+ * @param {Object} [sewadar] - Existing sewadar from the API
+ */
+export const contactDefaults = (sewadar = {}) => ({
+  phone: sewadar.phone || '',
+  alternatePhone: sewadar.alternatePhone || '',
+  email: sewadar.email || '',
+  addressLine1: sewadar.addressLine1 || '',
+  addressLine2: sewadar.addressLine2 || '',
+  city: sewadar.city || '',
+  district: sewadar.district || '',
+  state: sewadar.state || '',
+  pinCode: sewadar.pinCode || '',
+  emergencyContacts: sewadar.emergencyContacts || []
+});
+
+/**
+ * Pick the contact fields out of submitted form data for the API
+ */
+export const contactPayload = (data) => ({
+  phone: data.phone || null,
+  alternatePhone: data.alternatePhone || null,
+  email: data.email || null,
+  addressLine1: data.addressLine1 || null,
+  addressLine2: data.addressLine2 || null,
+  city: data.city || null,
+  district: data.district || null,
+  state: data.state || null,
+  pinCode: data.pinCode || null,
+  emergencyContacts: data.emergencyContacts || []
+});
+
+const FieldError = ({ error }) => (
+  error ? <p className="text-red-600 text-sm mt-1">{error.message}</p> : null
+);
+
+/**
+ * Phone, email, postal address and emergency contact inputs shared by the
+ * add and edit sewadar forms. Must be rendered inside a react-hook-form form.
+ */
+const SewadarContactFields = ({ register, control, errors, disabled = false }) => {
+  const { fields, append, remove } = useFieldArray({ control, name: 'emergencyContacts' });
+
+  return (
+    <>
+      {/* Contact Information */}
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Contact Information</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Mobile Number</label>
+            <input
+              {...register('phone', phoneRules)}
+              type="tel"
+              className={`form-input ${errors.phone ? 'error' : ''}`}
+              placeholder="98765 43210"
+              disabled={disabled}
+            />
+            <FieldError error={errors.phone} />
+          </div>
+
+          <div>
+            <label className="form-label">Alternate Mobile</label>
+            <input
+              {...register('alternatePhone', phoneRules)}
+              type="tel"
+              className={`form-input ${errors.alternatePhone ? 'error' : ''}`}
+              placeholder="Optional"
+              disabled={disabled}
+            />
+            <FieldError error={errors.alternatePhone} />
+          </div>
+
+          <div>
+            <label className="form-label">Email</label>
+            <input
+              {...register('email', {
+                pattern: {
+                  value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                  message: 'Please enter a valid email address'
+                }
+              })}
+              type="email"
+              className={`form-input ${errors.email ? 'error' : ''}`}
+              placeholder="Optional"
+              disabled={disabled}
+            />
+            <FieldError error={errors.email} />
+          </div>
+        </div>
+      </div>
+
+      {/* Address */}
+      <div className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Address</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Address Line 1</label>
+            <input
+              {...register('addressLine1', { maxLength: { value: 255, message: 'Address is too long' } })}
+              className={`form-input ${errors.addressLine1 ? 'error' : ''}`}
+              placeholder="House number, street"
+              disabled={disabled}
+            />
+            <FieldError error={errors.addressLine1} />
+          </div>
+
+          <div>
+            <label className="form-label">Address Line 2</label>
+            <input
+              {...register('addressLine2', { maxLength: { value: 255, message: 'Address is too long' } })}
+              className={`form-input ${errors.addressLine2 ? 'error' : ''}`}
+              placeholder="Locality, landmark"
+              disabled={disabled}
+            />
+            <FieldError error={errors.addressLine2} />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="form-label">City / Village</label>
+            <input
+              {...register('city')}
+              className="form-input"
+              placeholder="City"
+              disabled={disabled}
+            />
+          </div>
+
+          <div>
+            <label className="form-label">District</label>
+            <input
+              {...register('district')}
+              className="form-input"
+              placeholder="District"
+              disabled={disabled}
+            />
+          </div>
+
+          <div>
+            <label className="form-label">State</label>
+            <select {...register('state')} className="form-input" disabled={disabled}>
+              <option value="">Select State</option>
+              {INDIAN_STATES.map(state => (
+                <option key={state} value={state}>{state}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="form-label">PIN Code</label>
+            <input
+              {...register('pinCode', {
+                pattern: {
+                  value: /^[1-9]\d{5}$/,
+                  message: 'PIN code must be 6 digits and cannot start with 0'
+                }
+              })}
+              inputMode="numeric"
+              maxLength={6}
+              className={`form-input ${errors.pinCode ? 'error' : ''}`}
+              placeholder="143201"
+              disabled={disabled}
+            />
+            <FieldError error={errors.pinCode} />
+          </div>
+        </div>
+      </div>
+
+      {/* Emergency Contacts */}
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900">Emergency Contacts</h3>
+          <button
+            type="button"
+            onClick={() => append({ name: '', relationship: '', phone: '' })}
+            disabled={disabled || fields.length >= MAX_EMERGENCY_CONTACTS}
+            className="btn btn-outline flex items-center gap-1"
+          >
+            <Plus className="h-4 w-4" />
+            Add Contact
+          </button>
+        </div>
+
+        {fields.length === 0 && (
+          <p className="text-sm text-gray-500">No emergency contacts added yet.</p>
+        )}
+
+        {fields.map((field, index) => {
+          const contactErrors = errors.emergencyContacts?.[index] || {};
+
+          return (
+            <div key={field.id} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-start">
+              <div>
+                <label className="form-label">Name *</label>
+                <input
+                  {...register(`emergencyContacts.${index}.name`, {
+                    required: 'Name is required',
+                    minLength: { value: 2, message: 'Name must be at least 2 characters' }
+                  })}
+                  className={`form-input ${contactErrors.name ? 'error' : ''}`}
+                  placeholder="Contact name"
+                  disabled={disabled}
+                />
+                <FieldError error={contactErrors.name} />
+              </div>
+
+              <div>
+                <label className="form-label">Relationship *</label>
+                <select
+                  {...register(`emergencyContacts.${index}.relationship`, { required: 'Relationship is required' })}
+                  className={`form-input ${contactErrors.relationship ? 'error' : ''}`}
+                  disabled={disabled}
+                >
+                  <option value="">Select</option>
+                  {RELATIONSHIPS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <FieldError error={contactErrors.relationship} />
+              </div>
+
+              <div>
+                <label className="form-label">Mobile Number *</label>
+                <input
+                  {...register(`emergencyContacts.${index}.phone`, {
+                    required: 'Mobile number is required',
+                    ...phoneRules
+                  })}
+                  type="tel"
+                  className={`form-input ${contactErrors.phone ? 'error' : ''}`}
+                  placeholder="98765 43210"
+                  disabled={disabled}
+                />
+                <FieldError error={contactErrors.phone} />
+              </div>
+
+              <button
+                type="button"
+                onClick={() => remove(index)}
+                disabled={disabled}
+                className="btn btn-outline md:mt-7 text-red-600 justify-self-start"
+                title="Remove contact"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
+
+export default SewadarContactFields;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { FIELD_LABELS } from './SewadarHistory';
+
+// Form values in a shape that compares equal whenever the saved record would be the same
+const normalise = (field, value) => {
+  if (field === 'emergencyContacts') {
+    return (value || []).map(({ name, relationship, phone }) => ({ name, relationship, phone }));
+  }
+  if (field === 'centreIds') return [...(value || [])].sort();
+  if (value === null || value === undefined) return '';
+  return typeof value === 'boolean' ? value : String(value);
+};
+
+const sameValue = (field, a, b) => JSON.stringify(normalise(field, a)) === JSON.stringify(normalise(field, b));
+
+const formatValue = (field, value, centreNames) => {
+  if (field === 'naamdanStatus') return value ? 'Complete' : 'Pending';
+  if (field === 'centreIds') return (value || []).map((centreId) => centreNames[centreId] || centreId).join(', ') || '—';
+  if (field === 'emergencyContacts') {
+    return (value || []).map((contact) => `${contact.name} (${contact.relationship}) ${contact.phone}`).join('; ') || '—';
+  }
+  return value === null || value === undefined || value === '' ? '—' : String(value);
+};
+
+/**
+ * Shown when saving the edit form finds that someone else saved the sewadar
+ * since it was opened. Lists every field where the user's form differs from
+ * the latest saved values and lets them pick, per field, which to keep; the
+ * picks are put back into the form to review and save again.
+ * @param {Object} props.original - Form values as the form was loaded
+ * @param {Object} props.mine - Form values the user tried to save
+ * @param {Object} props.latest - Form values of the latest saved sewadar
+ * @param {Object} props.centreNames - Centre names by ID
+ * @param {Function} props.onResolve - Called with the form values to continue with
+ */
+const SewadarEditConflict = ({ original, mine, latest, centreNames, onResolve }) => {
+  const fields = Object.keys(latest).filter((field) => !sameValue(field, mine[field], latest[field]));
+
+  // Keep the user's value where they changed it, and the other editor's everywhere else
+  const [choices, setChoices] = useState(() => Object.fromEntries(fields.map((field) => [
+    field,
+    sameValue(field, mine[field], original[field]) ? 'latest' : 'mine'
+  ])));
+
+  const label = (field) => (field === 'centreIds' ? 'Centres' : FIELD_LABELS[field] || field);
+
+  const handleApply = () => {
+    const merged = { ...latest };
+    fields.forEach((field) => {
+      if (choices[field] === 'mine') merged[field] = mine[field];
+    });
+    onResolve(merged);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center gap-2 mb-2">
+          <AlertTriangle className="h-5 w-5 text-orange-500" />
+          <h3 className="text-lg font-semibold text-gray-900">Someone Else Saved This Sewadar</h3>
+        </div>
+        <p className="text-gray-600 mb-4">
+          This sewadar was changed after you opened it. Pick which value to keep for each field below;
+          everything else already matches. Nothing is saved until you review the form and save again.
+        </p>
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-6">Your changes match the latest saved details.</p>
+        ) : (
+          <div className="overflow-x-auto mb-6">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Your Change</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Latest Saved</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {fields.map((field) => (
+                  <tr key={field}>
+                    <td className="px-3 py-2 font-medium text-gray-700 whitespace-nowrap">
+                      {label(field)}
+                      {!sameValue(field, latest[field], original[field]) && (
+                        <div className="text-xs font-normal text-orange-600">Changed by someone else</div>
+                      )}
+                    </td>
+                    {['mine', 'latest'].map((side) => (
+                      <td key={side} className="px-3 py-2">
+                        <label className="flex items-start gap-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`conflict-${field}`}
+                            checked={choices[field] === side}
+                            onChange={() => setChoices((current) => ({ ...current, [field]: side }))}
+                            className="mt-1"
+                          />
+                          <span className="text-gray-900 break-all">
+                            {formatValue(field, side === 'mine' ? mine[field] : latest[field], centreNames)}
+                          </span>
+                        </label>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={() => onResolve(latest)}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Discard My Changes
+          </button>
+          <button type="button" onClick={handleApply} className="btn btn-primary">
+            Use Selected Values
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SewadarEditConflict;
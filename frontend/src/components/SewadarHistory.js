@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+
+const ACTIONS = {
+  BASELINE: { label: 'Before history', color: 'bg-gray-100 text-gray-800' },
+  CREATE: { label: 'Created', color: 'bg-green-100 text-green-800' },
+  UPDATE: { label: 'Updated', color: 'bg-blue-100 text-blue-800' },
+  DELETE: { label: 'Moved to trash', color: 'bg-red-100 text-red-800' },
+  RESTORE: { label: 'Restored from trash', color: 'bg-green-100 text-green-800' },
+  MERGE: { label: 'Merged', color: 'bg-orange-100 text-orange-800' },
+  REVERT: { label: 'Restored version', color: 'bg-purple-100 text-purple-800' }
+};
+
+export const FIELD_LABELS = {
+  firstName: 'First name',
+  lastName: 'Last name',
+  age: 'Age',
+  verificationId: 'Verification ID',
+  verificationType: 'Verification type',
+  naamdanStatus: 'Naamdan',
+  naamdanId: 'Naamdan ID',
+  badgeId: 'Badge ID',
+  phone: 'Phone',
+  alternatePhone: 'Alternate phone',
+  email: 'Email',
+  addressLine1: 'Address line 1',
+  addressLine2: 'Address line 2',
+  city: 'City',
+  district: 'District',
+  state: 'State',
+  pinCode: 'PIN code',
+  emergencyContacts: 'Emergency contacts',
+  centres: 'Centres'
+};
+
+const formatValue = (field, value) => {
+  if (field === 'naamdanStatus') return value ? 'Complete' : 'Pending';
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+  if (field === 'emergencyContacts') {
+    return value.map((contact) => `${contact.name} (${contact.relationship}) ${contact.phone}`).join('; ');
+  }
+  if (field === 'centres') return value.map((centre) => centre.name).join(', ');
+  return String(value);
+};
+
+const describeVersion = (version) => `Version ${version.version} · ${new Date(version.changedAt).toLocaleString()}`;
+
+/**
+ * Timeline of a sewadar's saved versions. Picking a version shows how it
+ * differs from another (the latest by default) and lets an editor put the
+ * sewadar back as it was then; the restore is saved as a new version.
+ */
+const SewadarHistory = ({ sewadarId, onRestored }) => {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const data = await sewadarService.getVersions(sewadarId);
+      setVersions(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load history');
+    }
+  }, [sewadarId]);
+
+  useEffect(() => {
+    setSelected(null);
+    loadVersions();
+  }, [loadVersions]);
+
+  useEffect(() => {
+    if (selected === null || compareTo === null || selected === compareTo) {
+      setDiff(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    sewadarService.getVersionDiff(sewadarId, Math.min(selected, compareTo), Math.max(selected, compareTo))
+      .then((data) => {
+        if (!cancelled) setDiff(data);
+      })
+      .catch((err) => {
+        if (!cancelled) toast.error(err.message || 'Failed to compare versions');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sewadarId, selected, compareTo]);
+
+  const latest = versions?.[0]?.version;
+
+  const selectVersion = (version) => {
+    setSelected(version);
+    setCompareTo(version === latest && versions.length > 1 ? versions[1].version : latest);
+  };
+
+  const handleRestore = async () => {
+    try {
+      setRestoring(true);
+      const response = await sewadarService.restoreVersion(sewadarId, selected);
+      toast.success(response.message);
+      setConfirming(false);
+      setSelected(null);
+      onRestored(response.data);
+      loadVersions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to restore version');
+      console.error('Restore version error:', err);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+  if (!versions) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-500">No changes recorded yet. Versions are saved from the next change on.</p>;
+  }
+
+  const older = diff && diff.from.version === selected ? 'selected' : 'other';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {/* Timeline */}
+      <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+        {versions.map((version) => {
+          const action = ACTIONS[version.action] || { label: version.action, color: 'bg-gray-100 text-gray-800' };
+          return (
+            <li key={version.version} className="ml-4">
+              <span className={`absolute -left-1.5 mt-2 h-3 w-3 rounded-full border border-white ${
+                selected === version.version ? 'bg-blue-600' : 'bg-gray-300'
+              }`}></span>
+              <button
+                type="button"
+                onClick={() => selectVersion(version.version)}
+                className={`w-full text-left rounded-lg p-3 ${selected === version.version ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900">Version {version.version}</span>
+                  <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${action.color}`}>{action.label}</span>
+                  {version.version === latest && <span className="text-xs text-gray-500">Current</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {new Date(version.changedAt).toLocaleString()}
+                  {version.changedByFirstName && ` · ${version.changedByFirstName} ${version.changedByLastName}`}
+                </div>
+                {version.note && <div className="text-xs text-gray-600">{version.note}</div>}
+                {version.changedFields.length > 0 && (
+                  <div className="text-xs text-gray-600">
+                    Changed: {version.changedFields.map((field) => (FIELD_LABELS[field] || field).toLowerCase()).join(', ')}
+                  </div>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      {/* Comparison */}
+      <div>
+        {selected === null ? (
+          <p className="text-sm text-gray-500">Pick a version to see what changed and to restore it.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
+              <span className="font-medium text-gray-700">Version {selected} compared with</span>
+              <select
+                value={compareTo ?? ''}
+                onChange={(e) => setCompareTo(parseInt(e.target.value, 10))}
+                className="form-input sm:w-auto"
+              >
+                {versions.filter((version) => version.version !== selected).map((version) => (
+                  <option key={version.version} value={version.version}>
+                    {describeVersion(version)}{version.version === latest ? ' (current)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {versions.length === 1 ? (
+              <p className="text-sm text-gray-500">This is the only version.</p>
+            ) : !diff ? (
+              <p className="text-sm text-gray-500">Comparing...</p>
+            ) : diff.changes.length === 0 ? (
+              <p className="text-sm text-gray-500">These versions have the same details.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version {selected}</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version {compareTo}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {diff.changes.map((change) => {
+                      const [mine, theirs] = older === 'selected' ? [change.from, change.to] : [change.to, change.from];
+                      return (
+                        <tr key={change.field}>
+                          <td className="px-3 py-2 font-medium text-gray-700 whitespace-nowrap">{FIELD_LABELS[change.field] || change.field}</td>
+                          <td className="px-3 py-2 text-gray-900">{formatValue(change.field, mine)}</td>
+                          <td className="px-3 py-2 text-gray-600">{formatValue(change.field, theirs)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {selected !== latest && (
+              <button
+                type="button"
+                onClick={() => setConfirming(true)}
+                disabled={restoring}
+                className="btn btn-outline flex items-center gap-2"
+              >
+                <RotateCcw className="h-4 w-4" />
+                Restore Version {selected}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Restore Confirmation Modal */}
+      {confirming && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Restore Version {selected}</h3>
+            <p className="text-gray-600 mb-6">
+              Put this sewadar's details, emergency contacts and centres back as they were in version {selected}?
+              The current details stay in the history as version {latest}.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setConfirming(false)}
+                disabled={restoring}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button type="button" onClick={handleRestore} disabled={restoring} className="btn btn-primary">
+                {restoring ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SewadarHistory;
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, Trash2, User } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+
+/**
+ * Sewadar photo with upload and remove controls. Photos are fetched through the
+ * API (they need the auth header) and shown from an object URL.
+ */
+const SewadarPhoto = ({ sewadarId, photoUpdatedAt, onChange }) => {
+  const [photoUrl, setPhotoUrl] = useState(null);
+  const [working, setWorking] = useState(false);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    if (!photoUpdatedAt) {
+      setPhotoUrl(null);
+      return undefined;
+    }
+
+    let url = null;
+    let cancelled = false;
+
+    sewadarService.getPhoto(sewadarId)
+      .then((blob) => {
+        if (cancelled) return;
+        url = window.URL.createObjectURL(blob);
+        setPhotoUrl(url);
+      })
+      .catch(() => {
+        if (!cancelled) setPhotoUrl(null);
+      });
+
+    return () => {
+      cancelled = true;
+      if (url) window.URL.revokeObjectURL(url);
+    };
+  }, [sewadarId, photoUpdatedAt]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setWorking(true);
+      const response = await sewadarService.uploadPhoto(sewadarId, file);
+      toast.success(response.message);
+      onChange(response.data.photoUpdatedAt);
+    } catch (error) {
+      toast.error(error.message || 'Failed to upload photo');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this photo?')) return;
+
+    try {
+      setWorking(true);
+      const response = await sewadarService.deletePhoto(sewadarId);
+      toast.success(response.message);
+      onChange(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove photo');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-4">
+      <div className="w-28 h-36 rounded-lg overflow-hidden bg-gray-100 flex items-center justify-center border border-gray-200">
+        {photoUrl ? (
+          <img src={photoUrl} alt="Sewadar" className="w-full h-full object-cover" />
+        ) : (
+          <User className="h-10 w-10 text-gray-400" />
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <input
+          ref={fileInput}
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          onChange={handleFile}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => fileInput.current.click()}
+          disabled={working}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <Camera className="h-4 w-4" />
+          {working ? 'Saving...' : photoUpdatedAt ? 'Replace Photo' : 'Upload Photo'}
+        </button>
+        {photoUpdatedAt && (
+          <button
+            type="button"
+            onClick={handleRemove}
+            disabled={working}
+            className="flex items-center gap-1 text-sm text-red-600 hover:text-red-800"
+          >
+            <Trash2 className="h-4 w-4" />
+            Remove
+          </button>
+        )}
+        <p className="text-xs text-gray-500">JPEG, PNG or WebP. Cropped to a portrait badge photo.</p>
+      </div>
+    </div>
+  );
+};
+
+export default SewadarPhoto;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Trash2, FolderPlus } from 'lucide-react';
+
+// Deepest nesting the builder offers; the server accepts a little more
+const MAX_DEPTH = 3;
+
+const TEXT_FIELDS = [
+  ['any', 'Any text field'],
+  ['firstName', 'First name'],
+  ['lastName', 'Last name'],
+  ['verificationId', 'Verification ID'],
+  ['naamdanId', 'Naamdan ID'],
+  ['badgeId', 'Badge ID'],
+  ['phone', 'Phone'],
+  ['alternatePhone', 'Alternate phone'],
+  ['email', 'Email'],
+  ['addressLine1', 'Address line 1'],
+  ['addressLine2', 'Address line 2'],
+  ['city', 'City'],
+  ['district', 'District'],
+  ['state', 'State'],
+  ['pinCode', 'PIN code']
+];
+
+const OTHER_FIELDS = [
+  ['age', 'Age'],
+  ['createdAt', 'Date added'],
+  ['updatedAt', 'Last updated'],
+  ['naamdanStatus', 'Naamdan'],
+  ['verificationType', 'Verification type'],
+  ['createdBy', 'Added by']
+];
+
+const TEXT_OPERATORS = [
+  ['contains', 'contains'],
+  ['notContains', 'does not contain'],
+  ['equals', 'is'],
+  ['startsWith', 'starts with'],
+  ['endsWith', 'ends with'],
+  ['present', 'is filled in'],
+  ['missing', 'is empty']
+];
+
+// Date ranges counted from today, so saved views such as "added this month" stay current
+const PERIODS = [
+  ['today', 'Today'],
+  ['last7Days', 'Last 7 days'],
+  ['last30Days', 'Last 30 days'],
+  ['thisMonth', 'This month'],
+  ['lastMonth', 'Last month'],
+  ['thisYear', 'This year']
+];
+
+const isTextField = (field) => TEXT_FIELDS.some(([key]) => key === field);
+
+let nextKey = 0;
+const newRule = () => ({ key: ++nextKey, field: 'any', operator: 'contains', value: '' });
+const newGroup = () => ({ key: ++nextKey, combinator: 'AND', rules: [newRule()] });
+
+// Give a query from the server or a saved state its editor keys back
+const withKeys = (group) => ({
+  ...group,
+  key: ++nextKey,
+  rules: group.rules.map((rule) => (rule.rules ? withKeys(rule) : { ...rule, key: ++nextKey }))
+});
+
+// A fresh condition on another field starts with that field's default value
+const resetRule = (key, field) => {
+  if (isTextField(field)) return { key, field, operator: 'contains', value: '' };
+  if (field === 'naamdanStatus') return { key, field, value: true };
+  if (field === 'verificationType') return { key, field, value: 'AADHAR' };
+  return { key, field };
+};
+
+const ruleIsComplete = (rule) => {
+  if (isTextField(rule.field)) {
+    return ['present', 'missing'].includes(rule.operator) || Boolean(rule.value && rule.value.trim());
+  }
+  if (rule.field === 'age') return rule.min !== undefined || rule.max !== undefined;
+  if (rule.field === 'createdAt' || rule.field === 'updatedAt') return Boolean(rule.period || rule.from || rule.to);
+  if (rule.field === 'createdBy') return Boolean(rule.value);
+  return rule.value !== undefined;
+};
+
+/**
+ * The query as POST /sewadars/search takes it: unfinished conditions and
+ * empty groups are dropped, as are the editor's keys
+ * @returns {Object|null} Query, or null when nothing is left
+ */
+export const toSearchQuery = (group) => {
+  const rules = group.rules
+    .map((rule) => {
+      if (rule.rules) return toSearchQuery(rule);
+      if (!ruleIsComplete(rule)) return null;
+      const { key, ...condition } = rule;
+      if (['present', 'missing'].includes(condition.operator)) delete condition.value;
+      return condition;
+    })
+    .filter(Boolean);
+
+  return rules.length > 0 ? { combinator: group.combinator, rules } : null;
+};
+
+/**
+ * Number of conditions in a query, for the filter button's badge
+ */
+export const countConditions = (group) => (group
+  ? group.rules.reduce((count, rule) => count + (rule.rules ? countConditions(rule) : 1), 0)
+  : 0);
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+const RuleEditor = ({ rule, onChange, onRemove, creators }) => {
+  const set = (changes) => onChange({ ...rule, ...changes });
+  const number = (value) => (value === '' ? undefined : parseInt(value, 10));
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={rule.field}
+        onChange={(e) => onChange(resetRule(rule.key, e.target.value))}
+        className={inputClass}
+      >
+        <optgroup label="Text">
+          {TEXT_FIELDS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </optgroup>
+        <optgroup label="Other">
+          {OTHER_FIELDS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </optgroup>
+      </select>
+
+      {isTextField(rule.field) && (
+        <>
+          <select value={rule.operator} onChange={(e) => set({ operator: e.target.value })} className={inputClass}>
+            {TEXT_OPERATORS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          {!['present', 'missing'].includes(rule.operator) && (
+            <input
+              type="text"
+              value={rule.value || ''}
+              onChange={(e) => set({ value: e.target.value })}
+              placeholder="Text"
+              className={`${inputClass} flex-1 min-w-[8rem]`}
+            />
+          )}
+        </>
+      )}
+
+      {rule.field === 'age' && (
+        <>
+          <input
+            type="number"
+            min="1"
+            max="120"
+            value={rule.min ?? ''}
+            onChange={(e) => set({ min: number(e.target.value) })}
+            placeholder="From"
+            className={`${inputClass} w-24`}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="number"
+            min="1"
+            max="120"
+            value={rule.max ?? ''}
+            onChange={(e) => set({ max: number(e.target.value) })}
+            placeholder="To"
+            className={`${inputClass} w-24`}
+          />
+        </>
+      )}
+
+      {(rule.field === 'createdAt' || rule.field === 'updatedAt') && (
+        <>
+          <select
+            value={rule.period || ''}
+            onChange={(e) => onChange({ key: rule.key, field: rule.field, period: e.target.value || undefined })}
+            className={inputClass}
+          >
+            <option value="">Between dates</option>
+            {PERIODS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          {!rule.period && (
+            <>
+              <input
+                type="date"
+                value={rule.from || ''}
+                onChange={(e) => set({ from: e.target.value || undefined })}
+                className={inputClass}
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="date"
+                value={rule.to || ''}
+                onChange={(e) => set({ to: e.target.value || undefined })}
+                className={inputClass}
+              />
+            </>
+          )}
+        </>
+      )}
+
+      {rule.field === 'naamdanStatus' && (
+        <select
+          value={String(rule.value)}
+          onChange={(e) => set({ value: e.target.value === 'true' })}
+          className={inputClass}
+        >
+          <option value="true">Complete</option>
+          <option value="false">Pending</option>
+        </select>
+      )}
+
+      {rule.field === 'verificationType' && (
+        <select
+          value={Array.isArray(rule.value) ? rule.value[0] : rule.value}
+          onChange={(e) => set({ value: e.target.value })}
+          className={inputClass}
+        >
+          <option value="AADHAR">Aadhar Card</option>
+          <option value="PAN">PAN Card</option>
+          <option value="VOTER_ID">Voter ID</option>
+          <option value="PASSPORT">Passport</option>
+        </select>
+      )}
+
+      {rule.field === 'createdBy' && (
+        <select value={rule.value || ''} onChange={(e) => set({ value: e.target.value })} className={inputClass}>
+          <option value="">Choose a user...</option>
+          {creators.map((creator) => (
+            <option key={creator.id} value={creator.id}>{creator.name}</option>
+          ))}
+        </select>
+      )}
+
+      <button type="button" onClick={onRemove} title="Remove condition" className="p-2 text-gray-400 hover:text-red-600">
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </div>
+  );
+};
+
+const GroupEditor = ({ group, onChange, onRemove, depth, creators }) => {
+  const updateRule = (index, rule) => {
+    onChange({ ...group, rules: group.rules.map((current, i) => (i === index ? rule : current)) });
+  };
+  const removeRule = (index) => {
+    onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className={depth > 1 ? 'border-l-4 border-blue-200 bg-gray-50 rounded-r-lg p-3 space-y-3' : 'space-y-3'}>
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-sm text-gray-700">
+          Match
+          <select
+            value={group.combinator}
+            onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+            className={inputClass}
+          >
+            <option value="AND">all</option>
+            <option value="OR">any</option>
+          </select>
+          of these
+        </div>
+        {onRemove && (
+          <button type="button" onClick={onRemove} title="Remove group" className="p-2 text-gray-400 hover:text-red-600">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) => (rule.rules ? (
+        <GroupEditor
+          key={rule.key}
+          group={rule}
+          onChange={(updated) => updateRule(index, updated)}
+          onRemove={() => removeRule(index)}
+          depth={depth + 1}
+          creators={creators}
+        />
+      ) : (
+        <RuleEditor
+          key={rule.key}
+          rule={rule}
+          onChange={(updated) => updateRule(index, updated)}
+          onRemove={() => removeRule(index)}
+          creators={creators}
+        />
+      )))}
+
+      <div className="flex gap-4">
+        <button
+          type="button"
+          onClick={() => onChange({ ...group, rules: [...group.rules, newRule()] })}
+          className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-900"
+        >
+          <Plus className="h-4 w-4" />
+          Condition
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...group, rules: [...group.rules, newGroup()] })}
+            className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-900"
+          >
+            <FolderPlus className="h-4 w-4" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Drawer for building an advanced sewadar search: conditions on any field,
+ * joined with all/any and nested in groups. The query is applied on top of
+ * the list's own filters.
+ * @param {Object|null} props.query - The query in force (see toSearchQuery), or null
+ * @param {Array<{ id: string, name: string }>} props.creators - Users to offer for "Added by"
+ * @param {Function} props.onApply - Called with the new query, or null to clear it
+ * @param {Function} props.onClose - Close without applying
+ */
+const SewadarQueryBuilder = ({ query, creators, onApply, onClose }) => {
+  const [draft, setDraft] = useState(() => (query ? withKeys(query) : newGroup()));
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black bg-opacity-50" onClick={onClose}></div>
+      <div className="relative w-full max-w-2xl bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">Advanced Filters</h2>
+          <button type="button" onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          <GroupEditor group={draft} onChange={setDraft} depth={1} creators={creators} />
+          <p className="mt-4 text-xs text-gray-500">
+            These conditions apply on top of the search box and filters above the list, and to exports and badge printing.
+            Conditions left blank are ignored.
+          </p>
+        </div>
+
+        <div className="flex justify-end gap-3 p-4 border-t">
+          <button
+            type="button"
+            onClick={() => onApply(null)}
+            className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Clear
+          </button>
+          <button type="button" onClick={() => onApply(toSearchQuery(draft))} className="btn btn-primary">
+            Apply Filters
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SewadarQueryBuilder;
@@ -1,21 +1,45 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { 
   LayoutDashboard,
   Users,
   UserPlus,
+  CalendarDays,
+  ScanLine,
+  Network,
+  MapPin,
+  Trash2,
   Shield,
   Settings,
   FileText,
   X,
   ChevronRight,
-  Sparkles
+  Sparkles,
+  Bookmark,
+  Share2
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
+import savedViewService from '../services/savedViews';
 
 const Sidebar = ({ isOpen, onClose, className = '' }) => {
   const { user, hasRole } = useAuth();
   const location = useLocation();
+  const [pinnedViews, setPinnedViews] = useState([]);
+  const role = user?.role;
+
+  // Sewadar list views pinned by the user, reloaded whenever a view is pinned, changed or deleted
+  useEffect(() => {
+    if (!['ADMIN', 'EDITOR', 'VIEWER'].includes(role)) return undefined;
+
+    const loadPinnedViews = () => savedViewService.getViews({ pinned: true })
+      .then(setPinnedViews)
+      .catch((error) => console.error('Load pinned views error:', error));
+
+    loadPinnedViews();
+    return savedViewService.subscribe(loadPinnedViews);
+  }, [role]);
+
+  const activeViewId = location.pathname === '/sewadars' ? new URLSearchParams(location.search).get('view') : null;
 
   const navigationItems = [
     {
@@ -42,6 +66,46 @@ const Sidebar = ({ isOpen, onClose, className = '' }) => {
       description: 'Register new volunteer',
       gradient: 'from-purple-500 to-pink-500'
     },
+    {
+      name: 'Events',
+      href: '/events',
+      icon: CalendarDays,
+      roles: ['ADMIN', 'EDITOR', 'VIEWER'],
+      description: 'Duties & rosters',
+      gradient: 'from-yellow-500 to-orange-500'
+    },
+    {
+      name: 'Departments',
+      href: '/departments',
+      icon: Network,
+      roles: ['ADMIN', 'EDITOR', 'VIEWER'],
+      description: 'Teams & team leaders',
+      gradient: 'from-lime-500 to-green-600'
+    },
+    {
+      name: 'Check-in Kiosk',
+      href: '/kiosk',
+      icon: ScanLine,
+      roles: ['ADMIN', 'EDITOR'],
+      description: 'Scan badges at the gate',
+      gradient: 'from-teal-500 to-cyan-600'
+    },
+    {
+      name: 'Centres',
+      href: '/centres',
+      icon: MapPin,
+      roles: ['ADMIN'],
+      description: 'Centres & their sewadars',
+      gradient: 'from-rose-500 to-pink-600'
+    },
+    {
+      name: 'Trash',
+      href: '/trash',
+      icon: Trash2,
+      roles: ['ADMIN'],
+      description: 'Restore deleted sewadars',
+      gradient: 'from-gray-400 to-slate-600'
+    },
     {
       name: 'User Management',
       href: '/users',
@@ -83,6 +147,7 @@ const Sidebar = ({ isOpen, onClose, className = '' }) => {
       case 'ADMIN': return 'from-red-500 to-pink-500';
       case 'EDITOR': return 'from-blue-500 to-indigo-500';
       case 'VIEWER': return 'from-green-500 to-emerald-500';
+      case 'KIOSK': return 'from-teal-500 to-cyan-600';
       default: return 'from-gray-500 to-slate-500';
     }
   };
@@ -169,6 +234,28 @@ const Sidebar = ({ isOpen, onClose, className = '' }) => {
             </Link>
           );
         })}
+
+        {pinnedViews.length > 0 && (
+          <div className="pt-4">
+            <p className="px-4 pb-2 text-xs font-semibold text-gray-400 uppercase tracking-wider">Pinned Views</p>
+            {pinnedViews.map((view) => (
+              <Link
+                key={view.id}
+                to={`/sewadars?view=${view.id}`}
+                onClick={onClose}
+                className={`flex items-center gap-3 px-4 py-2 rounded-xl text-sm transition-colors ${
+                  activeViewId === view.id
+                    ? 'bg-blue-50 text-blue-700 font-semibold'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <Bookmark className="w-4 h-4 flex-shrink-0" />
+                <span className="flex-1 truncate">{view.name}</span>
+                {view.sharedRole && <Share2 className="w-3 h-3 flex-shrink-0 text-gray-400" aria-label="Shared view" />}
+              </Link>
+            ))}
+          </div>
+        )}
       </nav>
 
       {/* Footer */}
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../services/auth';
+import { useAuth } from '../hooks/useAuth';
+
+const POLICY_ROLES = [
+  { role: 'ADMIN', description: 'Full access to users, roles and every sewadar record' },
+  { role: 'EDITOR', description: 'Can create, edit and import sewadar records' }
+];
+
+/**
+ * Two-Factor Policy Component
+ *
+ * Admin Panel card for choosing which roles must use two-factor authentication.
+ * Users in a required role without 2FA are sent to enroll before anything else.
+ * Only admins who use 2FA themselves can change the policy.
+ */
+const TwoFactorPolicy = () => {
+  const { user, refreshUser } = useAuth();
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [savedRoles, setSavedRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        const roles = await authService.getTwoFactorPolicy();
+        setRequiredRoles(roles);
+        setSavedRoles(roles);
+      } catch (error) {
+        toast.error('Failed to load two-factor policy');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPolicy();
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles(prev => (prev.includes(role) ? prev.filter(item => item !== role) : [...prev, role]));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await authService.updateTwoFactorPolicy(requiredRoles);
+      setSavedRoles(requiredRoles);
+      toast.success(response.message);
+      // Requiring 2FA for our own role may send us to enroll
+      await refreshUser({ silent: true });
+    } catch (error) {
+      toast.error(error.message || 'Failed to update two-factor policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changed = requiredRoles.length !== savedRoles.length || requiredRoles.some(role => !savedRoles.includes(role));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <ShieldCheck className="h-5 w-5 sm:h-6 sm:w-6 text-gray-700" />
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Two-Factor Authentication Policy</h2>
+          <p className="text-sm text-gray-600">Roles that must sign in with an authenticator app code</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="h-20 bg-gray-200 rounded animate-pulse"></div>
+      ) : (
+        <div className="space-y-3">
+          {POLICY_ROLES.map(({ role, description }) => (
+            <label key={role} className="flex items-start space-x-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                checked={requiredRoles.includes(role)}
+                onChange={() => toggleRole(role)}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">Require for {role.toLowerCase()}s</p>
+                <p className="text-xs text-gray-500">{description}</p>
+              </div>
+            </label>
+          ))}
+
+          {!user?.twoFactorEnabled && (
+            <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+              Set up two-factor authentication for your own account on your profile before changing this policy.
+            </p>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={saving || !changed || !user?.twoFactorEnabled}
+              className="inline-flex items-center px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-2" />
+              {saving ? 'Saving...' : 'Save policy'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorPolicy;
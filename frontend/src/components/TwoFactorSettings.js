@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldAlert, KeyRound, Copy, Download, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../services/auth';
+import { useAuth } from '../hooks/useAuth';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Recovery Codes Panel
+ *
+ * Shows freshly generated recovery codes once, with copy and download helpers.
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`RSSB Portal recovery codes\n\n${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'rssb-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="p-4 border border-yellow-200 bg-yellow-50 rounded-lg space-y-4">
+      <div>
+        <p className="font-medium text-yellow-900">Save your recovery codes</p>
+        <p className="text-sm text-yellow-800">
+          Each code signs you in once if you lose your phone. They will not be shown again.
+        </p>
+      </div>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <span key={code} className="px-3 py-2 bg-white rounded border border-yellow-200">{code}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={handleCopy} className="inline-flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white hover:bg-gray-50">
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="inline-flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white hover:bg-gray-50">
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="inline-flex items-center px-3 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700">
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Two-Factor Settings Component
+ *
+ * Security tab section for enrolling an authenticator app (QR code plus
+ * recovery codes), replacing recovery codes and turning 2FA off.
+ */
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [mode, setMode] = useState(null); // 'disable' | 'regenerate'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await authService.getTwoFactorStatus());
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+    setUseRecoveryCode(false);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setWorking(true);
+      setEnrollment(await authService.setupTwoFactor());
+      setCode('');
+    } catch (error) {
+      toast.error(error.message || 'Failed to start two-factor setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnable = async (event) => {
+    event.preventDefault();
+    try {
+      setWorking(true);
+      const codes = await authService.enableTwoFactor(code);
+      setEnrollment(null);
+      setRecoveryCodes(codes);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      await loadStatus();
+      await refreshUser({ silent: true });
+    } catch (error) {
+      toast.error(error.message || 'Invalid verification code');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+    try {
+      setWorking(true);
+      await authService.disableTwoFactor(password, useRecoveryCode ? { recoveryCode: code } : { code });
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+      await loadStatus();
+      await refreshUser({ silent: true });
+    } catch (error) {
+      toast.error(error.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRegenerate = async (event) => {
+    event.preventDefault();
+    try {
+      setWorking(true);
+      setRecoveryCodes(await authService.regenerateRecoveryCodes(code));
+      resetForm();
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.message || 'Failed to generate new recovery codes');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!status) {
+    return <div className="h-20 bg-gray-200 rounded animate-pulse"></div>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start space-x-3">
+          {status.enabled ? (
+            <ShieldCheck className="h-6 w-6 text-green-600 flex-shrink-0" />
+          ) : (
+            <ShieldAlert className="h-6 w-6 text-yellow-600 flex-shrink-0" />
+          )}
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+            <p className="text-sm text-gray-600">
+              {status.enabled
+                ? `On. ${status.recoveryCodesRemaining} recovery code(s) left.`
+                : 'Require a code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy...) when signing in.'}
+            </p>
+          </div>
+        </div>
+        {!status.enabled && !enrollment && (
+          <button
+            onClick={handleStartSetup}
+            disabled={working}
+            className="inline-flex items-center px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex-shrink-0"
+          >
+            <KeyRound className="h-4 w-4 mr-2" />
+            Set up
+          </button>
+        )}
+      </div>
+
+      {status.required && !status.enabled && (
+        <div className="p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          Your administrator requires two-factor authentication for your role. Set it up to continue using the portal.
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      )}
+
+      {/* Enrollment: scan, then confirm with the first code */}
+      {enrollment && (
+        <form onSubmit={handleEnable} className="p-4 border border-gray-200 rounded-lg space-y-4">
+          <div className="flex flex-col sm:flex-row gap-6">
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="h-44 w-44 border border-gray-200 rounded" />
+            <div className="space-y-2 text-sm text-gray-700">
+              <p>1. Scan this QR code with your authenticator app.</p>
+              <p>Can't scan it? Enter this key instead:</p>
+              <p className="font-mono text-xs break-all bg-gray-50 p-2 rounded border border-gray-200">{enrollment.secret}</p>
+              <p>2. Enter the 6-digit code the app shows.</p>
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className={`${inputClass} sm:max-w-xs font-mono tracking-widest`}
+            />
+            <button type="submit" disabled={working || code.length !== 6} className="px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+              {working ? 'Verifying...' : 'Verify and enable'}
+            </button>
+            <button type="button" onClick={() => setEnrollment(null)} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && !mode && (
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => setMode('regenerate')} className="inline-flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button onClick={() => setMode('disable')} className="inline-flex items-center px-4 py-2 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50">
+              Turn off
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="p-4 border border-gray-200 rounded-lg space-y-3">
+          <p className="text-sm text-gray-700">Enter a code from your authenticator app. Your current recovery codes will stop working.</p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            className={`${inputClass} sm:max-w-xs font-mono tracking-widest`}
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={working || code.length !== 6} className="px-4 py-2 text-sm text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50">
+              Generate
+            </button>
+            <button type="button" onClick={resetForm} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'disable' && (
+        <form onSubmit={handleDisable} className="p-4 border border-red-200 rounded-lg space-y-3">
+          <p className="text-sm text-gray-700">Confirm with your password and a code to turn two-factor authentication off.</p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            className={`${inputClass} sm:max-w-xs`}
+          />
+          <input
+            value={code}
+            onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            className={`${inputClass} sm:max-w-xs font-mono`}
+          />
+          <button type="button" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }} className="block text-sm text-blue-600 hover:underline">
+            {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+          </button>
+          <div className="flex gap-2">
+            <button type="submit" disabled={working || !password || !code} className="px-4 py-2 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50">
+              Turn off
+            </button>
+            <button type="button" onClick={resetForm} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
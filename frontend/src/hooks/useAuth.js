@@ -69,6 +69,16 @@ export const AuthProvider = ({ children }) => {
     try {
       setIsLoading(true);
       const response = await authService.login(email, password);
+
+      // Password accepted, but the account also needs an authenticator code
+      if (response.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.challengeToken,
+          message: response.message
+        };
+      }
       
       if (response.success) {
         // Fetch complete user data after login
@@ -83,13 +93,43 @@ export const AuthProvider = ({ children }) => {
       console.error('Login error:', error);
       return { 
         success: false, 
-        message: error.response?.data?.message || 'Login failed. Please try again.' 
+        message: error.message || error.response?.data?.message || 'Login failed. Please try again.',
+        // Set when the account is temporarily locked (seconds until it can try again)
+        retryAfter: error.details?.retryAfter
       };
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Finish a two-factor login with an authenticator or recovery code
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {Object} factor - Either `{ code }` or `{ recoveryCode }`
+   * @returns {Promise<Object>} Login result
+   */
+  const verifyTwoFactor = async (challengeToken, factor) => {
+    try {
+      const response = await authService.verifyTwoFactorLogin(challengeToken, factor);
+      const currentUser = await authService.getCurrentUser();
+      setUser(currentUser || response.user);
+      setIsAuthenticated(true);
+      return {
+        success: true,
+        user: currentUser || response.user,
+        recoveryCodesRemaining: response.recoveryCodesRemaining
+      };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return {
+        success: false,
+        message: error.message || 'Verification failed. Please try again.',
+        status: error.status,
+        retryAfter: error.details?.retryAfter
+      };
+    }
+  };
+
   /**
    * Logout current user
    */
@@ -172,12 +212,22 @@ export const AuthProvider = ({ children }) => {
     return hasRole(['ADMIN']);
   };
 
+  /**
+   * Check if user is a super-admin (sees and manages every centre)
+   * @returns {boolean} Whether user is a super-admin
+   */
+  const isSuperAdmin = () => {
+    return Boolean(user?.isSuperAdmin);
+  };
+
   /**
    * Refresh user data
+   * @param {Object} options
+   * @param {boolean} options.silent - Keep the current page mounted (no loading state)
    */
-  const refreshUser = async () => {
+  const refreshUser = async ({ silent = false } = {}) => {
     try {
-      setIsLoading(true);
+      if (!silent) setIsLoading(true);
       const currentUser = await authService.getCurrentUser();
       if (currentUser) {
         setUser(currentUser);
@@ -192,7 +242,7 @@ export const AuthProvider = ({ children }) => {
       await logout();
       return { success: false, message: 'Failed to refresh user data' };
     } finally {
-      setIsLoading(false);
+      if (!silent) setIsLoading(false);
     }
   };
 
@@ -204,6 +254,7 @@ export const AuthProvider = ({ children }) => {
     
     // Actions
     login,
+    verifyTwoFactor,
     logout,
     register,
     updateProfile,
@@ -213,6 +264,7 @@ export const AuthProvider = ({ children }) => {
     hasRole,
     canEdit,
     isAdmin,
+    isSuperAdmin,
   };
 
   return (
@@ -4,6 +4,7 @@ import { useAuth } from '../hooks/useAuth';
 import usersService from '../services/users';
 import { semanticColors, colorUtils } from '../styles/colors';
 import toast from 'react-hot-toast';
+import TwoFactorPolicy from '../components/TwoFactorPolicy';
 
 /**
  * Admin Panel Component
@@ -49,24 +50,36 @@ const AdminPanel = () => {
     }
   };
 
-  const handleRoleUpdate = async (userId, newRole) => {
+  const handleRoleUpdate = async (userItem, newRole) => {
     try {
-      await usersService.updateUserRole(userId, newRole);
+      await usersService.updateUserRole(userItem.id, newRole, userItem.rowVersion);
       toast.success('User role updated successfully');
       loadUsers();
       setShowRoleModal(false);
     } catch (error) {
+      // Someone else changed the user meanwhile; show the latest details before trying again
+      if (error.data?.code === 'EDIT_CONFLICT') {
+        toast.error(error.message);
+        loadUsers();
+        setShowRoleModal(false);
+        return;
+      }
       toast.error('Failed to update user role');
       console.error('Role update error:', error);
     }
   };
 
-  const handleToggleStatus = async (userId, isActive) => {
+  const handleToggleStatus = async (userItem, isActive) => {
     try {
-      await usersService.toggleUserStatus(userId, isActive);
+      await usersService.toggleUserStatus(userItem.id, isActive, userItem.rowVersion);
       toast.success(`User ${isActive ? 'activated' : 'deactivated'} successfully`);
       loadUsers();
     } catch (error) {
+      if (error.data?.code === 'EDIT_CONFLICT') {
+        toast.error(error.message);
+        loadUsers();
+        return;
+      }
       toast.error('Failed to update user status');
       console.error('Status update error:', error);
     }
@@ -108,6 +121,9 @@ const AdminPanel = () => {
         </div>
       </div>
 
+      {/* Security Policy */}
+      <TwoFactorPolicy />
+
       {/* Users Management */}
       <div className="bg-white rounded-lg shadow">
         <div className="p-4 sm:p-6 border-b border-gray-200">
@@ -205,7 +221,7 @@ const AdminPanel = () => {
                           <Edit3 className="h-4 w-4" />
                         </button>
                         <button
-                          onClick={() => handleToggleStatus(userItem.id, !userItem.isActive)}
+                          onClick={() => handleToggleStatus(userItem, !userItem.isActive)}
                           className={`p-1 ${userItem.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}`}
                           disabled={userItem.id === user.id}
                           style={{ 
@@ -234,10 +250,10 @@ const AdminPanel = () => {
               Update Role for {selectedUser.firstName} {selectedUser.lastName}
             </h3>
             <div className="space-y-3">
-              {['ADMIN', 'EDITOR', 'VIEWER'].map((role) => (
+              {['ADMIN', 'EDITOR', 'VIEWER', 'KIOSK'].map((role) => (
                 <button
                   key={role}
-                  onClick={() => handleRoleUpdate(selectedUser.id, role)}
+                  onClick={() => handleRoleUpdate(selectedUser, role)}
                   className={`w-full p-3 text-left rounded-lg border ${
                     selectedUser.role === role
                       ? 'border-blue-500 bg-blue-50 text-blue-700'
@@ -249,6 +265,7 @@ const AdminPanel = () => {
                     {role === 'ADMIN' && 'Full system access and user management'}
                     {role === 'EDITOR' && 'Can create, edit, and delete sewadars'}
                     {role === 'VIEWER' && 'Read-only access to sewadar records'}
+                    {role === 'KIOSK' && 'Gate device that only scans badges for check-in'}
                   </div>
                 </button>
               ))}
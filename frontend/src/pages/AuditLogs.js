@@ -4,6 +4,23 @@ import { Activity, Search, Calendar, User, FileText } from 'lucide-react';
 import { semanticColors } from '../styles/colors';
 import auditLogService from '../services/auditLog';
 import toast from 'react-hot-toast';
+import AuditPayload from '../components/AuditPayload';
+
+// Fields the log can be narrowed to, by the field name recorded in each entry's changes
+const CHANGED_FIELD_FILTERS = [
+  ['firstName', 'First name'],
+  ['lastName', 'Last name'],
+  ['phone', 'Phone'],
+  ['email', 'Email'],
+  ['verificationId', 'Verification ID'],
+  ['badgeId', 'Badge ID'],
+  ['naamdanStatus', 'Naamdan'],
+  ['centres', 'Centres'],
+  ['emergencyContacts', 'Emergency contacts'],
+  ['photoUpdatedAt', 'Photo'],
+  ['role', 'User role'],
+  ['isActive', 'User active']
+];
 
 /**
  * Audit Logs Component
@@ -19,6 +36,7 @@ const AuditLogs = () => {
   const [filters, setFilters] = useState({
     search: '',
     action: '',
+    field: '',
     dateFrom: '',
     dateTo: ''
   });
@@ -123,18 +141,68 @@ const AuditLogs = () => {
       case 'CREATE':
       case 'CREATE_SEWADAR':
       case 'CREATE_USER':
+      case 'CREATE_EVENT':
+      case 'CREATE_DUTY_SLOT':
+      case 'ASSIGN_DUTY':
+      case 'MARK_ATTENDANCE':
+      case 'KIOSK_CHECK_IN':
+      case 'REINSTATE_BADGE':
+      case 'CREATE_DEPARTMENT':
+      case 'CREATE_CENTRE':
+      case 'CREATE_SAVED_VIEW':
+      case 'ADD_DEPARTMENT_MEMBER':
+      case 'RESTORE_SEWADAR':
         return 'bg-green-100 text-green-800';
       case 'UPDATE':
       case 'UPDATE_SEWADAR':
       case 'UPDATE_USER':
+      case 'UNLOCK_USER':
+      case 'ENABLE_2FA':
+      case 'REGENERATE_RECOVERY_CODES':
+      case 'UPDATE_2FA_POLICY':
+      case 'PASSWORD_RESET_REQUESTED':
+      case 'PASSWORD_RESET_COMPLETED':
+      case 'UPLOAD_PHOTO':
+      case 'UPDATE_EVENT':
+      case 'UPDATE_DUTY_SLOT':
+      case 'KIOSK_CHECK_OUT':
+      case 'UPDATE_DEPARTMENT':
+      case 'UPDATE_CENTRE':
+      case 'UPDATE_SAVED_VIEW':
+      case 'SET_DEPARTMENT_LEADERS':
+      case 'RESTORE_SEWADAR_VERSION':
         return 'bg-blue-100 text-blue-800';
       case 'DELETE':
       case 'DELETE_SEWADAR':
+      case 'PURGE_SEWADAR':
       case 'DELETE_USER':
+      case 'LOGIN_FAILED':
+      case 'ACCOUNT_LOCKED':
+      case 'PASSWORD_RESET_FAILED':
+      case 'PASSWORD_RESET_THROTTLED':
+      case 'DELETE_EVENT':
+      case 'DELETE_DUTY_SLOT':
+      case 'REVOKE_BADGE':
+      case 'REVOKED_BADGE_SCANNED':
+      case 'DELETE_DEPARTMENT':
+      case 'DELETE_CENTRE':
+      case 'DELETE_SAVED_VIEW':
         return 'bg-red-100 text-red-800';
       case 'LOGIN':
+      case 'PRINT_BADGE':
         return 'bg-purple-100 text-purple-800';
       case 'LOGOUT':
+      case 'REVOKE_SESSION':
+      case 'REVOKE_SESSIONS':
+      case 'DISABLE_2FA':
+      case 'RESET_2FA':
+      case 'RECOVERY_CODE_USED':
+      case 'DELETE_PHOTO':
+      case 'UNASSIGN_DUTY':
+      case 'CLEAR_ATTENDANCE':
+      case 'REMOVE_DEPARTMENT_MEMBER':
+      case 'DUPLICATE_OVERRIDE':
+      case 'MERGE_SEWADAR':
         return 'bg-orange-100 text-orange-800';
       default:
         return 'bg-gray-100 text-gray-800';
@@ -199,7 +267,7 @@ const AuditLogs = () => {
 
       {/* Filters */}
       <div className="bg-white rounded-lg shadow p-6">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div className="relative">
             <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
             <input
@@ -222,6 +290,16 @@ const AuditLogs = () => {
             <option value="LOGIN">Login</option>
             <option value="LOGOUT">Logout</option>
           </select>
+          <select
+            value={filters.field}
+            onChange={(e) => handleFilterChange('field', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Any Changed Field</option>
+            {CHANGED_FIELD_FILTERS.map(([field, label]) => (
+              <option key={field} value={field}>{label}</option>
+            ))}
+          </select>
           <input
             type="date"
             value={filters.dateFrom}
@@ -265,6 +343,7 @@ const AuditLogs = () => {
                         <span className="text-sm text-gray-500">{log.entity || log.entityType}</span>
                       </div>
                       <p className="text-sm font-medium text-gray-900">{log.details}</p>
+                      <AuditPayload payload={log.payload} />
                       <div className="flex items-center space-x-4 text-xs text-gray-500 mt-1">
                         <span className="flex items-center">
                           <User className="h-3 w-3 mr-1" />
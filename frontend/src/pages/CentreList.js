@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, MapPin, Edit3, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import centreService from '../services/centres';
+import { semanticColors } from '../styles/colors';
+
+const EMPTY_FORM = { name: '', location: '' };
+
+/**
+ * The centres sharing the portal. Admins see their own centres; super-admins
+ * see every centre and add, rename and delete them.
+ */
+const CentreList = () => {
+  const { isSuperAdmin } = useAuth();
+  const [centres, setCentres] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ show: false, centre: null });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deleteModal, setDeleteModal] = useState({ show: false, centre: null });
+
+  const loadCentres = useCallback(async () => {
+    try {
+      setLoading(true);
+      setCentres(await centreService.getCentres());
+    } catch (error) {
+      toast.error('Failed to load centres');
+      console.error('Load centres error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCentres();
+  }, [loadCentres]);
+
+  const openForm = (centre = null) => {
+    setForm(centre ? { name: centre.name, location: centre.location || '' } : EMPTY_FORM);
+    setFormModal({ show: true, centre });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = formModal.centre
+        ? await centreService.updateCentre(formModal.centre.id, form)
+        : await centreService.createCentre(form);
+      toast.success(response.message);
+      setFormModal({ show: false, centre: null });
+      loadCentres();
+    } catch (error) {
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to save centre');
+      console.error('Save centre error:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await centreService.deleteCentre(deleteModal.centre.id);
+      toast.success('Centre deleted successfully');
+      if (centreService.getActiveCentreId() === deleteModal.centre.id) {
+        centreService.setActiveCentreId(null);
+      }
+      setDeleteModal({ show: false, centre: null });
+      loadCentres();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete centre');
+      console.error('Delete centre error:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <MapPin style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Centres</h1>
+              <p className="text-sm sm:text-base text-gray-600">
+                {isSuperAdmin() ? 'Every centre using the portal' : 'The centres you work with'}
+              </p>
+            </div>
+          </div>
+          {isSuperAdmin() && (
+            <button
+              onClick={() => openForm()}
+              className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-white font-medium hover:opacity-90 transition-opacity"
+              style={{ backgroundColor: semanticColors.primary.main }}
+            >
+              <Plus className="h-5 w-5 mr-2" />
+              New Centre
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Centres List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-6 animate-pulse space-y-3">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : centres.length === 0 ? (
+          <div className="p-12 text-center">
+            <MapPin className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">No centres yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Centre</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sewadars</th>
+                  <th className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Users</th>
+                  {isSuperAdmin() && (
+                    <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {centres.map((centre) => (
+                  <tr key={centre.id} className="hover:bg-gray-50">
+                    <td className="px-3 sm:px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{centre.name}</div>
+                      {centre.location && <div className="text-xs text-gray-500">{centre.location}</div>}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">{centre.sewadarCount}</td>
+                    <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">{centre.userCount}</td>
+                    {isSuperAdmin() && (
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => openForm(centre)}
+                            className="p-1 text-blue-600 hover:text-blue-900"
+                            title="Edit centre"
+                          >
+                            <Edit3 className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => setDeleteModal({ show: true, centre })}
+                            className="p-1 text-red-600 hover:text-red-900"
+                            title="Delete centre"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Modal */}
+      {formModal.show && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleSave} className="bg-white rounded-lg p-6 w-full max-w-md space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {formModal.centre ? 'Edit Centre' : 'New Centre'}
+            </h3>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input
+                type="text"
+                required
+                autoFocus
+                minLength={2}
+                maxLength={100}
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Beas, Delhi, Mumbai"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+              <input
+                type="text"
+                maxLength={255}
+                value={form.location}
+                onChange={(e) => setForm((prev) => ({ ...prev, location: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setFormModal({ show: false, centre: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {deleteModal.show && deleteModal.centre && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Delete Centre</h3>
+            <p className="text-gray-600 mb-6">
+              Delete <span className="font-medium">{deleteModal.centre.name}</span>? Only centres without sewadars
+              can be deleted; its {deleteModal.centre.userCount} users keep their accounts.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setDeleteModal({ show: false, centre: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CentreList;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { KeyRound, AlertCircle, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import authService from '../services/auth';
+import PasswordRequirements from '../components/PasswordRequirements';
+
+const REASON_MESSAGES = {
+  RESET: 'Your password was set by an administrator. Choose a new one that only you know.',
+  EXPIRED: 'Your password has expired. Choose a new one to continue.'
+};
+
+/**
+ * Change Password Page
+ *
+ * Shown instead of every other route while the user has to replace their
+ * password (admin reset, seeded default account or password expiry).
+ */
+const ChangePassword = () => {
+  const { user, logout, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [serverErrors, setServerErrors] = useState([]);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      currentPassword: '',
+      newPassword: '',
+      confirmPassword: ''
+    }
+  });
+
+  if (!user?.mustChangePassword) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setServerErrors([]);
+
+    try {
+      await authService.changePassword(data.currentPassword, data.newPassword);
+      toast.success('Password changed successfully');
+      await refreshUser({ silent: true });
+      navigate('/dashboard', { replace: true });
+    } catch (error) {
+      console.error('Password change error:', error);
+      setServerErrors(
+        Array.isArray(error.details) && error.details.length > 0
+          ? error.details.map(detail => detail.message)
+          : [error.message || 'Failed to change password']
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = (hasError) => `form-input ${hasError ? 'error' : ''}`;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 px-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-12 h-12 rounded-xl bg-blue-50 flex items-center justify-center">
+            <KeyRound className="w-6 h-6 text-primary" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Change Password</h1>
+            <p className="text-sm text-gray-600">{user.email}</p>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-700 mb-6">
+          {REASON_MESSAGES[user.passwordChangeReason] || REASON_MESSAGES.RESET}
+        </p>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+          <div>
+            <label className="form-label">Current Password</label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              {...register('currentPassword', { required: 'Current password is required' })}
+              className={inputClass(errors.currentPassword)}
+              disabled={isSubmitting}
+            />
+            {errors.currentPassword && (
+              <p className="text-red-600 text-sm mt-1">{errors.currentPassword.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="form-label">New Password</label>
+            <input
+              type="password"
+              autoComplete="new-password"
+              {...register('newPassword', { required: 'New password is required' })}
+              className={inputClass(errors.newPassword)}
+              disabled={isSubmitting}
+            />
+            {errors.newPassword && (
+              <p className="text-red-600 text-sm mt-1">{errors.newPassword.message}</p>
+            )}
+            <PasswordRequirements password={watch('newPassword')} />
+          </div>
+
+          <div>
+            <label className="form-label">Confirm New Password</label>
+            <input
+              type="password"
+              autoComplete="new-password"
+              {...register('confirmPassword', {
+                required: 'Please confirm your new password',
+                validate: (value) => value === watch('newPassword') || 'New passwords do not match'
+              })}
+              className={inputClass(errors.confirmPassword)}
+              disabled={isSubmitting}
+            />
+            {errors.confirmPassword && (
+              <p className="text-red-600 text-sm mt-1">{errors.confirmPassword.message}</p>
+            )}
+          </div>
+
+          {serverErrors.length > 0 && (
+            <div className="flex items-start gap-3 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              <ul className="space-y-1">
+                {serverErrors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <button type="submit" disabled={isSubmitting} className="btn btn-primary w-full py-3">
+            {isSubmitting ? 'Saving...' : 'Save new password'}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={logout}
+          className="mt-4 w-full inline-flex items-center justify-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <LogOut className="w-4 h-4 mr-2" />
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
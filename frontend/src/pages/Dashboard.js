@@ -1,28 +1,12 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { Link } from 'react-router-dom';
-import { UserPlus, Download } from 'lucide-react';
+import { UserPlus } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
-import toast from 'react-hot-toast';
-import exportService from '../services/export';
+import ExportMenu from '../components/ExportMenu';
 
 const Dashboard = () => {
   const { user } = useAuth();
 
-  const [exporting, setExporting] = useState(false);
-
-  const handleExportSewadars = async () => {
-    try {
-      setExporting(true); // Add loading state
-      await exportService.exportSewadars();
-      toast.success('Sewadars exported successfully!');
-    } catch (error) {
-      console.error('Export failed:', error);
-      toast.error(error.response?.data?.message || 'Export failed');
-    } finally {
-      setExporting(false);
-    }
-  };
-
   return (
   <div className="space-y-6 animate-fade-in">
     
@@ -43,23 +27,7 @@ const Dashboard = () => {
             <UserPlus className="h-4 w-4" />
             Add Sewadar
           </Link>
-          <button 
-            onClick={handleExportSewadars}
-            disabled={exporting}
-            className="btn btn-outline"
-          >
-            {exporting ? (
-              <>
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current"></div>
-                Exporting...
-              </>
-            ) : (
-              <>
-                <Download className="h-4 w-4 mr-2" />
-                Export
-              </>
-            )}
-          </button>
+          <ExportMenu />
         </div>
       </div>
     </div>
@@ -74,23 +42,7 @@ const Dashboard = () => {
           <UserPlus className="h-4 w-4 mr-2" />
           Add Sewadar
         </Link>
-        <button 
-          onClick={handleExportSewadars}
-          disabled={exporting}
-          className="btn btn-outline flex items-center justify-center py-3"
-        >
-          {exporting ? (
-            <>
-              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-2"></div>
-              Exporting...
-            </>
-          ) : (
-            <>
-              <Download className="h-4 w-4 mr-2" />
-              Export
-            </>
-          )}
-        </button>
+        <ExportMenu className="w-full" />
       </div>
     </div>
 
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Network, Edit3, Trash2, Users, Crown } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import departmentService from '../services/departments';
+import { semanticColors } from '../styles/colors';
+
+const EMPTY_FORM = { name: '', description: '' };
+
+const DepartmentList = () => {
+  const { canEdit } = useAuth();
+  const [departments, setDepartments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formModal, setFormModal] = useState({ show: false, department: null });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [deleteModal, setDeleteModal] = useState({ show: false, department: null });
+
+  const loadDepartments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setDepartments(await departmentService.getDepartments());
+    } catch (error) {
+      toast.error('Failed to load departments');
+      console.error('Load departments error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDepartments();
+  }, [loadDepartments]);
+
+  const openForm = (department = null) => {
+    setForm(department ? { name: department.name, description: department.description || '' } : EMPTY_FORM);
+    setFormModal({ show: true, department });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = formModal.department
+        ? await departmentService.updateDepartment(formModal.department.id, form)
+        : await departmentService.createDepartment(form);
+      toast.success(response.message);
+      setFormModal({ show: false, department: null });
+      loadDepartments();
+    } catch (error) {
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to save department');
+      console.error('Save department error:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await departmentService.deleteDepartment(deleteModal.department.id);
+      toast.success('Department deleted successfully');
+      setDeleteModal({ show: false, department: null });
+      loadDepartments();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete department');
+      console.error('Delete department error:', error);
+    }
+  };
+
+  // Editors see every department's members; leaders only their own
+  const canOpen = (department) => canEdit() || department.isLeader;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <Network style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Departments</h1>
+              <p className="text-sm sm:text-base text-gray-600">Sewa departments, their teams and team leaders</p>
+            </div>
+          </div>
+          {canEdit() && (
+            <button
+              onClick={() => openForm()}
+              className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-white font-medium hover:opacity-90 transition-opacity"
+              style={{ backgroundColor: semanticColors.primary.main }}
+            >
+              <Plus className="h-5 w-5 mr-2" />
+              New Department
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Departments List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-6 animate-pulse space-y-3">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : departments.length === 0 ? (
+          <div className="p-12 text-center">
+            <Network className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">No departments yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                  <th className="hidden md:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leaders</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Members</th>
+                  <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {departments.map((department) => (
+                  <tr key={department.id} className="hover:bg-gray-50">
+                    <td className="px-3 sm:px-6 py-4">
+                      {canOpen(department) ? (
+                        <Link to={`/departments/${department.id}`} className="text-sm font-medium text-gray-900 hover:text-blue-700">
+                          {department.name}
+                        </Link>
+                      ) : (
+                        <span className="text-sm font-medium text-gray-900">{department.name}</span>
+                      )}
+                      {department.isLeader && (
+                        <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                          <Crown className="h-3 w-3" />
+                          You lead
+                        </span>
+                      )}
+                      {department.description && (
+                        <div className="text-xs text-gray-500">{department.description}</div>
+                      )}
+                    </td>
+                    <td className="hidden md:table-cell px-3 sm:px-6 py-4 text-sm text-gray-700">
+                      {department.leaders.length > 0
+                        ? department.leaders.map((leader) => `${leader.firstName} ${leader.lastName}`).join(', ')
+                        : <span className="text-gray-400">No leader</span>}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {department.memberCount}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end gap-2">
+                        {canOpen(department) && (
+                          <Link
+                            to={`/departments/${department.id}`}
+                            className="p-1 text-blue-600 hover:text-blue-900"
+                            title="View members"
+                          >
+                            <Users className="h-4 w-4" />
+                          </Link>
+                        )}
+                        {canEdit() && (
+                          <>
+                            <button
+                              onClick={() => openForm(department)}
+                              className="p-1 text-blue-600 hover:text-blue-900"
+                              title="Edit department"
+                            >
+                              <Edit3 className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => setDeleteModal({ show: true, department })}
+                              className="p-1 text-red-600 hover:text-red-900"
+                              title="Delete department"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Modal */}
+      {formModal.show && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <form onSubmit={handleSave} className="bg-white rounded-lg p-6 w-full max-w-md space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {formModal.department ? 'Edit Department' : 'New Department'}
+            </h3>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input
+                type="text"
+                required
+                autoFocus
+                maxLength={100}
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Langar, Parking, Security"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <textarea
+                rows={3}
+                maxLength={500}
+                value={form.description}
+                onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setFormModal({ show: false, department: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      {deleteModal.show && deleteModal.department && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Delete Department</h3>
+            <p className="text-gray-600 mb-6">
+              Delete <span className="font-medium">{deleteModal.department.name}</span>? Its{' '}
+              {deleteModal.department.memberCount} members stay on the sewadar list but are no longer in this department.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setDeleteModal({ show: false, department: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DepartmentList;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Search, UserPlus, X, Crown, Users, CheckCircle, Clock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import departmentService from '../services/departments';
+import usersService from '../services/users';
+import AddDepartmentMembersModal from '../components/AddDepartmentMembersModal';
+
+/**
+ * A department's members. Editors and the department's leaders can add and
+ * remove members; admins also choose the leaders.
+ */
+const DepartmentMembers = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { isAdmin } = useAuth();
+  const [department, setDepartment] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [leaderModal, setLeaderModal] = useState({ show: false, users: [], selected: [] });
+  const [savingLeaders, setSavingLeaders] = useState(false);
+
+  const loadDepartment = useCallback(async () => {
+    try {
+      setDepartment(await departmentService.getDepartment(id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load department');
+      navigate('/departments');
+    }
+  }, [id, navigate]);
+
+  const loadMembers = useCallback(async () => {
+    try {
+      setMembers(await departmentService.getMembers(id, search));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load members');
+      if (error.status === 403) navigate('/departments');
+    }
+  }, [id, search, navigate]);
+
+  useEffect(() => {
+    loadDepartment();
+  }, [loadDepartment]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // Debounce the search box
+  useEffect(() => {
+    const handler = setTimeout(() => setSearch(searchInput), 400);
+    return () => clearTimeout(handler);
+  }, [searchInput]);
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.firstName} ${member.lastName} from ${department.name}?`)) return;
+
+    try {
+      const response = await departmentService.removeMember(id, member.id);
+      toast.success(response.message);
+      setMembers((prev) => prev.filter((existing) => existing.id !== member.id));
+      setDepartment((prev) => ({ ...prev, memberCount: prev.memberCount - 1 }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove sewadar');
+    }
+  };
+
+  const handleAdded = () => {
+    setShowAddModal(false);
+    loadMembers();
+    loadDepartment();
+  };
+
+  const openLeaderModal = async () => {
+    try {
+      const response = await usersService.getUsers();
+      setLeaderModal({
+        show: true,
+        users: response.data.filter((user) => user.isActive && user.role !== 'KIOSK'),
+        selected: department.leaders.map((leader) => leader.userId)
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to load users');
+    }
+  };
+
+  const toggleLeader = (userId) => {
+    setLeaderModal((prev) => ({
+      ...prev,
+      selected: prev.selected.includes(userId)
+        ? prev.selected.filter((selectedId) => selectedId !== userId)
+        : [...prev.selected, userId]
+    }));
+  };
+
+  const handleSaveLeaders = async () => {
+    try {
+      setSavingLeaders(true);
+      const response = await departmentService.setLeaders(id, leaderModal.selected);
+      toast.success(response.message);
+      setDepartment(response.data);
+      setLeaderModal({ show: false, users: [], selected: [] });
+    } catch (error) {
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to update leaders');
+    } finally {
+      setSavingLeaders(false);
+    }
+  };
+
+  if (!department) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto mb-4"></div>
+          <p>Loading department...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <Link to="/departments" className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeft className="h-4 w-4" />
+          All departments
+        </Link>
+        <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-gray-900">{department.name}</h1>
+            {department.description && <p className="text-sm text-gray-600 mt-1">{department.description}</p>}
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-sm text-gray-600">
+              <span className="inline-flex items-center gap-1">
+                <Users className="h-4 w-4" />
+                {department.memberCount} members
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <Crown className="h-4 w-4" />
+                {department.leaders.length > 0
+                  ? department.leaders.map((leader) => `${leader.firstName} ${leader.lastName}`).join(', ')
+                  : 'No leader'}
+              </span>
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3">
+            {isAdmin() && (
+              <button onClick={openLeaderModal} className="btn btn-outline flex items-center justify-center gap-2">
+                <Crown className="h-4 w-4" />
+                Leaders
+              </button>
+            )}
+            <button onClick={() => setShowAddModal(true)} className="btn btn-primary flex items-center justify-center gap-2">
+              <UserPlus className="h-4 w-4" />
+              Add Members
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Members */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="p-4 sm:p-6 border-b border-gray-200">
+          <div className="relative max-w-md">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search members by name, badge ID or phone..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+          </div>
+        </div>
+
+        {members.length === 0 ? (
+          <div className="p-12 text-center">
+            <Users className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">{search ? 'No members match this search' : 'No members yet'}</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Badge ID</th>
+                  <th className="hidden md:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Phone</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Naamdan</th>
+                  <th className="hidden lg:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Member Since</th>
+                  <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {members.map((member) => (
+                  <tr key={member.id} className="hover:bg-gray-50">
+                    <td className="px-3 sm:px-6 py-4 text-sm font-medium text-gray-900">
+                      {member.firstName} {member.lastName}
+                    </td>
+                    <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {member.badgeId || 'N/A'}
+                    </td>
+                    <td className="hidden md:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {member.phone || 'N/A'}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full ${
+                        member.naamdanStatus ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {member.naamdanStatus
+                          ? <><CheckCircle className="h-3 w-3 mr-1" />Complete</>
+                          : <><Clock className="h-3 w-3 mr-1" />Pending</>}
+                      </span>
+                    </td>
+                    <td className="hidden lg:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(member.addedAt).toLocaleDateString()}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => handleRemove(member)}
+                        className="p-1 text-red-600 hover:text-red-900"
+                        title="Remove from department"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {showAddModal && (
+        <AddDepartmentMembersModal
+          department={department}
+          memberIds={members.map((member) => member.id)}
+          onClose={() => setShowAddModal(false)}
+          onAdded={handleAdded}
+        />
+      )}
+
+      {/* Leaders Modal */}
+      {leaderModal.show && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Leaders of {department.name}</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Leaders can see and manage this department's members, whatever their role.
+            </p>
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-80 overflow-y-auto">
+              {leaderModal.users.map((user) => (
+                <label key={user.id} className="flex items-center gap-3 p-3 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={leaderModal.selected.includes(user.id)}
+                    onChange={() => toggleLeader(user.id)}
+                    className="rounded border-gray-300"
+                  />
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{user.firstName} {user.lastName}</div>
+                    <div className="text-xs text-gray-500">{user.email} · {user.role}</div>
+                  </div>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                onClick={() => setLeaderModal({ show: false, users: [], selected: [] })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button onClick={handleSaveLeaders} disabled={savingLeaders} className="btn btn-primary">
+                {savingLeaders ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DepartmentMembers;
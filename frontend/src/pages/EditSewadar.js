@@ -1,20 +1,47 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useForm } from 'react-hook-form';
+import { useForm, Controller } from 'react-hook-form';
 import { toast } from 'react-hot-toast';
+import { Printer, Ban, ShieldCheck } from 'lucide-react';
 import sewadarService from '../services/sewadar';
+import badgeService from '../services/badge';
+import SewadarContactFields, { contactDefaults, contactPayload } from '../components/SewadarContactFields';
+import SewadarPhoto from '../components/SewadarPhoto';
+import SewadarAttendance from '../components/SewadarAttendance';
+import SewadarHistory from '../components/SewadarHistory';
+import SewadarEditConflict from '../components/SewadarEditConflict';
+import CentrePicker from '../components/CentrePicker';
+
+// Form values for a sewadar as returned by the API
+const formValues = (sewadarData) => ({
+  firstName: sewadarData.firstName || '',
+  lastName: sewadarData.lastName || '',
+  age: sewadarData.age || '',
+  verificationType: sewadarData.verificationType || '',
+  verificationId: sewadarData.verificationId || '',
+  naamdanStatus: sewadarData.naamdanStatus || false,
+  naamdanId: sewadarData.naamdanId || '',
+  badgeId: sewadarData.badgeId || '',
+  centreIds: (sewadarData.centres || []).map((centre) => centre.id),
+  ...contactDefaults(sewadarData)
+});
 
 const EditSewadar = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
+  const [sewadar, setSewadar] = useState(null);
+  const [printing, setPrinting] = useState(false);
+  const [revoking, setRevoking] = useState(false);
+  const [conflict, setConflict] = useState(null);
   
   const {
     register,
     handleSubmit,
     reset,
+    control,
     formState: { errors }
-  } = useForm();
+  } = useForm({ defaultValues: contactDefaults() });
 
   useEffect(() => {
     console.log('EditSewadar mounted with ID:', id); // Debug log
@@ -35,18 +62,18 @@ const EditSewadar = () => {
         
         // Handle the response data structure
         const sewadarData = response.data || response;
+
+        // The ID of a merged record leads to the record it was merged into
+        if (sewadarData.id !== id) {
+          toast('This record was merged into another; showing the merged record');
+          navigate(`/sewadars/${sewadarData.id}/edit`, { replace: true });
+          return;
+        }
+
+        setSewadar(sewadarData);
         
         // Pre-populate form with existing data
-        reset({
-          firstName: sewadarData.firstName || '',
-          lastName: sewadarData.lastName || '',
-          age: sewadarData.age || '',
-          verificationType: sewadarData.verificationType || '',
-          verificationId: sewadarData.verificationId || '',
-          naamdanStatus: sewadarData.naamdanStatus || false,
-          naamdanId: sewadarData.naamdanId || '',
-          badgeId: sewadarData.badgeId || ''
-        });
+        reset(formValues(sewadarData));
         
       } catch (error) {
         console.error('Error fetching sewadar:', error);
@@ -70,15 +97,84 @@ const EditSewadar = () => {
         verificationId: data.verificationId,
         naamdanStatus: Boolean(data.naamdanStatus),
         naamdanId: data.naamdanId || null,
-        badgeId: data.badgeId || null
+        badgeId: data.badgeId || null,
+        rowVersion: sewadar.rowVersion,
+        ...contactPayload(data)
       };
+      if (data.centreIds?.length > 0) {
+        updateData.centreIds = data.centreIds;
+      }
 
       await sewadarService.updateSewadar(id, updateData);
       toast.success('Sewadar updated successfully!');
       navigate('/sewadars');
     } catch (error) {
+      // Someone else saved in the meantime: let the user reconcile the two versions
+      if (error.data?.code === 'EDIT_CONFLICT') {
+        setConflict({ mine: data, latest: error.data.data });
+        return;
+      }
       console.error('Update error:', error);
-      toast.error('Failed to update sewadar');
+      toast.error(error.details?.[0]?.message || 'Failed to update sewadar');
+    }
+  };
+
+  // Continue from the latest saved sewadar, with the values picked in the conflict dialog
+  const handleConflictResolved = (values) => {
+    setSewadar(conflict.latest);
+    reset(values);
+    setConflict(null);
+    toast('Review the details and save again');
+  };
+
+  // A restored version replaces whatever was in the form
+  const handleVersionRestored = (restored) => {
+    setSewadar(restored);
+    reset(formValues(restored));
+  };
+
+  const handlePrintBadge = async () => {
+    try {
+      setPrinting(true);
+      await badgeService.printBadge(sewadar);
+    } catch (error) {
+      toast.error(error.message || 'Failed to print badge');
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const handleRevokeBadge = async () => {
+    const reason = window.prompt(`Why is badge ${sewadar.badgeId} being revoked? Kiosks will refuse it from now on.`, 'Card lost');
+    if (!reason || !reason.trim()) return;
+
+    try {
+      setRevoking(true);
+      const response = await badgeService.revokeBadge(id, reason.trim());
+      toast.success(response.message);
+      setSewadar((current) => ({
+        ...current,
+        badgeRevocation: { reason: reason.trim(), revokedAt: new Date().toISOString() }
+      }));
+    } catch (error) {
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to revoke badge');
+    } finally {
+      setRevoking(false);
+    }
+  };
+
+  const handleReinstateBadge = async () => {
+    if (!window.confirm(`Reinstate badge ${sewadar.badgeId}? Kiosks will accept it again.`)) return;
+
+    try {
+      setRevoking(true);
+      const response = await badgeService.reinstateBadge(id);
+      toast.success(response.message);
+      setSewadar((current) => ({ ...current, badgeRevocation: null }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to reinstate badge');
+    } finally {
+      setRevoking(false);
     }
   };
 
@@ -96,7 +192,63 @@ const EditSewadar = () => {
   return (
     <div className="max-w-4xl mx-auto p-6">
       <div className="glass-card p-8">
-        <h1 className="text-2xl font-bold mb-6">Edit Sewadar</h1>
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold">Edit Sewadar</h1>
+          <div className="flex items-center gap-2">
+            {sewadar?.badgeId && (
+              sewadar.badgeRevocation ? (
+                <button
+                  type="button"
+                  onClick={handleReinstateBadge}
+                  disabled={revoking}
+                  className="btn btn-outline flex items-center gap-2"
+                >
+                  <ShieldCheck className="h-4 w-4" />
+                  Reinstate Badge
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={handleRevokeBadge}
+                  disabled={revoking}
+                  title="Stop this badge from being accepted, e.g. when the card is lost"
+                  className="btn btn-outline flex items-center gap-2"
+                >
+                  <Ban className="h-4 w-4" />
+                  Revoke Badge
+                </button>
+              )
+            )}
+            <button
+              type="button"
+              onClick={handlePrintBadge}
+              disabled={!sewadar?.badgeId || Boolean(sewadar?.badgeRevocation) || printing}
+              title={sewadar?.badgeId ? 'Download a printable ID badge' : 'Save a badge ID to print a badge'}
+              className="btn btn-outline flex items-center gap-2"
+            >
+              <Printer className="h-4 w-4" />
+              {printing ? 'Preparing...' : 'Print Badge'}
+            </button>
+          </div>
+        </div>
+
+        {sewadar?.badgeRevocation && (
+          <div className="mb-6 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">
+            Badge <span className="font-semibold">{sewadar.badgeId}</span> was revoked on{' '}
+            {new Date(sewadar.badgeRevocation.revokedAt).toLocaleDateString()}: {sewadar.badgeRevocation.reason}.
+            Kiosks refuse it and it cannot be printed. Give this sewadar a new badge ID to issue a replacement card.
+          </div>
+        )}
+
+        {sewadar && (
+          <div className="mb-6">
+            <SewadarPhoto
+              sewadarId={id}
+              photoUpdatedAt={sewadar.photoUpdatedAt}
+              onChange={(photoUpdatedAt) => setSewadar((current) => ({ ...current, photoUpdatedAt }))}
+            />
+          </div>
+        )}
         
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -203,6 +355,15 @@ const EditSewadar = () => {
             />
           </div>
 
+          <Controller
+            name="centreIds"
+            control={control}
+            defaultValue={[]}
+            render={({ field }) => <CentrePicker value={field.value} onChange={field.onChange} />}
+          />
+
+          <SewadarContactFields register={register} control={control} errors={errors} />
+
           <div className="flex items-center gap-4 pt-6">
             <button type="submit" className="btn btn-primary">
               Update Sewadar
@@ -217,6 +378,28 @@ const EditSewadar = () => {
           </div>
         </form>
       </div>
+
+      <div className="glass-card p-8 mt-6">
+        <h2 className="text-lg font-semibold mb-4">Attendance &amp; Service Hours</h2>
+        <SewadarAttendance sewadarId={id} />
+      </div>
+
+      <div className="glass-card p-8 mt-6">
+        <h2 className="text-lg font-semibold mb-4">History</h2>
+        <SewadarHistory sewadarId={id} onRestored={handleVersionRestored} />
+      </div>
+
+      {conflict && (
+        <SewadarEditConflict
+          original={formValues(sewadar)}
+          mine={conflict.mine}
+          latest={formValues(conflict.latest)}
+          centreNames={Object.fromEntries(
+            [...(sewadar.centres || []), ...(conflict.latest.centres || [])].map((centre) => [centre.id, centre.name])
+          )}
+          onResolve={handleConflictResolved}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, CalendarDays, CheckCircle, Save, Search, UserPlus, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import attendanceService from '../services/attendance';
+import eventService from '../services/events';
+import sewadarService from '../services/sewadar';
+
+// Every day of the event, "YYYY-MM-DD"
+const eventDays = (event) => {
+  const days = [];
+  const day = new Date(`${event.startDate}T00:00:00`);
+  const last = new Date(`${event.endDate}T00:00:00`);
+  while (day <= last) {
+    days.push(day.toLocaleDateString('en-CA'));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+};
+
+const formatDay = (day) => new Date(`${day}T00:00:00`)
+  .toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+// Grid rows edit times of day; a check-out earlier than the check-in is the next morning
+const toDraft = (row) => ({
+  status: row.attendance?.status || '',
+  checkIn: row.attendance?.checkInAt?.slice(11) || '',
+  checkOut: row.attendance?.checkOutAt?.slice(11) || '',
+  notes: row.attendance?.notes || ''
+});
+
+const toRecord = (sewadarId, date, draft) => {
+  const present = draft.status === 'PRESENT';
+  const checkInAt = present && draft.checkIn ? `${date}T${draft.checkIn}` : null;
+  let checkOutAt = null;
+
+  if (checkInAt && draft.checkOut) {
+    const outDay = new Date(`${date}T00:00:00`);
+    if (draft.checkOut <= draft.checkIn) outDay.setDate(outDay.getDate() + 1);
+    checkOutAt = `${outDay.toLocaleDateString('en-CA')}T${draft.checkOut}`;
+  }
+
+  return { sewadarId, status: draft.status, checkInAt, checkOutAt, notes: draft.notes || null };
+};
+
+const draftHours = (date, draft) => {
+  const record = toRecord(null, date, draft);
+  if (!record.checkInAt || !record.checkOutAt) return 0;
+  return (new Date(record.checkOutAt) - new Date(record.checkInAt)) / 3600000;
+};
+
+/**
+ * Attendance for one day of an event: editors mark who came and when, and
+ * save the whole grid at once
+ */
+const EventAttendance = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { canEdit } = useAuth();
+  const [day, setDay] = useState(null);
+  const [date, setDate] = useState('');
+  const [drafts, setDrafts] = useState({});
+  const [dirty, setDirty] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [walkInSearch, setWalkInSearch] = useState('');
+  const [walkInResults, setWalkInResults] = useState([]);
+
+  const applyDay = useCallback((data) => {
+    setDay(data);
+    setDate(data.date);
+    setDrafts(Object.fromEntries(data.rows.map((row) => [row.sewadarId, toDraft(row)])));
+    setDirty([]);
+  }, []);
+
+  const loadDay = useCallback(async (selectedDate) => {
+    try {
+      setLoading(true);
+      applyDay(await attendanceService.getEventAttendance(id, selectedDate));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load attendance');
+      if (!selectedDate) navigate(`/events/${id}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate, applyDay]);
+
+  useEffect(() => {
+    loadDay();
+  }, [loadDay]);
+
+  // Search for walk-ins: sewadars who came without being rostered that day
+  useEffect(() => {
+    if (!walkInSearch.trim()) {
+      setWalkInResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const handler = setTimeout(async () => {
+      try {
+        const response = await sewadarService.getSewadars({ search: walkInSearch, limit: 8, sortBy: 'name', sortOrder: 'asc' });
+        if (!cancelled) setWalkInResults(response.data);
+      } catch (error) {
+        if (!cancelled) toast.error(error.message || 'Failed to search sewadars');
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(handler);
+    };
+  }, [walkInSearch]);
+
+  const updateDraft = (sewadarId, changes) => {
+    setDrafts((prev) => {
+      const next = { ...prev[sewadarId], ...changes };
+      if (next.status !== 'PRESENT') {
+        next.checkIn = '';
+        next.checkOut = '';
+      }
+      return { ...prev, [sewadarId]: next };
+    });
+    setDirty((prev) => (prev.includes(sewadarId) ? prev : [...prev, sewadarId]));
+  };
+
+  const handleDayChange = (selectedDate) => {
+    if (dirty.length > 0 && !window.confirm('Discard unsaved attendance for this day?')) return;
+    loadDay(selectedDate);
+  };
+
+  // Unmarked rostered sewadars become present, checked in for their first duty of the day
+  const handleMarkAllPresent = () => {
+    day.rows
+      .filter((row) => !drafts[row.sewadarId]?.status)
+      .forEach((row) => {
+        const duty = row.duties[0];
+        updateDraft(row.sewadarId, {
+          status: 'PRESENT',
+          checkIn: duty ? duty.startsAt.slice(11) : '',
+          checkOut: duty ? duty.endsAt.slice(11) : ''
+        });
+      });
+  };
+
+  const handleAddWalkIn = (sewadar) => {
+    setWalkInSearch('');
+    setWalkInResults([]);
+    if (day.rows.some((row) => row.sewadarId === sewadar.id)) {
+      toast(`${sewadar.firstName} ${sewadar.lastName} is already on the list`);
+      return;
+    }
+
+    const row = {
+      sewadarId: sewadar.id,
+      firstName: sewadar.firstName,
+      lastName: sewadar.lastName,
+      badgeId: sewadar.badgeId,
+      phone: sewadar.phone,
+      duties: [],
+      attendance: null
+    };
+    setDay((prev) => ({ ...prev, rows: [...prev.rows, row] }));
+    setDrafts((prev) => ({ ...prev, [row.sewadarId]: toDraft(row) }));
+    updateDraft(row.sewadarId, { status: 'PRESENT' });
+  };
+
+  const handleSave = async () => {
+    const records = dirty
+      .filter((sewadarId) => drafts[sewadarId].status)
+      .map((sewadarId) => toRecord(sewadarId, date, drafts[sewadarId]));
+    if (records.length === 0) {
+      toast('Mark sewadars present or absent first');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await attendanceService.saveAttendance(id, date, records);
+      toast.success(response.message);
+      response.data.results
+        .filter((result) => result.status === 'failed')
+        .forEach((result) => toast.error(result.errors[0]?.message, { duration: 8000 }));
+      applyDay({ event: day.event, ...response.data.day });
+    } catch (error) {
+      console.error('Save attendance error:', error);
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to save attendance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = async (row) => {
+    if (!window.confirm(`Clear the attendance of ${row.firstName} ${row.lastName} on this day?`)) return;
+
+    try {
+      const response = await attendanceService.clearAttendance(id, row.sewadarId, date);
+      toast.success(response.message);
+      loadDay(date);
+    } catch (error) {
+      toast.error(error.message || 'Failed to clear attendance');
+    }
+  };
+
+  if (!day) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto mb-4"></div>
+          <p>Loading attendance...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { event, summary } = day;
+  const editable = canEdit();
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <Link to={`/events/${id}`} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeft className="h-4 w-4" />
+          Back to roster
+        </Link>
+        <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Attendance · {event.name}</h1>
+            <p className="inline-flex items-center gap-1 mt-2 text-sm text-gray-600">
+              <CalendarDays className="h-4 w-4" />
+              {eventService.formatEventDates(event)} · {event.location}
+            </p>
+          </div>
+          <select
+            value={date}
+            onChange={(e) => handleDayChange(e.target.value)}
+            disabled={loading}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            aria-label="Event day"
+          >
+            {eventDays(event).map((value) => (
+              <option key={value} value={value}>{formatDay(value)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mt-4">
+          {[
+            ['Rostered', summary.rostered, 'text-gray-900'],
+            ['Present', summary.present, 'text-green-700'],
+            ['Absent', summary.absent, 'text-red-700'],
+            ['Unmarked', summary.unmarked, 'text-yellow-700'],
+            ['Hours', attendanceService.formatHours(summary.hours), 'text-blue-700']
+          ].map(([label, value, colour]) => (
+            <div key={label} className="bg-gray-50 rounded-lg p-3">
+              <div className="text-xs text-gray-500 uppercase tracking-wider">{label}</div>
+              <div className={`text-lg font-semibold ${colour}`}>{value}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {editable && (
+        <div className="bg-white rounded-lg shadow p-4 flex flex-col lg:flex-row lg:items-center gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Add a walk-in: search sewadars by name or phone..."
+              value={walkInSearch}
+              onChange={(e) => setWalkInSearch(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+            {walkInResults.length > 0 && (
+              <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow divide-y divide-gray-100">
+                {walkInResults.map((sewadar) => (
+                  <li key={sewadar.id}>
+                    <button
+                      onClick={() => handleAddWalkIn(sewadar)}
+                      className="w-full flex items-center gap-2 px-3 py-2 text-sm text-left hover:bg-gray-50"
+                    >
+                      <UserPlus className="h-4 w-4 text-blue-600" />
+                      {sewadar.firstName} {sewadar.lastName}
+                      {sewadar.badgeId && <span className="text-gray-500">{sewadar.badgeId}</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button
+            onClick={handleMarkAllPresent}
+            disabled={loading}
+            className="btn btn-outline flex items-center justify-center gap-2"
+          >
+            <CheckCircle className="h-4 w-4" />
+            Mark Unmarked Present
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || dirty.length === 0}
+            className="btn btn-primary flex items-center justify-center gap-2"
+          >
+            <Save className="h-4 w-4" />
+            {saving ? 'Saving...' : `Save${dirty.length ? ` (${dirty.length})` : ''}`}
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        {day.rows.length === 0 ? (
+          <p className="p-12 text-center text-gray-600">
+            Nobody is rostered on {formatDay(date)}.{editable && ' Add walk-ins above as they arrive.'}
+          </p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sewadar</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duties</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Check-in</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Check-out</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                {editable && <th className="px-4 py-3" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {day.rows.map((row) => {
+                const draft = drafts[row.sewadarId] || toDraft(row);
+                const present = draft.status === 'PRESENT';
+
+                return (
+                  <tr key={row.sewadarId} className={dirty.includes(row.sewadarId) ? 'bg-yellow-50' : ''}>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-medium text-gray-900">{row.firstName} {row.lastName}</div>
+                      <div className="text-gray-500">{row.badgeId || row.phone}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {row.duties.length === 0
+                        ? <span className="text-gray-400">Walk-in</span>
+                        : row.duties.map((duty) => (
+                          <div key={duty.slotId}>{duty.name} · {duty.startsAt.slice(11)}-{duty.endsAt.slice(11)}</div>
+                        ))}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {editable ? (
+                        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                          {[['PRESENT', 'Present', 'bg-green-600'], ['ABSENT', 'Absent', 'bg-red-600']].map(([value, label, active]) => (
+                            <button
+                              key={value}
+                              onClick={() => updateDraft(row.sewadarId, { status: value })}
+                              className={`px-3 py-1 text-xs font-medium ${draft.status === value ? `${active} text-white` : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                          present ? 'bg-green-100 text-green-800' : draft.status ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {present ? 'Present' : draft.status ? 'Absent' : 'Unmarked'}
+                        </span>
+                      )}
+                    </td>
+                    {['checkIn', 'checkOut'].map((field) => (
+                      <td key={field} className="px-4 py-3 text-sm">
+                        {editable ? (
+                          <input
+                            type="time"
+                            value={draft[field]}
+                            disabled={!present || (field === 'checkOut' && !draft.checkIn)}
+                            onChange={(e) => updateDraft(row.sewadarId, { [field]: e.target.value })}
+                            className="form-input w-28 disabled:bg-gray-100"
+                          />
+                        ) : (draft[field] || '—')}
+                      </td>
+                    ))}
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {present ? attendanceService.formatHours(draftHours(date, draft)) : '—'}
+                    </td>
+                    {editable && (
+                      <td className="px-4 py-3 text-right">
+                        {row.attendance && (
+                          <button
+                            onClick={() => handleClear(row)}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Clear attendance"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventAttendance;
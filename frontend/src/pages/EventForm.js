@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import eventService, { EVENT_TYPES } from '../services/events';
+
+/**
+ * Create a new event, or edit one when the route has an :id
+ */
+const EventForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = Boolean(id);
+  const [loading, setLoading] = useState(isEdit);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm({
+    defaultValues: {
+      name: '',
+      eventType: 'SATSANG',
+      location: '',
+      description: '',
+      startDate: '',
+      endDate: ''
+    }
+  });
+
+  const startDate = watch('startDate');
+
+  useEffect(() => {
+    if (!isEdit) return;
+
+    const fetchEvent = async () => {
+      try {
+        const event = await eventService.getEvent(id);
+        reset({
+          name: event.name,
+          eventType: event.eventType,
+          location: event.location,
+          description: event.description || '',
+          startDate: event.startDate,
+          endDate: event.endDate
+        });
+      } catch (error) {
+        toast.error(error.message || 'Failed to load event');
+        navigate('/events');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvent();
+  }, [id, isEdit, reset, navigate]);
+
+  const onSubmit = async (data) => {
+    try {
+      if (isEdit) {
+        await eventService.updateEvent(id, data);
+        toast.success('Event updated successfully!');
+        navigate(`/events/${id}`);
+      } else {
+        const response = await eventService.createEvent(data);
+        toast.success('Event created. Add its duties next.');
+        navigate(`/events/${response.data.id}`);
+      }
+    } catch (error) {
+      console.error('Save event error:', error);
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to save event');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto mb-4"></div>
+          <p>Loading event...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <div className="glass-card p-8">
+        <h1 className="text-2xl font-bold mb-6">{isEdit ? 'Edit Event' : 'New Event'}</h1>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Event Name *</label>
+            <input
+              {...register('name', {
+                required: 'Event name is required',
+                minLength: { value: 3, message: 'Event name must be at least 3 characters' }
+              })}
+              type="text"
+              className="form-input w-full"
+              placeholder="e.g. Monthly Bhandara"
+            />
+            {errors.name && <p className="text-red-600 text-sm mt-1">{errors.name.message}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Event Type *</label>
+              <select {...register('eventType', { required: true })} className="form-input w-full">
+                {Object.entries(EVENT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Location *</label>
+              <input
+                {...register('location', { required: 'Location is required' })}
+                type="text"
+                className="form-input w-full"
+                placeholder="Venue"
+              />
+              {errors.location && <p className="text-red-600 text-sm mt-1">{errors.location.message}</p>}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start Date *</label>
+              <input
+                {...register('startDate', { required: 'Start date is required' })}
+                type="date"
+                className="form-input w-full"
+              />
+              {errors.startDate && <p className="text-red-600 text-sm mt-1">{errors.startDate.message}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End Date *</label>
+              <input
+                {...register('endDate', {
+                  required: 'End date is required',
+                  validate: (value) => !startDate || value >= startDate || 'End date cannot be before the start date'
+                })}
+                type="date"
+                min={startDate || undefined}
+                className="form-input w-full"
+              />
+              {errors.endDate && <p className="text-red-600 text-sm mt-1">{errors.endDate.message}</p>}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <textarea
+              {...register('description')}
+              rows={3}
+              className="form-input w-full"
+              placeholder="Notes for coordinators"
+            />
+          </div>
+
+          <div className="flex items-center gap-4 pt-6">
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+              {isSubmitting ? 'Saving...' : isEdit ? 'Update Event' : 'Create Event'}
+            </button>
+            <button
+              type="button"
+              onClick={() => navigate(isEdit ? `/events/${id}` : '/events')}
+              className="btn btn-outline"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EventForm;
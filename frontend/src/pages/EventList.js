@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Search, CalendarDays, MapPin, Edit3, Trash2, ClipboardList } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import eventService, { EVENT_TYPES } from '../services/events';
+import { semanticColors } from '../styles/colors';
+
+const EventList = () => {
+  const { canEdit } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, totalPages: 0 });
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({ search: '', eventType: '', when: 'upcoming' });
+  const [deleteModal, setDeleteModal] = useState({ show: false, event: null });
+
+  // Debounce the search box
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setFilters((prev) => ({ ...prev, search: searchInput }));
+      setPagination((prev) => ({ ...prev, page: 1 }));
+    }, 400);
+
+    return () => clearTimeout(handler);
+  }, [searchInput]);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await eventService.getEvents({
+        page: pagination.page,
+        limit: pagination.limit,
+        ...filters,
+      });
+
+      setEvents(response.data);
+      setPagination((prev) => ({
+        ...prev,
+        total: response.pagination.total,
+        totalPages: response.pagination.totalPages,
+      }));
+    } catch (error) {
+      toast.error('Failed to load events');
+      console.error('Load events error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, filters]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const handleDelete = async () => {
+    try {
+      await eventService.deleteEvent(deleteModal.event.id);
+      toast.success('Event deleted successfully');
+      setDeleteModal({ show: false, event: null });
+      loadEvents();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete event');
+      console.error('Delete event error:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <CalendarDays style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Sewa Events</h1>
+              <p className="text-sm sm:text-base text-gray-600">Programmes, duties and duty rosters</p>
+            </div>
+          </div>
+          {canEdit() && (
+            <Link
+              to="/events/new"
+              className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-white font-medium hover:opacity-90 transition-opacity"
+              style={{ backgroundColor: semanticColors.primary.main }}
+            >
+              <Plus className="h-5 w-5 mr-2" />
+              New Event
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by name or location..."
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
+            />
+          </div>
+          <select
+            value={filters.eventType}
+            onChange={(e) => handleFilterChange('eventType', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
+          >
+            <option value="">All Event Types</option>
+            {Object.entries(EVENT_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.when}
+            onChange={(e) => handleFilterChange('when', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
+          >
+            <option value="upcoming">Upcoming &amp; ongoing</option>
+            <option value="past">Past</option>
+            <option value="">All events</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Events List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-6 animate-pulse space-y-3">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : events.length === 0 ? (
+          <div className="p-12 text-center">
+            <CalendarDays className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">No events found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                  <th className="hidden md:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Staffing</th>
+                  <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map((event) => {
+                  const filled = event.requiredCount > 0
+                    ? Math.min(100, Math.round((event.assignedCount / event.requiredCount) * 100))
+                    : 0;
+
+                  return (
+                    <tr key={event.id} className="hover:bg-gray-50">
+                      <td className="px-3 sm:px-6 py-4">
+                        <Link to={`/events/${event.id}`} className="text-sm font-medium text-gray-900 hover:text-blue-700">
+                          {event.name}
+                        </Link>
+                        <div className="text-xs text-gray-500">{EVENT_TYPES[event.eventType] || event.eventType}</div>
+                      </td>
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {eventService.formatEventDates(event)}
+                      </td>
+                      <td className="hidden md:table-cell px-3 sm:px-6 py-4 text-sm text-gray-500">
+                        <span className="inline-flex items-center gap-1">
+                          <MapPin className="h-4 w-4" />
+                          {event.location}
+                        </span>
+                      </td>
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-700">
+                          {event.assignedCount} / {event.requiredCount} sewadars
+                        </div>
+                        <div className="w-32 h-1.5 bg-gray-200 rounded-full mt-1">
+                          <div
+                            className={`h-1.5 rounded-full ${filled >= 100 ? 'bg-green-500' : 'bg-yellow-500'}`}
+                            style={{ width: `${filled}%` }}
+                          ></div>
+                        </div>
+                        <div className="text-xs text-gray-500 mt-1">{event.slotCount} duties</div>
+                      </td>
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex justify-end gap-2">
+                          <Link
+                            to={`/events/${event.id}`}
+                            className="p-1 text-blue-600 hover:text-blue-900"
+                            title="View roster"
+                          >
+                            <ClipboardList className="h-4 w-4" />
+                          </Link>
+                          {canEdit() && (
+                            <>
+                              <Link
+                                to={`/events/${event.id}/edit`}
+                                className="p-1 text-blue-600 hover:text-blue-900"
+                                title="Edit event"
+                              >
+                                <Edit3 className="h-4 w-4" />
+                              </Link>
+                              <button
+                                onClick={() => setDeleteModal({ show: true, event })}
+                                className="p-1 text-red-600 hover:text-red-900"
+                                title="Delete event"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+            <p className="text-sm text-gray-700">
+              Page <span className="font-medium">{pagination.page}</span> of{' '}
+              <span className="font-medium">{pagination.totalPages}</span>
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setPagination((prev) => ({ ...prev, page: prev.page - 1 }))}
+                disabled={pagination.page === 1}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPagination((prev) => ({ ...prev, page: prev.page + 1 }))}
+                disabled={pagination.page === pagination.totalPages}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      {deleteModal.show && deleteModal.event && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Delete Event</h3>
+            <p className="text-gray-600 mb-6">
+              Delete <span className="font-medium">{deleteModal.event.name}</span> with its{' '}
+              {deleteModal.event.slotCount} duties and {deleteModal.event.assignedCount} assignments?
+              This action cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setDeleteModal({ show: false, event: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleDelete}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventList;
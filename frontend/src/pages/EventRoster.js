@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft, CalendarDays, MapPin, Edit3, Trash2, Plus,
+  UserPlus, X, Download, Clock, Users, ClipboardCheck
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import eventService, { EVENT_TYPES } from '../services/events';
+import DutySlotModal from '../components/DutySlotModal';
+import AssignSewadarsModal from '../components/AssignSewadarsModal';
+
+const EXPORT_FORMATS = { xlsx: 'Excel', csv: 'CSV', pdf: 'PDF' };
+
+/**
+ * An event's duty roster: its duty slots grouped by day, with the sewadars
+ * assigned to each
+ */
+const EventRoster = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { canEdit } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [slotModal, setSlotModal] = useState({ show: false, slot: null });
+  const [assignSlot, setAssignSlot] = useState(null);
+  const [exportFormat, setExportFormat] = useState('xlsx');
+  const [exporting, setExporting] = useState(false);
+
+  const loadEvent = useCallback(async () => {
+    try {
+      const data = await eventService.getEvent(id);
+      setEvent(data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load event');
+      navigate('/events');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    loadEvent();
+  }, [loadEvent]);
+
+  // Slot edits and assignments return the changed slot; keep the list ordered by start time
+  const replaceSlot = (slot) => {
+    setEvent((prev) => ({
+      ...prev,
+      slots: [...prev.slots.filter((existing) => existing.id !== slot.id), slot]
+        .sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.name.localeCompare(b.name))
+    }));
+  };
+
+  const handleDeleteSlot = async (slot) => {
+    const message = slot.assignments.length > 0
+      ? `Remove ${slot.name} and its ${slot.assignments.length} assigned sewadars?`
+      : `Remove ${slot.name}?`;
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await eventService.deleteSlot(id, slot.id);
+      toast.success(response.message);
+      setEvent((prev) => ({ ...prev, slots: prev.slots.filter((existing) => existing.id !== slot.id) }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove duty');
+    }
+  };
+
+  const handleUnassign = async (slot, assignment) => {
+    try {
+      const response = await eventService.unassignSewadar(id, slot.id, assignment.sewadarId);
+      toast.success(response.message);
+      replaceSlot({
+        ...slot,
+        assignments: slot.assignments.filter((existing) => existing.sewadarId !== assignment.sewadarId)
+      });
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove sewadar');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      await eventService.exportRoster(event, exportFormat);
+      toast.success('Roster downloaded');
+    } catch (error) {
+      toast.error(error.message || 'Failed to export roster');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (loading || !event) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto mb-4"></div>
+          <p>Loading roster...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const assignedCount = event.slots.reduce((sum, slot) => sum + slot.assignments.length, 0);
+  const requiredCount = event.slots.reduce((sum, slot) => sum + slot.requiredCount, 0);
+
+  // Group duties by the day they start
+  const days = event.slots.reduce((groups, slot) => {
+    const day = slot.startsAt.slice(0, 10);
+    (groups[day] = groups[day] || []).push(slot);
+    return groups;
+  }, {});
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <Link to="/events" className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mb-3">
+          <ArrowLeft className="h-4 w-4" />
+          All events
+        </Link>
+        <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-gray-900">{event.name}</h1>
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-sm text-gray-600">
+              <span className="inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                {EVENT_TYPES[event.eventType] || event.eventType}
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <CalendarDays className="h-4 w-4" />
+                {eventService.formatEventDates(event)}
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <MapPin className="h-4 w-4" />
+                {event.location}
+              </span>
+              <span className="inline-flex items-center gap-1">
+                <Users className="h-4 w-4" />
+                {assignedCount} / {requiredCount} sewadars across {event.slots.length} duties
+              </span>
+            </div>
+            {event.description && <p className="text-sm text-gray-600 mt-3 whitespace-pre-line">{event.description}</p>}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            <Link to={`/events/${id}/attendance`} className="btn btn-outline flex items-center justify-center gap-2">
+              <ClipboardCheck className="h-4 w-4" />
+              Attendance
+            </Link>
+            {canEdit() && (
+              <>
+                <div className="flex gap-2">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    aria-label="Roster export format"
+                  >
+                    {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleExport}
+                    disabled={exporting}
+                    className="btn btn-outline flex items-center gap-2"
+                  >
+                    <Download className="h-4 w-4" />
+                    {exporting ? 'Exporting...' : 'Export Roster'}
+                  </button>
+                </div>
+                <Link to={`/events/${id}/edit`} className="btn btn-outline flex items-center justify-center gap-2">
+                  <Edit3 className="h-4 w-4" />
+                  Edit Event
+                </Link>
+                <button
+                  onClick={() => setSlotModal({ show: true, slot: null })}
+                  className="btn btn-primary flex items-center justify-center gap-2"
+                >
+                  <Plus className="h-4 w-4" />
+                  Add Duty
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {event.slots.length === 0 && (
+        <div className="bg-white rounded-lg shadow p-12 text-center">
+          <Clock className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No duties yet.{canEdit() && ' Add a duty to start the roster.'}</p>
+        </div>
+      )}
+
+      {Object.entries(days).map(([day, slots]) => (
+        <div key={day} className="space-y-3">
+          <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
+            {new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' })}
+          </h2>
+
+          {slots.map((slot) => {
+            const vacancies = slot.requiredCount - slot.assignments.length;
+
+            return (
+              <div key={slot.id} className="bg-white rounded-lg shadow p-4 sm:p-5">
+                <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                  <div>
+                    <h3 className="text-base font-semibold text-gray-900">{slot.name}</h3>
+                    <div className="flex flex-wrap gap-x-4 text-sm text-gray-600 mt-1">
+                      <span className="inline-flex items-center gap-1">
+                        <Clock className="h-4 w-4" />
+                        {eventService.formatDutyTime(slot)}
+                      </span>
+                      <span className="inline-flex items-center gap-1">
+                        <MapPin className="h-4 w-4" />
+                        {slot.location || event.location}
+                      </span>
+                    </div>
+                    {slot.notes && <p className="text-sm text-gray-500 mt-1">{slot.notes}</p>}
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      vacancies > 0 ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'
+                    }`}>
+                      {slot.assignments.length} / {slot.requiredCount}
+                      {vacancies > 0 ? ` · ${vacancies} vacant` : ' · filled'}
+                    </span>
+                    {canEdit() && (
+                      <>
+                        <button
+                          onClick={() => setAssignSlot(slot)}
+                          className="p-1 text-blue-600 hover:text-blue-900"
+                          title="Assign sewadars"
+                        >
+                          <UserPlus className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setSlotModal({ show: true, slot })}
+                          className="p-1 text-blue-600 hover:text-blue-900"
+                          title="Edit duty"
+                        >
+                          <Edit3 className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteSlot(slot)}
+                          className="p-1 text-red-600 hover:text-red-900"
+                          title="Remove duty"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {slot.assignments.length > 0 && (
+                  <ul className="mt-3 divide-y divide-gray-100 border-t border-gray-100">
+                    {slot.assignments.map((assignment) => (
+                      <li key={assignment.sewadarId} className="flex items-center justify-between py-2 text-sm">
+                        <div>
+                          <span className="font-medium text-gray-900">
+                            {assignment.firstName} {assignment.lastName}
+                          </span>
+                          {assignment.badgeId && <span className="ml-2 text-gray-500">{assignment.badgeId}</span>}
+                          {assignment.phone && <span className="ml-2 text-gray-500">{assignment.phone}</span>}
+                        </div>
+                        {canEdit() && (
+                          <button
+                            onClick={() => handleUnassign(slot, assignment)}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Remove from duty"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+
+      {slotModal.show && (
+        <DutySlotModal
+          event={event}
+          slot={slotModal.slot}
+          onClose={() => setSlotModal({ show: false, slot: null })}
+          onSaved={(slot) => {
+            replaceSlot(slot);
+            setSlotModal({ show: false, slot: null });
+          }}
+        />
+      )}
+
+      {assignSlot && (
+        <AssignSewadarsModal
+          event={event}
+          slot={assignSlot}
+          onClose={() => setAssignSlot(null)}
+          onAssigned={(slot) => {
+            replaceSlot(slot);
+            setAssignSlot(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EventRoster;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { Mail, AlertCircle, ArrowLeft, CheckCircle } from 'lucide-react';
+import authService from '../services/auth';
+
+/**
+ * Forgot Password Page
+ *
+ * Requests a password reset link by email. The confirmation is the same
+ * whether or not the address has an account.
+ */
+const ForgotPassword = () => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+  const [serverError, setServerError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({ defaultValues: { email: '' } });
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setServerError('');
+
+    try {
+      const response = await authService.forgotPassword(data.email);
+      setSentMessage(response.message);
+    } catch (error) {
+      setServerError(error.message || 'Could not send the reset link. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 px-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-12 h-12 rounded-xl bg-blue-50 flex items-center justify-center">
+            <Mail className="w-6 h-6 text-primary" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Forgot Password</h1>
+            <p className="text-sm text-gray-600">We will email you a link to choose a new one</p>
+          </div>
+        </div>
+
+        {sentMessage ? (
+          <div className="flex items-start gap-3 p-4 rounded-lg bg-green-50 border border-green-200 text-sm text-green-800">
+            <CheckCircle className="w-5 h-5 flex-shrink-0" />
+            <div>
+              <p>{sentMessage}</p>
+              <p className="mt-2">The link can be used once and expires soon. Check your spam folder if it does not arrive.</p>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+            <div>
+              <label className="form-label">Email Address</label>
+              <input
+                type="email"
+                autoComplete="email"
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                    message: 'Please enter a valid email address'
+                  }
+                })}
+                className={`form-input ${errors.email ? 'error' : ''}`}
+                placeholder="Enter your email"
+                disabled={isSubmitting}
+              />
+              {errors.email && (
+                <p className="text-red-600 text-sm mt-1">{errors.email.message}</p>
+              )}
+            </div>
+
+            {serverError && (
+              <div className="flex items-center gap-2 text-sm text-red-600">
+                <AlertCircle className="w-4 h-4" />
+                {serverError}
+              </div>
+            )}
+
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary w-full py-3">
+              {isSubmitting ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <Link to="/login" className="mt-6 inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
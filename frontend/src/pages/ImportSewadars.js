@@ -0,0 +1,376 @@
+import React, { useState, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  Upload, FileSpreadsheet, Download, CheckCircle, AlertCircle, AlertTriangle, ArrowLeft, RotateCcw
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+import { semanticColors } from '../styles/colors';
+
+const STEPS = ['Upload file', 'Review rows', 'Done'];
+
+/**
+ * Import Sewadars Component
+ *
+ * Three-step wizard for bulk onboarding from a spreadsheet: upload the file,
+ * review the dry-run report row by row, then commit the import in one go.
+ */
+const ImportSewadars = () => {
+  const navigate = useNavigate();
+  const fileInputRef = useRef(null);
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [report, setReport] = useState(null);
+  const [showOnlyInvalid, setShowOnlyInvalid] = useState(false);
+  const [duplicateReason, setDuplicateReason] = useState('');
+
+  const resetWizard = () => {
+    setStep(0);
+    setFile(null);
+    setProgress(0);
+    setReport(null);
+    setShowOnlyInvalid(false);
+    setDuplicateReason('');
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+
+    if (!/\.(xlsx|csv)$/i.test(selected.name)) {
+      toast.error('Please choose an .xlsx or .csv file');
+      e.target.value = '';
+      return;
+    }
+    setFile(selected);
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      await sewadarService.downloadImportTemplate();
+    } catch (error) {
+      toast.error('Failed to download template');
+    }
+  };
+
+  const runImport = async (dryRun) => {
+    try {
+      setBusy(true);
+      setProgress(0);
+      const response = await sewadarService.importSewadars(file, {
+        dryRun,
+        onProgress: setProgress,
+        duplicateReason: dryRun ? '' : duplicateReason.trim()
+      });
+
+      setReport(response.data);
+      if (dryRun) {
+        setShowOnlyInvalid(response.data.summary.invalid > 0 || response.data.summary.possibleDuplicates > 0);
+        setStep(1);
+      } else {
+        toast.success(response.message);
+        setStep(2);
+      }
+    } catch (error) {
+      console.error('Import error:', error);
+      // A rejected commit still carries the row report
+      if (error.data?.data?.rows) {
+        setReport(error.data.data);
+        setShowOnlyInvalid(true);
+        setStep(1);
+      }
+      toast.error(error.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const visibleRows = report
+    ? report.rows.filter(entry => !showOnlyInvalid || entry.status === 'invalid' || entry.possibleDuplicates)
+    : [];
+  const needsDuplicateReason = report?.summary.possibleDuplicates > 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <FileSpreadsheet style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Import Sewadars</h1>
+              <p className="text-sm sm:text-base text-gray-600">Onboard many sewadars at once from a spreadsheet</p>
+            </div>
+          </div>
+          <Link to="/sewadars" className="btn btn-outline flex items-center justify-center gap-2">
+            <ArrowLeft className="h-4 w-4" />
+            Back to List
+          </Link>
+        </div>
+
+        {/* Steps */}
+        <ol className="flex items-center gap-2 sm:gap-4 mt-6 text-sm">
+          {STEPS.map((label, index) => (
+            <li key={label} className="flex items-center gap-2">
+              <span
+                className={`h-7 w-7 rounded-full flex items-center justify-center font-semibold ${
+                  index <= step ? 'text-white' : 'bg-gray-200 text-gray-500'
+                }`}
+                style={index <= step ? { backgroundColor: semanticColors.primary.main } : undefined}
+              >
+                {index + 1}
+              </span>
+              <span className={index === step ? 'font-medium text-gray-900' : 'text-gray-500'}>{label}</span>
+              {index < STEPS.length - 1 && <span className="hidden sm:block w-8 h-px bg-gray-300" />}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {/* Step 1 - Upload */}
+      {step === 0 && (
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6 space-y-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              The first row must contain column headers. First Name, Last Name, Verification Type and
+              Verification ID are required; Age, Naamdan Status, Naamdan ID and Badge ID are optional.
+            </p>
+            <button onClick={handleDownloadTemplate} className="btn btn-outline flex items-center justify-center gap-2 whitespace-nowrap">
+              <Download className="h-4 w-4" />
+              Download Template
+            </button>
+          </div>
+
+          <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:bg-gray-50">
+            <Upload className="h-10 w-10 text-gray-400 mb-3" />
+            <span className="text-sm font-medium text-gray-900">
+              {file ? file.name : 'Choose an .xlsx or .csv file'}
+            </span>
+            {file && (
+              <span className="text-xs text-gray-500 mt-1">{(file.size / 1024).toFixed(1)} KB</span>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".xlsx,.csv"
+              onChange={handleFileChange}
+              className="hidden"
+              disabled={busy}
+            />
+          </label>
+
+          {busy && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-500 mb-1">
+                <span>Uploading and validating...</span>
+                <span>{progress}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="h-2 rounded-full transition-all"
+                  style={{ width: `${progress}%`, backgroundColor: semanticColors.primary.main }}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={() => runImport(true)}
+              disabled={!file || busy}
+              className="btn btn-primary flex items-center gap-2"
+            >
+              {busy ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  Checking...
+                </>
+              ) : (
+                <>
+                  <CheckCircle className="h-4 w-4" />
+                  Check File
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 2 - Review */}
+      {step === 1 && report && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="p-4 sm:p-6 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{report.fileName}</h3>
+              <p className="text-sm text-gray-600">
+                {report.summary.total} rows &middot;{' '}
+                <span className="text-green-700">{report.summary.valid} valid</span> &middot;{' '}
+                <span className="text-red-700">{report.summary.invalid} invalid</span>
+                {report.summary.possibleDuplicates > 0 && (
+                  <> &middot; <span className="text-yellow-700">{report.summary.possibleDuplicates} possible duplicates</span></>
+                )}
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={showOnlyInvalid}
+                onChange={(e) => setShowOnlyInvalid(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Show only rows with errors or possible duplicates
+            </label>
+          </div>
+
+          <div className="overflow-x-auto max-h-[28rem] overflow-y-auto">
+            <table className="w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  {['Row', 'Status', 'Name', 'Age', 'Verification', 'Naamdan', 'Badge ID', 'Problems'].map(header => (
+                    <th key={header} className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleRows.map(entry => (
+                  <tr
+                    key={entry.row}
+                    className={entry.status === 'invalid' ? 'bg-red-50' : entry.possibleDuplicates ? 'bg-yellow-50' : ''}
+                  >
+                    <td className="px-3 py-2 text-gray-500">{entry.row}</td>
+                    <td className="px-3 py-2">
+                      {entry.status === 'invalid' ? (
+                        <span className="inline-flex items-center text-xs font-semibold text-red-700">
+                          <AlertCircle className="h-3 w-3 mr-1" />
+                          Invalid
+                        </span>
+                      ) : entry.possibleDuplicates ? (
+                        <span className="inline-flex items-center text-xs font-semibold text-yellow-700 whitespace-nowrap">
+                          <AlertTriangle className="h-3 w-3 mr-1" />
+                          Possible duplicate
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center text-xs font-semibold text-green-700">
+                          <CheckCircle className="h-3 w-3 mr-1" />
+                          Valid
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-gray-900">{entry.data.firstName} {entry.data.lastName}</td>
+                    <td className="px-3 py-2 text-gray-500">{entry.data.age ?? '—'}</td>
+                    <td className="px-3 py-2 text-gray-500">
+                      {entry.data.verificationType || '—'} {entry.data.verificationId}
+                    </td>
+                    <td className="px-3 py-2 text-gray-500">
+                      {entry.data.naamdanStatus === true ? 'Complete' : 'Pending'}
+                      {entry.data.naamdanId ? ` (${entry.data.naamdanId})` : ''}
+                    </td>
+                    <td className="px-3 py-2 text-gray-500">{entry.data.badgeId || '—'}</td>
+                    <td className="px-3 py-2 text-red-700">
+                      {entry.errors.map(err => (
+                        <div key={`${err.field}-${err.message}`}>{err.message}</div>
+                      ))}
+                      {entry.possibleDuplicates?.map(match => (
+                        <div key={match.id || `row-${match.row}`} className="text-yellow-800">
+                          May be{' '}
+                          {match.id ? (
+                            <Link
+                              to={`/sewadars/${match.id}/edit`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-700 hover:text-blue-900 underline"
+                            >
+                              {match.firstName} {match.lastName}
+                            </Link>
+                          ) : (
+                            <>{match.firstName} {match.lastName} (row {match.row})</>
+                          )}
+                          {' '}&middot; {match.reasons.join(', ')}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="p-4 sm:p-6 border-t border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div className="flex-1 space-y-3">
+              <p className="text-sm text-gray-600">
+                {report.summary.invalid > 0
+                  ? 'Fix the highlighted rows in your spreadsheet and upload it again. Nothing has been saved yet.'
+                  : 'Every row passed validation. Importing will create all records in a single step.'}
+              </p>
+              {report.summary.invalid === 0 && needsDuplicateReason && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Some rows may already be registered. Remove them from the file, or say why they should be imported anyway *
+                  </label>
+                  <textarea
+                    rows={2}
+                    maxLength={500}
+                    value={duplicateReason}
+                    onChange={(e) => setDuplicateReason(e.target.value)}
+                    disabled={busy}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              )}
+            </div>
+            <div className="flex gap-3">
+              <button onClick={resetWizard} disabled={busy} className="btn btn-outline flex items-center gap-2">
+                <RotateCcw className="h-4 w-4" />
+                Upload Another File
+              </button>
+              <button
+                onClick={() => runImport(false)}
+                disabled={
+                  busy
+                  || report.summary.invalid > 0
+                  || report.summary.total === 0
+                  || (needsDuplicateReason && duplicateReason.trim().length < 3)
+                }
+                className="btn btn-primary flex items-center gap-2"
+              >
+                {busy ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                    Importing... {progress}%
+                  </>
+                ) : (
+                  <>
+                    <Upload className="h-4 w-4" />
+                    Import {report.summary.valid} Sewadars
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3 - Done */}
+      {step === 2 && report && (
+        <div className="bg-white rounded-lg shadow p-8 text-center">
+          <CheckCircle className="mx-auto h-12 w-12 text-green-600 mb-4" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">
+            {report.summary.created} sewadars imported
+          </h3>
+          <p className="text-sm text-gray-600 mb-6">from {report.fileName}</p>
+          <div className="flex justify-center gap-3">
+            <button onClick={resetWizard} className="btn btn-outline">Import Another File</button>
+            <button onClick={() => navigate('/sewadars')} className="btn btn-primary">View Sewadars</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportSewadars;
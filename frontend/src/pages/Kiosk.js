@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Camera, CameraOff, LogIn, LogOut, ScanLine, WifiOff, CalendarDays } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import kioskService from '../services/kiosk';
+
+// How long a scan result stays on screen, and how soon the same badge counts as a new scan
+const RESULT_MS = 6000;
+const REPEAT_MS = 3000;
+const SYNC_MS = 15000;
+
+const TONES = {
+  success: 'bg-green-600',
+  notice: 'bg-yellow-500',
+  error: 'bg-red-700',
+  queued: 'bg-blue-700'
+};
+
+const ACTIONS = { CHECK_IN: 'Check in', CHECK_OUT: 'Check out' };
+
+/**
+ * Full-screen gate kiosk. Badges are read from keyboard-wedge scanners (which
+ * type the badge ID and press Enter) or from the webcam where the browser can
+ * decode QR codes. Scans made while offline are queued and sent later.
+ */
+const Kiosk = () => {
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [event, setEvent] = useState(() => kioskService.getSavedEvent());
+  const [action, setAction] = useState('CHECK_IN');
+  const [badgeInput, setBadgeInput] = useState('');
+  const [result, setResult] = useState(null);
+  const [queueCount, setQueueCount] = useState(() => kioskService.getQueue().length);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [cameraOn, setCameraOn] = useState(false);
+  const inputRef = useRef(null);
+  const videoRef = useRef(null);
+  const lastScanRef = useRef({ badgeId: null, at: 0 });
+  const handleScanRef = useRef(null);
+
+  const cameraSupported = 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+  useEffect(() => {
+    kioskService.getEvents()
+      .then(setEvents)
+      .catch((error) => toast.error(error.message || 'Failed to load today\'s events'));
+  }, []);
+
+  // Send queued scans whenever the connection comes back, and retry while any are waiting
+  const syncQueue = useCallback(async () => {
+    if (kioskService.getQueue().length === 0) return;
+
+    const { sent, refused, remaining } = await kioskService.syncQueue();
+    setQueueCount(remaining);
+    // Calls that joined a sync already under way get the same result; the toast ids show it once
+    if (sent > 0) toast.success(`Sent ${sent} queued scan${sent === 1 ? '' : 's'}`, { id: 'kiosk-queue-sent' });
+    refused.forEach(({ scan, message }) => toast.error(`Queued scan of ${scan.badgeId} refused: ${message}`, {
+      id: `kiosk-queue-refused-${scan.id}`,
+      duration: 10000
+    }));
+  }, []);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      syncQueue();
+    };
+    const goOffline = () => setOnline(false);
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    const timer = setInterval(syncQueue, SYNC_MS);
+    syncQueue();
+
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      clearInterval(timer);
+    };
+  }, [syncQueue]);
+
+  // Clear the result after a while and free its photo
+  useEffect(() => {
+    if (!result) return undefined;
+    const timer = setTimeout(() => setResult(null), RESULT_MS);
+    return () => {
+      clearTimeout(timer);
+      if (result.photoUrl) URL.revokeObjectURL(result.photoUrl);
+    };
+  }, [result]);
+
+  const handleScan = async (rawValue) => {
+    const badgeId = rawValue.trim();
+    if (!badgeId || !event) return;
+
+    // Scanners and the camera can read the same card twice in a row
+    const now = Date.now();
+    if (lastScanRef.current.badgeId === badgeId && now - lastScanRef.current.at < REPEAT_MS) return;
+    lastScanRef.current = { badgeId, at: now };
+
+    const scan = { eventId: event.id, badgeId, scannedAt: kioskService.localNow(), action };
+
+    try {
+      const response = await kioskService.recordScan(scan);
+      const { result: outcome, sewadar } = response.data;
+      const photoUrl = sewadar.photoUpdatedAt
+        ? await kioskService.getPhoto(sewadar.id).then((blob) => URL.createObjectURL(blob)).catch(() => null)
+        : null;
+
+      setResult({
+        tone: outcome.startsWith('ALREADY') ? 'notice' : 'success',
+        title: response.message,
+        detail: `Badge ${sewadar.badgeId}`,
+        sewadar,
+        photoUrl
+      });
+    } catch (error) {
+      if (kioskService.shouldQueue(error)) {
+        setQueueCount(kioskService.enqueue(scan));
+        setResult({
+          tone: 'queued',
+          title: `Badge ${badgeId} saved`,
+          detail: 'No connection. The scan will be sent when the network is back.'
+        });
+        return;
+      }
+
+      setResult({
+        tone: 'error',
+        title: error.details?.[0]?.revokedOn ? 'Badge revoked' : 'Not recorded',
+        detail: error.details?.[0]?.message || error.message
+      });
+    }
+  };
+  handleScanRef.current = handleScan;
+
+  // Keyboard-wedge scanners type into the focused input, so keep it focused
+  useEffect(() => {
+    if (event) inputRef.current?.focus();
+  }, [event, result]);
+
+  // Webcam scanning with the browser's built-in barcode detector
+  useEffect(() => {
+    if (!cameraOn) return undefined;
+
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128', 'code_39'] });
+        timer = setInterval(async () => {
+          if (!videoRef.current) return;
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length > 0) handleScanRef.current(codes[0].rawValue);
+        }, 400);
+      } catch (error) {
+        toast.error('Could not start the camera');
+        setCameraOn(false);
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [cameraOn]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    handleScan(badgeInput);
+    setBadgeInput('');
+  };
+
+  const chooseEvent = (selected) => {
+    kioskService.saveEvent(selected);
+    setEvent(selected);
+  };
+
+  const handleExit = async () => {
+    if (user?.role === 'KIOSK') {
+      if (!window.confirm('Sign this kiosk out?')) return;
+      await logout();
+      navigate('/login');
+    } else {
+      navigate('/events');
+    }
+  };
+
+  const queueBadge = (queueCount > 0 || !online) && (
+    <span className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-blue-800 text-sm">
+      <WifiOff className="h-4 w-4" />
+      {online ? 'Sending' : 'Offline'} · {queueCount} queued
+    </span>
+  );
+
+  // Pick the event the kiosk is checking sewadars in to
+  if (!event) {
+    return (
+      <div className="fixed inset-0 bg-gray-900 text-white flex flex-col items-center justify-center p-6">
+        <ScanLine className="h-16 w-16 text-teal-400 mb-4" />
+        <h1 className="text-3xl font-bold mb-2">Check-in Kiosk</h1>
+        <p className="text-gray-400 mb-8">Choose the event this kiosk is checking sewadars in to</p>
+
+        <div className="w-full max-w-lg space-y-3">
+          {events.length === 0 && <p className="text-center text-gray-400">No events are on today.</p>}
+          {events.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => chooseEvent(item)}
+              className="w-full text-left p-4 rounded-lg bg-gray-800 hover:bg-gray-700"
+            >
+              <div className="text-lg font-semibold">{item.name}</div>
+              <div className="text-sm text-gray-400">{item.location}</div>
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-8 flex items-center gap-4">
+          {queueBadge}
+          <button onClick={handleExit} className="inline-flex items-center gap-2 text-gray-400 hover:text-white">
+            <LogOut className="h-4 w-4" />
+            {user?.role === 'KIOSK' ? 'Sign out' : 'Leave kiosk'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`fixed inset-0 text-white flex flex-col transition-colors ${result ? TONES[result.tone] : 'bg-gray-900'}`}>
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 bg-black bg-opacity-30">
+        <div>
+          <div className="text-xl font-bold">{event.name}</div>
+          <div className="text-sm text-gray-300">{event.location}</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {queueBadge}
+          <div className="inline-flex rounded-lg overflow-hidden border border-white border-opacity-40">
+            {Object.entries(ACTIONS).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setAction(value)}
+                className={`px-4 py-2 text-sm font-medium ${action === value ? 'bg-white text-gray-900' : 'hover:bg-white hover:bg-opacity-10'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {cameraSupported && (
+            <button
+              onClick={() => setCameraOn((prev) => !prev)}
+              className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10"
+              title={cameraOn ? 'Stop camera' : 'Scan with camera'}
+            >
+              {cameraOn ? <CameraOff className="h-5 w-5" /> : <Camera className="h-5 w-5" />}
+            </button>
+          )}
+          <button
+            onClick={() => chooseEvent(null)}
+            className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10"
+            title="Change event"
+          >
+            <CalendarDays className="h-5 w-5" />
+          </button>
+          <button
+            onClick={handleExit}
+            className="p-2 rounded-lg hover:bg-white hover:bg-opacity-10"
+            title={user?.role === 'KIOSK' ? 'Sign out' : 'Leave kiosk'}
+          >
+            <LogOut className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Scan result or prompt */}
+      <div className="flex-1 flex flex-col items-center justify-center p-6 text-center">
+        {/* Kept mounted while the camera is on so the stream survives showing a result */}
+        {cameraOn && (
+          <video ref={videoRef} muted playsInline className={`w-full max-w-md rounded-lg mb-6 bg-black ${result ? 'hidden' : ''}`} />
+        )}
+        {result ? (
+          <>
+            {result.sewadar && (
+              <div className="w-48 h-60 mb-6 rounded-lg overflow-hidden bg-black bg-opacity-20 flex items-center justify-center">
+                {result.photoUrl
+                  ? <img src={result.photoUrl} alt={`${result.sewadar.firstName} ${result.sewadar.lastName}`} className="w-full h-full object-cover" />
+                  : <span className="text-sm text-white text-opacity-70">No photo on file</span>}
+              </div>
+            )}
+            <div className="text-4xl font-bold mb-2">{result.title}</div>
+            <div className="text-xl text-white text-opacity-90">{result.detail}</div>
+          </>
+        ) : (
+          <>
+            {!cameraOn && (
+              action === 'CHECK_IN'
+                ? <LogIn className="h-24 w-24 text-teal-400 mb-6" />
+                : <LogOut className="h-24 w-24 text-orange-400 mb-6" />
+            )}
+            <div className="text-3xl font-bold mb-2">{ACTIONS[action]}</div>
+            <div className="text-lg text-gray-300">Scan a badge{cameraOn ? ' in front of the camera' : ''}, or type the badge ID</div>
+          </>
+        )}
+      </div>
+
+      {/* Scanner input: wedge scanners type the badge ID and press Enter */}
+      <form onSubmit={handleSubmit} className="p-4 flex justify-center">
+        <input
+          ref={inputRef}
+          value={badgeInput}
+          onChange={(e) => setBadgeInput(e.target.value)}
+          onBlur={() => setTimeout(() => inputRef.current?.focus(), 100)}
+          autoComplete="off"
+          aria-label="Badge ID"
+          placeholder="Badge ID"
+          className="w-full max-w-md px-4 py-3 rounded-lg text-gray-900 text-xl text-center"
+        />
+      </form>
+    </div>
+  );
+};
+
+export default Kiosk;
@@ -1,7 +1,7 @@
-import React, { useState } from 'react';
-import { Navigate, useLocation } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { Eye, EyeOff, AlertCircle, ArrowRight, Shield, Users, BarChart3 } from 'lucide-react';
+import { Eye, EyeOff, AlertCircle, ArrowRight, Shield, Users, BarChart3, Lock, Smartphone } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import toast from 'react-hot-toast';
 import NamaskarLogo from '../namaskaar.png';
@@ -9,8 +9,15 @@ import NamaskarLogo from '../namaskaar.png';
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [lockSecondsLeft, setLockSecondsLeft] = useState(0);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorError, setTwoFactorError] = useState('');
   
-  const { login, isAuthenticated, isLoading } = useAuth();
+  const { login, verifyTwoFactor, isAuthenticated, isLoading } = useAuth();
   const location = useLocation();
   
   const {
@@ -25,6 +32,26 @@ const Login = () => {
     }
   });
 
+  // Count down an account lockout so the user knows when to try again
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+      setLockSecondsLeft(secondsLeft);
+      if (secondsLeft === 0) setLockedUntil(null);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const formatWait = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return minutes > 0 ? `${minutes}:${rest} min` : `${seconds} sec`;
+  };
+
   const from = location.state?.from || '/dashboard';
   if (isAuthenticated && !isLoading) {
     return <Navigate to={from} replace />;
@@ -38,6 +65,12 @@ const Login = () => {
       
       if (result.success) {
         toast.success(`Welcome back, ${result.user.firstName}!`);
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setTwoFactorCode('');
+        setTwoFactorError('');
+      } else if (result.retryAfter) {
+        setLockedUntil(Date.now() + result.retryAfter * 1000);
       } else {
         setError('password', { 
           type: 'manual', 
@@ -55,6 +88,42 @@ const Login = () => {
     }
   };
 
+  const resetTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setTwoFactorError('');
+  };
+
+  const onSubmitTwoFactor = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setTwoFactorError('');
+
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: twoFactorCode.trim() } : { code: twoFactorCode }
+    );
+
+    if (result.success) {
+      toast.success(`Welcome back, ${result.user.firstName}!`);
+      if (result.recoveryCodesRemaining !== undefined) {
+        toast(`${result.recoveryCodesRemaining} recovery code(s) left. Generate new ones from your profile.`, { duration: 8000 });
+      }
+    } else if (result.retryAfter) {
+      resetTwoFactor();
+      setLockedUntil(Date.now() + result.retryAfter * 1000);
+    } else if (result.status === 401 && /timed out/i.test(result.message)) {
+      // The challenge expired; start again from the password
+      resetTwoFactor();
+      toast.error(result.message);
+    } else {
+      setTwoFactorError(result.message);
+    }
+
+    setIsSubmitting(false);
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 to-blue-50">
@@ -178,6 +247,73 @@ const Login = () => {
             </p>
           </div>
 
+          {challengeToken ? (
+            <form onSubmit={onSubmitTwoFactor} className="space-y-6 animate-scale-in">
+              <div className="flex items-start gap-3 p-4 rounded-lg bg-blue-50 border border-blue-200 text-sm text-blue-800">
+                <Smartphone className="w-5 h-5 flex-shrink-0" />
+                <p>
+                  {useRecoveryCode
+                    ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                    : 'Open your authenticator app and enter the 6-digit code for RSSB Portal.'}
+                </p>
+              </div>
+
+              <div>
+                <label className="form-label">{useRecoveryCode ? 'Recovery Code' : 'Verification Code'}</label>
+                <input
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6))}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className={`form-input font-mono tracking-widest ${twoFactorError ? 'error' : ''}`}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  disabled={isSubmitting}
+                />
+                {twoFactorError && (
+                  <div className="flex items-center mt-2 text-sm text-red-600 animate-fade-in">
+                    <AlertCircle className="w-4 h-4 mr-2" />
+                    {twoFactorError}
+                  </div>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting || (useRecoveryCode ? !twoFactorCode.trim() : twoFactorCode.length !== 6)}
+                className="btn btn-primary w-full py-4 text-base font-semibold group"
+              >
+                {isSubmitting ? (
+                  <>
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                    <span>Verifying...</span>
+                  </>
+                ) : (
+                  <>
+                    <span>Verify</span>
+                    <ArrowRight className="w-5 h-5 transition-transform group-hover:translate-x-1" />
+                  </>
+                )}
+              </button>
+
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  className="text-primary hover:underline"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                    setTwoFactorError('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button type="button" className="text-gray-600 hover:underline" onClick={resetTwoFactor}>
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6 animate-scale-in">
             <div>
               <label className="form-label">Email Address</label>
@@ -203,7 +339,12 @@ const Login = () => {
             </div>
 
             <div>
-              <label className="form-label">Password</label>
+              <div className="flex items-center justify-between">
+                <label className="form-label">Password</label>
+                <Link to="/forgot-password" className="text-sm text-primary hover:underline">
+                  Forgot password?
+                </Link>
+              </div>
               <div className="relative">
                 <input
                   {...register('password', {
@@ -239,9 +380,19 @@ const Login = () => {
               )}
             </div>
 
+            {lockSecondsLeft > 0 && (
+              <div className="flex items-start gap-3 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700 animate-fade-in">
+                <Lock className="w-5 h-5 flex-shrink-0" />
+                <div>
+                  <p className="font-medium">Account temporarily locked</p>
+                  <p>Too many failed sign-in attempts. Try again in {formatWait(lockSecondsLeft)}.</p>
+                </div>
+              </div>
+            )}
+
             <button
               type="submit"
-              disabled={isSubmitting}
+              disabled={isSubmitting || lockSecondsLeft > 0}
               className="btn btn-primary w-full py-4 text-base font-semibold group"
             >
               {isSubmitting ? (
@@ -257,6 +408,7 @@ const Login = () => {
               )}
             </button>
           </form>
+          )}
 
           <div className="mt-8 glass-card p-6 animate-fade-in">
             <h3 className="font-semibold text-gray-900 mb-4 flex items-center gap-2">
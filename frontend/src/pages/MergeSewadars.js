@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { GitMerge, ArrowLeft, Info } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+import { semanticColors } from '../styles/colors';
+
+const VERIFICATION_TYPES = {
+  AADHAR: 'Aadhar Card',
+  PAN: 'PAN Card',
+  VOTER_ID: 'Voter ID',
+  PASSPORT: 'Passport'
+};
+
+// Fields a merge can take from either record, with how to show their values
+const MERGE_FIELDS = [
+  { field: 'firstName', label: 'First name' },
+  { field: 'lastName', label: 'Last name' },
+  { field: 'age', label: 'Age' },
+  { field: 'verificationType', label: 'Verification type', format: (value) => VERIFICATION_TYPES[value] || value },
+  { field: 'verificationId', label: 'Verification ID' },
+  { field: 'naamdanStatus', label: 'Naamdan', format: (value) => (value ? 'Complete' : 'Pending') },
+  { field: 'naamdanId', label: 'Naamdan ID' },
+  { field: 'badgeId', label: 'Badge ID' },
+  { field: 'phone', label: 'Phone' },
+  { field: 'alternatePhone', label: 'Alternate phone' },
+  { field: 'email', label: 'Email' },
+  { field: 'addressLine1', label: 'Address line 1' },
+  { field: 'addressLine2', label: 'Address line 2' },
+  { field: 'city', label: 'City' },
+  { field: 'district', label: 'District' },
+  { field: 'state', label: 'State' },
+  { field: 'pinCode', label: 'PIN code' },
+  {
+    field: 'emergencyContacts',
+    label: 'Emergency contacts',
+    format: (contacts) => contacts.map((contact) => `${contact.name} (${contact.relationship}) ${contact.phone}`).join('; ')
+  },
+  {
+    field: 'photo',
+    label: 'Photo',
+    value: (sewadar) => sewadar.photoUpdatedAt,
+    format: (updatedAt) => `Photo from ${new Date(updatedAt).toLocaleDateString()}`
+  }
+];
+
+const valueOf = ({ field, value }, sewadar) => (value ? value(sewadar) : sewadar[field]);
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const display = (definition, sewadar) => {
+  const value = valueOf(definition, sewadar);
+  if (isEmpty(value) && definition.field !== 'naamdanStatus') return '—';
+  return definition.format ? definition.format(value) : String(value);
+};
+
+const sameValue = (definition, a, b) => display(definition, a) === display(definition, b);
+
+// Keep the survivor's value unless it is blank and the other record has one
+const defaultChoices = (survivor, other) => Object.fromEntries(MERGE_FIELDS.map((definition) => [
+  definition.field,
+  isEmpty(valueOf(definition, survivor)) && !isEmpty(valueOf(definition, other)) ? other.id : survivor.id
+]));
+
+/**
+ * Merge Sewadars Component
+ *
+ * Side-by-side view of two records of the same person. The user picks the
+ * record to keep and, field by field, which value wins; everything else
+ * attached to either record moves to the one that is kept.
+ */
+const MergeSewadars = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [records, setRecords] = useState([]);
+  const [survivorId, setSurvivorId] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [confirming, setConfirming] = useState(false);
+  const [merging, setMerging] = useState(false);
+
+  const idsKey = searchParams.get('ids') || '';
+
+  useEffect(() => {
+    const loadRecords = async () => {
+      const recordIds = idsKey.split(',').filter(Boolean);
+      if (recordIds.length !== 2 || recordIds[0] === recordIds[1]) {
+        toast.error('Choose two sewadars to merge');
+        navigate('/sewadars');
+        return;
+      }
+
+      try {
+        setLoading(true);
+        const loaded = await Promise.all(recordIds.map((id) => sewadarService.getSewadar(id)));
+        setRecords(loaded);
+        // The older record keeps its ID by default, as more history usually points at it
+        const [older, newer] = [...loaded].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        setSurvivorId(older.id);
+        setChoices(defaultChoices(older, newer));
+      } catch (error) {
+        toast.error(error.message || 'Failed to load sewadars');
+        console.error('Load sewadars for merge error:', error);
+        navigate('/sewadars');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRecords();
+  }, [idsKey, navigate]);
+
+  const survivor = records.find((record) => record.id === survivorId);
+  const merged = records.find((record) => record.id !== survivorId);
+
+  const chooseSurvivor = (id) => {
+    setSurvivorId(id);
+    const kept = records.find((record) => record.id === id);
+    const other = records.find((record) => record.id !== id);
+    setChoices(defaultChoices(kept, other));
+  };
+
+  const handleMerge = async () => {
+    try {
+      setMerging(true);
+      const fields = Object.fromEntries(MERGE_FIELDS
+        .filter(({ field }) => choices[field] === merged.id)
+        .map(({ field }) => [field, 'merged']));
+      const response = await sewadarService.mergeSewadars(survivor.id, merged.id, fields);
+      toast.success(response.message);
+      navigate(`/sewadars/${survivor.id}/edit`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to merge sewadars');
+      console.error('Merge sewadars error:', error);
+      setMerging(false);
+      setConfirming(false);
+    }
+  };
+
+  if (loading || !survivor || !merged) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 animate-pulse space-y-3">
+        {[1, 2, 3, 4].map((i) => (
+          <div key={i} className="h-10 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    );
+  }
+
+  const fromMerged = MERGE_FIELDS.filter(({ field }) => choices[field] === merged.id);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <GitMerge style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Merge Sewadars</h1>
+              <p className="text-sm sm:text-base text-gray-600">Combine two records of the same person into one</p>
+            </div>
+          </div>
+          <Link to="/sewadars" className="btn btn-outline flex items-center justify-center gap-2">
+            <ArrowLeft className="h-4 w-4" />
+            Back to List
+          </Link>
+        </div>
+      </div>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 flex gap-2 text-sm text-blue-900">
+        <Info className="h-5 w-5 flex-shrink-0" />
+        <p>
+          Attendance, duty assignments, departments, centres and history from both records move to the record
+          you keep. The other record is removed and its links lead to the kept record.
+        </p>
+      </div>
+
+      {/* Field choices */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Field</th>
+                {records.map((record) => (
+                  <th key={record.id} className="px-3 sm:px-6 py-3 text-left">
+                    <label className="inline-flex items-center gap-2 text-sm font-semibold text-gray-900">
+                      <input
+                        type="radio"
+                        name="survivor"
+                        checked={survivorId === record.id}
+                        onChange={() => chooseSurvivor(record.id)}
+                        disabled={merging}
+                      />
+                      Keep this record
+                    </label>
+                    <div className="text-xs font-normal text-gray-500">
+                      Added {new Date(record.createdAt).toLocaleDateString()}
+                      {record.centres?.length > 0 && ` · ${record.centres.map((centre) => centre.name).join(', ')}`}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {MERGE_FIELDS.map((definition) => {
+                const same = sameValue(definition, records[0], records[1]);
+                return (
+                  <tr key={definition.field} className={same ? '' : 'bg-yellow-50'}>
+                    <td className="px-3 sm:px-6 py-3 text-sm font-medium text-gray-700 whitespace-nowrap">{definition.label}</td>
+                    {records.map((record) => (
+                      <td key={record.id} className="px-3 sm:px-6 py-3 text-sm text-gray-900">
+                        {same ? (
+                          <span className="text-gray-600">{display(definition, record)}</span>
+                        ) : (
+                          <label className="inline-flex items-start gap-2">
+                            <input
+                              type="radio"
+                              name={definition.field}
+                              checked={choices[definition.field] === record.id}
+                              onChange={() => setChoices((prev) => ({ ...prev, [definition.field]: record.id }))}
+                              disabled={merging}
+                              className="mt-1"
+                            />
+                            <span>{display(definition, record)}</span>
+                          </label>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={() => setConfirming(true)}
+          disabled={merging}
+          className="btn btn-primary flex items-center gap-2"
+        >
+          <GitMerge className="h-4 w-4" />
+          Merge Records
+        </button>
+      </div>
+
+      {/* Confirmation Modal */}
+      {confirming && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Merge Records</h3>
+            <p className="text-gray-600 mb-2">
+              Merge <span className="font-medium">{merged.firstName} {merged.lastName}</span> into{' '}
+              <span className="font-medium">{survivor.firstName} {survivor.lastName}</span>?
+            </p>
+            <p className="text-gray-600 mb-6 text-sm">
+              {fromMerged.length > 0
+                ? `Taken from the merged record: ${fromMerged.map(({ label }) => label.toLowerCase()).join(', ')}.`
+                : 'Every value is kept from the surviving record.'}
+              {' '}The merge is recorded in the audit log with both records as they were.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setConfirming(false)}
+                disabled={merging}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button onClick={handleMerge} disabled={merging} className="btn btn-primary">
+                {merging ? 'Merging...' : 'Merge'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MergeSewadars;
@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import { User, Mail, Calendar, Shield, Lock, Save } from 'lucide-react';
+import { User, Mail, Calendar, Shield, Lock, Save, LogOut } from 'lucide-react';
 import { semanticColors, colorUtils } from '../styles/colors';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
 import authService from '../services/auth';
+import SessionList from '../components/SessionList';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PasswordRequirements from '../components/PasswordRequirements';
 
 /**
  * User Profile Component
@@ -14,8 +18,15 @@ import authService from '../services/auth';
  */
 const Profile = () => {
   const { user, updateProfile, isLoading } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile');
+  const location = useLocation();
+  // Other pages can open a specific tab (e.g. the 2FA policy redirect opens Security)
+  const [activeTab, setActiveTab] = useState(location.state?.tab || 'profile');
   const [loading, setLoading] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  // Users the 2FA policy covers can only enroll until they have done so
+  const enrolling = Boolean(user?.twoFactorSetupRequired);
 
   const {
     register: registerProfile,
@@ -50,7 +61,8 @@ const Profile = () => {
     register: registerPassword,
     handleSubmit: handleSubmitPassword,
     formState: { errors: passwordErrors },
-    reset: resetPassword
+    reset: resetPassword,
+    watch: watchPassword
   } = useForm({
     defaultValues: {
       currentPassword: '',
@@ -99,12 +111,65 @@ const Profile = () => {
       }
     } catch (error) {
       console.error('Password change error:', error);
-      toast.error('Failed to change password');
+      toast.error(error.message || 'Failed to change password');
     } finally {
       setLoading(false);
     }
   };
 
+  const loadSessions = async () => {
+    try {
+      setSessionsLoading(true);
+      setSessions(await authService.getSessions());
+    } catch (error) {
+      toast.error('Failed to load active sessions');
+      console.error('Load sessions error:', error);
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (enrolling) {
+      setActiveTab('security');
+    }
+  }, [enrolling]);
+
+  // Sessions are only fetched when the Security tab is opened
+  useEffect(() => {
+    if (activeTab === 'security' && !enrolling) {
+      loadSessions();
+    }
+  }, [activeTab, enrolling]);
+
+  const handleRevokeSession = async (session) => {
+    try {
+      setRevokingId(session.id);
+      await authService.revokeSession(session.id);
+      toast.success('Device signed out');
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out device');
+      console.error('Revoke session error:', error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    try {
+      setRevokingId('others');
+      const response = await authService.revokeOtherSessions();
+      toast.success(response.message);
+      setSessions(prev => prev.filter(item => item.current));
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out other devices');
+      console.error('Revoke other sessions error:', error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -162,17 +227,19 @@ const Profile = () => {
       <div className="bg-white rounded-lg shadow">
         <div className="border-b border-gray-200">
           <nav className="flex space-x-8 px-6">
-            <button
-              onClick={() => setActiveTab('profile')}
-              className={`py-4 px-1 border-b-2 font-medium text-sm ${
-                activeTab === 'profile'
-                  ? 'border-blue-500 text-blue-600'
-                  : 'border-transparent text-gray-500 hover:text-gray-700'
-              }`}
-            >
-              <User className="h-4 w-4 inline mr-2" />
-              Profile Information
-            </button>
+            {!enrolling && (
+              <button
+                onClick={() => setActiveTab('profile')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'profile'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <User className="h-4 w-4 inline mr-2" />
+                Profile Information
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('security')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -289,88 +356,138 @@ const Profile = () => {
 
           {/* Security Tab */}
           {activeTab === 'security' && (
-            <form onSubmit={handleSubmitPassword(onChangePassword)} className="space-y-6">
-              <div>
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Change Password</h3>
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Current Password
-                    </label>
-                    <input
-                      type="password"
-                      {...registerPassword('currentPassword', {
-                        required: 'Current password is required'
-                      })}
-                      className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                        passwordErrors.currentPassword ? 'border-red-500' : 'border-gray-300'
-                      }`}
-                    />
-                    {passwordErrors.currentPassword && (
-                      <p className="text-red-600 text-sm mt-1">{passwordErrors.currentPassword.message}</p>
-                    )}
-                  </div>
+            <div className="space-y-8">
+              {enrolling && (
+                <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                  Your role must use two-factor authentication. Set it up below to continue using the portal.
+                </p>
+              )}
 
+              {!enrolling && (
+                <form onSubmit={handleSubmitPassword(onChangePassword)} className="space-y-6">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      New Password
-                    </label>
-                    <input
-                      type="password"
-                      {...registerPassword('newPassword', {
-                        required: 'New password is required',
-                        minLength: { value: 6, message: 'Password must be at least 6 characters' }
-                      })}
-                      className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                        passwordErrors.newPassword ? 'border-red-500' : 'border-gray-300'
-                      }`}
-                    />
-                    {passwordErrors.newPassword && (
-                      <p className="text-red-600 text-sm mt-1">{passwordErrors.newPassword.message}</p>
-                    )}
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Change Password</h3>
+                    <div className="space-y-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Current Password
+                        </label>
+                        <input
+                          type="password"
+                          {...registerPassword('currentPassword', {
+                            required: 'Current password is required'
+                          })}
+                          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                            passwordErrors.currentPassword ? 'border-red-500' : 'border-gray-300'
+                          }`}
+                        />
+                        {passwordErrors.currentPassword && (
+                          <p className="text-red-600 text-sm mt-1">{passwordErrors.currentPassword.message}</p>
+                        )}
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          New Password
+                        </label>
+                        <input
+                          type="password"
+                          {...registerPassword('newPassword', {
+                            required: 'New password is required'
+                          })}
+                          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                            passwordErrors.newPassword ? 'border-red-500' : 'border-gray-300'
+                          }`}
+                        />
+                        {passwordErrors.newPassword && (
+                          <p className="text-red-600 text-sm mt-1">{passwordErrors.newPassword.message}</p>
+                        )}
+                        <PasswordRequirements password={watchPassword('newPassword')} />
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Confirm New Password
+                        </label>
+                        <input
+                          type="password"
+                          {...registerPassword('confirmPassword', {
+                            required: 'Please confirm your new password'
+                          })}
+                          className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                            passwordErrors.confirmPassword ? 'border-red-500' : 'border-gray-300'
+                          }`}
+                        />
+                        {passwordErrors.confirmPassword && (
+                          <p className="text-red-600 text-sm mt-1">{passwordErrors.confirmPassword.message}</p>
+                        )}
+                      </div>
+                    </div>
                   </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Confirm New Password
-                    </label>
-                    <input
-                      type="password"
-                      {...registerPassword('confirmPassword', {
-                        required: 'Please confirm your new password'
-                      })}
-                      className={`w-full px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                        passwordErrors.confirmPassword ? 'border-red-500' : 'border-gray-300'
-                      }`}
-                    />
-                    {passwordErrors.confirmPassword && (
-                      <p className="text-red-600 text-sm mt-1">{passwordErrors.confirmPassword.message}</p>
-                    )}
+                  <div className="flex justify-end pt-4 border-t border-gray-200">
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="inline-flex items-center px-6 py-3 text-white rounded-lg transition-colors disabled:opacity-50"
+                      style={{ backgroundColor: semanticColors.primary.main }}
+                    >
+                      {loading ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                          Changing...
+                        </>
+                      ) : (
+                        <>
+                          <Lock className="h-4 w-4 mr-2" />
+                          Change Password
+                        </>
+                      )}
+                    </button>
                   </div>
-                </div>
+                </form>
+              )}
+
+              {/* Two-Factor Authentication */}
+              <div className={enrolling ? '' : 'pt-6 border-t border-gray-200'}>
+                <TwoFactorSettings />
               </div>
 
-              <div className="flex justify-end pt-4 border-t border-gray-200">
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="inline-flex items-center px-6 py-3 text-white rounded-lg transition-colors disabled:opacity-50"
-                  style={{ backgroundColor: semanticColors.primary.main }}
-                >
-                  {loading ? (
-                    <>
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                      Changing...
-                    </>
+              {/* Active Sessions */}
+              {!enrolling && (
+                <div className="pt-6 border-t border-gray-200">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                    <div>
+                      <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+                      <p className="text-sm text-gray-600">Devices where you are currently signed in</p>
+                    </div>
+                    {sessions.some(session => !session.current) && (
+                      <button
+                        onClick={handleRevokeOtherSessions}
+                        disabled={revokingId === 'others'}
+                        className="inline-flex items-center justify-center px-4 py-2 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                      >
+                        <LogOut className="h-4 w-4 mr-2" />
+                        {revokingId === 'others' ? 'Signing out...' : 'Sign out all other devices'}
+                      </button>
+                    )}
+                  </div>
+                  {sessionsLoading ? (
+                    <div className="animate-pulse space-y-3">
+                      {[1, 2].map((i) => (
+                        <div key={i} className="h-16 bg-gray-200 rounded"></div>
+                      ))}
+                    </div>
                   ) : (
-                    <>
-                      <Lock className="h-4 w-4 mr-2" />
-                      Change Password
-                    </>
+                    <SessionList
+                      sessions={sessions}
+                      onRevoke={handleRevokeSession}
+                      revokingId={revokingId}
+                    />
                   )}
-                </button>
-              </div>
-            </form>
+                </div>
+              )}
+            </div>
           )}
 
           {/* Account Details Tab */}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { KeyRound, AlertCircle, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../services/auth';
+import PasswordRequirements from '../components/PasswordRequirements';
+
+/**
+ * Reset Password Page
+ *
+ * Landing page of the emailed reset link (`/reset-password?token=...`).
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token') || '';
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [serverErrors, setServerErrors] = useState([]);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({ defaultValues: { newPassword: '', confirmPassword: '' } });
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    setServerErrors([]);
+
+    try {
+      const response = await authService.resetPassword(token, data.newPassword);
+      toast.success(response.message);
+      navigate('/login', { replace: true });
+    } catch (error) {
+      setServerErrors(
+        Array.isArray(error.details) && error.details.length > 0
+          ? error.details.map(detail => detail.message)
+          : [error.message || 'Failed to reset password']
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 px-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-8">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-12 h-12 rounded-xl bg-blue-50 flex items-center justify-center">
+            <KeyRound className="w-6 h-6 text-primary" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Choose a New Password</h1>
+            <p className="text-sm text-gray-600">You will be signed out of every device</p>
+          </div>
+        </div>
+
+        {!/^[0-9a-f]{64}$/i.test(token) ? (
+          <div className="flex items-start gap-3 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <p>
+              This reset link is incomplete. Open the link from the email again, or{' '}
+              <Link to="/forgot-password" className="underline">request a new one</Link>.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+            <div>
+              <label className="form-label">New Password</label>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...register('newPassword', { required: 'New password is required' })}
+                className={`form-input ${errors.newPassword ? 'error' : ''}`}
+                disabled={isSubmitting}
+              />
+              {errors.newPassword && (
+                <p className="text-red-600 text-sm mt-1">{errors.newPassword.message}</p>
+              )}
+              <PasswordRequirements password={watch('newPassword')} />
+            </div>
+
+            <div>
+              <label className="form-label">Confirm New Password</label>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...register('confirmPassword', {
+                  required: 'Please confirm your new password',
+                  validate: (value) => value === watch('newPassword') || 'New passwords do not match'
+                })}
+                className={`form-input ${errors.confirmPassword ? 'error' : ''}`}
+                disabled={isSubmitting}
+              />
+              {errors.confirmPassword && (
+                <p className="text-red-600 text-sm mt-1">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+
+            {serverErrors.length > 0 && (
+              <div className="flex items-start gap-3 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                <ul className="space-y-1">
+                  {serverErrors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <button type="submit" disabled={isSubmitting} className="btn btn-primary w-full py-3">
+              {isSubmitting ? 'Saving...' : 'Reset password'}
+            </button>
+          </form>
+        )}
+
+        <Link to="/login" className="mt-6 inline-flex items-center text-sm text-gray-600 hover:text-gray-900">
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,24 +1,108 @@
-import React, { useState } from 'react';
-import { useForm } from 'react-hook-form';
+import React, { useState, useEffect } from 'react';
+import { useForm, Controller } from 'react-hook-form';
 import { useNavigate } from 'react-router-dom';
 import { toast, ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
-import { UserPlus } from 'lucide-react';
+import { UserPlus, RotateCcw } from 'lucide-react';
 import api from '../services/api'; // ✅ CRITICAL: Import your axios instance
+import SewadarContactFields, { contactDefaults, contactPayload } from '../components/SewadarContactFields';
+import CentrePicker from '../components/CentrePicker';
+import PossibleMatches from '../components/PossibleMatches';
+import centreService from '../services/centres';
+import sewadarService from '../services/sewadar';
+import { useAuth } from '../hooks/useAuth';
+
+// New sewadars go to the centre picked in the header unless others are chosen
+const newSewadarDefaults = () => {
+  const activeCentreId = centreService.getActiveCentreId();
+  return { ...contactDefaults(), centreIds: activeCentreId ? [activeCentreId] : [] };
+};
+
+// Fields the duplicate check looks at
+const DUPLICATE_CHECK_FIELDS = ['firstName', 'lastName', 'age', 'phone', 'verificationId', 'naamdanId', 'badgeId'];
 
 const SewadarForm = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [possibleMatches, setPossibleMatches] = useState([]);
+  const [duplicateReason, setDuplicateReason] = useState('');
+  // A sewadar in the trash that still holds one of the entered IDs
+  const [trashedMatch, setTrashedMatch] = useState(null);
   const navigate = useNavigate();
+  const { isAdmin } = useAuth();
   
   const {
     register,
     handleSubmit,
     reset,
+    control,
+    watch,
     formState: { errors }
-  } = useForm();
+  } = useForm({ defaultValues: newSewadarDefaults() });
+
+  const [firstName, lastName, age, phone, verificationId, naamdanId, badgeId] = watch(DUPLICATE_CHECK_FIELDS);
+
+  // Look for existing records of the same person while the form is filled in
+  useEffect(() => {
+    if (!firstName || firstName.trim().length < 2) {
+      setPossibleMatches([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const handler = setTimeout(async () => {
+      try {
+        const candidates = await sewadarService.findDuplicates({
+          firstName,
+          lastName,
+          age: age || null,
+          // Half-typed numbers would fail validation
+          phone: phone && phone.replace(/\D/g, '').length >= 10 ? phone : null,
+          verificationId,
+          naamdanId,
+          badgeId
+        });
+        if (!cancelled) setPossibleMatches(candidates);
+      } catch (error) {
+        // The check is advisory; creating the sewadar checks again
+      }
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(handler);
+    };
+  }, [firstName, lastName, age, phone, verificationId, naamdanId, badgeId]);
+
+  const resetForm = () => {
+    reset(newSewadarDefaults());
+    setPossibleMatches([]);
+    setDuplicateReason('');
+    setTrashedMatch(null);
+  };
+
+  const handleRestoreTrashed = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await sewadarService.restoreSewadar(trashedMatch.id);
+      toast.success(response.message, { position: "top-right", autoClose: 3000 });
+      navigate(`/sewadars/${trashedMatch.id}/edit`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore sewadar', { position: "top-right", autoClose: 5000 });
+      setIsSubmitting(false);
+    }
+  };
 
   const onSubmit = async (data) => {
+    if (possibleMatches.length > 0 && duplicateReason.trim().length < 3) {
+      toast.error('Check the possible matches, or give a reason for adding this sewadar anyway', {
+        position: "top-right",
+        autoClose: 5000
+      });
+      return;
+    }
+
     setIsSubmitting(true);
+    setTrashedMatch(null);
     
     try {
       console.log('📝 Submitting sewadar data:', data); // Debug log
@@ -31,7 +115,10 @@ const SewadarForm = () => {
         verificationId: data.verificationId,
         naamdanComplete: Boolean(data.naamdanComplete),
         naamdanId: data.naamdanId || null,
-        badgeId: data.badgeId || null
+        badgeId: data.badgeId || null,
+        centreIds: data.centreIds?.length > 0 ? data.centreIds : undefined,
+        duplicateReason: possibleMatches.length > 0 ? duplicateReason.trim() : undefined,
+        ...contactPayload(data)
       });
 
       console.log('✅ Sewadar created successfully:', response.data); // Debug log
@@ -42,7 +129,7 @@ const SewadarForm = () => {
       });
       
       // Reset form
-      reset();
+      resetForm();
       
       // Navigate to sewadars list
       setTimeout(() => {
@@ -51,8 +138,17 @@ const SewadarForm = () => {
       
     } catch (error) {
       console.error('❌ Submission error:', error);
+
+      // Someone else may have added a matching sewadar since the last check
+      if (error.data?.code === 'POSSIBLE_DUPLICATES') {
+        setPossibleMatches(error.data.data.candidates);
+      }
+      if (error.data?.code === 'ID_IN_TRASH') {
+        setTrashedMatch(error.data.data.sewadar);
+      }
       
-      const errorMessage = error.response?.data?.message || 
+      const errorMessage = error.details?.[0]?.message ||
+                          error.response?.data?.message || 
                           error.message || 
                           'Failed to add Sewadar';
       
@@ -137,6 +233,21 @@ const SewadarForm = () => {
             </div>
           </div>
 
+          <Controller
+            name="centreIds"
+            control={control}
+            render={({ field }) => (
+              <CentrePicker value={field.value} onChange={field.onChange} disabled={isSubmitting} />
+            )}
+          />
+
+          <SewadarContactFields
+            register={register}
+            control={control}
+            errors={errors}
+            disabled={isSubmitting}
+          />
+
           {/* Verification Information */}
           <div className="space-y-4">
             <h3 className="text-lg font-semibold text-gray-900">Verification Information</h3>
@@ -216,6 +327,33 @@ const SewadarForm = () => {
             />
           </div>
 
+          <PossibleMatches
+            candidates={possibleMatches}
+            reason={duplicateReason}
+            onReasonChange={setDuplicateReason}
+            disabled={isSubmitting}
+          />
+
+          {trashedMatch && (
+            <div className="border border-yellow-300 bg-yellow-50 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <p className="text-sm text-yellow-800">
+                <span className="font-medium">{trashedMatch.firstName} {trashedMatch.lastName}</span> is in the trash
+                with one of these IDs. {isAdmin() ? 'Restore that record instead of adding it again.' : 'Ask an admin to restore it from the trash.'}
+              </p>
+              {isAdmin() && (
+                <button
+                  type="button"
+                  onClick={handleRestoreTrashed}
+                  disabled={isSubmitting}
+                  className="btn btn-outline flex items-center gap-2 flex-shrink-0"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                  Restore
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Submit Buttons */}
           <div className="flex items-center gap-4 pt-6">
             <button
@@ -238,7 +376,7 @@ const SewadarForm = () => {
             
             <button
               type="button"
-              onClick={() => reset()}
+              onClick={resetForm}
               disabled={isSubmitting}
               className="btn btn-outline"
             >
@@ -1,17 +1,83 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import {
-  Plus, Search, Download, Edit3, Trash2,
-  CheckCircle, Clock, User
+  Plus, Search, Edit3, Trash2,
+  CheckCircle, Clock, User, Upload,
+  ArrowUp, ArrowDown, ArrowUpDown, Printer, MapPin, GitMerge, Filter
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import sewadarService from '../services/sewadar';
+import badgeService from '../services/badge';
+import departmentService from '../services/departments';
+import centreService from '../services/centres';
+import usersService from '../services/users';
+import savedViewService from '../services/savedViews';
 import { semanticColors, colorUtils } from '../styles/colors';
 import toast from 'react-hot-toast';
-import exportService from '../services/export';
+import ExportMenu from '../components/ExportMenu';
+import SewadarQueryBuilder, { countConditions } from '../components/SewadarQueryBuilder';
+import SavedViewBar from '../components/SavedViewBar';
+import ColumnsMenu from '../components/ColumnsMenu';
+
+const DEFAULT_SORT = { sortBy: 'createdAt', sortOrder: 'desc' };
+
+// Columns that read best newest/largest first when a sort is first applied
+const DESCENDING_FIRST = ['createdAt', 'updatedAt', 'naamdanStatus'];
+
+// Columns that can be hidden, in table order; the name is always shown
+const OPTIONAL_COLUMNS = [
+  ['age', 'Age'],
+  ['verificationType', 'Verification'],
+  ['naamdanStatus', 'Status'],
+  ['badgeId', 'Badge ID'],
+  ['createdAt', 'Created'],
+  ['createdBy', 'Created By'],
+  ['updatedAt', 'Updated']
+];
+const ALL_COLUMNS = OPTIONAL_COLUMNS.map(([key]) => key);
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+// Everything a saved view keeps, with the list's defaults for whatever is missing
+const viewSettings = ({
+  search = '',
+  naamdanStatus = '',
+  verificationType = '',
+  departmentId = '',
+  query = null,
+  sortBy = DEFAULT_SORT.sortBy,
+  sortOrder = DEFAULT_SORT.sortOrder,
+  columns = ALL_COLUMNS,
+  pageSize = PAGE_SIZES[0]
+}) => ({ search, naamdanStatus, verificationType, departmentId, query, sortBy, sortOrder, columns, pageSize });
+
+// Settings as JSON with sorted keys, since the server's copy of a view comes back in its own key order
+const settingsKey = (settings) => JSON.stringify(settings, (key, value) => (
+  value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+    : value
+));
+
+// Search params with the sort written in, leaving the default sort out of the URL
+const withSort = (params, sortBy, sortOrder) => {
+  const next = new URLSearchParams(params);
+  if (sortBy === DEFAULT_SORT.sortBy && sortOrder === DEFAULT_SORT.sortOrder) {
+    next.delete('sortBy');
+    next.delete('sortOrder');
+  } else {
+    next.set('sortBy', sortBy);
+    next.set('sortOrder', sortOrder);
+  }
+  return next;
+};
 
 const SewadarList = () => {
-  const { canEdit, isAdmin } = useAuth();
+  const { user, canEdit, isAdmin } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sortBy = searchParams.get('sortBy') || DEFAULT_SORT.sortBy;
+  const sortOrder = searchParams.get('sortOrder') === 'asc' ? 'asc' : 'desc';
+  // A saved view opened from the picker, the sidebar or a shared link
+  const viewId = searchParams.get('view');
   const [sewadars, setSewadars] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({
@@ -26,15 +92,30 @@ const SewadarList = () => {
     search: '',
     naamdanStatus: '',
     verificationType: '',
+    departmentId: '',
   });
+  const [departments, setDepartments] = useState([]);
+  // Advanced query (see SewadarQueryBuilder), applied on top of the filters
+  const [advancedQuery, setAdvancedQuery] = useState(null);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [creators, setCreators] = useState([]);
+  const [visibleColumns, setVisibleColumns] = useState(ALL_COLUMNS);
+  const [views, setViews] = useState([]);
+  const [activeView, setActiveView] = useState(null);
+  // The view whose settings were last put in the list, so each is applied once per opening
+  const openedViewId = useRef(null);
   const [deleteModal, setDeleteModal] = useState({ show: false, sewadar: null });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkVerificationType, setBulkVerificationType] = useState('');
+  const [bulkDeleteModal, setBulkDeleteModal] = useState(false);
+  const [bulkWorking, setBulkWorking] = useState(false);
+  const [printingBadges, setPrintingBadges] = useState(false);
 
-  const [exporting, setExporting] = useState(false);
 
   // Debounce effect using useEffect (keeps input always focused)
   useEffect(() => {
     const handler = setTimeout(() => {
-      setFilters((prev) => ({
+      setFilters((prev) => (prev.search === searchInput ? prev : {
         ...prev,
         search: searchInput,
       }));
@@ -44,16 +125,95 @@ const SewadarList = () => {
     return () => clearTimeout(handler);
   }, [searchInput]);
 
+  useEffect(() => {
+    departmentService.getDepartments()
+      .then(setDepartments)
+      .catch((error) => console.error('Load departments error:', error));
+  }, []);
+
+  // "Added by" offers every user to admins, who can list them, and just the caller to everyone else
+  const admin = isAdmin();
+  useEffect(() => {
+    if (!user) return;
+    if (!admin) {
+      setCreators([{ id: user.id, name: 'Me' }]);
+      return;
+    }
+    usersService.getUsers()
+      .then((response) => setCreators(response.data.map((item) => ({
+        id: item.id,
+        name: item.id === user.id ? 'Me' : `${item.firstName} ${item.lastName}`
+      }))))
+      .catch((error) => console.error('Load users error:', error));
+  }, [user, admin]);
+
+  useEffect(() => {
+    const loadViews = () => savedViewService.getViews()
+      .then(setViews)
+      .catch((error) => console.error('Load saved views error:', error));
+
+    loadViews();
+    return savedViewService.subscribe(loadViews);
+  }, []);
+
+  const applySettings = useCallback((settings) => {
+    setSearchInput(settings.search);
+    setFilters({
+      search: settings.search,
+      naamdanStatus: settings.naamdanStatus,
+      verificationType: settings.verificationType,
+      departmentId: settings.departmentId,
+    });
+    setAdvancedQuery(settings.query);
+    setVisibleColumns(settings.columns);
+    setPagination((prev) => ({ ...prev, page: 1, limit: settings.pageSize }));
+    setSearchParams((prev) => withSort(prev, settings.sortBy, settings.sortOrder), { replace: true });
+  }, [setSearchParams]);
+
+  // Opening a view puts its settings in the list; leaving it goes back to the defaults
+  useEffect(() => {
+    if (viewId === openedViewId.current) return;
+    openedViewId.current = viewId;
+
+    if (!viewId) {
+      setActiveView(null);
+      applySettings(viewSettings({}));
+      return;
+    }
+
+    savedViewService.getView(viewId)
+      .then((view) => {
+        // Another view may have been opened while this one loaded
+        if (openedViewId.current !== view.id) return;
+        setActiveView(view);
+        applySettings(viewSettings(view.settings));
+      })
+      .catch((error) => {
+        toast.error(error.message || 'Failed to open the saved view');
+        setSearchParams((prev) => {
+          const next = new URLSearchParams(prev);
+          next.delete('view');
+          return next;
+        }, { replace: true });
+      });
+  }, [viewId, applySettings, setSearchParams]);
+
   const loadSewadars = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await sewadarService.getSewadars({
+      const options = {
         page: pagination.page,
         limit: pagination.limit,
         ...filters,
-      });
+        sortBy,
+        sortOrder,
+      };
+      const response = advancedQuery
+        ? await sewadarService.searchSewadars({ ...options, query: advancedQuery })
+        : await sewadarService.getSewadars(options);
 
       setSewadars(response.data);
+      setSelectedIds([]);
       setPagination((prev) => ({
         ...prev,
         total: response.pagination.total,
@@ -65,7 +225,7 @@ const SewadarList = () => {
     } finally {
       setLoading(false);
     }
-  }, [pagination.page, pagination.limit, filters]);
+  }, [pagination.page, pagination.limit, filters, advancedQuery, sortBy, sortOrder]);
 
   useEffect(() => {
     loadSewadars();
@@ -73,8 +233,8 @@ const SewadarList = () => {
 
   const handleDelete = async (sewadarId) => {
     try {
-      await sewadarService.deleteSewadar(sewadarId);
-      toast.success('Sewadar deleted successfully');
+      const response = await sewadarService.deleteSewadar(sewadarId);
+      toast.success(response.message);
       loadSewadars();
       setDeleteModal({ show: false, sewadar: null });
     } catch (error) {
@@ -83,19 +243,102 @@ const SewadarList = () => {
     }
   };
 
-  const handleExportSewadars = async () => {
+  const allSelected = sewadars.length > 0 && sewadars.every((sewadar) => selectedIds.includes(sewadar.id));
+
+  const toggleSelected = (sewadarId) => {
+    setSelectedIds((prev) =>
+      prev.includes(sewadarId) ? prev.filter((id) => id !== sewadarId) : [...prev, sewadarId]
+    );
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : sewadars.map((sewadar) => sewadar.id));
+  };
+
+  const reportBulkResult = (response) => {
+    const { summary } = response.data;
+    if (summary.failed > 0) {
+      toast.error(`${summary.failed} of ${summary.total} sewadars could not be changed`);
+    }
+    toast.success(response.message);
+  };
+
+  const handleBulkUpdate = async (fields) => {
+    try {
+      setBulkWorking(true);
+      const response = await sewadarService.bulkUpdateSewadars(
+        selectedIds.map((id) => ({ id, ...fields }))
+      );
+      reportBulkResult(response);
+      setBulkVerificationType('');
+      loadSewadars();
+    } catch (error) {
+      toast.error(error.message || 'Bulk update failed');
+      console.error('Bulk update error:', error);
+    } finally {
+      setBulkWorking(false);
+    }
+  };
+
+  const handleBulkDelete = async () => {
     try {
-      setExporting(true); // Add loading state
-      await exportService.exportSewadars();
-      toast.success('Sewadars exported successfully!');
+      setBulkWorking(true);
+      const response = await sewadarService.bulkDeleteSewadars(selectedIds);
+      reportBulkResult(response);
+      setBulkDeleteModal(false);
+      loadSewadars();
     } catch (error) {
-      console.error('Export failed:', error);
-      toast.error(error.response?.data?.message || 'Export failed');
+      toast.error(error.message || 'Bulk delete failed');
+      console.error('Bulk delete error:', error);
     } finally {
-      setExporting(false);
+      setBulkWorking(false);
     }
   };
 
+  // Prints the selected sewadars, or everyone matching the current filters
+  const handlePrintBadges = async (options) => {
+    try {
+      setPrintingBadges(true);
+      const result = await badgeService.printBadges(options);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to print badges');
+      console.error('Print badges error:', error);
+    } finally {
+      setPrintingBadges(false);
+    }
+  };
+
+  // Sort state lives in the URL so a sorted list can be bookmarked or shared
+  const handleSort = (key) => {
+    const nextOrder = key === sortBy
+      ? (sortOrder === 'asc' ? 'desc' : 'asc')
+      : (DESCENDING_FIRST.includes(key) ? 'desc' : 'asc');
+
+    setSearchParams((prev) => withSort(prev, key, nextOrder), { replace: true });
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const renderSortHeader = (key, label, className = '') => {
+    const active = sortBy === key;
+    const SortIcon = !active ? ArrowUpDown : sortOrder === 'asc' ? ArrowUp : ArrowDown;
+
+    return (
+      <th
+        className={`${className} px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider`}
+        aria-sort={active ? (sortOrder === 'asc' ? 'ascending' : 'descending') : 'none'}
+      >
+        <button
+          onClick={() => handleSort(key)}
+          className={`inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900 ${active ? 'text-gray-900' : ''}`}
+        >
+          {label}
+          <SortIcon className={`h-3 w-3 ${active ? '' : 'opacity-40'}`} />
+        </button>
+      </th>
+    );
+  };
+
   const handlePageChange = (newPage) => {
     setPagination({ ...pagination, page: newPage });
   };
@@ -105,6 +348,54 @@ const SewadarList = () => {
     setPagination((prev) => ({ ...prev, page: 1 }));
   };
 
+  const handleApplyQuery = (query) => {
+    setAdvancedQuery(query);
+    setShowAdvanced(false);
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const advancedCount = countConditions(advancedQuery);
+
+  const currentSettings = viewSettings({
+    ...filters,
+    query: advancedQuery,
+    sortBy,
+    sortOrder,
+    columns: visibleColumns,
+    pageSize: pagination.limit,
+  });
+  const viewModified = Boolean(activeView)
+    && settingsKey(currentSettings) !== settingsKey(viewSettings(activeView.settings));
+
+  // Views are opened through the URL, so the back button and shared links work the same way
+  const handleOpenView = (id) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (id) {
+        next.set('view', id);
+      } else {
+        next.delete('view');
+      }
+      return next;
+    });
+  };
+
+  // A view just saved is already what the list shows, so there is nothing to apply
+  const handleViewSaved = (view) => {
+    openedViewId.current = view.id;
+    setActiveView(view);
+    if (view.id !== viewId) handleOpenView(view.id);
+  };
+
+  // The list keeps the deleted view's settings until the user changes them
+  const handleViewDeleted = () => {
+    openedViewId.current = null;
+    setActiveView(null);
+    handleOpenView(null);
+  };
+
+  const show = (column) => visibleColumns.includes(column);
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -135,21 +426,53 @@ const SewadarList = () => {
             </div>
           </div>
           {canEdit() && (
-            <Link
-              to="/sewadars/new"
-              className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-white font-medium hover:opacity-90 transition-opacity"
-              style={{ backgroundColor: semanticColors.primary.main }}
-            >
-              <Plus className="h-5 w-5 mr-2" />
-              Add Sewadar
-            </Link>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                onClick={() => handlePrintBadges({ filters: { ...filters, sortBy, sortOrder, query: advancedQuery } })}
+                disabled={printingBadges || pagination.total === 0}
+                title="Print badges for every sewadar matching the current filters"
+                className="w-full sm:w-auto btn btn-outline flex items-center justify-center gap-2"
+              >
+                <Printer className="h-5 w-5" />
+                {printingBadges ? 'Preparing...' : 'Print Badges'}
+              </button>
+              <Link
+                to="/sewadars/import"
+                className="w-full sm:w-auto btn btn-outline flex items-center justify-center gap-2"
+              >
+                <Upload className="h-5 w-5" />
+                Import
+              </Link>
+              <Link
+                to="/sewadars/new"
+                className="w-full sm:w-auto inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-white font-medium hover:opacity-90 transition-opacity"
+                style={{ backgroundColor: semanticColors.primary.main }}
+              >
+                <Plus className="h-5 w-5 mr-2" />
+                Add Sewadar
+              </Link>
+            </div>
           )}
         </div>
       </div>
 
       {/* Filters */}
       <div className="bg-white rounded-lg shadow p-4 sm:p-6">
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="mb-4 pb-4 border-b border-gray-200">
+          <SavedViewBar
+            views={views}
+            activeView={activeView}
+            settings={currentSettings}
+            modified={viewModified}
+            userId={user?.id}
+            canShare={canEdit()}
+            onOpen={handleOpenView}
+            onSaved={handleViewSaved}
+            onDeleted={handleViewDeleted}
+            onDiscard={() => applySettings(viewSettings(activeView.settings))}
+          />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-4">
           <div className="relative">
             <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
             <input
@@ -180,26 +503,134 @@ const SewadarList = () => {
             <option value="VOTER_ID">Voter ID</option>
             <option value="PASSPORT">Passport</option>
           </select>
+          <select
+            value={filters.departmentId}
+            onChange={(e) => handleFilterChange('departmentId', e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm sm:text-base"
+          >
+            <option value="">All Departments</option>
+            {departments.map((department) => (
+              <option key={department.id} value={department.id}>{department.name}</option>
+            ))}
+            <option value="NONE">No department</option>
+          </select>
           <button
-            onClick={handleExportSewadars}
-            disabled={exporting}
-            className="btn btn-outline flex items-center justify-center gap-2 w-full"
+            onClick={() => setShowAdvanced(true)}
+            className={`btn btn-outline flex items-center justify-center gap-2 w-full ${advancedCount > 0 ? 'border-blue-500 text-blue-700' : ''}`}
           >
-            {exporting ? (
-              <>
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current"></div>
-                Exporting...
-              </>
-            ) : (
+            <Filter className="h-4 w-4" />
+            Advanced{advancedCount > 0 && ` (${advancedCount})`}
+          </button>
+          <ExportMenu filters={{ ...filters, sortBy, sortOrder, query: advancedQuery }} label="Export Data" className="w-full" />
+        </div>
+        <div className="mt-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div className="text-sm text-gray-600">
+            {advancedCount > 0 && (
               <>
-                <Download className="h-4 w-4" />
-                Export Data
+                {advancedCount} advanced condition{advancedCount === 1 ? '' : 's'} applied.
+                <button onClick={() => setShowAdvanced(true)} className="ml-2 text-blue-600 hover:text-blue-900">Edit</button>
+                <button onClick={() => handleApplyQuery(null)} className="ml-2 text-blue-600 hover:text-blue-900">Clear</button>
               </>
             )}
-          </button>
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2 text-sm text-gray-600 whitespace-nowrap">
+              Rows per page
+              <select
+                value={pagination.limit}
+                onChange={(e) => setPagination((prev) => ({ ...prev, page: 1, limit: parseInt(e.target.value, 10) }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              >
+                {PAGE_SIZES.map((size) => <option key={size} value={size}>{size}</option>)}
+              </select>
+            </label>
+            <ColumnsMenu columns={OPTIONAL_COLUMNS} visible={visibleColumns} onChange={setVisibleColumns} />
+          </div>
         </div>
       </div>
 
+      {showAdvanced && (
+        <SewadarQueryBuilder
+          query={advancedQuery}
+          creators={creators}
+          onApply={handleApplyQuery}
+          onClose={() => setShowAdvanced(false)}
+        />
+      )}
+
+      {/* Bulk Actions */}
+      {canEdit() && selectedIds.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4 flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <div className="text-sm text-gray-700">
+            <span className="font-medium">{selectedIds.length}</span> selected
+            <button
+              onClick={() => setSelectedIds([])}
+              className="ml-3 text-blue-600 hover:text-blue-900"
+            >
+              Clear
+            </button>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <button
+              onClick={() => handleBulkUpdate({ naamdanStatus: true })}
+              disabled={bulkWorking}
+              className="btn btn-outline flex items-center justify-center gap-2"
+            >
+              <CheckCircle className="h-4 w-4" />
+              Mark Naamdan Complete
+            </button>
+            <button
+              onClick={() => handlePrintBadges({ ids: selectedIds })}
+              disabled={bulkWorking || printingBadges}
+              className="btn btn-outline flex items-center justify-center gap-2"
+            >
+              <Printer className="h-4 w-4" />
+              Print Badges
+            </button>
+            {selectedIds.length === 2 && (
+              <Link
+                to={`/sewadars/merge?ids=${selectedIds.join(',')}`}
+                className="btn btn-outline flex items-center justify-center gap-2"
+              >
+                <GitMerge className="h-4 w-4" />
+                Merge
+              </Link>
+            )}
+            <div className="flex gap-2">
+              <select
+                value={bulkVerificationType}
+                onChange={(e) => setBulkVerificationType(e.target.value)}
+                disabled={bulkWorking}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              >
+                <option value="">Set verification type...</option>
+                <option value="AADHAR">Aadhar Card</option>
+                <option value="PAN">PAN Card</option>
+                <option value="VOTER_ID">Voter ID</option>
+                <option value="PASSPORT">Passport</option>
+              </select>
+              <button
+                onClick={() => handleBulkUpdate({ verificationType: bulkVerificationType })}
+                disabled={!bulkVerificationType || bulkWorking}
+                className="btn btn-outline"
+              >
+                Apply
+              </button>
+            </div>
+            {isAdmin() && (
+              <button
+                onClick={() => setBulkDeleteModal(true)}
+                disabled={bulkWorking}
+                className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                <Trash2 className="h-4 w-4" />
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Sewadars List */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="overflow-x-auto">
@@ -207,24 +638,29 @@ const SewadarList = () => {
             <table className="w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
-                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Name
-                  </th>
-                  <th className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Age
-                  </th>
-                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Verification
-                  </th>
-                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="hidden md:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Badge ID
-                  </th>
-                  <th className="hidden lg:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Created
-                  </th>
+                  {canEdit() && (
+                    <th className="pl-3 sm:pl-6 py-3 w-8">
+                      <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={toggleSelectAll}
+                        aria-label="Select all sewadars on this page"
+                        className="rounded border-gray-300"
+                      />
+                    </th>
+                  )}
+                  {renderSortHeader('name', 'Name')}
+                  {show('age') && renderSortHeader('age', 'Age', 'hidden sm:table-cell')}
+                  {show('verificationType') && (
+                    <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Verification
+                    </th>
+                  )}
+                  {show('naamdanStatus') && renderSortHeader('naamdanStatus', 'Status')}
+                  {show('badgeId') && renderSortHeader('badgeId', 'Badge ID', 'hidden md:table-cell')}
+                  {show('createdAt') && renderSortHeader('createdAt', 'Created', 'hidden lg:table-cell')}
+                  {show('createdBy') && renderSortHeader('createdBy', 'Created By', 'hidden xl:table-cell')}
+                  {show('updatedAt') && renderSortHeader('updatedAt', 'Updated', 'hidden xl:table-cell')}
                   {canEdit() && (
                     <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Actions
@@ -234,7 +670,21 @@ const SewadarList = () => {
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {sewadars.map((sewadar) => (
-                  <tr key={sewadar.id} className="hover:bg-gray-50">
+                  <tr
+                    key={sewadar.id}
+                    className={selectedIds.includes(sewadar.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}
+                  >
+                    {canEdit() && (
+                      <td className="pl-3 sm:pl-6 py-4 w-8">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(sewadar.id)}
+                          onChange={() => toggleSelected(sewadar.id)}
+                          aria-label={`Select ${sewadar.firstName} ${sewadar.lastName}`}
+                          className="rounded border-gray-300"
+                        />
+                      </td>
+                    )}
                     <td className="px-3 sm:px-6 py-4">
                       <div className="flex items-center">
                         <div className="flex-shrink-0 h-8 w-8 sm:h-10 sm:w-10">
@@ -249,49 +699,85 @@ const SewadarList = () => {
                           <div className="text-sm font-medium text-gray-900">
                             {sewadar.firstName} {sewadar.lastName}
                           </div>
-                          <div className="sm:hidden text-xs text-gray-500">Age: {sewadar.age || 'N/A'}</div>
+                          {show('age') && (
+                            <div className="sm:hidden text-xs text-gray-500">Age: {sewadar.age || 'N/A'}</div>
+                          )}
+                          {sewadar.departments?.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {sewadar.departments.map((department) => department.name).join(', ')}
+                            </div>
+                          )}
+                          {/* Which centre each sewadar is at matters when several are listed together */}
+                          {!centreService.getActiveCentreId() && sewadar.centres?.length > 0 && (
+                            <div className="text-xs text-gray-400 flex items-center gap-1">
+                              <MapPin className="h-3 w-3" />
+                              {sewadar.centres.map((centre) => centre.name).join(', ')}
+                            </div>
+                          )}
                         </div>
                       </div>
                     </td>
-                    <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {sewadar.age || 'N/A'}
-                    </td>
-                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
-                      <span
-                        className="inline-flex px-2 py-1 text-xs font-semibold rounded-full"
-                        style={{
-                          backgroundColor: colorUtils.withOpacity(colorUtils.getVerificationColor(sewadar.verificationType), 0.1),
-                          color: colorUtils.getVerificationColor(sewadar.verificationType)
-                        }}
-                      >
-                        {sewadar.verificationType}
-                      </span>
-                    </td>
-                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full ${
-                        sewadar.naamdanStatus
-                          ? 'bg-green-100 text-green-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {sewadar.naamdanStatus ? (
-                          <>
-                            <CheckCircle className="h-3 w-3 mr-1" />
-                            Complete
-                          </>
-                        ) : (
-                          <>
-                            <Clock className="h-3 w-3 mr-1" />
-                            Pending
-                          </>
-                        )}
-                      </span>
-                    </td>
-                    <td className="hidden md:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {sewadar.badgeId || 'N/A'}
-                    </td>
-                    <td className="hidden lg:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {new Date(sewadar.createdAt).toLocaleDateString()}
-                    </td>
+                    {show('age') && (
+                      <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {sewadar.age || 'N/A'}
+                      </td>
+                    )}
+                    {show('verificationType') && (
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
+                        <span
+                          className="inline-flex px-2 py-1 text-xs font-semibold rounded-full"
+                          style={{
+                            backgroundColor: colorUtils.withOpacity(colorUtils.getVerificationColor(sewadar.verificationType), 0.1),
+                            color: colorUtils.getVerificationColor(sewadar.verificationType)
+                          }}
+                        >
+                          {sewadar.verificationType}
+                        </span>
+                      </td>
+                    )}
+                    {show('naamdanStatus') && (
+                      <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-2 py-1 text-xs font-semibold rounded-full ${
+                          sewadar.naamdanStatus
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {sewadar.naamdanStatus ? (
+                            <>
+                              <CheckCircle className="h-3 w-3 mr-1" />
+                              Complete
+                            </>
+                          ) : (
+                            <>
+                              <Clock className="h-3 w-3 mr-1" />
+                              Pending
+                            </>
+                          )}
+                        </span>
+                      </td>
+                    )}
+                    {show('badgeId') && (
+                      <td className="hidden md:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {sewadar.badgeId || 'N/A'}
+                      </td>
+                    )}
+                    {show('createdAt') && (
+                      <td className="hidden lg:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(sewadar.createdAt).toLocaleDateString()}
+                      </td>
+                    )}
+                    {show('createdBy') && (
+                      <td className="hidden xl:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {sewadar.createdByFirstName
+                          ? `${sewadar.createdByFirstName} ${sewadar.createdByLastName}`
+                          : 'Unknown'}
+                      </td>
+                    )}
+                    {show('updatedAt') && (
+                      <td className="hidden xl:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {new Date(sewadar.updatedAt).toLocaleDateString()}
+                      </td>
+                    )}
                     {canEdit() && (
                       <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                         <div className="flex items-center justify-end space-x-2">
@@ -396,7 +882,7 @@ const SewadarList = () => {
               <span className="font-medium">
                 {deleteModal.sewadar.firstName} {deleteModal.sewadar.lastName}
               </span>
-              ? This action cannot be undone.
+              ? The record moves to the trash, where an admin can restore it.
             </p>
             <div className="flex justify-end space-x-3">
               <button
@@ -415,6 +901,38 @@ const SewadarList = () => {
           </div>
         </div>
       )}
+
+      {/* Bulk Delete Confirmation Modal */}
+      {bulkDeleteModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              Delete {selectedIds.length} Sewadars
+            </h3>
+            <p className="text-gray-600 mb-6">
+              Are you sure you want to delete the{' '}
+              <span className="font-medium">{selectedIds.length}</span> selected sewadars?
+              The records move to the trash, where an admin can restore them.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setBulkDeleteModal(false)}
+                disabled={bulkWorking}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleBulkDelete}
+                disabled={bulkWorking}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {bulkWorking ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Trash2, Search, RotateCcw, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import sewadarService from '../services/sewadar';
+import { semanticColors } from '../styles/colors';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Trash Component
+ *
+ * Deleted sewadars at the admin's centres. Each can be restored, or purged
+ * for good once it has been in the trash for the retention period.
+ */
+const Trash = () => {
+  const [sewadars, setSewadars] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [purgeModal, setPurgeModal] = useState({ show: false, sewadar: null });
+  const [purgeExpiredModal, setPurgeExpiredModal] = useState(false);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await sewadarService.getTrash({ page, limit: PAGE_SIZE, search });
+      setSewadars(response.data);
+      setPagination(response.pagination);
+      setRetentionDays(response.retentionDays);
+    } catch (error) {
+      toast.error('Failed to load the trash');
+      console.error('Load trash error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (sewadar) => {
+    try {
+      setWorking(true);
+      const response = await sewadarService.restoreSewadar(sewadar.id);
+      toast.success(response.message);
+      loadTrash();
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore sewadar');
+      console.error('Restore sewadar error:', error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePurge = async () => {
+    try {
+      setWorking(true);
+      const response = await sewadarService.purgeSewadar(purgeModal.sewadar.id);
+      toast.success(response.message);
+      setPurgeModal({ show: false, sewadar: null });
+      loadTrash();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete sewadar');
+      console.error('Purge sewadar error:', error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePurgeExpired = async () => {
+    try {
+      setWorking(true);
+      const response = await sewadarService.purgeExpiredSewadars();
+      toast.success(response.message);
+      setPurgeExpiredModal(false);
+      setPage(1);
+      loadTrash();
+    } catch (error) {
+      toast.error(error.message || 'Failed to empty the trash');
+      console.error('Purge expired sewadars error:', error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-3">
+            <Trash2 style={{ color: semanticColors.primary.main }} className="h-6 w-6 sm:h-8 sm:w-8" />
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Trash</h1>
+              <p className="text-sm sm:text-base text-gray-600">
+                Deleted sewadars can be restored
+                {retentionDays !== null && retentionDays > 0 && `, and permanently deleted after ${retentionDays} days`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => setPurgeExpiredModal(true)}
+            disabled={working || pagination.total === 0}
+            className="w-full sm:w-auto inline-flex items-center justify-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            <XCircle className="h-4 w-4" />
+            Empty Expired
+          </button>
+        </div>
+
+        <div className="relative mt-4">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+          <input
+            type="text"
+            placeholder="Search by name, verification ID or badge..."
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      {/* Trash List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {loading ? (
+          <div className="p-6 animate-pulse space-y-3">
+            {[1, 2, 3].map((i) => (
+              <div key={i} className="h-16 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : sewadars.length === 0 ? (
+          <div className="p-12 text-center">
+            <Trash2 className="h-12 w-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">The trash is empty</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sewadar</th>
+                  <th className="px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                  <th className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Can be purged</th>
+                  <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {sewadars.map((sewadar) => (
+                  <tr key={sewadar.id} className="hover:bg-gray-50">
+                    <td className="px-3 sm:px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{sewadar.firstName} {sewadar.lastName}</div>
+                      <div className="text-xs text-gray-500">
+                        {[
+                          sewadar.verificationId,
+                          sewadar.badgeId && `Badge ${sewadar.badgeId}`,
+                          sewadar.centres?.map((centre) => centre.name).join(', ')
+                        ].filter(Boolean).join(' · ')}
+                      </div>
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      <div>{new Date(sewadar.deletedAt).toLocaleDateString()}</div>
+                      {sewadar.deletedByFirstName && (
+                        <div className="text-xs text-gray-500">by {sewadar.deletedByFirstName} {sewadar.deletedByLastName}</div>
+                      )}
+                    </td>
+                    <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                      {sewadar.canPurge ? 'Now' : new Date(sewadar.purgeableAt).toLocaleDateString()}
+                    </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => handleRestore(sewadar)}
+                          disabled={working}
+                          className="p-1 text-green-600 hover:text-green-900 disabled:opacity-50"
+                          title="Restore"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setPurgeModal({ show: true, sewadar })}
+                          disabled={working || !sewadar.canPurge}
+                          className="p-1 text-red-600 hover:text-red-900 disabled:opacity-30"
+                          title={sewadar.canPurge ? 'Delete permanently' : `Can be deleted permanently from ${new Date(sewadar.purgeableAt).toLocaleDateString()}`}
+                        >
+                          <XCircle className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+            <p className="text-sm text-gray-700">
+              Page <span className="font-medium">{page}</span> of{' '}
+              <span className="font-medium">{pagination.totalPages}</span> ({pagination.total} sewadars)
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page === 1}
+                className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page === pagination.totalPages}
+                className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Purge Confirmation Modal */}
+      {purgeModal.show && purgeModal.sewadar && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Delete Permanently</h3>
+            <p className="text-gray-600 mb-6">
+              Permanently delete{' '}
+              <span className="font-medium">{purgeModal.sewadar.firstName} {purgeModal.sewadar.lastName}</span>,
+              with their attendance, duties and photo? This action cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setPurgeModal({ show: false, sewadar: null })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handlePurge}
+                disabled={working}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {working ? 'Deleting...' : 'Delete Permanently'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Empty Expired Confirmation Modal */}
+      {purgeExpiredModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Empty Expired</h3>
+            <p className="text-gray-600 mb-6">
+              Permanently delete every sewadar that has been in the trash for more than {retentionDays} days?
+              This action cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setPurgeExpiredModal(false)}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handlePurgeExpired}
+                disabled={working}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {working ? 'Deleting...' : 'Delete Permanently'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,9 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import usersService from '../services/users';
-import { Users, Shield, UserPlus } from 'lucide-react';
+import { Users, Shield, UserPlus, Monitor, LogOut, Unlock, ShieldOff, MapPin } from 'lucide-react';
 import { semanticColors, colorUtils } from '../styles/colors';
 import toast from 'react-hot-toast';
+import SessionList from '../components/SessionList';
+import PasswordRequirements from '../components/PasswordRequirements';
+import CentrePicker from '../components/CentrePicker';
+import centreService from '../services/centres';
+
+// New users join the centre picked in the header unless others are chosen
+const emptyNewUser = () => {
+  const activeCentreId = centreService.getActiveCentreId();
+  return {
+    firstName: '',
+    lastName: '',
+    email: '',
+    password: '',
+    role: 'VIEWER',
+    centreIds: activeCentreId ? [activeCentreId] : [],
+    isSuperAdmin: false
+  };
+};
 
 /**
  * User Management Component
@@ -12,17 +30,14 @@ import toast from 'react-hot-toast';
  * Provides comprehensive user administration capabilities.
  */
 const UserManagement = () => {
-  const { hasRole, user } = useAuth();
+  const { hasRole, isSuperAdmin, user } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateModal, setShowCreateModal] = useState(false);
-  const [newUser, setNewUser] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    password: '',
-    role: 'VIEWER'
-  });
+  const [sessionsModal, setSessionsModal] = useState({ show: false, user: null, sessions: [], loading: false });
+  const [revokingId, setRevokingId] = useState(null);
+  const [newUser, setNewUser] = useState(emptyNewUser);
+  const [centresModal, setCentresModal] = useState({ show: false, user: null, centreIds: [], saving: false });
 
   useEffect(() => {
     if (!hasRole(['ADMIN'])) return;
@@ -61,20 +76,132 @@ const UserManagement = () => {
       await usersService.createUser(newUser);
       toast.success('User created successfully');
       setShowCreateModal(false);
-      setNewUser({
-        firstName: '',
-        lastName: '',
-        email: '',
-        password: '',
-        role: 'VIEWER'
-      });
+      setNewUser(emptyNewUser());
       loadUsers();
     } catch (error) {
-      toast.error('Failed to create user');
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to create user');
       console.error('Create user error:', error);
     }
   };
 
+  const openCentres = (userItem) => {
+    setCentresModal({
+      show: true,
+      user: userItem,
+      centreIds: (userItem.centres || []).map(centre => centre.id),
+      saving: false
+    });
+  };
+
+  const handleSaveCentres = async () => {
+    try {
+      setCentresModal(prev => ({ ...prev, saving: true }));
+      const response = await usersService.updateUser(centresModal.user.id, {
+        centreIds: centresModal.centreIds,
+        rowVersion: centresModal.user.rowVersion
+      });
+      toast.success('Centres updated');
+      setUsers(prev => prev.map(item => (item.id === centresModal.user.id ? response.data : item)));
+      setCentresModal({ show: false, user: null, centreIds: [], saving: false });
+    } catch (error) {
+      // Someone else changed the user meanwhile: show their centres and let the admin pick again
+      if (error.data?.code === 'EDIT_CONFLICT') {
+        const latest = error.data.data;
+        toast.error(error.message);
+        setUsers(prev => prev.map(item => (item.id === latest.id ? latest : item)));
+        setCentresModal({
+          show: true,
+          user: latest,
+          centreIds: (latest.centres || []).map(centre => centre.id),
+          saving: false
+        });
+        return;
+      }
+      toast.error(error.details?.[0]?.message || error.message || 'Failed to update centres');
+      setCentresModal(prev => ({ ...prev, saving: false }));
+    }
+  };
+
+  const handleUnlock = async (userItem) => {
+    try {
+      await usersService.unlockUser(userItem.id);
+      toast.success(`${userItem.firstName} ${userItem.lastName} can sign in again`);
+      setUsers(prev => prev.map(item => (
+        item.id === userItem.id ? { ...item, lockedUntil: null } : item
+      )));
+    } catch (error) {
+      toast.error(error.message || 'Failed to unlock account');
+      console.error('Unlock user error:', error);
+    }
+  };
+
+  const handleResetTwoFactor = async (userItem) => {
+    if (!window.confirm(`Reset two-factor authentication for ${userItem.firstName} ${userItem.lastName}? They will be signed out and can sign in with just their password.`)) {
+      return;
+    }
+
+    try {
+      await usersService.resetUserTwoFactor(userItem.id);
+      toast.success('Two-factor authentication reset');
+      setUsers(prev => prev.map(item => (
+        item.id === userItem.id ? { ...item, twoFactorEnabled: false } : item
+      )));
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset two-factor authentication');
+      console.error('Reset two-factor error:', error);
+    }
+  };
+
+  const openSessions = async (userItem) => {
+    setSessionsModal({ show: true, user: userItem, sessions: [], loading: true });
+    try {
+      const sessions = await usersService.getUserSessions(userItem.id);
+      setSessionsModal(prev => ({ ...prev, sessions, loading: false }));
+    } catch (error) {
+      toast.error('Failed to load sessions');
+      console.error('Load user sessions error:', error);
+      setSessionsModal(prev => ({ ...prev, loading: false }));
+    }
+  };
+
+  const closeSessions = () => {
+    setSessionsModal({ show: false, user: null, sessions: [], loading: false });
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      setRevokingId(session.id);
+      await usersService.revokeUserSession(sessionsModal.user.id, session.id);
+      toast.success('Session signed out');
+      setSessionsModal(prev => ({
+        ...prev,
+        sessions: prev.sessions.filter(item => item.id !== session.id)
+      }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out session');
+      console.error('Revoke user session error:', error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAllSessions = async () => {
+    try {
+      setRevokingId('all');
+      const response = await usersService.revokeAllUserSessions(sessionsModal.user.id);
+      toast.success(response.message);
+      setSessionsModal(prev => ({
+        ...prev,
+        sessions: prev.sessions.filter(item => item.current)
+      }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign out sessions');
+      console.error('Revoke all user sessions error:', error);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -134,6 +261,9 @@ const UserManagement = () => {
                   <th className="hidden sm:table-cell px-3 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Created
                   </th>
+                  <th className="px-3 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -157,6 +287,12 @@ const UserManagement = () => {
                             )}
                           </div>
                           <div className="text-xs sm:text-sm text-gray-500">{userItem.email}</div>
+                          {userItem.centres?.length > 0 && (
+                            <div className="text-xs text-gray-500 flex items-center gap-1">
+                              <MapPin className="h-3 w-3" />
+                              {userItem.centres.map(centre => centre.name).join(', ')}
+                            </div>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -170,6 +306,14 @@ const UserManagement = () => {
                       >
                         {userItem.role}
                       </span>
+                      {userItem.isSuperAdmin && (
+                        <span
+                          className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-purple-100 text-purple-800"
+                          title="Sees and manages every centre"
+                        >
+                          Super-admin
+                        </span>
+                      )}
                     </td>
                     <td className="px-3 sm:px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -179,10 +323,74 @@ const UserManagement = () => {
                       }`}>
                         {userItem.isActive ? 'Active' : 'Inactive'}
                       </span>
+                      {userItem.lockedUntil && (
+                        <span
+                          className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-orange-100 text-orange-800"
+                          title={`Locked until ${new Date(userItem.lockedUntil).toLocaleString()}`}
+                        >
+                          Locked
+                        </span>
+                      )}
+                      {userItem.twoFactorEnabled && (
+                        <span
+                          className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800"
+                          title="Signs in with an authenticator app code"
+                        >
+                          2FA
+                        </span>
+                      )}
+                      {userItem.mustChangePassword && (
+                        <span
+                          className="ml-2 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800"
+                          title="Must choose a new password at next login"
+                        >
+                          Password reset
+                        </span>
+                      )}
                     </td>
                     <td className="hidden sm:table-cell px-3 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(userItem.createdAt).toLocaleDateString()}
                     </td>
+                    <td className="px-3 sm:px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                      {userItem.lockedUntil && (
+                        <button
+                          onClick={() => handleUnlock(userItem)}
+                          className="inline-flex items-center text-orange-600 hover:text-orange-900"
+                          title="Clear the login lockout"
+                        >
+                          <Unlock className="h-4 w-4 sm:mr-1" />
+                          <span className="hidden sm:inline">Unlock</span>
+                        </button>
+                      )}
+                      {userItem.twoFactorEnabled && userItem.id !== user?.id && (
+                        <button
+                          onClick={() => handleResetTwoFactor(userItem)}
+                          className="inline-flex items-center text-red-600 hover:text-red-900"
+                          title="Turn off 2FA for a user who lost their authenticator"
+                        >
+                          <ShieldOff className="h-4 w-4 sm:mr-1" />
+                          <span className="hidden sm:inline">Reset 2FA</span>
+                        </button>
+                      )}
+                      {(!userItem.isSuperAdmin || isSuperAdmin()) && (
+                        <button
+                          onClick={() => openCentres(userItem)}
+                          className="inline-flex items-center text-gray-600 hover:text-gray-900"
+                          title="Choose the centres this user works with"
+                        >
+                          <MapPin className="h-4 w-4 sm:mr-1" />
+                          <span className="hidden sm:inline">Centres</span>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => openSessions(userItem)}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                        title="View active sessions"
+                      >
+                        <Monitor className="h-4 w-4 sm:mr-1" />
+                        <span className="hidden sm:inline">Sessions</span>
+                      </button>
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -191,6 +399,82 @@ const UserManagement = () => {
         </div>
       </div>
 
+      {/* Sessions Modal */}
+      {sessionsModal.show && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+                <p className="text-sm text-gray-600">
+                  {sessionsModal.user.firstName} {sessionsModal.user.lastName} ({sessionsModal.user.email})
+                </p>
+              </div>
+              {sessionsModal.sessions.some(session => !session.current) && (
+                <button
+                  onClick={handleRevokeAllSessions}
+                  disabled={revokingId === 'all'}
+                  className="inline-flex items-center justify-center px-4 py-2 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                  <LogOut className="h-4 w-4 mr-2" />
+                  {revokingId === 'all' ? 'Signing out...' : 'Sign out everywhere'}
+                </button>
+              )}
+            </div>
+            {sessionsModal.loading ? (
+              <div className="animate-pulse space-y-3">
+                {[1, 2].map((i) => (
+                  <div key={i} className="h-16 bg-gray-200 rounded"></div>
+                ))}
+              </div>
+            ) : (
+              <SessionList
+                sessions={sessionsModal.sessions}
+                onRevoke={handleRevokeSession}
+                revokingId={revokingId}
+                emptyMessage="This user is not signed in anywhere"
+              />
+            )}
+            <div className="flex justify-end pt-4">
+              <button
+                onClick={closeSessions}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Centres Modal */}
+      {centresModal.show && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Centres</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {centresModal.user.firstName} {centresModal.user.lastName} only sees sewadars and users of these centres.
+            </p>
+            <CentrePicker
+              value={centresModal.centreIds}
+              onChange={(centreIds) => setCentresModal(prev => ({ ...prev, centreIds }))}
+              disabled={centresModal.saving}
+            />
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                onClick={() => setCentresModal({ show: false, user: null, centreIds: [], saving: false })}
+                className="px-4 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+              <button onClick={handleSaveCentres} disabled={centresModal.saving} className="btn btn-primary">
+                {centresModal.saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Create User Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -245,6 +529,7 @@ const UserManagement = () => {
                   onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
                 />
+                <PasswordRequirements password={newUser.password} />
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -256,10 +541,29 @@ const UserManagement = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
                 >
                   <option value="VIEWER">Viewer</option>
+                  <option value="KIOSK">Kiosk (badge check-in only)</option>
                   <option value="EDITOR">Editor</option>
                   <option value="ADMIN">Admin</option>
                 </select>
               </div>
+              <CentrePicker
+                value={newUser.centreIds}
+                onChange={(centreIds) => setNewUser({ ...newUser, centreIds })}
+              />
+              {isSuperAdmin() && (
+                <label className="flex items-start gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newUser.isSuperAdmin}
+                    onChange={(e) => setNewUser({ ...newUser, isSuperAdmin: e.target.checked })}
+                    className="mt-1 rounded border-gray-300"
+                  />
+                  <span>
+                    Super-admin
+                    <span className="block text-xs text-gray-500">Sees every centre and can add centres</span>
+                  </span>
+                </label>
+              )}
               <div className="flex justify-end space-x-3 pt-4">
                 <button
                   type="button"
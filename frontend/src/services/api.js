@@ -14,11 +14,41 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000, // 30 seconds
+  withCredentials: true, // Sends the httpOnly refresh token cookie
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Centre picked in the header's centre switcher; the server limits every response to it
+export const ACTIVE_CENTRE_KEY = 'rssb_active_centre';
+
+// Requests that must never trigger a refresh attempt themselves
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
+// Shared in-flight refresh so parallel 401s only rotate the refresh token once
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token cookie for a new access token
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, {}, { withCredentials: true, timeout: 30000 })
+      .then(({ data }) => {
+        localStorage.setItem('rssb_auth_token', data.token);
+        api.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 /**
  * Request Interceptor
  * 
@@ -32,6 +62,11 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    const centreId = localStorage.getItem(ACTIVE_CENTRE_KEY);
+    if (centreId) {
+      config.headers['X-Centre-Id'] = centreId;
+    }
+
     // Add timestamp to prevent caching on critical requests
     if (['post', 'put', 'delete'].includes(config.method)) {
       config.params = {
@@ -84,6 +119,32 @@ api.interceptors.response.use(
       });
     }
 
+    // Expired access token: refresh silently and replay the request once
+    const originalRequest = error.config;
+    if (
+      response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retried &&
+      !NO_REFRESH_URLS.some(url => originalRequest.url?.includes(url))
+    ) {
+      originalRequest._retried = true;
+      return refreshAccessToken().then(
+        (token) => {
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        },
+        () => {
+          // Refresh token missing, expired or revoked
+          handleUnauthorized();
+          return Promise.reject({
+            status: 401,
+            message: 'Your session has expired. Please log in again.',
+            data: response.data,
+          });
+        }
+      );
+    }
+
     if (response) {
       // Server responded with error status
       const { status, data } = response;
@@ -96,12 +157,18 @@ api.interceptors.response.use(
             // Don't auto-logout for password change errors
             console.error(data?.message || 'Current password is incorrect');
           } else {
-            // Auto-logout for other 401 errors (expired tokens, etc.)
+            // Token could not be refreshed (or was rejected again after refreshing)
             handleUnauthorized();
           }
           break;
 
         case 403:
+          if (data?.code === 'CENTRE_NOT_ALLOWED') {
+            // The remembered centre was deleted or the user left it: fall back to all their centres
+            localStorage.removeItem(ACTIVE_CENTRE_KEY);
+            window.location.reload();
+            break;
+          }
           // Forbidden - insufficient permissions
           console.error(data?.message || 'You do not have permission to perform this action.');
           break;
@@ -177,6 +244,7 @@ const handleUnauthorized = () => {
   // Clear authentication data
   localStorage.removeItem('rssb_auth_token');
   localStorage.removeItem('rssb_user_data');
+  localStorage.removeItem(ACTIVE_CENTRE_KEY);
   delete api.defaults.headers.common['Authorization'];
 
   // Redirect to login page
@@ -0,0 +1,115 @@
+import api from './api';
+
+/**
+ * Attendance Service
+ *
+ * Handles attendance at sewa events: who came on each event day, their
+ * check-in and check-out times, and the service hours those add up to.
+ *
+ * Dates are "YYYY-MM-DD" and times "YYYY-MM-DDTHH:mm" in the venue's local
+ * time, the same as the event and duty times.
+ */
+
+export const ATTENDANCE_STATUSES = {
+  PRESENT: 'Present',
+  ABSENT: 'Absent'
+};
+
+class AttendanceService {
+  /**
+   * Get the attendance grid for one day of an event
+   * @param {string} eventId - Event ID
+   * @param {string} date - Event day; the server picks a default when omitted
+   * @returns {Promise<Object>} event, date, summary and one row per sewadar
+   */
+  async getEventAttendance(eventId, date) {
+    try {
+      const response = await api.get(`/events/${eventId}/attendance`, { params: date ? { date } : {} });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get event attendance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save attendance for many sewadars on one event day
+   * @param {string} eventId - Event ID
+   * @param {string} date - Event day
+   * @param {Array<Object>} records - sewadarId, status, checkInAt, checkOutAt, notes
+   * @returns {Promise<Object>} Response with summary, per-sewadar results and the refreshed grid
+   */
+  async saveAttendance(eventId, date, records) {
+    try {
+      const response = await api.put(`/events/${eventId}/attendance`, { date, records });
+      return response.data;
+    } catch (error) {
+      console.error('Save attendance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one sewadar's attendance on an event day
+   * @param {string} eventId - Event ID
+   * @param {string} sewadarId - Sewadar ID
+   * @param {Object} record - date, status, checkInAt, checkOutAt, notes
+   * @returns {Promise<Object>} Response with the saved attendance
+   */
+  async markAttendance(eventId, sewadarId, record) {
+    try {
+      const response = await api.put(`/events/${eventId}/attendance/${sewadarId}`, record);
+      return response.data;
+    } catch (error) {
+      console.error('Mark attendance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear one sewadar's attendance on an event day
+   * @param {string} eventId - Event ID
+   * @param {string} sewadarId - Sewadar ID
+   * @param {string} date - Event day
+   * @returns {Promise<Object>} Removal response
+   */
+  async clearAttendance(eventId, sewadarId, date) {
+    try {
+      const response = await api.delete(`/events/${eventId}/attendance/${sewadarId}`, { params: { date } });
+      return response.data;
+    } catch (error) {
+      console.error('Clear attendance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a sewadar's attendance history with running service hours
+   * @param {string} sewadarId - Sewadar ID
+   * @returns {Promise<Object>} summary and records (newest first)
+   */
+  async getSewadarAttendance(sewadarId) {
+    try {
+      const response = await api.get(`/sewadars/${sewadarId}/attendance`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get sewadar attendance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format service hours for display, e.g. "3.5 h"
+   * @param {number} hours
+   * @returns {string} Readable hours
+   */
+  formatHours(hours) {
+    return `${Number(hours || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })} h`;
+  }
+}
+
+// Create singleton instance
+const attendanceService = new AttendanceService();
+
+export { attendanceService };
+export default attendanceService;
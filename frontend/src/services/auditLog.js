@@ -8,6 +8,7 @@ class AuditLogService {
         limit = 50,
         search = '',
         action = '',
+        field = '',
         dateFrom = '',
         dateTo = ''
       } = options;
@@ -15,6 +16,7 @@ class AuditLogService {
       const params = { page, limit };
       if (search) params.search = search;
       if (action) params.action = action;
+      if (field) params.field = field;
       if (dateFrom) params.startDate = dateFrom;
       if (dateTo) params.endDate = dateTo;
 
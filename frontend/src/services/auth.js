@@ -1,4 +1,4 @@
-import api from './api';
+import api, { ACTIVE_CENTRE_KEY } from './api';
 
 /**
  * Authentication Service
@@ -20,25 +20,55 @@ class AuthService {
   async login(email, password) {
     try {
       const response = await api.post('/auth/login', { email, password });
-      
-      if (response.data.success && response.data.token) {
-        // Store token and user data
-        this.setToken(response.data.token);
-        this.setUser(response.data.user);
-        
-        // Set default authorization header
-        api.defaults.headers.common['Authorization'] = `Bearer ${response.data.token}`;
-        
+
+      // Accounts with 2FA get a challenge token for the code step instead of a session
+      if (response.data.success && response.data.twoFactorRequired) {
         return response.data;
       }
-      
-      throw new Error(response.data.message || 'Login failed');
+
+      return this.storeLogin(response.data);
     } catch (error) {
       console.error('Login error:', error);
       throw error;
     }
   }
 
+  /**
+   * Second login step for accounts with two-factor authentication
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {Object} factor - Either `{ code }` or `{ recoveryCode }`
+   * @returns {Promise<Object>} Login response
+   */
+  async verifyTwoFactorLogin(challengeToken, factor) {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, ...factor });
+      return this.storeLogin(response.data);
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the token and user from a successful login response
+   * @param {Object} data - Login response body
+   * @returns {Object} The same response body
+   */
+  storeLogin(data) {
+    if (data.success && data.token) {
+      // Store token and user data
+      this.setToken(data.token);
+      this.setUser(data.user);
+
+      // Set default authorization header
+      api.defaults.headers.common['Authorization'] = `Bearer ${data.token}`;
+
+      return data;
+    }
+
+    throw new Error(data.message || 'Login failed');
+  }
+
   /**
    * Logout current user
    * @returns {Promise<Object>} Logout response
@@ -130,6 +160,197 @@ class AuthService {
     }
   }
 
+  /**
+   * Ask for a password reset link by email
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} Response (the same whether or not the account exists)
+   */
+  async forgotPassword(email) {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with the token from a reset email
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Reset response
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const response = await api.post('/auth/reset-password', { token, newPassword });
+      return response.data;
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the password rules enforced by the server
+   * @returns {Promise<Object>} Policy (minLength, required character classes, history and expiry)
+   */
+  async getPasswordPolicy() {
+    try {
+      const response = await api.get('/auth/password-policy');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get password policy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's active sessions
+   * @returns {Promise<Array>} Sessions, with the current one flagged
+   */
+  async getSessions() {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out one of the current user's other sessions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  async revokeSession(sessionId) {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out every session except the current one
+   * @returns {Promise<Object>} Revoke response with the number of sessions signed out
+   */
+  async revokeOtherSessions() {
+    try {
+      const response = await api.delete('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's two-factor status
+   * @returns {Promise<Object>} `{ enabled, required, recoveryCodesRemaining }`
+   */
+  async getTwoFactorStatus() {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * @returns {Promise<Object>} `{ secret, otpauthUrl, qrCode }` for the authenticator app
+   */
+  async setupTwoFactor() {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data.data;
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} code - 6 digit code
+   * @returns {Promise<string[]>} Recovery codes, shown once
+   */
+  async enableTwoFactor(code) {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data.data.recoveryCodes;
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} password - Current password
+   * @param {Object} factor - Either `{ code }` or `{ recoveryCode }`
+   * @returns {Promise<Object>} Disable response
+   */
+  async disableTwoFactor(password, factor) {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, ...factor });
+      return response.data;
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - 6 digit code from the authenticator app
+   * @returns {Promise<string[]>} New recovery codes, shown once
+   */
+  async regenerateRecoveryCodes(code) {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      return response.data.data.recoveryCodes;
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the roles that must use two-factor authentication
+   * @returns {Promise<string[]>} Required roles
+   */
+  async getTwoFactorPolicy() {
+    try {
+      const response = await api.get('/auth/2fa/policy');
+      return response.data.data.requiredRoles;
+    } catch (error) {
+      console.error('Get two-factor policy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the roles that must use two-factor authentication (Admin only)
+   * @param {string[]} requiredRoles - Roles to require
+   * @returns {Promise<Object>} Update response
+   */
+  async updateTwoFactorPolicy(requiredRoles) {
+    try {
+      const response = await api.put('/auth/2fa/policy', { requiredRoles });
+      return response.data;
+    } catch (error) {
+      console.error('Update two-factor policy error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Store authentication token
    * @param {string} token - JWT token
@@ -169,6 +390,7 @@ class AuthService {
   clearAuthData() {
     localStorage.removeItem(TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
+    localStorage.removeItem(ACTIVE_CENTRE_KEY);
     delete api.defaults.headers.common['Authorization'];
   }
 
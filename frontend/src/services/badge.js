@@ -0,0 +1,114 @@
+import api from './api';
+
+// Save a PDF blob under the given name
+const downloadPdf = (data, filename) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type: 'application/pdf' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Blob requests receive the JSON error body as a Blob too
+const readBlobError = async (error) => {
+  if (error.data instanceof Blob) {
+    const body = await error.data.text().then(JSON.parse).catch(() => null);
+    if (body) {
+      Object.assign(error, { message: body.message || error.message, details: body.details, data: body });
+    }
+  }
+  return error;
+};
+
+/**
+ * Badge Service
+ *
+ * Downloads print-ready sewadar ID badges (PDF) for one sewadar or a batch,
+ * and revokes badges that are lost or withdrawn.
+ */
+class BadgeService {
+  /**
+   * Download one sewadar's badge as a card-sized PDF page
+   * @param {Object} sewadar - Sewadar with id and badgeId
+   */
+  async printBadge(sewadar) {
+    try {
+      const response = await api.get(`/sewadars/${sewadar.id}/badge`, { responseType: 'blob' });
+      downloadPdf(response.data, `badge_${sewadar.badgeId}.pdf`);
+      return { success: true, message: 'Badge downloaded' };
+    } catch (error) {
+      console.error('Print badge error:', error);
+      throw await readBlobError(error);
+    }
+  }
+
+  /**
+   * Download badges laid out 10 per A4 sheet
+   * @param {Object} options
+   * @param {Array<string>} [options.ids] - Sewadar IDs; when set, filters are ignored
+   * @param {Object} [options.filters] - search, naamdanStatus, verificationType, sortBy, sortOrder
+   * @returns {Promise<Object>} Message including how many sewadars were skipped for lacking a usable badge ID
+   */
+  async printBadges({ ids, filters = {} } = {}) {
+    try {
+      // Drop empty filters so they are not sent as blank values
+      const body = ids
+        ? { ids }
+        : Object.fromEntries(
+          Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+        );
+
+      const response = await api.post('/sewadars/badges', body, { responseType: 'blob' });
+      downloadPdf(response.data, `sewadar_badges_${new Date().toISOString().split('T')[0]}.pdf`);
+
+      const skipped = parseInt(response.headers['x-badges-skipped'], 10) || 0;
+      return {
+        success: true,
+        skipped,
+        message: skipped > 0
+          ? `Badges downloaded. ${skipped} sewadar${skipped === 1 ? '' : 's'} without a badge ID or with a revoked badge ${skipped === 1 ? 'was' : 'were'} skipped.`
+          : 'Badges downloaded'
+      };
+    } catch (error) {
+      console.error('Print badges error:', error);
+      throw await readBlobError(error);
+    }
+  }
+
+  /**
+   * Revoke a sewadar's current badge. Kiosks refuse the badge number from then on.
+   * @param {string} id - Sewadar ID
+   * @param {string} reason - Why, e.g. "Card lost"
+   * @returns {Promise<Object>} Revocation response
+   */
+  async revokeBadge(id, reason) {
+    try {
+      const response = await api.post(`/sewadars/${id}/badge/revoke`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Revoke badge error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift the revocation of a sewadar's current badge
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Object>} Reinstatement response
+   */
+  async reinstateBadge(id) {
+    try {
+      const response = await api.post(`/sewadars/${id}/badge/reinstate`);
+      return response.data;
+    } catch (error) {
+      console.error('Reinstate badge error:', error);
+      throw error;
+    }
+  }
+}
+
+const badgeService = new BadgeService();
+export default badgeService;
@@ -0,0 +1,96 @@
+import api, { ACTIVE_CENTRE_KEY } from './api';
+
+/**
+ * Centre Service
+ *
+ * The RSSB centres sharing the portal. Sewadars and users belong to one or
+ * more centres and everyone only sees their own centres' records; super-admins
+ * see every centre. The centre picked in the header is sent with each request.
+ */
+class CentreService {
+  /**
+   * Get the centres the signed-in user can switch to
+   * @returns {Promise<Array<Object>>} Centres with sewadar and user counts, by name
+   */
+  async getCentres() {
+    try {
+      const response = await api.get('/centres');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get centres error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a centre (super-admins only)
+   * @param {Object} centreData - name and location
+   * @returns {Promise<Object>} Created centre response
+   */
+  async createCentre(centreData) {
+    try {
+      const response = await api.post('/centres', centreData);
+      return response.data;
+    } catch (error) {
+      console.error('Create centre error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a centre or change its location (super-admins only)
+   * @param {string} id - Centre ID
+   * @param {Object} updates - name and/or location
+   * @returns {Promise<Object>} Updated centre response
+   */
+  async updateCentre(id, updates) {
+    try {
+      const response = await api.put(`/centres/${id}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Update centre error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a centre that has no sewadars left (super-admins only)
+   * @param {string} id - Centre ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deleteCentre(id) {
+    try {
+      const response = await api.delete(`/centres/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete centre error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The centre picked in the centre switcher
+   * @returns {string|null} Centre ID, or null for all of the user's centres
+   */
+  getActiveCentreId() {
+    return localStorage.getItem(ACTIVE_CENTRE_KEY);
+  }
+
+  /**
+   * Switch every following request to one centre
+   * @param {string|null} id - Centre ID, or null for all of the user's centres
+   */
+  setActiveCentreId(id) {
+    if (id) {
+      localStorage.setItem(ACTIVE_CENTRE_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_CENTRE_KEY);
+    }
+  }
+}
+
+// Create singleton instance
+const centreService = new CentreService();
+
+export { centreService };
+export default centreService;
@@ -0,0 +1,157 @@
+import api from './api';
+
+/**
+ * Department Service
+ *
+ * Departments and teams (langar, parking, security, medical, ...), the
+ * sewadars serving in them and the portal users who lead them. Leaders can
+ * see and manage the members of their own departments only.
+ */
+class DepartmentService {
+  /**
+   * Get all departments with member counts and leaders
+   * @param {Object} options
+   * @param {boolean} options.mine - Only the departments the signed-in user leads
+   * @returns {Promise<Array<Object>>} Departments, each with isLeader for the signed-in user
+   */
+  async getDepartments({ mine = false } = {}) {
+    try {
+      const response = await api.get('/departments', { params: mine ? { mine: true } : {} });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get departments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a department with its leaders
+   * @param {string} id - Department ID
+   * @returns {Promise<Object>} Department
+   */
+  async getDepartment(id) {
+    try {
+      const response = await api.get(`/departments/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get department error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a department
+   * @param {Object} departmentData - name and description
+   * @returns {Promise<Object>} Created department response
+   */
+  async createDepartment(departmentData) {
+    try {
+      const response = await api.post('/departments', departmentData);
+      return response.data;
+    } catch (error) {
+      console.error('Create department error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or describe a department
+   * @param {string} id - Department ID
+   * @param {Object} updates - name and/or description
+   * @returns {Promise<Object>} Updated department response
+   */
+  async updateDepartment(id, updates) {
+    try {
+      const response = await api.put(`/departments/${id}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Update department error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a department. Its sewadars are kept.
+   * @param {string} id - Department ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deleteDepartment(id) {
+    try {
+      const response = await api.delete(`/departments/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete department error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a department's leaders (admins only)
+   * @param {string} id - Department ID
+   * @param {Array<string>} userIds - Every leader's user ID; an empty list removes them all
+   * @returns {Promise<Object>} Response with the updated department
+   */
+  async setLeaders(id, userIds) {
+    try {
+      const response = await api.put(`/departments/${id}/leaders`, { userIds });
+      return response.data;
+    } catch (error) {
+      console.error('Set department leaders error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a department's members
+   * @param {string} id - Department ID
+   * @param {string} search - Matches name, badge ID or phone
+   * @returns {Promise<Array<Object>>} Members, by name
+   */
+  async getMembers(id, search = '') {
+    try {
+      const response = await api.get(`/departments/${id}/members`, { params: search ? { search } : {} });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get department members error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add sewadars to a department
+   * @param {string} id - Department ID
+   * @param {Array<string>} sewadarIds - Sewadars to add
+   * @returns {Promise<Object>} Response with per-sewadar results
+   */
+  async addMembers(id, sewadarIds) {
+    try {
+      const response = await api.post(`/departments/${id}/members`, { sewadarIds });
+      return response.data;
+    } catch (error) {
+      console.error('Add department members error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a sewadar from a department
+   * @param {string} id - Department ID
+   * @param {string} sewadarId - Sewadar ID
+   * @returns {Promise<Object>} Removal response
+   */
+  async removeMember(id, sewadarId) {
+    try {
+      const response = await api.delete(`/departments/${id}/members/${sewadarId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Remove department member error:', error);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const departmentService = new DepartmentService();
+
+export { departmentService };
+export default departmentService;
@@ -0,0 +1,262 @@
+import api, { apiHelpers } from './api';
+
+/**
+ * Event Service
+ *
+ * Handles sewa events (satsang programmes, bhandaras, cleaning drives), their
+ * duty slots and the sewadars assigned to them.
+ *
+ * Dates are "YYYY-MM-DD" and duty times "YYYY-MM-DDTHH:mm" in the venue's local
+ * time, the same format as date and datetime-local inputs.
+ */
+
+export const EVENT_TYPES = {
+  SATSANG: 'Satsang Programme',
+  BHANDARA: 'Bhandara',
+  CLEANING_DRIVE: 'Cleaning Drive',
+  OTHER: 'Other'
+};
+
+class EventService {
+  /**
+   * Get events with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (default: 1)
+   * @param {number} options.limit - Items per page (default: 10)
+   * @param {string} options.search - Matches event name or location
+   * @param {string} options.eventType - Filter by event type
+   * @param {string} options.when - 'upcoming' or 'past'
+   * @returns {Promise<Object>} Paginated events response
+   */
+  async getEvents(options = {}) {
+    try {
+      const { page = 1, limit = 10, search = '', eventType, when } = options;
+
+      const params = { page, limit };
+      if (search) params.search = search;
+      if (eventType) params.eventType = eventType;
+      if (when) params.when = when;
+
+      const response = await api.get('/events', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Get events error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an event with its duty roster
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} Event with slots and their assignments
+   */
+  async getEvent(id) {
+    try {
+      const response = await api.get(`/events/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an event
+   * @param {Object} eventData - name, eventType, location, description, startDate, endDate
+   * @returns {Promise<Object>} Created event response
+   */
+  async createEvent(eventData) {
+    try {
+      const response = await api.post('/events', eventData);
+      return response.data;
+    } catch (error) {
+      console.error('Create event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an event
+   * @param {string} id - Event ID
+   * @param {Object} updates - Event fields to change
+   * @returns {Promise<Object>} Updated event response
+   */
+  async updateEvent(id, updates) {
+    try {
+      const response = await api.put(`/events/${id}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Update event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an event with all of its duties and assignments
+   * @param {string} id - Event ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deleteEvent(id) {
+    try {
+      const response = await api.delete(`/events/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete event error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a duty slot to an event
+   * @param {string} eventId - Event ID
+   * @param {Object} slotData - name, location, startsAt, endsAt, requiredCount, notes
+   * @returns {Promise<Object>} Created slot response
+   */
+  async createSlot(eventId, slotData) {
+    try {
+      const response = await api.post(`/events/${eventId}/slots`, slotData);
+      return response.data;
+    } catch (error) {
+      console.error('Create duty slot error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a duty slot. Fails with 409 if new times would double-book an assigned sewadar.
+   * @param {string} eventId - Event ID
+   * @param {string} slotId - Slot ID
+   * @param {Object} updates - Slot fields to change
+   * @returns {Promise<Object>} Updated slot response
+   */
+  async updateSlot(eventId, slotId, updates) {
+    try {
+      const response = await api.put(`/events/${eventId}/slots/${slotId}`, updates);
+      return response.data;
+    } catch (error) {
+      console.error('Update duty slot error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a duty slot and its assignments
+   * @param {string} eventId - Event ID
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deleteSlot(eventId, slotId) {
+    try {
+      const response = await api.delete(`/events/${eventId}/slots/${slotId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete duty slot error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find which of the given sewadars are already on a duty that overlaps this slot
+   * @param {string} eventId - Event ID
+   * @param {string} slotId - Slot ID
+   * @param {Array<string>} sewadarIds - Sewadars to check (at most 100)
+   * @returns {Promise<Array<Object>>} Clashing duties, each with sewadarId and a message
+   */
+  async checkConflicts(eventId, slotId, sewadarIds) {
+    try {
+      const response = await api.get(`/events/${eventId}/slots/${slotId}/conflicts`, {
+        params: { sewadarIds: sewadarIds.join(',') }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Check duty conflicts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign sewadars to a duty slot. Double-booked sewadars are reported and skipped.
+   * @param {string} eventId - Event ID
+   * @param {string} slotId - Slot ID
+   * @param {Array<string>} sewadarIds - Sewadars to assign
+   * @returns {Promise<Object>} Response with summary, per-sewadar results and the updated slot
+   */
+  async assignSewadars(eventId, slotId, sewadarIds) {
+    try {
+      const response = await api.post(`/events/${eventId}/slots/${slotId}/assignments`, { sewadarIds });
+      return response.data;
+    } catch (error) {
+      console.error('Assign sewadars error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a sewadar from a duty slot
+   * @param {string} eventId - Event ID
+   * @param {string} slotId - Slot ID
+   * @param {string} sewadarId - Sewadar ID
+   * @returns {Promise<Object>} Removal response
+   */
+  async unassignSewadar(eventId, slotId, sewadarId) {
+    try {
+      const response = await api.delete(`/events/${eventId}/slots/${slotId}/assignments/${sewadarId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Unassign sewadar error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download an event's duty roster
+   * @param {Object} event - Event with id, name and startDate
+   * @param {string} format - xlsx, csv or pdf
+   * @returns {Promise} Download promise
+   */
+  async exportRoster(event, format = 'xlsx') {
+    try {
+      const safeName = event.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '').toLowerCase() || 'event';
+      return await apiHelpers.downloadFile(
+        `/events/${event.id}/roster/export?format=${format}`,
+        `roster_${safeName}_${event.startDate}.${format}`
+      );
+    } catch (error) {
+      console.error('Export roster error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a duty's time range for display, e.g. "1 May, 09:00 - 13:00"
+   * @param {Object} slot - Slot with startsAt and endsAt
+   * @returns {string} Readable time range
+   */
+  formatDutyTime(slot) {
+    const day = (value) => new Date(`${value.slice(0, 10)}T00:00:00`)
+      .toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    const sameDay = slot.startsAt.slice(0, 10) === slot.endsAt.slice(0, 10);
+
+    return `${day(slot.startsAt)}, ${slot.startsAt.slice(11)} - ${sameDay ? '' : `${day(slot.endsAt)}, `}${slot.endsAt.slice(11)}`;
+  }
+
+  /**
+   * Format an event's dates for display
+   * @param {Object} event - Event with startDate and endDate
+   * @returns {string} Readable date range
+   */
+  formatEventDates(event) {
+    const format = (value) => new Date(`${value}T00:00:00`)
+      .toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+    return event.startDate === event.endDate
+      ? format(event.startDate)
+      : `${format(event.startDate)} - ${format(event.endDate)}`;
+  }
+}
+
+// Create singleton instance
+const eventService = new EventService();
+
+export { eventService };
+export default eventService;
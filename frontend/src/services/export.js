@@ -1,47 +1,125 @@
 import api from './api';
 
+const EXPORT_FORMATS = {
+  xlsx: {
+    label: 'Excel (.xlsx)',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  csv: {
+    label: 'CSV (.csv)',
+    mimeType: 'text/csv'
+  },
+  pdf: {
+    label: 'PDF roster (.pdf)',
+    mimeType: 'application/pdf'
+  }
+};
+
+// Column keys understood by GET /sewadars/export, in display order
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'age', label: 'Age' },
+  { key: 'verificationType', label: 'Verification Type' },
+  { key: 'verificationId', label: 'Verification ID' },
+  { key: 'naamdanStatus', label: 'Naamdan Status' },
+  { key: 'naamdanId', label: 'Naamdan ID' },
+  { key: 'badgeId', label: 'Badge ID' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'alternatePhone', label: 'Alternate Phone' },
+  { key: 'email', label: 'Email' },
+  { key: 'addressLine1', label: 'Address Line 1' },
+  { key: 'addressLine2', label: 'Address Line 2' },
+  { key: 'city', label: 'City' },
+  { key: 'district', label: 'District' },
+  { key: 'state', label: 'State' },
+  { key: 'pinCode', label: 'PIN Code' },
+  { key: 'emergencyContacts', label: 'Emergency Contacts' },
+  { key: 'centres', label: 'Centres' },
+  { key: 'createdBy', label: 'Created By' },
+  { key: 'createdAt', label: 'Created Date' },
+  { key: 'updatedAt', label: 'Updated Date' }
+];
+
+// Same defaults as the API: everything except the secondary contact and address columns
+const OPTIONAL_EXPORT_COLUMNS = [
+  'alternatePhone', 'email', 'addressLine1', 'addressLine2', 'city', 'district',
+  'state', 'pinCode', 'emergencyContacts', 'updatedAt'
+];
+
+const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS
+  .map(column => column.key)
+  .filter(key => !OPTIONAL_EXPORT_COLUMNS.includes(key));
+
 class ExportService {
+  formats = EXPORT_FORMATS;
+  columns = EXPORT_COLUMNS;
+  defaultColumns = DEFAULT_EXPORT_COLUMNS;
+
   /**
-   * Export all sewadars to Excel
+   * Export sewadars matching the given list filters
+   * @param {Object} options
+   * @param {Object} options.filters - search, naamdanStatus, verificationType, and an advanced query (see SewadarQueryBuilder)
+   * @param {string} options.format - xlsx, csv or pdf
+   * @param {Array<string>} options.columns - Column keys to include
    */
-  async exportSewadars() {
+  async exportSewadars({ filters = {}, format = 'xlsx', columns = DEFAULT_EXPORT_COLUMNS } = {}) {
     try {
-      const response = await api.get('/sewadars/export', {
+      const { mimeType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.xlsx;
+
+      // Drop empty filters so they are not sent as blank query parameters
+      const { query, ...listFilters } = filters;
+      const params = Object.fromEntries(
+        Object.entries(listFilters).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+      );
+      const config = {
         responseType: 'blob', // Important for file download
         headers: {
-          'Accept': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          'Accept': mimeType
         }
-      });
+      };
+
+      // An advanced query does not fit in a URL, so it goes in a POST body
+      const response = query
+        ? await api.post('/sewadars/export', { ...params, query, format, columns }, config)
+        : await api.get('/sewadars/export', { ...config, params: { ...params, format, columns: columns.join(',') } });
 
       // Validate response
       if (!response.data || !(response.data instanceof Blob)) {
         throw new Error('Invalid response data');
       }
-      
+
       // Create blob URL and trigger download
-      const blob = new Blob([response.data], {
-        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      });
-      
+      const blob = new Blob([response.data], { type: mimeType });
+
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      
+
       // Generate filename with current date
       const date = new Date().toISOString().split('T')[0];
-      link.download = `sewadars_export_${date}.xlsx`;
-      
+      link.download = `sewadars_export_${date}.${format}`;
+
       // Trigger download
       document.body.appendChild(link);
       link.click();
-      
+
       // Cleanup
       document.body.removeChild(link);
       window.URL.revokeObjectURL(url);
-      
+
       return { success: true, message: 'Export completed successfully' };
     } catch (error) {
       console.error('Export error:', error);
+
+      // Blob requests receive the JSON error body as a Blob too
+      if (error.data instanceof Blob) {
+        const body = await error.data.text().then(JSON.parse).catch(() => null);
+        if (body) {
+          Object.assign(error, { message: body.message || error.message, details: body.details, data: body });
+        }
+      }
       throw error;
     }
   }
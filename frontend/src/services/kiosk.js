@@ -0,0 +1,179 @@
+import api from './api';
+
+const QUEUE_KEY = 'rssb_kiosk_queue';
+const EVENT_KEY = 'rssb_kiosk_event';
+
+// No response, a server fault, an expired session or rate limiting: worth sending again later
+const isTransient = (error) => !error.status || error.status >= 500 || [401, 408, 429].includes(error.status);
+
+// The sync under way, if any; overlapping calls share it so no scan is sent twice
+let syncInProgress = null;
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Kiosk Service
+ *
+ * Badge scanning at the gate. Scans are sent straight away; when the network
+ * is down they are queued in this browser and sent with their original scan
+ * time once the connection is back.
+ */
+class KioskService {
+  /**
+   * Events on the kiosk's local date
+   * @returns {Promise<Array<Object>>} Events with id, name, location, startDate and endDate
+   */
+  async getEvents() {
+    try {
+      const response = await api.get('/kiosk/events', { params: { date: this.localNow().slice(0, 10) } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get kiosk events error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a badge scan
+   * @param {Object} scan - eventId, badgeId, scannedAt and action (CHECK_IN or CHECK_OUT)
+   * @returns {Promise<Object>} Response with result, sewadar and attendance
+   */
+  async recordScan(scan) {
+    try {
+      const response = await api.post('/kiosk/scans', scan);
+      return response.data;
+    } catch (error) {
+      console.error('Record scan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a scanned sewadar's photo
+   * @param {string} sewadarId - Sewadar ID
+   * @returns {Promise<Blob>} JPEG
+   */
+  async getPhoto(sewadarId) {
+    try {
+      const response = await api.get(`/kiosk/sewadars/${sewadarId}/photo`, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error('Get kiosk photo error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a failed scan should be queued and sent again
+   * @param {Object} error - Rejection from the api client
+   * @returns {boolean}
+   */
+  shouldQueue(error) {
+    return isTransient(error);
+  }
+
+  /**
+   * Scans waiting to be sent, oldest first
+   * @returns {Array<Object>}
+   */
+  getQueue() {
+    return readJson(QUEUE_KEY, []);
+  }
+
+  /**
+   * Keep a scan to send later
+   * @param {Object} scan - As for recordScan
+   * @returns {number} Scans now waiting
+   */
+  enqueue(scan) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const queue = [...this.getQueue(), { ...scan, id }];
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    return queue.length;
+  }
+
+  // Drop one scan, the first with this id (scans queued before ids were given have none)
+  removeQueued(id) {
+    const queue = this.getQueue();
+    const index = queue.findIndex((scan) => scan.id === id);
+    if (index >= 0) {
+      queue.splice(index, 1);
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    }
+  }
+
+  /**
+   * Send queued scans in the order they were made. Stops at the first scan
+   * that still cannot get through; scans the server refuses are dropped and reported.
+   * A call while a sync is running gets that sync's result.
+   * @returns {Promise<Object>} sent, refused (scans with their error message) and remaining
+   */
+  syncQueue() {
+    if (!syncInProgress) {
+      syncInProgress = this.sendQueue().finally(() => {
+        syncInProgress = null;
+      });
+    }
+    return syncInProgress;
+  }
+
+  async sendQueue() {
+    const refused = [];
+    let sent = 0;
+    // The queue is read again after every scan, so scans queued meanwhile are kept (and sent)
+    let [scan] = this.getQueue();
+
+    while (scan) {
+      const { id, ...body } = scan;
+      try {
+        await api.post('/kiosk/scans', body);
+        sent += 1;
+      } catch (error) {
+        if (isTransient(error)) break;
+        refused.push({ scan, message: error.message });
+      }
+      this.removeQueued(id);
+      [scan] = this.getQueue();
+    }
+
+    return { sent, refused, remaining: this.getQueue().length };
+  }
+
+  /**
+   * The event this kiosk is checking sewadars in to, kept across reloads
+   * @returns {Object|null}
+   */
+  getSavedEvent() {
+    return readJson(EVENT_KEY, null);
+  }
+
+  saveEvent(event) {
+    if (event) {
+      localStorage.setItem(EVENT_KEY, JSON.stringify(event));
+    } else {
+      localStorage.removeItem(EVENT_KEY);
+    }
+  }
+
+  /**
+   * The kiosk's local time as "YYYY-MM-DDTHH:mm", the format attendance times use
+   * @returns {string}
+   */
+  localNow() {
+    const now = new Date();
+    const time = now.toTimeString().slice(0, 5);
+    return `${now.toLocaleDateString('en-CA')}T${time}`;
+  }
+}
+
+// Create singleton instance
+const kioskService = new KioskService();
+
+export { kioskService };
+export default kioskService;
@@ -0,0 +1,134 @@
+import api from './api';
+
+/**
+ * Saved View Service
+ *
+ * Named sewadar list views (filters, advanced query, sort, visible columns
+ * and page size), kept personal or shared with a role, and the views each
+ * user pins to their sidebar. Listeners hear about every change, so the
+ * sidebar stays in step with the list page.
+ */
+class SavedViewService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Be told whenever a view is saved, changed, deleted, pinned or unpinned
+   * @param {Function} listener - Called without arguments
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Get the views the signed-in user can open: their own first, then shared ones
+   * @param {Object} options
+   * @param {boolean} options.pinned - Only the views pinned to the sidebar
+   * @returns {Promise<Array<Object>>} Views, each with pinned and canEdit
+   */
+  async getViews({ pinned = false } = {}) {
+    try {
+      const response = await api.get('/saved-views', { params: pinned ? { pinned: true } : {} });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get saved views error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a view, e.g. one opened from a link
+   * @param {string} id - View ID
+   * @returns {Promise<Object>} View with its settings
+   */
+  async getView(id) {
+    try {
+      const response = await api.get(`/saved-views/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get saved view error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a view
+   * @param {Object} viewData - name, sharedRole (null for a personal view) and settings
+   * @returns {Promise<Object>} Created view response
+   */
+  async createView(viewData) {
+    try {
+      const response = await api.post('/saved-views', viewData);
+      this.notify();
+      return response.data;
+    } catch (error) {
+      console.error('Create saved view error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a view, change who it is shared with, or replace its settings
+   * @param {string} id - View ID
+   * @param {Object} updates - name, sharedRole and/or settings
+   * @returns {Promise<Object>} Updated view response
+   */
+  async updateView(id, updates) {
+    try {
+      const response = await api.put(`/saved-views/${id}`, updates);
+      this.notify();
+      return response.data;
+    } catch (error) {
+      console.error('Update saved view error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a view
+   * @param {string} id - View ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deleteView(id) {
+    try {
+      const response = await api.delete(`/saved-views/${id}`);
+      this.notify();
+      return response.data;
+    } catch (error) {
+      console.error('Delete saved view error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pin a view to the signed-in user's sidebar, or unpin it
+   * @param {string} id - View ID
+   * @param {boolean} pinned - Whether it should be pinned
+   * @returns {Promise<Object>} Pin response
+   */
+  async setPinned(id, pinned) {
+    try {
+      const response = pinned
+        ? await api.put(`/saved-views/${id}/pin`)
+        : await api.delete(`/saved-views/${id}/pin`);
+      this.notify();
+      return response.data;
+    } catch (error) {
+      console.error('Pin saved view error:', error);
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const savedViewService = new SavedViewService();
+
+export { savedViewService };
+export default savedViewService;
@@ -1,4 +1,4 @@
-import api from './api';
+import api, { apiHelpers } from './api';
 
 /**
  * Sewadar Service
@@ -16,6 +16,7 @@ class SewadarService {
    * @param {string} options.search - Search term
    * @param {boolean} options.naamdanStatus - Filter by naamdan status
    * @param {string} options.verificationType - Filter by verification type
+   * @param {string} options.departmentId - Filter by department ("NONE" for sewadars in no department)
    * @returns {Promise<Object>} Paginated sewadars response
    */
   async getSewadars(options = {}) {
@@ -26,6 +27,7 @@ class SewadarService {
         search = '',
         naamdanStatus,
         verificationType,
+        departmentId,
         sortBy = 'createdAt',
         sortOrder = 'desc'
       } = options;
@@ -40,6 +42,7 @@ class SewadarService {
       if (search) params.search = search;
       if (naamdanStatus !== undefined) params.naamdanStatus = naamdanStatus;
       if (verificationType) params.verificationType = verificationType;
+      if (departmentId) params.departmentId = departmentId;
 
       const response = await api.get('/sewadars', { params });
       return response.data;
@@ -82,10 +85,43 @@ class SewadarService {
     }
   }
 
+  /**
+   * Find existing sewadars that are likely the same person as one being entered
+   * @param {Object} sewadarData - firstName, lastName, age, phone, email and IDs entered so far
+   * @param {string} excludeId - Sewadar being edited, if any
+   * @returns {Promise<Array<Object>>} Candidates, best match first, with score, confidence and reasons
+   */
+  async findDuplicates(sewadarData, excludeId) {
+    try {
+      const response = await api.post('/sewadars/duplicates', excludeId ? { ...sewadarData, excludeId } : sewadarData);
+      return response.data.data.candidates;
+    } catch (error) {
+      console.error('Find duplicates error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge two records of the same sewadar into one
+   * @param {string} survivorId - Record that remains
+   * @param {string} mergedId - Record merged away; its ID redirects to the survivor afterwards
+   * @param {Object} fields - Field name (including emergencyContacts and photo) to 'survivor' or 'merged'
+   * @returns {Promise<Object>} Response with the survivor after the merge
+   */
+  async mergeSewadars(survivorId, mergedId, fields) {
+    try {
+      const response = await api.post('/sewadars/merge', { survivorId, mergedId, fields });
+      return response.data;
+    } catch (error) {
+      console.error('Merge sewadars error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update existing sewadar
    * @param {string} id - Sewadar ID
-   * @param {Object} updates - Sewadar updates
+   * @param {Object} updates - Sewadar updates, with the rowVersion of the sewadar as loaded
    * @returns {Promise<Object>} Updated sewadar data
    */
   async updateSewadar(id, updates) {
@@ -102,7 +138,55 @@ class SewadarService {
   }
 
   /**
-   * Delete sewadar
+   * Get a sewadar's version history, newest first
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Array>} Versions with the fields each one changed
+   */
+  async getVersions(id) {
+    try {
+      const response = await api.get(`/sewadars/${id}/versions`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get sewadar versions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a sewadar
+   * @param {string} id - Sewadar ID
+   * @param {number} from - Earlier version number
+   * @param {number} to - Later version number
+   * @returns {Promise<Object>} Both versions and the changed fields
+   */
+  async getVersionDiff(id, from, to) {
+    try {
+      const response = await api.get(`/sewadars/${id}/versions/diff`, { params: { from, to } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get sewadar version diff error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a sewadar back as it was in a version; the restore becomes a new version
+   * @param {string} id - Sewadar ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} Response with the restored sewadar
+   */
+  async restoreVersion(id, version) {
+    try {
+      const response = await api.post(`/sewadars/${id}/versions/${version}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Restore sewadar version error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a sewadar to the trash
    * @param {string} id - Sewadar ID
    * @returns {Promise<Object>} Deletion response
    */
@@ -116,6 +200,69 @@ class SewadarService {
     }
   }
 
+  /**
+   * Get sewadars in the trash (admin only)
+   * @param {Object} options - page, limit and search
+   * @returns {Promise<Object>} Paginated response with retentionDays
+   */
+  async getTrash(options = {}) {
+    try {
+      const { page = 1, limit = 20, search = '' } = options;
+      const params = { page, limit };
+      if (search) params.search = search;
+
+      const response = await api.get('/sewadars/trash', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Get trash error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a sewadar from the trash
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Object>} Response with the restored sewadar
+   */
+  async restoreSewadar(id) {
+    try {
+      const response = await api.post(`/sewadars/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Restore sewadar error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a sewadar whose retention period in the trash has passed
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Object>} Purge response
+   */
+  async purgeSewadar(id) {
+    try {
+      const response = await api.delete(`/sewadars/${id}/purge`);
+      return response.data;
+    } catch (error) {
+      console.error('Purge sewadar error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete every sewadar whose retention period in the trash has passed
+   * @returns {Promise<Object>} Response with the number purged
+   */
+  async purgeExpiredSewadars() {
+    try {
+      const response = await api.post('/sewadars/trash/purge');
+      return response.data;
+    } catch (error) {
+      console.error('Purge expired sewadars error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get sewadar statistics
    * @returns {Promise<Object>} Statistics data
@@ -148,13 +295,14 @@ class SewadarService {
   /**
    * Export sewadars data
    * @param {Object} filters - Export filters
-   * @param {string} format - Export format (csv, xlsx)
+   * @param {string} format - Export format (csv, xlsx, pdf)
+   * @param {Array<string>} columns - Column keys to include (server default when omitted)
    * @returns {Promise<Blob>} Export file
    */
-  async exportSewadars(filters = {}, format = 'csv') {
+  async exportSewadars(filters = {}, format = 'csv', columns) {
     try {
       const response = await api.post('/sewadars/export', 
-        { ...filters, format },
+        { ...filters, format, columns },
         { responseType: 'blob' }
       );
       return response.data;
@@ -166,8 +314,8 @@ class SewadarService {
 
   /**
    * Bulk update sewadars
-   * @param {Array} updates - Array of sewadar updates
-   * @returns {Promise<Object>} Bulk update response
+   * @param {Array} updates - Array of sewadar updates, each `{ id, ...fields }`
+   * @returns {Promise<Object>} Bulk update response with per-item results
    */
   async bulkUpdateSewadars(updates) {
     try {
@@ -179,6 +327,112 @@ class SewadarService {
     }
   }
 
+  /**
+   * Bulk move sewadars to the trash
+   * @param {Array<string>} ids - Sewadar IDs to delete
+   * @returns {Promise<Object>} Bulk delete response with per-item results
+   */
+  async bulkDeleteSewadars(ids) {
+    try {
+      const response = await api.patch('/sewadars/bulk', { deleteIds: ids });
+      return response.data;
+    } catch (error) {
+      console.error('Bulk delete sewadars error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload an .xlsx or .csv file of sewadars for import
+   * @param {File} file - Spreadsheet to import
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Only validate and report, do not create records (default: true)
+   * @param {Function} options.onProgress - Upload progress callback (percentage)
+   * @param {string} options.duplicateReason - Why rows flagged as possible duplicates should be imported anyway
+   * @returns {Promise<Object>} Import report with summary and per-row results
+   */
+  async importSewadars(file, { dryRun = true, onProgress = null, duplicateReason = '' } = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (duplicateReason) formData.append('duplicateReason', duplicateReason);
+
+      const response = await apiHelpers.uploadFile(
+        `/sewadars/import?dryRun=${dryRun}`,
+        formData,
+        onProgress
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Import sewadars error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the blank import template
+   * @returns {Promise} Download promise
+   */
+  async downloadImportTemplate() {
+    try {
+      return await apiHelpers.downloadFile('/sewadars/import/template', 'sewadar_import_template.xlsx');
+    } catch (error) {
+      console.error('Download import template error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a sewadar's photo
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Blob>} 480x600 JPEG
+   */
+  async getPhoto(id) {
+    try {
+      const response = await api.get(`/sewadars/${id}/photo`, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error('Get sewadar photo error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload or replace a sewadar's photo. The server crops and resizes it for the badge.
+   * @param {string} id - Sewadar ID
+   * @param {File} file - JPEG, PNG or WebP image
+   * @returns {Promise<Object>} Response with the new photoUpdatedAt
+   */
+  async uploadPhoto(id, file) {
+    try {
+      const formData = new FormData();
+      formData.append('photo', file);
+
+      const response = await api.put(`/sewadars/${id}/photo`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Upload sewadar photo error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a sewadar's photo
+   * @param {string} id - Sewadar ID
+   * @returns {Promise<Object>} Deletion response
+   */
+  async deletePhoto(id) {
+    try {
+      const response = await api.delete(`/sewadars/${id}/photo`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete sewadar photo error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate sewadar data
    * @param {Object} data - Sewadar data to validate
@@ -219,6 +473,14 @@ class SewadarService {
       errors.push('Badge ID must not exceed 20 characters');
     }
 
+    if (data.pinCode && !/^[1-9]\d{5}$/.test(data.pinCode)) {
+      errors.push('PIN code must be 6 digits and cannot start with 0');
+    }
+
+    if (data.emergencyContacts && data.emergencyContacts.length > 5) {
+      errors.push('At most 5 emergency contacts can be added');
+    }
+
     if (errors.length > 0) {
       throw new Error(errors.join(', '));
     }
@@ -78,7 +78,7 @@ class UsersService {
   /**
    * Update user
    * @param {string} id - User ID
-   * @param {Object} updates - User updates
+   * @param {Object} updates - User updates, with the rowVersion of the user as loaded
    * @returns {Promise<Object>} Updated user data
    */
   async updateUser(id, updates) {
@@ -108,15 +108,16 @@ class UsersService {
   }
 
   /**
-   * Reset user password (Admin only)
+   * Reset user password (Admin only). The user has to change it at next login.
    * @param {string} id - User ID
    * @param {string} newPassword - New password
    * @returns {Promise<Object>} Reset response
    */
   async resetUserPassword(id, newPassword) {
     try {
-      if (!newPassword || newPassword.length < 6) {
-        throw new Error('Password must be at least 6 characters long');
+      // Strength rules are enforced by the server's password policy
+      if (!newPassword) {
+        throw new Error('Password is required');
       }
       
       const response = await api.post(`/users/${id}/reset-password`, {
@@ -129,15 +130,92 @@ class UsersService {
     }
   }
 
+  /**
+   * Clear a login lockout (Admin only)
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Unlock response
+   */
+  async unlockUser(id) {
+    try {
+      const response = await api.post(`/users/${id}/unlock`);
+      return response.data;
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's active sessions (Admin only)
+   * @param {string} id - User ID
+   * @returns {Promise<Array>} Sessions
+   */
+  async getUserSessions(id) {
+    try {
+      const response = await api.get(`/users/${id}/sessions`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a user out of one session (Admin only)
+   * @param {string} id - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Revoke response
+   */
+  async revokeUserSession(id, sessionId) {
+    try {
+      const response = await api.delete(`/users/${id}/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke user session error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign a user out of every session (Admin only)
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Revoke response with the number of sessions signed out
+   */
+  async revokeAllUserSessions(id) {
+    try {
+      const response = await api.delete(`/users/${id}/sessions`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke all user sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a user's two-factor authentication (Admin only)
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Reset response
+   */
+  async resetUserTwoFactor(id) {
+    try {
+      const response = await api.delete(`/users/${id}/2fa`);
+      return response.data;
+    } catch (error) {
+      console.error('Reset user two-factor error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Toggle user active status
    * @param {string} id - User ID
    * @param {boolean} isActive - New active status
+   * @param {number} rowVersion - rowVersion of the user as loaded
    * @returns {Promise<Object>} Update response
    */
-  async toggleUserStatus(id, isActive) {
+  async toggleUserStatus(id, isActive, rowVersion) {
     try {
-      const response = await api.put(`/users/${id}`, { isActive });
+      const response = await api.put(`/users/${id}`, { isActive, rowVersion });
       return response.data;
     } catch (error) {
       console.error('Toggle user status error:', error);
@@ -149,15 +227,16 @@ class UsersService {
    * Update user role
    * @param {string} id - User ID
    * @param {string} role - New role
+   * @param {number} rowVersion - rowVersion of the user as loaded
    * @returns {Promise<Object>} Update response
    */
-  async updateUserRole(id, role) {
+  async updateUserRole(id, role, rowVersion) {
     try {
-      if (!['ADMIN', 'EDITOR', 'VIEWER'].includes(role)) {
+      if (!['ADMIN', 'EDITOR', 'VIEWER', 'KIOSK'].includes(role)) {
         throw new Error('Invalid role');
       }
       
-      const response = await api.put(`/users/${id}`, { role });
+      const response = await api.put(`/users/${id}`, { role, rowVersion });
       return response.data;
     } catch (error) {
       console.error('Update user role error:', error);
@@ -208,8 +287,8 @@ class UsersService {
       if (!data.email || !this.isValidEmail(data.email)) {
         errors.push('Valid email is required');
       }
-      if (!data.password || data.password.length < 6) {
-        errors.push('Password must be at least 6 characters long');
+      if (!data.password) {
+        errors.push('Password is required');
       }
       if (!data.firstName || data.firstName.trim().length < 2) {
         errors.push('First name must be at least 2 characters long');
@@ -224,7 +303,7 @@ class UsersService {
       errors.push('Invalid email format');
     }
 
-    if (data.role && !['ADMIN', 'EDITOR', 'VIEWER'].includes(data.role)) {
+    if (data.role && !['ADMIN', 'EDITOR', 'VIEWER', 'KIOSK'].includes(data.role)) {
       errors.push('Invalid role');
     }
 
@@ -276,7 +355,8 @@ class UsersService {
     const labels = {
       'ADMIN': 'Administrator',
       'EDITOR': 'Editor',
-      'VIEWER': 'Viewer'
+      'VIEWER': 'Viewer',
+      'KIOSK': 'Kiosk'
     };
     return labels[role] || 'Unknown';
   }
@@ -290,7 +370,8 @@ class UsersService {
     const colors = {
       'ADMIN': 'text-red-600 bg-red-100',
       'EDITOR': 'text-blue-600 bg-blue-100',
-      'VIEWER': 'text-gray-600 bg-gray-100'
+      'VIEWER': 'text-gray-600 bg-gray-100',
+      'KIOSK': 'text-teal-600 bg-teal-100'
     };
     return colors[role] || 'text-gray-600 bg-gray-100';
   }
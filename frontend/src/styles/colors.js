@@ -143,6 +143,7 @@ export const contextualColors = {
     admin: brandColors.deepRed,      // Primary red
     editor: brandColors.brightBlue,  // Primary blue  
     viewer: brandColors.blue[100],   // Medium blue
+    kiosk: brandColors.warm[300],    // Gold
   },
 };
 
@@ -271,7 +272,7 @@ export const colorUtils = {
   
   /**
    * Get role-specific color
-   * @param {string} role - User role (ADMIN, EDITOR, VIEWER)
+   * @param {string} role - User role (ADMIN, EDITOR, VIEWER, KIOSK)
    * @returns {string} Color value
    */
   getRoleColor: (role) => {
@@ -279,6 +280,7 @@ export const colorUtils = {
       ADMIN: semanticColors.contextual.roles.admin,
       EDITOR: semanticColors.contextual.roles.editor,
       VIEWER: semanticColors.contextual.roles.viewer,
+      KIOSK: semanticColors.contextual.roles.kiosk,
     };
     return roleColors[role] || semanticColors.text.secondary;
   },